@@ -0,0 +1,53 @@
+/**
+ * Sélection du magasin des clés de signature (KEYSTORE)
+ * - db (défaut) : clés stockées par le db-service, partagées entre toutes les réplicas
+ * - file : JWK set sur le système de fichiers (KEYSTORE_PATH, volume monté sur /app/keys) ; le service
+ *   signe sans dépendre du db-service, et le développement local n'a pas besoin du db-service pour les clés
+ *
+ * Un magasin de clés expose les méthodes de clés du client du db-service : createKeyPair,
+ * getKeyPairByKid, getActiveKeyPair(algorithm), getKeyPairs, updateKeyPair, deleteKeyPair et testConnection.
+ */
+const path = require('path');
+const FileKeyStore = require('../services/file-keystore');
+
+const KEYSTORE_TYPES = ['db', 'file'];
+
+// Un seul magasin fichier par répertoire, pour sérialiser les écritures du processus
+const fileKeyStores = new Map();
+
+/**
+ * Type de magasin configuré
+ * @returns {string} db ou file
+ */
+const getKeyStoreType = () => {
+  const type = (process.env.KEYSTORE || 'db').trim().toLowerCase();
+
+  if (!KEYSTORE_TYPES.includes(type)) {
+    throw new Error(`Magasin de clés non pris en charge : ${type} (valeurs possibles : ${KEYSTORE_TYPES.join(', ')})`);
+  }
+
+  return type;
+};
+
+/**
+ * Retourne le magasin des clés de signature configuré
+ * @param {Object} dbClient - Le client pour le service de base de données (magasin db)
+ * @returns {Object} Le magasin de clés
+ */
+const getKeyStore = (dbClient) => {
+  if (getKeyStoreType() === 'db') {
+    return dbClient;
+  }
+
+  const directory = path.resolve(process.env.KEYSTORE_PATH || path.join(__dirname, '../../keys'));
+  if (!fileKeyStores.has(directory)) {
+    fileKeyStores.set(directory, new FileKeyStore(directory));
+  }
+  return fileKeyStores.get(directory);
+};
+
+module.exports = {
+  KEYSTORE_TYPES,
+  getKeyStoreType,
+  getKeyStore
+};
@@ -0,0 +1,84 @@
+/**
+ * Capacités OAuth2 / OpenID Connect du service
+ * Source unique pour le document de découverte et la validation des requêtes.
+ */
+
+// Grants acceptés par l'endpoint token
+const GRANT_TYPES = ['authorization_code', 'refresh_token', 'client_credentials'];
+
+// Types de réponse acceptés par l'endpoint d'autorisation
+const RESPONSE_TYPES = ['code'];
+
+// Méthodes d'authentification des clients (none = client public avec PKCE)
+const TOKEN_ENDPOINT_AUTH_METHODS = ['client_secret_basic', 'client_secret_post', 'none'];
+
+// Claims émis pour chaque scope standard (OIDC Core §5.4, plus roles propre au service)
+const SCOPE_CLAIMS = {
+  openid: ['sub'],
+  profile: ['name', 'given_name', 'family_name', 'picture', 'locale', 'updated_at'],
+  email: ['email', 'email_verified'],
+  phone: ['phone_number', 'phone_number_verified'],
+  address: ['address'],
+  roles: ['roles']
+};
+
+// Scopes standards connus du service
+const SCOPES = Object.keys(SCOPE_CLAIMS);
+
+// Scopes accordés aux sessions de première partie (login direct, sans client OAuth2)
+const FIRST_PARTY_SCOPE = 'openid profile email phone address roles';
+
+// Claims pouvant figurer dans l'id token et la réponse userinfo
+const CLAIMS = [
+  'sub',
+  'iss',
+  'aud',
+  'exp',
+  'iat',
+  'nonce',
+  'email',
+  'email_verified',
+  'name',
+  'given_name',
+  'family_name',
+  'picture',
+  'locale',
+  'updated_at',
+  'phone_number',
+  'phone_number_verified',
+  'address',
+  'roles',
+  'auth_time',
+  'at_hash',
+  'amr',
+  'acr'
+];
+
+// Niveaux d'assurance de l'authentification (claim acr)
+const ACR_VALUES = {
+  SINGLE_FACTOR: 'urn:supervia:acr:1fa',
+  MULTI_FACTOR: 'urn:supervia:acr:mfa'
+};
+
+/**
+ * Détermine le niveau d'assurance (acr) à partir des méthodes d'authentification (amr, RFC 8176)
+ * @param {string[]} amr - Méthodes d'authentification utilisées
+ * @returns {string} La valeur du claim acr
+ */
+const getAcrValue = (amr = []) => (amr.includes('mfa') ? ACR_VALUES.MULTI_FACTOR : ACR_VALUES.SINGLE_FACTOR);
+
+// Algorithme de signature utilisé si aucune clé n'est publiée
+const DEFAULT_SIGNING_ALGORITHM = 'RS256';
+
+module.exports = {
+  GRANT_TYPES,
+  RESPONSE_TYPES,
+  TOKEN_ENDPOINT_AUTH_METHODS,
+  SCOPE_CLAIMS,
+  SCOPES,
+  FIRST_PARTY_SCOPE,
+  CLAIMS,
+  ACR_VALUES,
+  DEFAULT_SIGNING_ALGORITHM,
+  getAcrValue
+};
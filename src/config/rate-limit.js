@@ -0,0 +1,119 @@
+/**
+ * Politiques de rate limiting par groupe de routes
+ * Chaque groupe dispose de son propre budget, configurable par variables d'environnement
+ * (RATE_LIMIT_<GROUPE>_MAX et RATE_LIMIT_<GROUPE>_WINDOW, ex: RATE_LIMIT_LOGIN_MAX=10).
+ */
+
+// Budgets par défaut : nombre de requêtes par fenêtre, par client
+const RATE_LIMIT_POLICIES = {
+  // Connexion et seconds facteurs : cible du credential stuffing
+  login: { max: 10, window: '15m' },
+  // Création de comptes
+  register: { max: 5, window: '1h' },
+  // Renouvellement et émission de tokens (applications et clients machine)
+  refresh: { max: 60, window: '15m' },
+  // Envoi d'emails (réinitialisation, lien de connexion, renvoi de vérification, code MFA)
+  forgot_password: { max: 5, window: '1h' },
+  // Retours des fournisseurs OAuth2
+  oauth_callback: { max: 30, window: '15m' },
+  // Documents publics (découverte OpenID, JWKS), interrogés fréquemment par les clients
+  discovery: { max: 300, window: '1m' },
+  // Toutes les autres routes (RATE_LIMIT_MAX_REQUESTS et RATE_LIMIT_WINDOW_MS, historiques)
+  default: { max: 100, window: '15m' }
+};
+
+// Routes de chaque groupe (chemins complets, méthode POST sauf pour discovery et oauth_callback)
+const RATE_LIMIT_ROUTES = {
+  login: [
+    '/api/v1/auth/login',
+    '/api/v1/auth/login/recovery',
+    '/api/v1/auth/magic-link/verify',
+    '/api/v1/auth/mfa/verify',
+    '/api/v1/auth/mfa/email/verify',
+    '/api/v1/auth/webauthn/authenticate/verify'
+  ],
+  register: ['/api/v1/auth/register'],
+  refresh: ['/api/v1/auth/refresh', '/api/v1/auth/token'],
+  forgot_password: [
+    '/api/v1/auth/forgot-password',
+    '/api/v1/auth/reset-password',
+    '/api/v1/auth/magic-link',
+    '/api/v1/auth/resend-verification',
+    '/api/v1/auth/mfa/email/send'
+  ],
+  oauth_callback: [/^\/api\/v1\/oauth\/[^/]+\/callback$/, '/api/v1/auth0/callback'],
+  discovery: [/^\/\.well-known\//, '/api/v1/auth/jwks.json']
+};
+
+// Routes qui authentifient le client machine (client_secret_basic) : seules à pouvoir le compter par client_id
+const CLIENT_AUTHENTICATED_ROUTES = ['/api/v1/auth/token', '/api/v1/auth/introspect', '/api/v1/auth/revoke'];
+
+/**
+ * Normalise un chemin comme le routage Express, qui ignore la casse et la barre finale
+ * @param {string} path - Chemin complet de la requête
+ * @returns {string} Le chemin normalisé
+ */
+const normalizePath = (path) => path.toLowerCase().replace(/(.)\/+$/, '$1');
+
+/**
+ * Retourne le budget d'un groupe, surchargé par la configuration
+ * @param {string} name - Nom du groupe
+ * @returns {{max: number, window: string|number}} Nombre de requêtes et fenêtre (durée ou secondes)
+ */
+const getRateLimitPolicy = (name) => {
+  const defaults = RATE_LIMIT_POLICIES[name];
+
+  if (name === 'default') {
+    return {
+      max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || defaults.max,
+      window: process.env.RATE_LIMIT_WINDOW_MS
+        ? Math.floor(parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) / 1000)
+        : defaults.window
+    };
+  }
+
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  return {
+    max: parseInt(process.env[`${prefix}_MAX`], 10) || defaults.max,
+    window: process.env[`${prefix}_WINDOW`] || defaults.window
+  };
+};
+
+/**
+ * Détermine le groupe d'une requête
+ * @param {string} method - Méthode HTTP
+ * @param {string} path - Chemin complet de la requête
+ * @returns {string} Le nom du groupe ('default' si aucun ne correspond)
+ */
+const resolveRateLimitPolicy = (method, path) => {
+  // Contourner la normalisation d'Express ne doit pas changer de groupe
+  const normalizedPath = normalizePath(path);
+  const matches = (route) => (route instanceof RegExp ? route.test(normalizedPath) : route === normalizedPath);
+
+  for (const [name, routes] of Object.entries(RATE_LIMIT_ROUTES)) {
+    const anyMethod = name === 'discovery' || name === 'oauth_callback';
+    if ((anyMethod || method === 'POST') && routes.some(matches)) {
+      return name;
+    }
+  }
+
+  return 'default';
+};
+
+/**
+ * Indique si la route authentifie le client machine
+ * @param {string} method - Méthode HTTP
+ * @param {string} path - Chemin complet de la requête
+ * @returns {boolean}
+ */
+const isClientAuthenticatedRoute = (method, path) =>
+  method === 'POST' && CLIENT_AUTHENTICATED_ROUTES.includes(normalizePath(path));
+
+module.exports = {
+  RATE_LIMIT_POLICIES,
+  RATE_LIMIT_ROUTES,
+  CLIENT_AUTHENTICATED_ROUTES,
+  getRateLimitPolicy,
+  resolveRateLimitPolicy,
+  isClientAuthenticatedRoute
+};
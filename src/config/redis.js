@@ -214,6 +214,47 @@ const storeData = async (key, data, expiration = 86400) => {
   }
 };
 
+/**
+ * Stocke des données uniquement si la clé n'existe pas encore (SET NX), de manière atomique
+ * Permet de consommer une ressource à usage unique : une seule requête concurrente l'emporte.
+ * @param {string} key Clé
+ * @param {any} data Données à stocker (sera sérialisée en JSON)
+ * @param {number} expiration Expiration en secondes (défaut: 1 jour)
+ * @returns {Promise<boolean|null>} True si la clé a été créée, false si elle existait déjà, null si Redis indisponible
+ */
+const storeDataIfAbsent = async (key, data, expiration = 86400) => {
+  try {
+    const client = await getRedisClient();
+    if (!client) return null;
+    
+    const result = await client.set(key, JSON.stringify(data), { NX: true, EX: expiration });
+    return result === 'OK';
+  } catch (error) {
+    console.error(`❌ Erreur stockage Redis (${key}):`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Incrémente un compteur de manière atomique (INCR) et renouvelle son expiration
+ * Les requêtes concurrentes obtiennent chacune une valeur distincte.
+ * @param {string} key Clé
+ * @param {number} expiration Expiration en secondes (défaut: 1 jour)
+ * @returns {Promise<number|null>} La nouvelle valeur du compteur, ou null si Redis indisponible
+ */
+const incrementData = async (key, expiration = 86400) => {
+  try {
+    const client = await getRedisClient();
+    if (!client) return null;
+    
+    const [count] = await client.multi().incr(key).expire(key, expiration).exec();
+    return Number(count);
+  } catch (error) {
+    console.error(`❌ Erreur incrément Redis (${key}):`, error.message);
+    return null;
+  }
+};
+
 /**
  * Récupère des données depuis Redis avec préfixe auth:
  * @param {string} key Clé (sera préfixée par auth:)
@@ -293,6 +334,8 @@ module.exports = {
   getRedisClient,
   isRedisAvailable,
   storeData,
+  storeDataIfAbsent,
+  incrementData,
   getData,
   deleteData,
   cleanup
@@ -0,0 +1,83 @@
+/**
+ * Contrôleur d'administration (réservé au rôle ADMIN)
+ */
+class AdminController {
+  constructor(authService, keyRotationService) {
+    if (!authService || !keyRotationService) {
+      throw new Error('AdminController: authService and keyRotationService are required');
+    }
+    this.authService = authService;
+    this.keyRotationService = keyRotationService;
+  }
+
+  /**
+   * Retourne l'état de verrouillage d'un compte
+   */
+  async getUserLockout(req, res, next) {
+    try {
+      const lockout = await this.authService.getAccountLockout(req.params.id);
+
+      res.json({
+        success: true,
+        data: lockout
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Déverrouille un compte
+   */
+  async unlockUser(req, res, next) {
+    try {
+      await this.authService.unlockUserAccount(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Compte déverrouillé'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Liste les clés de signature et leur cycle de vie
+   */
+  async listSigningKeys(req, res, next) {
+    try {
+      const keys = await this.keyRotationService.listKeys();
+
+      res.json({
+        success: true,
+        data: keys
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Force une rotation d'urgence des clés de signature
+   */
+  async rotateSigningKeys(req, res, next) {
+    try {
+      const rotation = await this.keyRotationService.rotateNow({
+        algorithm: req.body?.algorithm,
+        revokePrevious: req.body?.revokePrevious === true,
+        adminId: req.user.id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Nouvelles clés de signature actives',
+        data: rotation
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AdminController;
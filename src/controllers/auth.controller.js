@@ -1,6 +1,42 @@
 const authService = require('../services/auth.service');
 const auth0Service = require('../services/auth0.service');
 const { AppError, AuthErrorCodes } = require('../middlewares/errorHandler');
+const { getDeviceInfo } = require('../utils/device');
+
+/**
+ * Extrait les identifiants du client OAuth2 (client_secret_basic ou client_secret_post)
+ * @param {Object} req - Requête Express
+ * @returns {{clientId: string, clientSecret: string}} Identifiants du client
+ * @throws {AppError} 401 (invalid_client) si l'en-tête Basic est mal formé
+ */
+const getClientCredentials = (req) => {
+  const authHeader = req.headers.authorization;
+  
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    const malformed = new AppError('Identifiants client mal formés', 401, AuthErrorCodes.INVALID_CLIENT_CREDENTIALS);
+    
+    if (separator < 0) {
+      throw malformed;
+    }
+    
+    // Identifiants encodés en application/x-www-form-urlencoded (RFC 6749 §2.3.1)
+    try {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+      };
+    } catch (error) {
+      throw malformed;
+    }
+  }
+  
+  return {
+    clientId: req.body.client_id,
+    clientSecret: req.body.client_secret
+  };
+};
 
 class AuthController {
   constructor(authService) {
@@ -36,7 +72,8 @@ class AuthController {
    */
   async verifyEmail(req, res, next) {
     try {
-      const { token } = req.body;
+      // GET (lien reçu par email) ou POST
+      const token = req.query.token || req.body?.token;
       if (!token) {
         throw new AppError('Token de vérification requis', 400, 'VALIDATION_ERROR');
       }
@@ -53,13 +90,111 @@ class AuthController {
     }
   }
 
+  /**
+   * Renvoie l'email de vérification d'une adresse
+   */
+  async resendVerification(req, res, next) {
+    try {
+      const { email } = req.body;
+      if (!email) {
+        throw new AppError('Email requis', 400, 'VALIDATION_ERROR');
+      }
+      
+      await this.authService.resendVerificationEmail(email);
+      
+      // Réponse identique que le compte existe ou non
+      res.status(202).json({
+        success: true,
+        message: 'Si un compte non vérifié correspond à cet email, un nouveau lien a été envoyé.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Demande l'envoi d'un lien de réinitialisation du mot de passe
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const { email } = req.body;
+      if (!email) {
+        throw new AppError('Email requis', 400, 'VALIDATION_ERROR');
+      }
+      
+      await this.authService.forgotPassword(email);
+      
+      // Réponse identique que le compte existe ou non
+      res.status(202).json({
+        success: true,
+        message: 'Si un compte correspond à cet email, un lien de réinitialisation a été envoyé.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Réinitialise le mot de passe avec un token reçu par email
+   */
+  async resetPassword(req, res, next) {
+    try {
+      const { token, password } = req.body;
+      if (!token || !password) {
+        throw new AppError('Token et nouveau mot de passe requis', 400, 'VALIDATION_ERROR');
+      }
+      
+      await this.authService.resetPassword(token, password);
+      
+      res.json({
+        success: true,
+        message: 'Mot de passe réinitialisé avec succès'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Déverrouille un compte avec le lien reçu par email
+   */
+  async unlockAccount(req, res, next) {
+    try {
+      const { token } = req.body;
+      if (!token) {
+        throw new AppError('Token requis', 400, 'VALIDATION_ERROR');
+      }
+      
+      await this.authService.unlockAccount(token);
+      
+      res.json({
+        success: true,
+        message: 'Compte déverrouillé'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Connecte un utilisateur
    */
   async login(req, res, next) {
     try {
       const { email, password } = req.body;
-      const { user, accessToken, refreshToken } = await this.authService.login(email, password);
+      const result = await this.authService.login(email, password, getDeviceInfo(req));
+      
+      // Second facteur requis : le client doit appeler /auth/mfa/verify avec le mfaToken
+      if (result.mfaRequired) {
+        return res.json({
+          success: true,
+          mfaRequired: true,
+          mfaToken: result.mfaToken,
+          mfaMethods: result.mfaMethods
+        });
+      }
+      
+      const { user, accessToken, refreshToken } = result;
 
       res.json({
         success: true,
@@ -72,6 +207,88 @@ class AuthController {
     }
   }
   
+  /**
+   * Envoie un lien de connexion par email
+   */
+  async requestMagicLink(req, res, next) {
+    try {
+      const { email } = req.body;
+      if (!email) {
+        throw new AppError('Email requis', 400, 'VALIDATION_ERROR');
+      }
+      
+      await this.authService.requestMagicLink(email);
+      
+      // Réponse identique que le compte existe ou non
+      res.status(202).json({
+        success: true,
+        message: 'Si un compte correspond à cet email, un lien de connexion a été envoyé.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Connecte un utilisateur avec le token d'un lien reçu par email
+   */
+  async loginWithMagicLink(req, res, next) {
+    try {
+      const { token } = req.body;
+      if (!token) {
+        throw new AppError('Token requis', 400, 'VALIDATION_ERROR');
+      }
+      
+      const result = await this.authService.loginWithMagicLink(token, getDeviceInfo(req));
+      
+      // Second facteur requis : le client doit appeler /auth/mfa/verify avec le mfaToken
+      if (result.mfaRequired) {
+        return res.json({
+          success: true,
+          mfaRequired: true,
+          mfaToken: result.mfaToken,
+          mfaMethods: result.mfaMethods
+        });
+      }
+      
+      const { user, accessToken, refreshToken } = result;
+      
+      res.json({
+        success: true,
+        accessToken,
+        refreshToken,
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Connexion de secours avec le mot de passe et un code de récupération
+   */
+  async loginWithRecoveryCode(req, res, next) {
+    try {
+      const { email, password, recoveryCode } = req.body;
+      if (!email || !password || !recoveryCode) {
+        throw new AppError('Email, mot de passe et code de récupération requis', 400, 'VALIDATION_ERROR');
+      }
+      
+      const { user, accessToken, refreshToken } = await this.authService.loginWithRecoveryCode(
+        email, password, recoveryCode, getDeviceInfo(req)
+      );
+      
+      res.json({
+        success: true,
+        accessToken,
+        refreshToken,
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
   /**
    * Gère le login via un access token Auth0
    */
@@ -102,7 +319,7 @@ class AuthController {
         throw new AppError('Refresh token requis', 400, AuthErrorCodes.TOKEN_REQUIRED);
       }
       
-      const result = await this.authService.refreshToken(refreshToken);
+      const result = await this.authService.refreshToken(refreshToken, getDeviceInfo(req));
       
       res.json(result);
     } catch (error) {
@@ -111,18 +328,130 @@ class AuthController {
   }
   
   /**
-   * Révoque un refresh token
+   * Révoque un refresh token ou un access token (RFC 7009)
    */
   async revokeToken(req, res, next) {
     try {
-      const { refreshToken } = req.body;
+      // `refreshToken` est conservé pour la compatibilité avec le frontend
+      const token = req.body.token || req.body.refreshToken;
       
-      if (!refreshToken) {
-        throw new AppError('Refresh token requis', 400, AuthErrorCodes.TOKEN_REQUIRED);
+      if (!token) {
+        throw new AppError('Token requis', 400, AuthErrorCodes.TOKEN_REQUIRED);
+      }
+      
+      const { clientId, clientSecret } = getClientCredentials(req);
+      const result = await this.authService.revokeToken(token, req.body.token_type_hint, clientId, clientSecret);
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Endpoint d'autorisation OAuth2 (flux Authorization Code)
+   * Sans utilisateur authentifié, la demande est transmise à la page de
+   * connexion/consentement du frontend qui la rejouera avec un access token.
+   */
+  async authorize(req, res, next) {
+    try {
+      const params = req.method === 'POST' ? req.body : req.query;
+      const request = {
+        clientId: params.client_id,
+        redirectUri: params.redirect_uri,
+        scope: params.scope,
+        state: params.state,
+        responseType: params.response_type,
+        nonce: params.nonce,
+        codeChallenge: params.code_challenge,
+        codeChallengeMethod: params.code_challenge_method
+      };
+      
+      if (!req.user) {
+        // Valider la demande avant de rediriger l'utilisateur vers le frontend
+        await this.authService.validateAuthorizationRequest(request);
+        
+        const loginUrl = new URL(`${process.env.FRONTEND_URL}/auth/authorize`);
+        Object.entries(params).forEach(([key, value]) => loginUrl.searchParams.append(key, value));
+        
+        return res.redirect(loginUrl.toString());
       }
       
-      const result = await this.authService.revokeToken(refreshToken);
+      const redirectUrl = await this.authService.handleAuthorizationRequest({
+        ...request,
+        userId: req.user.id,
+        authTime: req.user.authTime,
+        amr: req.user.amr,
+        device: getDeviceInfo(req)
+      });
+      
+      // Le frontend (POST avec un access token) récupère l'URL en JSON pour y rediriger le navigateur
+      if (req.headers.accept?.includes('application/json')) {
+        return res.json({
+          success: true,
+          data: { redirectUrl }
+        });
+      }
+      
+      res.redirect(redirectUrl);
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Endpoint token OAuth2 (RFC 6749 §3.2)
+   */
+  async token(req, res, next) {
+    try {
+      const { grant_type: grantType } = req.body;
+      const { clientId, clientSecret } = getClientCredentials(req);
+      let result;
+      
+      switch (grantType) {
+        case 'authorization_code':
+          result = await this.authService.exchangeCodeForTokens(
+            req.body.code,
+            clientId,
+            clientSecret,
+            req.body.redirect_uri,
+            req.body.code_verifier
+          );
+          break;
+          
+        case 'client_credentials':
+          result = await this.authService.issueClientCredentialsToken(clientId, clientSecret, req.body.scope);
+          break;
+          
+        case 'refresh_token':
+          result = await this.authService.refreshClientTokens(req.body.refresh_token, clientId, clientSecret, req.body.scope);
+          break;
+          
+        default:
+          throw new AppError(`Type de grant non supporté: ${grantType}`, 400, AuthErrorCodes.INVALID_GRANT_TYPE);
+      }
+      
+      res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Endpoint d'introspection OAuth2 (RFC 7662)
+   */
+  async introspect(req, res, next) {
+    try {
+      const { clientId, clientSecret } = getClientCredentials(req);
+      const result = await this.authService.introspectToken(
+        clientId,
+        clientSecret,
+        req.body.token,
+        req.body.token_type_hint
+      );
       
+      res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
       res.json(result);
     } catch (error) {
       next(error);
@@ -135,11 +464,78 @@ class AuthController {
   async userInfo(req, res, next) {
     try {
       // L'utilisateur est déjà authentifié via le middleware
-      const userId = req.user.id;
+      const { id: userId, scope, clientId } = req.user;
       
-      const userInfo = await this.authService.getUserInfo(userId);
+      const userInfo = await this.authService.getUserInfo(userId, { scope, clientId });
       
       res.json(userInfo);
+    } catch (error) {
+      // Réponse d'erreur de l'endpoint userinfo (OpenID Connect Core §5.3.3, RFC 6750 §3)
+      if (error.errorCode === AuthErrorCodes.TOKEN_INVALID) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      }
+      next(error);
+    }
+  }
+  
+  /**
+   * Liste les sessions actives de l'utilisateur connecté
+   */
+  async listSessions(req, res, next) {
+    try {
+      const sessions = await this.authService.getSessions(req.user.id, req.user.sessionId);
+      
+      res.json({
+        success: true,
+        data: sessions
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Ferme une session de l'utilisateur connecté
+   */
+  async revokeSession(req, res, next) {
+    try {
+      await this.authService.revokeSession(req.user.id, req.params.id);
+      
+      res.json({
+        success: true,
+        message: 'Session fermée avec succès'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Ferme toutes les sessions de l'utilisateur connecté, sauf la session courante
+   */
+  async revokeOtherSessions(req, res, next) {
+    try {
+      const revoked = await this.authService.revokeOtherSessions(req.user.id, req.user.sessionId);
+      
+      res.json({
+        success: true,
+        message: 'Autres sessions fermées avec succès',
+        data: { revoked }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Fournit le document de découverte OpenID Connect
+   */
+  async openidConfiguration(req, res, next) {
+    try {
+      const configuration = await this.authService.getOpenIdConfiguration();
+      
+      res.set('Cache-Control', 'public, max-age=3600');
+      res.json(configuration);
     } catch (error) {
       next(error);
     }
@@ -0,0 +1,242 @@
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Contrôleur de l'authentification multi-facteurs
+ */
+class MfaController {
+  constructor(mfaService) {
+    if (!mfaService) {
+      throw new Error('MfaController: mfaService is required');
+    }
+    this.mfaService = mfaService;
+  }
+
+  /**
+   * Démarre l'enrôlement TOTP de l'utilisateur connecté
+   */
+  async enrollTotp(req, res, next) {
+    try {
+      const enrollment = await this.mfaService.startTotpEnrollment(req.user.id);
+
+      res.json({
+        success: true,
+        data: enrollment
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Confirme l'enrôlement TOTP avec un premier code
+   */
+  async confirmTotp(req, res, next) {
+    try {
+      const { code } = req.body;
+      if (!code) {
+        throw new AppError('Code TOTP requis', 400, 'VALIDATION_ERROR');
+      }
+
+      await this.mfaService.confirmTotpEnrollment(req.user.id, code);
+
+      res.json({
+        success: true,
+        message: 'Authentification TOTP activée'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Génère un nouveau secret TOTP pour l'utilisateur connecté
+   */
+  async regenerateTotp(req, res, next) {
+    try {
+      const { code } = req.body;
+      if (!code) {
+        throw new AppError('Code TOTP requis', 400, 'VALIDATION_ERROR');
+      }
+
+      const enrollment = await this.mfaService.regenerateTotpSecret(req.user.id, code);
+
+      res.json({
+        success: true,
+        data: enrollment
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Désactive l'authentification TOTP de l'utilisateur connecté
+   */
+  async disableTotp(req, res, next) {
+    try {
+      const { code } = req.body || {};
+      if (!code) {
+        throw new AppError('Code TOTP requis', 400, 'VALIDATION_ERROR');
+      }
+
+      await this.mfaService.disableTotp(req.user.id, code);
+
+      res.json({
+        success: true,
+        message: 'Authentification TOTP désactivée'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Démarre l'activation du code par email (envoi d'un premier code)
+   */
+  async enrollEmailOtp(req, res, next) {
+    try {
+      await this.mfaService.startEmailOtpEnrollment(req.user.id);
+
+      res.status(202).json({
+        success: true,
+        message: 'Un code de vérification a été envoyé à votre adresse email'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Confirme l'activation du code par email avec le code reçu
+   */
+  async confirmEmailOtp(req, res, next) {
+    try {
+      const { code } = req.body;
+      if (!code) {
+        throw new AppError('Code requis', 400, 'VALIDATION_ERROR');
+      }
+
+      await this.mfaService.confirmEmailOtpEnrollment(req.user.id, code);
+
+      res.json({
+        success: true,
+        message: 'Code par email activé'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Désactive le code par email de l'utilisateur connecté
+   */
+  async disableEmailOtp(req, res, next) {
+    try {
+      const { password } = req.body || {};
+      if (!password) {
+        throw new AppError('Mot de passe requis', 400, 'VALIDATION_ERROR');
+      }
+
+      await this.mfaService.disableEmailOtp(req.user.id, password);
+
+      res.json({
+        success: true,
+        message: 'Code par email désactivé'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Envoie le code de connexion par email d'un challenge MFA
+   */
+  async sendEmailCode(req, res, next) {
+    try {
+      const { mfaToken } = req.body;
+      if (!mfaToken) {
+        throw new AppError('Token de challenge requis', 400, 'VALIDATION_ERROR');
+      }
+
+      await this.mfaService.sendLoginEmailCode(mfaToken);
+
+      res.status(202).json({
+        success: true,
+        message: 'Un code de vérification a été envoyé à votre adresse email'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Termine une connexion en deux étapes avec le code reçu par email
+   */
+  async verifyEmailCode(req, res, next) {
+    try {
+      const { mfaToken, code } = req.body;
+      if (!mfaToken || !code) {
+        throw new AppError('Token de challenge et code requis', 400, 'VALIDATION_ERROR');
+      }
+
+      const { user, accessToken, refreshToken } = await this.mfaService.verifyLoginEmailCode(mfaToken, code);
+
+      res.json({
+        success: true,
+        accessToken,
+        refreshToken,
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Génère un nouveau lot de codes de récupération pour l'utilisateur connecté
+   */
+  async generateRecoveryCodes(req, res, next) {
+    try {
+      const { password } = req.body || {};
+      if (!password) {
+        throw new AppError('Mot de passe requis', 400, 'VALIDATION_ERROR');
+      }
+
+      const codes = await this.mfaService.generateRecoveryCodes(req.user.id, password);
+
+      res.set('Cache-Control', 'no-store');
+      res.json({
+        success: true,
+        message: 'Conservez ces codes en lieu sûr : ils ne seront plus affichés.',
+        data: { codes }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Termine une connexion en deux étapes avec le second facteur
+   */
+  async verify(req, res, next) {
+    try {
+      const { mfaToken, code } = req.body;
+      if (!mfaToken || !code) {
+        throw new AppError('Token de challenge et code requis', 400, 'VALIDATION_ERROR');
+      }
+
+      const { user, accessToken, refreshToken } = await this.mfaService.verifyLoginChallenge(mfaToken, code);
+
+      res.json({
+        success: true,
+        accessToken,
+        refreshToken,
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = MfaController;
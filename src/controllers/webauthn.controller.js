@@ -0,0 +1,156 @@
+const { AppError } = require('../middlewares/errorHandler');
+const { getDeviceInfo } = require('../utils/device');
+
+/**
+ * Contrôleur des passkeys (WebAuthn)
+ */
+class WebAuthnController {
+  constructor(webAuthnService) {
+    if (!webAuthnService) {
+      throw new Error('WebAuthnController: webAuthnService is required');
+    }
+    this.webAuthnService = webAuthnService;
+  }
+
+  /**
+   * Retourne les options d'enregistrement d'une passkey
+   */
+  async registrationOptions(req, res, next) {
+    try {
+      const options = await this.webAuthnService.getRegistrationOptions(req.user.id, this.getReauthentication(req));
+
+      res.json({
+        success: true,
+        data: options
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Vérifie et enregistre une nouvelle passkey
+   */
+  async verifyRegistration(req, res, next) {
+    try {
+      const { credential, name } = req.body || {};
+      if (!credential) {
+        throw new AppError('Réponse de l\'authentificateur requise', 400, 'VALIDATION_ERROR');
+      }
+
+      const created = await this.webAuthnService.verifyRegistration(req.user.id, credential, name, this.getReauthentication(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Passkey enregistrée',
+        data: created
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retourne les options d'authentification par passkey
+   */
+  async authenticationOptions(req, res, next) {
+    try {
+      const { mfaToken } = req.body || {};
+      const options = await this.webAuthnService.getAuthenticationOptions({ mfaToken });
+
+      res.json({
+        success: true,
+        data: options
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Vérifie une authentification par passkey et retourne les tokens
+   */
+  async verifyAuthentication(req, res, next) {
+    try {
+      const { credential } = req.body || {};
+      if (!credential) {
+        throw new AppError('Réponse de l\'authentificateur requise', 400, 'VALIDATION_ERROR');
+      }
+
+      const { user, accessToken, refreshToken } = await this.webAuthnService.verifyAuthentication(credential, getDeviceInfo(req));
+
+      res.json({
+        success: true,
+        accessToken,
+        refreshToken,
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Liste les passkeys de l'utilisateur connecté
+   */
+  async listCredentials(req, res, next) {
+    try {
+      const credentials = await this.webAuthnService.listCredentials(req.user.id);
+
+      res.json({
+        success: true,
+        data: credentials
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Renomme une passkey de l'utilisateur connecté
+   */
+  async renameCredential(req, res, next) {
+    try {
+      const { name } = req.body || {};
+      if (!name || typeof name !== 'string') {
+        throw new AppError('Nom requis', 400, 'VALIDATION_ERROR');
+      }
+
+      const credential = await this.webAuthnService.renameCredential(req.user.id, req.params.id, name.trim());
+
+      res.json({
+        success: true,
+        data: credential
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Supprime une passkey de l'utilisateur connecté
+   */
+  async deleteCredential(req, res, next) {
+    try {
+      await this.webAuthnService.deleteCredential(req.user.id, req.params.id, this.getReauthentication(req));
+
+      res.json({
+        success: true,
+        message: 'Passkey supprimée'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Extrait la preuve d'authentification récente : mot de passe saisi ou date de connexion du token
+   */
+  getReauthentication(req) {
+    const { password } = req.body || {};
+
+    return { password, authTime: req.user.authTime };
+  }
+}
+
+module.exports = WebAuthnController;
@@ -3,9 +3,36 @@ const { AppError, AuthErrorCodes } = require('./errorHandler');
 const { verifyAccessToken } = require('../utils/jwt');
 
 /**
- * Middleware pour vérifier l'authentification via JWT
+ * Vérifie un access token et construit l'objet utilisateur de la requête
+ * @param {Object} req - Requête Express (le dbClient est lu depuis app.locals)
+ * @param {string} token - Access token JWT
+ * @returns {Promise<Object>} Informations utilisateur à attacher à req.user
  */
-const authenticate = async (req, res, next) => {
+const resolveUser = async (req, token) => {
+  const payload = await verifyAccessToken(token, req.app.locals.dbClient);
+  
+  return {
+    id: payload.sub,
+    email: payload.email,
+    roles: payload.roles || [],
+    scope: payload.scope,
+    clientId: payload.client_id,
+    sessionId: payload.sid,
+    authTime: payload.auth_time,
+    amr: payload.amr
+  };
+};
+
+/**
+ * Crée un middleware vérifiant l'authentification via JWT
+ * Les access tokens émis à un client OAuth2 tiers (claim client_id) ne donnent accès qu'aux
+ * routes qui l'acceptent explicitement (userinfo) : ils ne permettent ni de gérer le compte
+ * (sessions, MFA, passkeys), ni de consentir pour un autre client, ni d'administrer.
+ * @param {Object} options - Options du middleware
+ * @param {boolean} options.allowClientTokens - Accepte les tokens émis à un client tiers
+ * @returns {Function} Le middleware
+ */
+const createAuthenticate = ({ allowClientTokens = false } = {}) => async (req, res, next) => {
   try {
     // Récupération du token depuis le header Authorization
     const authHeader = req.headers.authorization;
@@ -16,16 +43,14 @@ const authenticate = async (req, res, next) => {
     
     const token = authHeader.split(' ')[1];
     
-    // Vérification du token
-    const payload = await verifyAccessToken(token);
+    // Vérification du token et ajout des informations utilisateur à l'objet req
+    const user = await resolveUser(req, token);
     
-    // Ajout des informations utilisateur à l'objet req
-    req.user = {
-      id: payload.sub,
-      email: payload.email,
-      roles: payload.roles || []
-    };
+    if (user.clientId && !allowClientTokens) {
+      throw new AppError('Token émis pour un client tiers, non valable sur cette route', 403, AuthErrorCodes.INSUFFICIENT_PERMISSIONS);
+    }
     
+    req.user = user;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -40,6 +65,38 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware pour vérifier l'authentification via JWT (tokens de première partie uniquement)
+ */
+const authenticate = createAuthenticate();
+
+/**
+ * Middleware pour vérifier l'authentification via JWT, y compris les tokens émis aux clients tiers
+ */
+const authenticateAnyClient = createAuthenticate({ allowClientTokens: true });
+
+/**
+ * Middleware d'authentification optionnelle : renseigne req.user si un token
+ * valide est présent, sans bloquer la requête dans le cas contraire
+ */
+const optionalAuthenticate = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+  
+  try {
+    const user = await resolveUser(req, authHeader.split(' ')[1]);
+    // Un token de client tiers n'authentifie pas l'utilisateur auprès du service lui-même
+    req.user = user.clientId ? null : user;
+  } catch (error) {
+    req.user = null;
+  }
+  
+  next();
+};
+
 /**
  * Middleware pour vérifier si un utilisateur a les rôles requis
  * @param {string[]} requiredRoles - Tableau des rôles requis
@@ -64,5 +121,7 @@ const authorize = (requiredRoles) => {
 
 module.exports = {
   authenticate,
+  authenticateAnyClient,
+  optionalAuthenticate,
   authorize
 }; 
\ No newline at end of file
@@ -23,6 +23,10 @@ const errorHandler = (logger) => (err, req, res, next) => {
 
   // Si l'erreur est une instance de AppError, elle est opérationnelle et peut être traitée
   if (err instanceof AppError) {
+    // Verrouillage ou limitation : indiquer au client quand réessayer
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
     return res.status(err.statusCode).json({
       success: false,
       error: {
@@ -50,20 +54,88 @@ const errorHandler = (logger) => (err, req, res, next) => {
 // Codes d'erreur pour l'authentification
 const AuthErrorCodes = {
   INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  REAUTHENTICATION_REQUIRED: 'REAUTHENTICATION_REQUIRED',
   USER_NOT_FOUND: 'USER_NOT_FOUND',
   USER_ALREADY_EXISTS: 'USER_ALREADY_EXISTS',
   EMAIL_ALREADY_IN_USE: 'EMAIL_ALREADY_IN_USE',
   TOKEN_EXPIRED: 'TOKEN_EXPIRED',
   TOKEN_INVALID: 'TOKEN_INVALID',
+  TOKEN_REVOKED: 'TOKEN_REVOKED',
   TOKEN_REQUIRED: 'TOKEN_REQUIRED',
   INVALID_REFRESH_TOKEN: 'INVALID_REFRESH_TOKEN',
+  REFRESH_TOKEN_REUSED: 'REFRESH_TOKEN_REUSED',
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  INVALID_RESET_TOKEN: 'INVALID_RESET_TOKEN',
+  EMAIL_NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',
+  INVALID_MAGIC_LINK: 'INVALID_MAGIC_LINK',
+  TOO_MANY_REQUESTS: 'TOO_MANY_REQUESTS',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  INVALID_UNLOCK_TOKEN: 'INVALID_UNLOCK_TOKEN',
+  INVALID_MFA_CODE: 'INVALID_MFA_CODE',
+  INVALID_MFA_TOKEN: 'INVALID_MFA_TOKEN',
+  MFA_NOT_ENABLED: 'MFA_NOT_ENABLED',
+  MFA_ALREADY_ENABLED: 'MFA_ALREADY_ENABLED',
+  MFA_ENROLLMENT_NOT_FOUND: 'MFA_ENROLLMENT_NOT_FOUND',
+  MFA_UNAVAILABLE: 'MFA_UNAVAILABLE',
+  INVALID_RECOVERY_CODE: 'INVALID_RECOVERY_CODE',
+  INVALID_WEBAUTHN_RESPONSE: 'INVALID_WEBAUTHN_RESPONSE',
+  WEBAUTHN_CREDENTIAL_NOT_FOUND: 'WEBAUTHN_CREDENTIAL_NOT_FOUND',
+  WEBAUTHN_CREDENTIAL_ALREADY_REGISTERED: 'WEBAUTHN_CREDENTIAL_ALREADY_REGISTERED',
   UNAUTHORIZED: 'UNAUTHORIZED',
   INSUFFICIENT_PERMISSIONS: 'INSUFFICIENT_PERMISSIONS',
+  KEY_ROTATION_IN_PROGRESS: 'KEY_ROTATION_IN_PROGRESS',
   CLIENT_NOT_FOUND: 'CLIENT_NOT_FOUND',
   INVALID_CLIENT_CREDENTIALS: 'INVALID_CLIENT_CREDENTIALS',
   INVALID_GRANT_TYPE: 'INVALID_GRANT_TYPE',
   INVALID_REDIRECT_URI: 'INVALID_REDIRECT_URI',
-  INVALID_SCOPE: 'INVALID_SCOPE'
+  INVALID_SCOPE: 'INVALID_SCOPE',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  INVALID_GRANT: 'INVALID_GRANT',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE'
+};
+
+// Correspondance avec les codes d'erreur OAuth2 (RFC 6749 §5.2)
+const OAuthErrorCodes = {
+  [AuthErrorCodes.INVALID_REQUEST]: 'invalid_request',
+  [AuthErrorCodes.TOKEN_REQUIRED]: 'invalid_request',
+  [AuthErrorCodes.CLIENT_NOT_FOUND]: 'invalid_client',
+  [AuthErrorCodes.INVALID_CLIENT_CREDENTIALS]: 'invalid_client',
+  [AuthErrorCodes.INVALID_GRANT]: 'invalid_grant',
+  [AuthErrorCodes.REFRESH_TOKEN_REUSED]: 'invalid_grant',
+  [AuthErrorCodes.INVALID_REDIRECT_URI]: 'invalid_grant',
+  [AuthErrorCodes.UNAUTHORIZED]: 'invalid_grant',
+  [AuthErrorCodes.INVALID_GRANT_TYPE]: 'unsupported_grant_type',
+  [AuthErrorCodes.INVALID_SCOPE]: 'invalid_scope',
+  [AuthErrorCodes.SERVICE_UNAVAILABLE]: 'temporarily_unavailable'
+};
+
+/**
+ * Gestionnaire d'erreurs pour les endpoints OAuth2 (token, introspection...)
+ * Formate les erreurs opérationnelles selon la RFC 6749 §5.2
+ */
+const oauthErrorHandler = (err, req, res, next) => {
+  if (!(err instanceof AppError)) {
+    return next(err);
+  }
+
+  const error = OAuthErrorCodes[err.errorCode] || 'invalid_request';
+
+  if (error === 'invalid_client' && req.headers.authorization?.startsWith('Basic ')) {
+    res.set('WWW-Authenticate', 'Basic realm="supervia"');
+  }
+
+  let status = error === 'invalid_client' ? 401 : 400;
+  if (err.statusCode >= 500) {
+    status = err.statusCode;
+  }
+
+  return res
+    .status(status)
+    .set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' })
+    .json({
+      error,
+      error_description: err.message
+    });
 };
 
 const notFoundHandler = (logger) => (req, res, next) => {
@@ -85,5 +157,7 @@ module.exports = {
   AppError,
   errorHandler,
   AuthErrorCodes,
+  OAuthErrorCodes,
+  oauthErrorHandler,
   notFoundHandler
 }; 
\ No newline at end of file
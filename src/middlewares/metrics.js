@@ -11,7 +11,7 @@ const client = require('prom-client');
 const authAttemptsTotal = new client.Counter({
   name: 'auth_attempts_total',
   help: 'Nombre total de tentatives d\'authentification',
-  labelNames: ['type', 'status'], // type: login, refresh, oauth | status: success, failure
+  labelNames: ['type', 'status'], // type: login, refresh, oauth, mfa, recovery, webauthn, magic_link | status: success, failure, reuse, blocked
 });
 
 const activeTokensGauge = new client.Gauge({
@@ -0,0 +1,190 @@
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const { getRedisClient } = require('../config/redis');
+const {
+  RATE_LIMIT_POLICIES,
+  getRateLimitPolicy,
+  resolveRateLimitPolicy,
+  isClientAuthenticatedRoute
+} = require('../config/rate-limit');
+const { durationToSeconds } = require('../utils/jwt');
+
+const RATE_LIMIT_PREFIX = 'rate_limit:';
+
+/**
+ * Store express-rate-limit partagé entre les réplicas via Redis
+ * Si Redis est indisponible, les compteurs basculent dans la mémoire du processus.
+ */
+class RedisRateLimitStore {
+  /**
+   * @param {string} policy - Nom du groupe de routes (isole les compteurs de chaque groupe)
+   */
+  constructor(policy) {
+    this.prefix = `${RATE_LIMIT_PREFIX}${policy}:`;
+    this.fallback = new MemoryStore();
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.fallback.init(options);
+  }
+
+  async getClient() {
+    try {
+      return await getRedisClient();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async increment(key) {
+    const client = await this.getClient();
+    if (!client) {
+      return this.fallback.increment(key);
+    }
+
+    try {
+      const redisKey = `${this.prefix}${key}`;
+      const totalHits = await client.incr(redisKey);
+      let ttl = await client.pTTL(redisKey);
+
+      // Première requête de la fenêtre (ou expiration perdue) : démarrer la fenêtre
+      if (ttl < 0) {
+        await client.pExpire(redisKey, this.windowMs);
+        ttl = this.windowMs;
+      }
+
+      return { totalHits, resetTime: new Date(Date.now() + ttl) };
+    } catch (error) {
+      return this.fallback.increment(key);
+    }
+  }
+
+  async decrement(key) {
+    const client = await this.getClient();
+    if (!client) {
+      return this.fallback.decrement(key);
+    }
+
+    try {
+      await client.decr(`${this.prefix}${key}`);
+    } catch (error) {
+      await this.fallback.decrement(key);
+    }
+  }
+
+  async resetKey(key) {
+    await this.fallback.resetKey(key);
+
+    const client = await this.getClient();
+    if (client) {
+      await client.del(`${this.prefix}${key}`).catch(() => 0);
+    }
+  }
+}
+
+/**
+ * Identifie un client machine authentifié par HTTP Basic (client_secret_basic, RFC 6749 §2.3.1)
+ * @param {Object} req - Requête Express
+ * @returns {string|null} Le client_id, ou null
+ */
+const getBasicClientId = (req) => {
+  const authorization = req.headers.authorization;
+
+  if (!authorization?.startsWith('Basic ')) {
+    return null;
+  }
+
+  try {
+    const [clientId] = Buffer.from(authorization.slice(6), 'base64').toString('utf8').split(':');
+    return clientId ? decodeURIComponent(clientId) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Clé de comptage par adresse IP
+ * @param {Object} req - Requête Express
+ * @returns {string} La clé
+ */
+const getRateLimitKey = (req) => `ip:${req.ip}`;
+
+/**
+ * Clé de comptage d'un client machine (client_id annoncé en HTTP Basic)
+ * @param {Object} req - Requête Express
+ * @returns {string} La clé
+ */
+const getClientRateLimitKey = (req) => `client:${getBasicClientId(req)}`;
+
+/**
+ * Crée le limiteur d'un groupe de routes
+ * @param {string} name - Nom du groupe
+ * @param {Object} options - Options express-rate-limit supplémentaires
+ * @returns {Function} Middleware Express
+ */
+const createPolicyLimiter = (name, options = {}) => {
+  const { max, window } = getRateLimitPolicy(name);
+
+  return rateLimit({
+    windowMs: durationToSeconds(window) * 1000,
+    limit: max,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    store: new RedisRateLimitStore(options.storeName || name),
+    keyGenerator: getRateLimitKey,
+    message: {
+      success: false,
+      error: {
+        message: 'Trop de requêtes, veuillez réessayer plus tard.',
+        code: 'RATE_LIMIT_EXCEEDED'
+      }
+    },
+    handler: (req, res, next, limiterOptions) => {
+      res.status(429).json(limiterOptions.message);
+    },
+    ...options
+  });
+};
+
+/**
+ * Middleware de rate limiting : applique à chaque requête le budget de son groupe de routes, par IP
+ * Sur les routes qui authentifient le client machine (HTTP Basic), le client a son propre budget,
+ * indépendant de son IP, mais seules les requêtes acceptées (secret vérifié) y sont décomptées :
+ * un client_id annoncé sans son secret ne consomme pas le budget du vrai client. Les requêtes
+ * refusées sont comptées par IP sur le budget du groupe, pour qu'un client_id inventé ne donne pas
+ * un budget neuf.
+ * @returns {Function} Middleware Express
+ */
+const createRateLimiter = () => {
+  const policies = Object.keys(RATE_LIMIT_POLICIES);
+  const limiters = Object.fromEntries(policies.map(name => [name, createPolicyLimiter(name)]));
+  const clientLimiters = Object.fromEntries(policies.map(name => [name, createPolicyLimiter(name, {
+    keyGenerator: getClientRateLimitKey,
+    skipFailedRequests: true
+  })]));
+  const clientFailureLimiters = Object.fromEntries(policies.map(name => [name, createPolicyLimiter(name, {
+    storeName: `${name}_client_failures`,
+    skipSuccessfulRequests: true,
+    // Un client authentifié qui dépasse son propre budget n'est pas un échec d'authentification
+    requestWasSuccessful: (req, res) => res.statusCode < 400 || res.statusCode === 429
+  })]));
+
+  return (req, res, next) => {
+    const policy = resolveRateLimitPolicy(req.method, req.path);
+
+    if (!getBasicClientId(req) || !isClientAuthenticatedRoute(req.method, req.path)) {
+      return limiters[policy](req, res, next);
+    }
+
+    return clientFailureLimiters[policy](req, res, (error) => (
+      error ? next(error) : clientLimiters[policy](req, res, next)
+    ));
+  };
+};
+
+module.exports = {
+  RedisRateLimitStore,
+  getRateLimitKey,
+  createRateLimiter
+};
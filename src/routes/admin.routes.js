@@ -0,0 +1,116 @@
+const express = require('express');
+const AdminController = require('../controllers/admin.controller');
+const { authenticate, authorize } = require('../middlewares/auth');
+
+const adminRouter = (services) => {
+  const router = express.Router();
+  const adminController = new AdminController(services.authService, services.keyRotationService);
+
+  // Toutes les routes d'administration exigent le rôle ADMIN
+  router.use(authenticate, authorize(['ADMIN']));
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Administration
+   *   description: Opérations réservées aux administrateurs (rôle ADMIN).
+   */
+
+  /**
+   * @swagger
+   * /api/v1/admin/users/{id}/lockout:
+   *   get:
+   *     summary: Consulter l'état de verrouillage d'un compte.
+   *     tags: [Administration]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Nombre d'échecs récents, verrouillage en cours et date de fin.
+   *       403:
+   *         description: Rôle ADMIN requis.
+   *       404:
+   *         description: Utilisateur non trouvé.
+   *   delete:
+   *     summary: Déverrouiller un compte.
+   *     tags: [Administration]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Compte déverrouillé, compteur d'échecs remis à zéro.
+   *       403:
+   *         description: Rôle ADMIN requis.
+   *       404:
+   *         description: Utilisateur non trouvé.
+   */
+  router.get('/users/:id/lockout', adminController.getUserLockout.bind(adminController));
+  router.delete('/users/:id/lockout', adminController.unlockUser.bind(adminController));
+
+  /**
+   * @swagger
+   * /api/v1/admin/keys:
+   *   get:
+   *     summary: Lister les clés de signature des tokens.
+   *     tags: [Administration]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Clés (kid, algorithme, statut NEXT, ACTIVE, RETIRED ou REVOKED, dates de cycle de vie) ; les clés actives indiquent la date de leur prochaine rotation.
+   *       403:
+   *         description: Rôle ADMIN requis.
+   */
+  router.get('/keys', adminController.listSigningKeys.bind(adminController));
+
+  /**
+   * @swagger
+   * /api/v1/admin/keys/rotate:
+   *   post:
+   *     summary: Forcer une rotation d'urgence des clés de signature.
+   *     description: Pour chaque algorithme configuré (ou le seul algorithme demandé), une nouvelle clé signe immédiatement les tokens, sans pré-publication. L'ancienne clé est retirée (ses tokens restent valides jusqu'à leur expiration) ou, avec revokePrevious, révoquée (ses tokens sont rejetés immédiatement).
+   *     tags: [Administration]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               algorithm:
+   *                 type: string
+   *                 enum: [RS256, ES256, EdDSA]
+   *                 description: Algorithme dont la clé doit tourner (par défaut tous).
+   *               revokePrevious:
+   *                 type: boolean
+   *                 default: false
+   *                 description: Révoquer l'ancienne clé (clé compromise).
+   *     responses:
+   *       201:
+   *         description: Nouvelles clés actives.
+   *       400:
+   *         description: Algorithme non pris en charge.
+   *       403:
+   *         description: Rôle ADMIN requis.
+   *       409:
+   *         description: Une rotation est déjà en cours (verrou détenu par une autre réplica).
+   */
+  router.post('/keys/rotate', adminController.rotateSigningKeys.bind(adminController));
+
+  return router;
+};
+
+module.exports = adminRouter;
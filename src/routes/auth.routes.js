@@ -1,6 +1,7 @@
 const express = require('express');
 const AuthController = require('../controllers/auth.controller');
-const { authenticate } = require('../middlewares/auth');
+const { authenticate, authenticateAnyClient, optionalAuthenticate } = require('../middlewares/auth');
+const { oauthErrorHandler } = require('../middlewares/errorHandler');
 
 const authRouter = (services) => {
   const router = express.Router();
@@ -54,6 +55,71 @@ const authRouter = (services) => {
    */
   router.post('/register', authController.register.bind(authController));
 
+  /**
+   * @swagger
+   * /api/v1/auth/verify-email:
+   *   get:
+   *     summary: Vérifier l'adresse email d'un utilisateur (lien reçu par email).
+   *     tags: [Authentification Standard]
+   *     parameters:
+   *       - { in: query, name: token, required: true, schema: { type: string } }
+   *     responses:
+   *       200:
+   *         description: Email vérifié (ou déjà vérifié).
+   *       400:
+   *         description: Token déjà utilisé.
+   *       401:
+   *         description: Token invalide ou expiré.
+   *   post:
+   *     summary: Vérifier l'adresse email d'un utilisateur.
+   *     tags: [Authentification Standard]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [token]
+   *             properties:
+   *               token:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Email vérifié (ou déjà vérifié).
+   *       400:
+   *         description: Token déjà utilisé.
+   *       401:
+   *         description: Token invalide ou expiré.
+   */
+  router.get('/verify-email', authController.verifyEmail.bind(authController));
+  router.post('/verify-email', authController.verifyEmail.bind(authController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/resend-verification:
+   *   post:
+   *     summary: Renvoyer l'email de vérification.
+   *     tags: [Authentification Standard]
+   *     description: La réponse est identique que le compte existe ou non. Un seul envoi par adresse et par intervalle (EMAIL_VERIFICATION_RESEND_INTERVAL).
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [email]
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       202:
+   *         description: Demande prise en compte.
+   *       429:
+   *         description: Un email de vérification a été demandé trop récemment pour cette adresse.
+   */
+  router.post('/resend-verification', authController.resendVerification.bind(authController));
+
   /**
    * @swagger
    * /api/v1/auth/login:
@@ -87,15 +153,208 @@ const authRouter = (services) => {
    *                   $ref: '#/components/schemas/Tokens'
    *       401:
    *         description: Identifiants incorrects.
+   *       403:
+   *         description: Compte désactivé, ou email non vérifié (si REQUIRE_EMAIL_VERIFICATION est activé).
+   *       423:
+   *         description: Compte temporairement verrouillé après trop d'échecs (en-tête `Retry-After`).
+   *       429:
+   *         description: Tentatives trop rapprochées pour ce compte ou cette adresse IP (en-tête `Retry-After`).
    */
   router.post('/login', authController.login.bind(authController));
 
+  /**
+   * @swagger
+   * /api/v1/auth/login/recovery:
+   *   post:
+   *     summary: Se connecter avec le mot de passe et un code de récupération.
+   *     tags: [Authentification Standard]
+   *     description: Connexion de secours lorsque le second facteur est indisponible. Le code est consommé et l'utilisateur est prévenu par email.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [email, password, recoveryCode]
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *               password:
+   *                 type: string
+   *               recoveryCode:
+   *                 type: string
+   *                 example: abcde-fghjk
+   *     responses:
+   *       200:
+   *         description: Connexion réussie. Retourne l'utilisateur et les tokens.
+   *       401:
+   *         description: Identifiants ou code de récupération invalides.
+   */
+  router.post('/login/recovery', authController.loginWithRecoveryCode.bind(authController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/magic-link:
+   *   post:
+   *     summary: Recevoir un lien de connexion par email.
+   *     tags: [Authentification Standard]
+   *     description: Envoie un lien de connexion à usage unique, valable 15 minutes. La réponse est identique que le compte existe ou non. Une nouvelle demande pour la même adresse est limitée à une par minute.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [email]
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       202:
+   *         description: Demande prise en compte.
+   *       429:
+   *         description: Demande trop rapprochée pour cette adresse.
+   */
+  router.post('/magic-link', authController.requestMagicLink.bind(authController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/magic-link/verify:
+   *   post:
+   *     summary: Se connecter avec un lien reçu par email.
+   *     tags: [Authentification Standard]
+   *     description: Échange le token du lien (`/auth/magic-link?token=...` côté portail) contre les tokens de session. La vérification se fait en POST pour que les scanners de liens des messageries ne consomment pas le lien. Si un second facteur est configuré, retourne un challenge `mfaRequired` comme `/auth/login`.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [token]
+   *             properties:
+   *               token:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Connexion réussie (utilisateur et tokens), ou challenge MFA.
+   *       401:
+   *         description: Lien invalide, expiré ou déjà utilisé.
+   */
+  router.post('/magic-link/verify', authController.loginWithMagicLink.bind(authController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/forgot-password:
+   *   post:
+   *     summary: Demander un lien de réinitialisation du mot de passe.
+   *     tags: [Authentification Standard]
+   *     description: La réponse est identique que le compte existe ou non. Le lien envoyé par email est à usage unique et expire après 15 minutes (PASSWORD_RESET_TOKEN_EXPIRES_IN).
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [email]
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       202:
+   *         description: Demande prise en compte.
+   */
+  router.post('/forgot-password', authController.forgotPassword.bind(authController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/reset-password:
+   *   post:
+   *     summary: Définir un nouveau mot de passe avec un token de réinitialisation.
+   *     tags: [Authentification Standard]
+   *     description: Ferme toutes les sessions existantes de l'utilisateur.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [token, password]
+   *             properties:
+   *               token:
+   *                 type: string
+   *               password:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Mot de passe réinitialisé.
+   *       400:
+   *         description: Token invalide, expiré ou déjà utilisé.
+   */
+  router.post('/reset-password', authController.resetPassword.bind(authController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/unlock-account:
+   *   post:
+   *     summary: Déverrouiller son compte.
+   *     tags: [Authentification Standard]
+   *     description: Après trop d'échecs de connexion, le compte est verrouillé temporairement et son titulaire reçoit un lien de déverrouillage à usage unique (`/auth/unlock-account?token=...` côté portail).
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [token]
+   *             properties:
+   *               token:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Compte déverrouillé.
+   *       400:
+   *         description: Lien invalide, expiré ou déjà utilisé.
+   */
+  router.post('/unlock-account', authController.unlockAccount.bind(authController));
+
   // Authentification Auth0 (token-based)
   router.post('/auth0/login', authController.loginWithAuth0.bind(authController));
 
   // Gestion des tokens
   router.post('/refresh', authController.refreshToken.bind(authController));
-  router.post('/revoke', authController.revokeToken.bind(authController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/revoke:
+   *   post:
+   *     summary: Révoquer un refresh token ou un access token (RFC 7009).
+   *     tags: [Authentification Standard]
+   *     description: Les access tokens sont ajoutés à une liste de révocation (par jti) jusqu'à leur expiration. Un client OAuth2 authentifié ne peut révoquer que ses propres tokens.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/x-www-form-urlencoded:
+   *           schema:
+   *             type: object
+   *             required: [token]
+   *             properties:
+   *               token:
+   *                 type: string
+   *               token_type_hint:
+   *                 type: string
+   *                 enum: [access_token, refresh_token]
+   *     responses:
+   *       200:
+   *         description: Token révoqué (ou inconnu, ce qui n'est pas une erreur).
+   *       400:
+   *         description: Paramètre token manquant.
+   *       401:
+   *         description: Authentification du client échouée (invalid_client).
+   */
+  router.post('/revoke', authController.revokeToken.bind(authController), oauthErrorHandler);
 
   /**
    * @swagger
@@ -103,6 +362,7 @@ const authRouter = (services) => {
    *   get:
    *     summary: Récupérer les informations de l'utilisateur actuellement connecté.
    *     tags: [Authentification Standard]
+   *     description: Endpoint userinfo OpenID Connect. Seuls les claims couverts par les scopes de l'access token sont renvoyés (openid, profile, email, phone, address, roles et scopes personnalisés du client). Pour une session de première partie, `recovery_codes_remaining` indique le nombre de codes de récupération restants.
    *     security:
    *       - bearerAuth: []
    *     responses:
@@ -115,7 +375,164 @@ const authRouter = (services) => {
    *       401:
    *         description: Non autorisé (token manquant ou invalide).
    */
-  router.get('/me', authenticate, authController.userInfo.bind(authController));
+  router.get('/me', authenticateAnyClient, authController.userInfo.bind(authController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/sessions:
+   *   get:
+   *     summary: Lister les sessions actives de l'utilisateur connecté.
+   *     tags: [Authentification Standard]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Sessions actives (appareil, user agent, IP, client, dates de création et de dernière utilisation). La session de l'appelant est marquée `current`.
+   *       401:
+   *         description: Non autorisé (token manquant ou invalide).
+   *   delete:
+   *     summary: Fermer toutes les sessions sauf la session courante.
+   *     tags: [Authentification Standard]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Nombre de sessions fermées.
+   *       401:
+   *         description: Non autorisé (token manquant ou invalide).
+   */
+  router.get('/sessions', authenticate, authController.listSessions.bind(authController));
+  router.delete('/sessions', authenticate, authController.revokeOtherSessions.bind(authController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/sessions/{id}:
+   *   delete:
+   *     summary: Fermer une session de l'utilisateur connecté (ex. appareil perdu).
+   *     tags: [Authentification Standard]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - { in: path, name: id, required: true, schema: { type: string } }
+   *     responses:
+   *       200:
+   *         description: Session fermée. Ses access tokens restent valides jusqu'à leur expiration.
+   *       404:
+   *         description: Session inconnue ou déjà fermée.
+   */
+  router.delete('/sessions/:id', authenticate, authController.revokeSession.bind(authController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/authorize:
+   *   get:
+   *     summary: Démarrer un flux OAuth2 Authorization Code.
+   *     tags: [Authentification Standard]
+   *     description: Sans access token, redirige vers la page de connexion/consentement du frontend. Avec un access token valide, émet un code d'autorisation et redirige vers le client.
+   *     parameters:
+   *       - { in: query, name: response_type, required: true, schema: { type: string, enum: [code] } }
+   *       - { in: query, name: client_id, required: true, schema: { type: string } }
+   *       - { in: query, name: redirect_uri, required: true, schema: { type: string } }
+   *       - { in: query, name: scope, required: true, schema: { type: string } }
+   *       - { in: query, name: state, schema: { type: string } }
+   *       - { in: query, name: nonce, schema: { type: string } }
+   *       - { in: query, name: code_challenge, schema: { type: string } }
+   *       - { in: query, name: code_challenge_method, schema: { type: string, enum: [S256, plain] } }
+   *     responses:
+   *       302:
+   *         description: Redirection vers le frontend (connexion) ou vers le client avec `code` et `state`.
+   *       400:
+   *         description: Client, URI de redirection ou scopes invalides.
+   *   post:
+   *     summary: Émettre un code d'autorisation pour l'utilisateur connecté (soumission du consentement).
+   *     tags: [Authentification Standard]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: URL de redirection vers le client (si `Accept: application/json`).
+   *       302:
+   *         description: Redirection vers le client avec `code` et `state`.
+   *       401:
+   *         description: Non autorisé (token manquant ou invalide).
+   *       403:
+   *         description: Access token émis pour un client tiers.
+   */
+  router.get('/authorize', optionalAuthenticate, authController.authorize.bind(authController));
+  router.post('/authorize', authenticate, authController.authorize.bind(authController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/token:
+   *   post:
+   *     summary: Endpoint token OAuth2 (authorization_code, refresh_token, client_credentials).
+   *     tags: [Authentification Standard]
+   *     description: Authentification du client par `client_secret_basic` (header Authorization) ou `client_secret_post`. Un code d'autorisation est à usage unique ; son rejeu révoque les tokens déjà émis. Un refresh token n'est accepté que du client auquel il a été émis et est remplacé à chaque usage ; la présentation d'un token déjà remplacé révoque toute sa famille.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/x-www-form-urlencoded:
+   *           schema:
+   *             type: object
+   *             required: [grant_type]
+   *             properties:
+   *               grant_type:
+   *                 type: string
+   *                 enum: [authorization_code, refresh_token, client_credentials]
+   *               code:
+   *                 type: string
+   *               refresh_token:
+   *                 type: string
+   *                 description: Refresh token émis au client (grant refresh_token).
+   *               redirect_uri:
+   *                 type: string
+   *               client_id:
+   *                 type: string
+   *               client_secret:
+   *                 type: string
+   *               code_verifier:
+   *                 type: string
+   *                 description: Vérificateur PKCE (requis si un code_challenge a été fourni lors de l'autorisation).
+   *               scope:
+   *                 type: string
+   *                 description: Scopes demandés : restreints aux scopes autorisés du client (client_credentials) ou aux scopes accordés avec le refresh token (refresh_token).
+   *     responses:
+   *       200:
+   *         description: Tokens émis (access_token, refresh_token, id_token si scope openid).
+   *       400:
+   *         description: Erreur OAuth2 (invalid_request, invalid_grant, unsupported_grant_type...).
+   *       401:
+   *         description: Authentification du client échouée (invalid_client).
+   */
+  router.post('/token', authController.token.bind(authController), oauthErrorHandler);
+
+  /**
+   * @swagger
+   * /api/v1/auth/introspect:
+   *   post:
+   *     summary: Introspection d'un access token ou d'un refresh token (RFC 7662).
+   *     tags: [Authentification Standard]
+   *     description: Réservé aux clients confidentiels, authentifiés par `client_secret_basic` ou `client_secret_post`.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/x-www-form-urlencoded:
+   *           schema:
+   *             type: object
+   *             required: [token]
+   *             properties:
+   *               token:
+   *                 type: string
+   *               token_type_hint:
+   *                 type: string
+   *                 enum: [access_token, refresh_token]
+   *     responses:
+   *       200:
+   *         description: "`active: true` avec sub, scope, client_id, exp, iat et token_type, ou `active: false`."
+   *       401:
+   *         description: Authentification du client échouée (invalid_client).
+   */
+  router.post('/introspect', authController.introspect.bind(authController), oauthErrorHandler);
 
   // JWKS endpoint pour la vérification des tokens
   router.get('/jwks.json', authController.jwks.bind(authController));
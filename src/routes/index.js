@@ -2,14 +2,21 @@ const express = require('express');
 const authRoutes = require('./auth.routes');
 const oauthRoutes = require('./oauth.routes');
 const auth0Routes = require('./auth0.routes');
+const mfaRoutes = require('./mfa.routes');
+const webAuthnRoutes = require('./webauthn.routes');
+const adminRoutes = require('./admin.routes');
+const wellKnownRoutes = require('./wellknown.routes');
 
 const apiRouter = (services) => {
   const router = express.Router();
   
   // Monter les sous-routeurs sur le routeur principal de l'API
+  router.use('/auth/mfa', mfaRoutes(services));
+  router.use('/auth/webauthn', webAuthnRoutes(services));
   router.use('/auth', authRoutes(services));
   router.use('/oauth', oauthRoutes(services));
   router.use('/auth0', auth0Routes(services));
+  router.use('/admin', adminRoutes(services));
 
   return router;
 };
@@ -21,11 +28,16 @@ const apiRouter = (services) => {
  * @param {AuthService} services.authService
  * @param {OAuthService} services.oauthService
  * @param {Auth0Service} services.auth0Service
+ * @param {MfaService} services.mfaService
+ * @param {WebAuthnService} services.webAuthnService
  */
 const setupRoutes = (app, services) => {
   // Appliquer le préfixe global /api/v1 pour toutes les routes de l'API
   app.use('/api/v1', apiRouter(services));
   
+  // Les métadonnées OpenID Connect sont servies à la racine de l'issuer (API_URL)
+  app.use('/.well-known', wellKnownRoutes(services));
+  
   // Les routes ci-dessous sont gérées par le apiRouter maintenant
   // app.use('/auth', authRoutes);
   // app.use('/oauth', oauthRoutes);
@@ -0,0 +1,302 @@
+const express = require('express');
+const MfaController = require('../controllers/mfa.controller');
+const { authenticate } = require('../middlewares/auth');
+
+const mfaRouter = (services) => {
+  const router = express.Router();
+  const mfaController = new MfaController(services.mfaService);
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Authentification Multi-Facteurs
+   *   description: Enrôlement et vérification des seconds facteurs (TOTP, code par email, codes de récupération).
+   */
+
+  /**
+   * @swagger
+   * /api/v1/auth/mfa/verify:
+   *   post:
+   *     summary: Terminer une connexion en deux étapes.
+   *     tags: [Authentification Multi-Facteurs]
+   *     description: Échange le `mfaToken` renvoyé par `/auth/login` (réponse `mfaRequired`) et un code TOTP contre les tokens de la session. Le challenge expire après 5 minutes et 5 codes erronés.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [mfaToken, code]
+   *             properties:
+   *               mfaToken:
+   *                 type: string
+   *               code:
+   *                 type: string
+   *                 example: '123456'
+   *     responses:
+   *       200:
+   *         description: Connexion réussie. Retourne l'utilisateur et les tokens.
+   *       401:
+   *         description: Code invalide, ou challenge invalide ou expiré.
+   */
+  router.post('/verify', mfaController.verify.bind(mfaController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/mfa/totp/enroll:
+   *   post:
+   *     summary: Démarrer l'enrôlement TOTP.
+   *     tags: [Authentification Multi-Facteurs]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Secret base32 et URI `otpauth://` à afficher sous forme de QR code. À confirmer sous 10 minutes.
+   *       409:
+   *         description: TOTP déjà activé.
+   */
+  router.post('/totp/enroll', authenticate, mfaController.enrollTotp.bind(mfaController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/mfa/totp/confirm:
+   *   post:
+   *     summary: Confirmer l'enrôlement TOTP avec un premier code.
+   *     tags: [Authentification Multi-Facteurs]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [code]
+   *             properties:
+   *               code:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: TOTP activé.
+   *       400:
+   *         description: Aucun enrôlement en cours.
+   *       401:
+   *         description: Code invalide.
+   */
+  router.post('/totp/confirm', authenticate, mfaController.confirmTotp.bind(mfaController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/mfa/totp/regenerate:
+   *   post:
+   *     summary: Générer un nouveau secret TOTP (changement d'appareil).
+   *     tags: [Authentification Multi-Facteurs]
+   *     security:
+   *       - bearerAuth: []
+   *     description: Nécessite un code du secret actuel. Le nouveau secret remplace l'actuel une fois confirmé via `/auth/mfa/totp/confirm`.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [code]
+   *             properties:
+   *               code:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Nouveau secret et URI `otpauth://`.
+   *       401:
+   *         description: Code invalide.
+   */
+  router.post('/totp/regenerate', authenticate, mfaController.regenerateTotp.bind(mfaController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/mfa/totp:
+   *   delete:
+   *     summary: Désactiver l'authentification TOTP.
+   *     tags: [Authentification Multi-Facteurs]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [code]
+   *             properties:
+   *               code:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: TOTP désactivé.
+   *       401:
+   *         description: Code invalide.
+   */
+  router.delete('/totp', authenticate, mfaController.disableTotp.bind(mfaController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/mfa/email/send:
+   *   post:
+   *     summary: Recevoir le code de connexion par email.
+   *     tags: [Authentification Multi-Facteurs]
+   *     description: Envoie un code à 6 chiffres pour le challenge renvoyé par `/auth/login` (méthode `email` dans `mfaMethods`). Un renvoi remplace le code précédent et n'est possible qu'après 60 secondes.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [mfaToken]
+   *             properties:
+   *               mfaToken:
+   *                 type: string
+   *     responses:
+   *       202:
+   *         description: Code envoyé.
+   *       401:
+   *         description: Challenge invalide ou expiré.
+   *       429:
+   *         description: Renvoi trop rapproché.
+   */
+  router.post('/email/send', mfaController.sendEmailCode.bind(mfaController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/mfa/email/verify:
+   *   post:
+   *     summary: Terminer une connexion avec le code reçu par email.
+   *     tags: [Authentification Multi-Facteurs]
+   *     description: Les codes erronés sont décomptés du challenge (5 essais au total, renvois compris). Un code expire après 5 minutes.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [mfaToken, code]
+   *             properties:
+   *               mfaToken:
+   *                 type: string
+   *               code:
+   *                 type: string
+   *                 example: '123456'
+   *     responses:
+   *       200:
+   *         description: Connexion réussie. Retourne l'utilisateur et les tokens.
+   *       401:
+   *         description: Code invalide ou expiré, ou challenge invalide ou expiré.
+   */
+  router.post('/email/verify', mfaController.verifyEmailCode.bind(mfaController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/mfa/email/enroll:
+   *   post:
+   *     summary: Activer le code par email (envoi d'un premier code).
+   *     tags: [Authentification Multi-Facteurs]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       202:
+   *         description: Code envoyé à l'adresse du compte, à confirmer via `/auth/mfa/email/confirm`.
+   *       409:
+   *         description: Code par email déjà activé.
+   *       429:
+   *         description: Renvoi trop rapproché.
+   */
+  router.post('/email/enroll', authenticate, mfaController.enrollEmailOtp.bind(mfaController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/mfa/email/confirm:
+   *   post:
+   *     summary: Confirmer l'activation du code par email.
+   *     tags: [Authentification Multi-Facteurs]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [code]
+   *             properties:
+   *               code:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Code par email activé.
+   *       400:
+   *         description: Aucune activation en cours.
+   *       401:
+   *         description: Code invalide ou expiré.
+   */
+  router.post('/email/confirm', authenticate, mfaController.confirmEmailOtp.bind(mfaController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/mfa/email:
+   *   delete:
+   *     summary: Désactiver le code par email.
+   *     tags: [Authentification Multi-Facteurs]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [password]
+   *             properties:
+   *               password:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Code par email désactivé.
+   *       400:
+   *         description: Code par email non activé ou mot de passe manquant.
+   *       401:
+   *         description: Mot de passe incorrect.
+   */
+  router.delete('/email', authenticate, mfaController.disableEmailOtp.bind(mfaController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/mfa/recovery-codes:
+   *   post:
+   *     summary: Générer un nouveau lot de codes de récupération.
+   *     tags: [Authentification Multi-Facteurs]
+   *     security:
+   *       - bearerAuth: []
+   *     description: Retourne 10 codes à usage unique, affichés une seule fois. Les codes précédents sont invalidés. Le nombre de codes restants est indiqué par `/auth/me` (`recovery_codes_remaining`).
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [password]
+   *             properties:
+   *               password:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Les nouveaux codes de récupération.
+   *       400:
+   *         description: Mot de passe manquant.
+   *       401:
+   *         description: Non autorisé (token manquant ou invalide, ou mot de passe incorrect).
+   */
+  router.post('/recovery-codes', authenticate, mfaController.generateRecoveryCodes.bind(mfaController));
+
+  return router;
+};
+
+module.exports = mfaRouter;
@@ -0,0 +1,206 @@
+const express = require('express');
+const WebAuthnController = require('../controllers/webauthn.controller');
+const { authenticate } = require('../middlewares/auth');
+
+const webAuthnRouter = (services) => {
+  const router = express.Router();
+  const webAuthnController = new WebAuthnController(services.webAuthnService);
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Passkeys
+   *   description: Enregistrement et utilisation de passkeys (WebAuthn), comme second facteur ou pour une connexion sans mot de passe.
+   */
+
+  /**
+   * @swagger
+   * /api/v1/auth/webauthn/register/options:
+   *   post:
+   *     summary: Obtenir les options d'enregistrement d'une passkey.
+   *     tags: [Passkeys]
+   *     security:
+   *       - bearerAuth: []
+   *     description: Retourne les `PublicKeyCredentialCreationOptions` à passer à `navigator.credentials.create` (binaires encodés en base64url). Le challenge est valable 5 minutes. Exige le mot de passe du compte, ou une connexion datant de moins de 5 minutes.
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               password:
+   *                 type: string
+   *                 description: Mot de passe du compte (facultatif si la connexion date de moins de 5 minutes).
+   *     responses:
+   *       200:
+   *         description: Options d'enregistrement.
+   *       401:
+   *         description: Non autorisé (token manquant ou invalide, mot de passe incorrect ou ré-authentification requise).
+   */
+  router.post('/register/options', authenticate, webAuthnController.registrationOptions.bind(webAuthnController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/webauthn/register/verify:
+   *   post:
+   *     summary: Enregistrer une passkey.
+   *     tags: [Passkeys]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [credential]
+   *             properties:
+   *               credential:
+   *                 type: object
+   *                 description: Réponse de `navigator.credentials.create` (`id`, `response.clientDataJSON`, `response.attestationObject` en base64url).
+   *               name:
+   *                 type: string
+   *                 example: 'MacBook Pro'
+   *               password:
+   *                 type: string
+   *                 description: Mot de passe du compte (facultatif si la connexion date de moins de 5 minutes).
+   *     responses:
+   *       201:
+   *         description: Passkey enregistrée.
+   *       400:
+   *         description: Réponse invalide ou aucun enregistrement en cours.
+   *       401:
+   *         description: Mot de passe incorrect ou ré-authentification requise.
+   *       409:
+   *         description: Passkey déjà enregistrée.
+   */
+  router.post('/register/verify', authenticate, webAuthnController.verifyRegistration.bind(webAuthnController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/webauthn/authenticate/options:
+   *   post:
+   *     summary: Obtenir les options d'authentification par passkey.
+   *     tags: [Passkeys]
+   *     description: Sans `mfaToken`, prépare une connexion sans mot de passe (passkey découvrable, vérification de l'utilisateur exigée). Avec le `mfaToken` renvoyé par `/auth/login`, la passkey sert de second facteur.
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               mfaToken:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Options à passer à `navigator.credentials.get`.
+   *       401:
+   *         description: Challenge MFA invalide ou expiré.
+   */
+  router.post('/authenticate/options', webAuthnController.authenticationOptions.bind(webAuthnController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/webauthn/authenticate/verify:
+   *   post:
+   *     summary: Se connecter avec une passkey.
+   *     tags: [Passkeys]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [credential]
+   *             properties:
+   *               credential:
+   *                 type: object
+   *                 description: Réponse de `navigator.credentials.get` (`id`, `response.clientDataJSON`, `response.authenticatorData`, `response.signature` en base64url).
+   *     responses:
+   *       200:
+   *         description: Connexion réussie. Retourne l'utilisateur et les tokens.
+   *       400:
+   *         description: Réponse invalide (signature, origine, compteur) ou challenge expiré.
+   *       401:
+   *         description: Passkey inconnue ou challenge MFA expiré.
+   */
+  router.post('/authenticate/verify', webAuthnController.verifyAuthentication.bind(webAuthnController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/webauthn/credentials:
+   *   get:
+   *     summary: Lister ses passkeys.
+   *     tags: [Passkeys]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Liste des passkeys (nom, transports, dates de création et de dernière utilisation).
+   */
+  router.get('/credentials', authenticate, webAuthnController.listCredentials.bind(webAuthnController));
+
+  /**
+   * @swagger
+   * /api/v1/auth/webauthn/credentials/{id}:
+   *   patch:
+   *     summary: Renommer une passkey.
+   *     tags: [Passkeys]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [name]
+   *             properties:
+   *               name:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Passkey renommée.
+   *       404:
+   *         description: Passkey non trouvée.
+   *   delete:
+   *     summary: Supprimer une passkey.
+   *     tags: [Passkeys]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               password:
+   *                 type: string
+   *                 description: Mot de passe du compte (facultatif si la connexion date de moins de 5 minutes).
+   *     responses:
+   *       200:
+   *         description: Passkey supprimée.
+   *       401:
+   *         description: Mot de passe incorrect ou ré-authentification requise.
+   *       404:
+   *         description: Passkey non trouvée.
+   */
+  router.patch('/credentials/:id', authenticate, webAuthnController.renameCredential.bind(webAuthnController));
+  router.delete('/credentials/:id', authenticate, webAuthnController.deleteCredential.bind(webAuthnController));
+
+  return router;
+};
+
+module.exports = webAuthnRouter;
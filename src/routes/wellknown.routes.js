@@ -0,0 +1,43 @@
+const express = require('express');
+const AuthController = require('../controllers/auth.controller');
+
+const wellKnownRouter = (services) => {
+  const router = express.Router();
+  const authController = new AuthController(services.authService);
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Découverte OpenID Connect
+   *   description: Métadonnées publiques permettant aux clients OIDC de se configurer automatiquement.
+   */
+
+  /**
+   * @swagger
+   * /.well-known/openid-configuration:
+   *   get:
+   *     summary: Document de découverte OpenID Connect.
+   *     tags: [Découverte OpenID Connect]
+   *     description: Liste l'issuer, les endpoints (authorization, token, userinfo, jwks, revocation, introspection) et les capacités effectivement activées.
+   *     responses:
+   *       200:
+   *         description: Métadonnées du fournisseur OpenID.
+   */
+  router.get('/openid-configuration', authController.openidConfiguration.bind(authController));
+
+  /**
+   * @swagger
+   * /.well-known/jwks.json:
+   *   get:
+   *     summary: Clés publiques (JWKS), alias de /api/v1/auth/jwks.json.
+   *     tags: [Découverte OpenID Connect]
+   *     responses:
+   *       200:
+   *         description: Jeu de clés publiques au format JWKS.
+   */
+  router.get('/jwks.json', authController.jwks.bind(authController));
+
+  return router;
+};
+
+module.exports = wellKnownRouter;
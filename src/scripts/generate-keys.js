@@ -1,72 +1,64 @@
 /**
- * Script de génération de clés RSA pour la signature des JWT
+ * Script de génération des clés de signature des JWT (RS256, ES256, EdDSA)
+ * Usage :
+ *   node src/scripts/generate-keys.js          crée une clé active pour chaque algorithme qui n'en a pas
+ *   node src/scripts/generate-keys.js --rotate fait avancer la rotation (pré-publication, promotion, purge)
  */
 require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
-const crypto = require('crypto');
-const { v4: uuidv4 } = require('uuid');
-const { generateKeyPair, exportPKCS8, exportSPKI } = require('jose');
 const DbServiceClient = require('../services/db-client');
+const KeyRotationService = require('../services/key-rotation.service');
+const { closeRedis } = require('../config/redis');
+const { getKeyStore } = require('../config/keystore');
 
 const dbClient = new DbServiceClient();
-
-const KEY_ALGORITHM = 'RS256';
+const keyStore = getKeyStore(dbClient);
+const keyRotationService = new KeyRotationService({ dbClient });
 
 /**
- * Génère une nouvelle paire de clés RSA et l'enregistre via le db-service
+ * Fonction principale: crée une clé active pour chaque algorithme configuré qui n'en a pas.
  */
-async function generateAndStoreKeyPair() {
-  console.log('Génération d\'une nouvelle paire de clés RSA...');
-  
+async function ensureActiveKeys() {
+  console.log('Vérification de l\'existence des clés de signature actives...');
   try {
-    const { privateKey, publicKey } = await generateKeyPair('RS256', { extractable: true });
-
-    // Exporter au format PEM
-    const privateKeyPem = await exportPKCS8(privateKey);
-    const publicKeyPem = await exportSPKI(publicKey);
+    await keyStore.testConnection();
+    const keyPairs = await keyRotationService.ensureActiveKeys();
 
-    // Préparer les données pour le db-service
-    const keyData = {
-      kid: uuidv4(),
-      privateKey: privateKeyPem,
-      publicKey: publicKeyPem,
-      algorithm: 'RS256',
-      status: 'ACTIVE',
-    };
-
-    const keyPair = await dbClient.createKeyPair(keyData);
-    
-    console.log(`✅ Nouvelle paire de clés générée et stockée avec succès!`);
-    console.log(`🔑 Kid: ${keyPair.kid}`);
-    console.log(`🔧 Algorithme: ${KEY_ALGORITHM}`);
+    if (keyPairs.length === 0) {
+      console.log('✅ Chaque algorithme a déjà une clé active. Aucune action requise.');
+      return;
+    }
     
-    return keyPair;
+    for (const keyPair of keyPairs) {
+      console.log(`✅ Nouvelle paire de clés générée et stockée avec succès!`);
+      console.log(`🔑 Kid: ${keyPair.kid}`);
+      console.log(`🔧 Algorithme: ${keyPair.algorithm}`);
+    }
   } catch (error) {
-    console.error('❌ Erreur lors de la génération de la paire de clés:', error.response?.data || error.message);
-    throw error;
+    console.error('❌ Erreur lors de la vérification/création des clés actives:', error.response?.data || error.message);
+    process.exit(1);
   }
 }
 
 /**
- * Fonction principale: vérifie si une clé active existe, sinon en crée une.
+ * Fait avancer le cycle de vie des clés, comme la vérification périodique du service
  */
-async function ensureActiveKey() {
-  console.log('Vérification de l\'existence d\'une clé de signature active...');
+async function rotateKeys() {
   try {
-    await dbClient.testConnection();
-    const activeKey = await dbClient.getActiveKeyPair().catch(() => null);
+    await keyStore.testConnection();
+    const result = await keyRotationService.runRotation();
 
-    if (activeKey) {
-      console.log('✅ Une clé active existe déjà. Aucune action requise.');
-      return;
-    }
-    
-    console.log('⚠️ Aucune clé active trouvée. Génération d\'une nouvelle clé...');
-    await generateAndStoreKeyPair();
+    console.log('✅ Vérification de rotation terminée:', JSON.stringify(result));
   } catch (error) {
-    console.error('❌ Erreur lors de la vérification/création de la clé active:', error.message);
-    process.exit(1);
+    console.error('❌ Erreur lors de la rotation des clés:', error.response?.data || error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeRedis();
   }
 }
 
 // Lancement du script
-ensureActiveKey();
+if (process.argv.includes('--rotate')) {
+  rotateKeys();
+} else {
+  ensureActiveKeys();
+}
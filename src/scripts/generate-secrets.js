@@ -58,6 +58,10 @@ function generateAllSecrets() {
     // Secret pour la communication inter-services
     JWT_SECRET: generateSecret(32),
     COOKIE_SECRET: generateSecret(32),
+    // Secret des empreintes des codes de récupération
+    RECOVERY_CODE_SECRET: generateSecret(32),
+    // Clé de chiffrement des clés privées de signature (KEK, 32 octets)
+    KEY_ENCRYPTION_KEY: generateSecret(32),
     
     // URL par défaut
     API_URL: 'http://localhost:3001',
@@ -94,7 +98,7 @@ function generateAllSecrets() {
   // Afficher les secrets générés
   colorLog('🔑 SECRETS GÉNÉRÉS:', 'green');
   Object.entries(secrets).forEach(([key, value]) => {
-    if (key.includes('SECRET')) {
+    if (key.includes('SECRET') || key === 'KEY_ENCRYPTION_KEY') {
       colorLog(`${key}=${value.substring(0, 16)}...`, 'yellow');
     } else {
       colorLog(`${key}=${value}`, 'cyan');
@@ -133,6 +137,12 @@ DB_SERVICE_URL=${secrets.DB_SERVICE_URL}
 # Secret pour la communication inter-services (HS256)
 JWT_SECRET=${secrets.JWT_SECRET}
 
+# Secret des empreintes des codes de récupération (HMAC)
+RECOVERY_CODE_SECRET=${secrets.RECOVERY_CODE_SECRET}
+
+# Clé de chiffrement des clés privées de signature stockées par le db-service
+KEY_ENCRYPTION_KEY=${secrets.KEY_ENCRYPTION_KEY}
+
 # Durées de validité des tokens (signés en RS256, clés en BDD)
 ACCESS_TOKEN_EXPIRES_IN=${secrets.ACCESS_TOKEN_EXPIRES_IN}
 REFRESH_TOKEN_EXPIRES_IN=${secrets.REFRESH_TOKEN_EXPIRES_IN}
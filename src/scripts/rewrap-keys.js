@@ -0,0 +1,46 @@
+/**
+ * Script de ré-chiffrement des clés privées de signature avec la clé de chiffrement des clés (KEK) courante
+ * À lancer après un changement de KEK (l'ancienne étant déclarée dans KEY_ENCRYPTION_KEY_PREVIOUS),
+ * ou pour chiffrer les clés stockées en clair avant la mise en place de la KEK.
+ * Usage : node src/scripts/rewrap-keys.js
+ */
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+const DbServiceClient = require('../services/db-client');
+const { rewrapPrivateKey } = require('../utils/key-encryption');
+const { getKeyStore } = require('../config/keystore');
+
+const keyStore = getKeyStore(new DbServiceClient());
+
+/**
+ * Fonction principale: ré-enveloppe chaque clé privée qui ne l'est pas avec la KEK courante
+ */
+async function rewrapKeys() {
+  console.log('Ré-chiffrement des clés privées de signature...');
+  try {
+    await keyStore.testConnection();
+    const keyPairs = await keyStore.getKeyPairs();
+    let rewrapped = 0;
+
+    for (const keyPair of keyPairs) {
+      const privateKey = rewrapPrivateKey(keyPair.privateKey, keyPair.kid);
+      if (!privateKey) {
+        continue;
+      }
+
+      await keyStore.updateKeyPair(keyPair.kid, { privateKey });
+      rewrapped += 1;
+      console.log(`🔑 Clé ${keyPair.kid} (${keyPair.algorithm || 'RS256'}) ré-chiffrée`);
+    }
+
+    console.log(`✅ ${rewrapped} clé(s) ré-chiffrée(s) sur ${keyPairs.length}.`);
+    if (rewrapped > 0) {
+      console.log('ℹ️  KEY_ENCRYPTION_KEY_PREVIOUS peut maintenant être retirée de la configuration.');
+    }
+  } catch (error) {
+    console.error('❌ Erreur lors du ré-chiffrement des clés:', error.response?.data || error.message);
+    process.exit(1);
+  }
+}
+
+// Lancement du script
+rewrapKeys();
@@ -53,6 +53,13 @@ const CONFIG = {
     sensitive: true,
     category: 'JWT & SÉCURITÉ'
   },
+  RECOVERY_CODE_SECRET: {
+    required: false,
+    minLength: 32,
+    description: 'Secret des empreintes HMAC des codes de récupération (JWT_SECRET par défaut ; le changer invalide les codes existants)',
+    sensitive: true,
+    category: 'JWT & SÉCURITÉ'
+  },
   ACCESS_TOKEN_EXPIRES_IN: {
     required: false,
     default: '15m',
@@ -71,6 +78,176 @@ const CONFIG = {
     description: 'Durée de validité des ID tokens',
     category: 'JWT & SÉCURITÉ'
   },
+  PASSWORD_RESET_TOKEN_EXPIRES_IN: {
+    required: false,
+    default: '15m',
+    description: 'Durée de validité des liens de réinitialisation de mot de passe',
+    category: 'JWT & SÉCURITÉ'
+  },
+  EMAIL_VERIFICATION_RESEND_INTERVAL: {
+    required: false,
+    default: '60s',
+    description: 'Délai minimal entre deux renvois d\'email de vérification pour une adresse',
+    category: 'JWT & SÉCURITÉ'
+  },
+  REQUIRE_EMAIL_VERIFICATION: {
+    required: false,
+    default: 'false',
+    description: 'Refuser la connexion des comptes dont l\'email n\'est pas vérifié',
+    values: ['true', 'false'],
+    category: 'JWT & SÉCURITÉ'
+  },
+  MAGIC_LINK_EXPIRES_IN: {
+    required: false,
+    default: '15m',
+    description: 'Durée de validité d\'un lien de connexion par email',
+    category: 'JWT & SÉCURITÉ'
+  },
+  MAGIC_LINK_REQUEST_INTERVAL: {
+    required: false,
+    default: '60s',
+    description: 'Délai minimal entre deux demandes de lien de connexion pour une même adresse',
+    category: 'JWT & SÉCURITÉ'
+  },
+  LOGIN_MAX_FAILURES: {
+    required: false,
+    default: '5',
+    description: 'Nombre d\'échecs de connexion avant le verrouillage temporaire d\'un compte',
+    category: 'JWT & SÉCURITÉ'
+  },
+  LOGIN_IP_MAX_FAILURES: {
+    required: false,
+    default: '20',
+    description: 'Nombre d\'échecs de connexion avant le blocage temporaire d\'une adresse IP',
+    category: 'JWT & SÉCURITÉ'
+  },
+  LOGIN_LOCKOUT_DURATION: {
+    required: false,
+    default: '15m',
+    description: 'Durée du verrouillage d\'un compte ou du blocage d\'une adresse IP',
+    category: 'JWT & SÉCURITÉ'
+  },
+  LOGIN_FAILURE_WINDOW: {
+    required: false,
+    default: '15m',
+    description: 'Fenêtre pendant laquelle les échecs de connexion sont cumulés',
+    category: 'JWT & SÉCURITÉ'
+  },
+  ACCESS_TOKEN_SIGNING_ALG: {
+    required: false,
+    default: 'RS256',
+    description: 'Algorithme de signature des access tokens',
+    values: ['RS256', 'ES256', 'EdDSA'],
+    category: 'JWT & SÉCURITÉ'
+  },
+  SIGNING_KEY_ALGORITHMS: {
+    required: false,
+    description: 'Algorithmes supplémentaires disposant d\'une clé de signature (séparés par des virgules)',
+    example: 'ES256,EdDSA',
+    category: 'JWT & SÉCURITÉ'
+  },
+  KEY_ENCRYPTION_KEY: {
+    required: false,
+    description: 'Clé de chiffrement des clés privées de signature (32 octets, hexadécimal ou base64), requise en production sans KEY_ENCRYPTION_KEY_FILE',
+    sensitive: true,
+    category: 'JWT & SÉCURITÉ'
+  },
+  KEY_ENCRYPTION_KEY_FILE: {
+    required: false,
+    description: 'Fichier contenant la clé de chiffrement des clés privées (alternative à KEY_ENCRYPTION_KEY)',
+    example: '/app/keys/kek.key',
+    category: 'JWT & SÉCURITÉ'
+  },
+  KEY_ENCRYPTION_KEY_PREVIOUS: {
+    required: false,
+    description: 'Anciennes clés de chiffrement des clés, conservées jusqu\'au ré-chiffrement (séparées par des virgules)',
+    sensitive: true,
+    category: 'JWT & SÉCURITÉ'
+  },
+  KEYSTORE: {
+    required: false,
+    default: 'db',
+    description: 'Magasin des clés de signature (db-service ou JWK set local)',
+    values: ['db', 'file'],
+    category: 'JWT & SÉCURITÉ'
+  },
+  KEYSTORE_PATH: {
+    required: false,
+    description: 'Répertoire du magasin de clés file',
+    example: '/app/keys',
+    category: 'JWT & SÉCURITÉ'
+  },
+  KEY_CACHE_TTL: {
+    required: false,
+    default: '5m',
+    description: 'Durée de conservation en mémoire des clés de signature et de vérification',
+    category: 'JWT & SÉCURITÉ'
+  },
+  KEY_ROTATION_ENABLED: {
+    required: false,
+    default: 'true',
+    description: 'Rotation automatique des clés de signature des tokens',
+    values: ['true', 'false'],
+    category: 'JWT & SÉCURITÉ'
+  },
+  KEY_ROTATION_INTERVAL: {
+    required: false,
+    default: '90d',
+    description: 'Durée pendant laquelle une clé de signature reste active avant sa rotation',
+    category: 'JWT & SÉCURITÉ'
+  },
+  KEY_ROTATION_PREPUBLISH: {
+    required: false,
+    default: '2d',
+    description: 'Durée de publication de la clé suivante dans le JWKS avant sa promotion',
+    category: 'JWT & SÉCURITÉ'
+  },
+  KEY_ROTATION_CHECK_INTERVAL: {
+    required: false,
+    default: '1h',
+    description: 'Fréquence de vérification de la rotation des clés',
+    category: 'JWT & SÉCURITÉ'
+  },
+  MFA_CHALLENGE_EXPIRES_IN: {
+    required: false,
+    default: '5m',
+    description: 'Durée de validité d\'un challenge de connexion MFA',
+    category: 'JWT & SÉCURITÉ'
+  },
+  MFA_ISSUER: {
+    required: false,
+    default: 'SupervIA',
+    description: 'Nom du service affiché dans les applications d\'authentification TOTP',
+    category: 'JWT & SÉCURITÉ'
+  },
+  EMAIL_OTP_EXPIRES_IN: {
+    required: false,
+    default: '5m',
+    description: 'Durée de validité d\'un code de connexion envoyé par email',
+    category: 'JWT & SÉCURITÉ'
+  },
+  EMAIL_OTP_RESEND_INTERVAL: {
+    required: false,
+    default: '60s',
+    description: 'Délai minimal avant le renvoi d\'un code de connexion par email',
+    category: 'JWT & SÉCURITÉ'
+  },
+  WEBAUTHN_RP_ID: {
+    required: false,
+    description: 'Domaine auquel les passkeys sont rattachées (par défaut, celui de WEBAUTHN_ORIGIN)',
+    category: 'JWT & SÉCURITÉ'
+  },
+  WEBAUTHN_RP_NAME: {
+    required: false,
+    default: 'SupervIA',
+    description: 'Nom du service affiché lors de l\'enregistrement d\'une passkey',
+    category: 'JWT & SÉCURITÉ'
+  },
+  WEBAUTHN_ORIGIN: {
+    required: false,
+    description: 'Origine autorisée pour les cérémonies WebAuthn (par défaut, FRONTEND_URL)',
+    category: 'JWT & SÉCURITÉ'
+  },
 
   // CORS
   CORS_ORIGINS: {
@@ -109,6 +286,78 @@ const CONFIG = {
     description: 'Nombre maximum de requêtes par fenêtre',
     category: 'RATE LIMITING'
   },
+  RATE_LIMIT_LOGIN_MAX: {
+    required: false,
+    default: '10',
+    description: 'Nombre maximum de requêtes par fenêtre : connexion et seconds facteurs',
+    category: 'RATE LIMITING'
+  },
+  RATE_LIMIT_LOGIN_WINDOW: {
+    required: false,
+    default: '15m',
+    description: 'Fenêtre de rate limiting : connexion et seconds facteurs',
+    category: 'RATE LIMITING'
+  },
+  RATE_LIMIT_REGISTER_MAX: {
+    required: false,
+    default: '5',
+    description: 'Nombre maximum de requêtes par fenêtre : création de compte',
+    category: 'RATE LIMITING'
+  },
+  RATE_LIMIT_REGISTER_WINDOW: {
+    required: false,
+    default: '1h',
+    description: 'Fenêtre de rate limiting : création de compte',
+    category: 'RATE LIMITING'
+  },
+  RATE_LIMIT_REFRESH_MAX: {
+    required: false,
+    default: '60',
+    description: 'Nombre maximum de requêtes par fenêtre : renouvellement et émission de tokens',
+    category: 'RATE LIMITING'
+  },
+  RATE_LIMIT_REFRESH_WINDOW: {
+    required: false,
+    default: '15m',
+    description: 'Fenêtre de rate limiting : renouvellement et émission de tokens',
+    category: 'RATE LIMITING'
+  },
+  RATE_LIMIT_FORGOT_PASSWORD_MAX: {
+    required: false,
+    default: '5',
+    description: 'Nombre maximum de requêtes par fenêtre : envois d\'emails (réinitialisation, lien de connexion, codes)',
+    category: 'RATE LIMITING'
+  },
+  RATE_LIMIT_FORGOT_PASSWORD_WINDOW: {
+    required: false,
+    default: '1h',
+    description: 'Fenêtre de rate limiting : envois d\'emails (réinitialisation, lien de connexion, codes)',
+    category: 'RATE LIMITING'
+  },
+  RATE_LIMIT_OAUTH_CALLBACK_MAX: {
+    required: false,
+    default: '30',
+    description: 'Nombre maximum de requêtes par fenêtre : retours des fournisseurs OAuth2',
+    category: 'RATE LIMITING'
+  },
+  RATE_LIMIT_OAUTH_CALLBACK_WINDOW: {
+    required: false,
+    default: '15m',
+    description: 'Fenêtre de rate limiting : retours des fournisseurs OAuth2',
+    category: 'RATE LIMITING'
+  },
+  RATE_LIMIT_DISCOVERY_MAX: {
+    required: false,
+    default: '300',
+    description: 'Nombre maximum de requêtes par fenêtre : découverte OpenID et JWKS',
+    category: 'RATE LIMITING'
+  },
+  RATE_LIMIT_DISCOVERY_WINDOW: {
+    required: false,
+    default: '1m',
+    description: 'Fenêtre de rate limiting : découverte OpenID et JWKS',
+    category: 'RATE LIMITING'
+  },
 
   // RGPD
   DATA_RETENTION_DAYS: {
@@ -5,15 +5,16 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const cookieParser = require('cookie-parser');
-const rateLimit = require('express-rate-limit');
 const swaggerUi = require('swagger-ui-express');
 const promBundle = require('express-prom-bundle');
 const swaggerDocument = require('./swagger.json');
 const { errorHandler, notFoundHandler } = require('./middlewares/errorHandler');
 const { setupRoutes } = require('./routes');
 const { addPrivacyHeaders } = require('./middlewares/rgpd');
+const { createRateLimiter } = require('./middlewares/rate-limit');
 const healthController = require('./controllers/health.controller');
 const { initRedis, closeRedis, isRedisAvailable } = require('./config/redis');
+const { getKeyStoreType } = require('./config/keystore');
 const logger = require('./config/logger');
 const pinoHttp = require('pino-http');
 
@@ -23,6 +24,9 @@ const AuthService = require('./services/auth.service');
 const OAuthService = require('./services/oauth.service');
 const Auth0Service = require('./services/auth0.service');
 const NotificationService = require('./services/notification.service');
+const MfaService = require('./services/mfa.service');
+const WebAuthnService = require('./services/webauthn.service');
+const KeyRotationService = require('./services/key-rotation.service');
 
 /**
  * Initialisation de l'application Express
@@ -36,6 +40,11 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
  */
 let serverInstance = null;
 
+/**
+ * Service de rotation des clés de signature (vérification périodique)
+ */
+let keyRotationService = null;
+
 /**
  * Configuration des middlewares de base
  * @param {Object} app - Application Express
@@ -88,25 +97,8 @@ const setupMiddlewares = (app) => {
     } : false
   }));
 
-  // Rate limiting
-  const limiter = rateLimit({
-    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
-    limit: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-    standardHeaders: 'draft-7', // Utiliser draft-7 au lieu d'un objet
-    legacyHeaders: false,
-    message: {
-      success: false,
-      error: {
-        message: 'Trop de requêtes depuis cette IP, veuillez réessayer plus tard.',
-        code: 'RATE_LIMIT_EXCEEDED'
-      }
-    },
-    handler: (req, res, next, options) => {
-      res.status(429).json(options.message);
-    }
-  });
-
-  app.use(limiter);
+  // Rate limiting : budgets par groupe de routes, partagés entre réplicas via Redis
+  app.use(createRateLimiter());
 
   // CORS avec configuration SupervIA améliorée
   const allowedOrigins = process.env.CORS_ORIGINS?.split(',') || ['http://localhost:3000', 'http://localhost:4000'];
@@ -280,6 +272,10 @@ const setupErrorHandlers = (app) => {
 const gracefulShutdown = async (signal) => {
   logger.info(`\n🔄 ${signal} reçu, arrêt gracieux du serveur...`);
   
+  if (keyRotationService) {
+    keyRotationService.stop();
+  }
+  
   if (serverInstance) {
     serverInstance.close(async () => {
       logger.info('🛑 Serveur HTTP arrêté');
@@ -328,9 +324,15 @@ const startServer = async () => {
     const authService = new AuthService({ dbClient, notificationService, logger });
     const oauthService = new OAuthService({ dbClient, authService, logger });
     const auth0Service = new Auth0Service({ dbClient, authService, logger });
+    const mfaService = new MfaService({ dbClient, authService, notificationService, logger });
+    const webAuthnService = new WebAuthnService({ dbClient, authService, logger });
+    keyRotationService = new KeyRotationService({ dbClient, logger });
+
+    // Le middleware d'authentification a besoin du dbClient pour récupérer les clés publiques
+    app.locals.dbClient = dbClient;
 
     // Configuration des routes avec les services injectés
-    setupRoutes(app, { authService, oauthService, auth0Service });
+    setupRoutes(app, { authService, oauthService, auth0Service, mfaService, webAuthnService, keyRotationService });
 
     // Configuration des endpoints de santé et de documentation
     setupHealthEndpoints(app);
@@ -346,6 +348,10 @@ const startServer = async () => {
     await checkDependencies();
     await initializeConnections();
 
+    // Rotation automatique des clés de signature
+    logger.info(`🔑 Magasin des clés de signature : ${getKeyStoreType()}`);
+    keyRotationService.start();
+
     serverInstance = app.listen(PORT, () => {
       logger.info(`🚀 Serveur démarré sur http://localhost:${PORT} [${NODE_ENV}]`);
     });
@@ -1,18 +1,62 @@
 const crypto = require('crypto');
 const { 
+  durationToSeconds,
   generateAccessToken, 
+  generateClientAccessToken,
   generateRefreshToken, 
   generateIdToken,
+  verifyAccessToken,
   verifyRefreshToken,
   revokeRefreshToken,
+  revokeAccessToken,
   generateEmailVerificationToken,
-  verifyEmailVerificationToken
+  verifyEmailVerificationToken,
+  consumeEmailVerificationToken,
+  generateMagicLinkToken,
+  verifyMagicLinkToken,
+  consumeMagicLinkToken
 } = require('../utils/jwt');
 const { importSPKI, exportJWK } = require('jose');
 const { AppError, AuthErrorCodes } = require('../middlewares/errorHandler');
 const { incrementAuthAttempt, incrementUserRegistration } = require('../middlewares/metrics');
 const { logDataProcessing, minimizeData, DataProcessingTypes } = require('../middlewares/rgpd');
 const notificationService = require('./notification.service');
+const { CODE_CHALLENGE_METHODS, requiresPkce, isValidPkceValue, verifyCodeChallenge } = require('../utils/pkce');
+const oidc = require('../config/oidc');
+const { getClaimsForScopes } = require('../utils/claims');
+const { describeDevice } = require('../utils/device');
+const { createOneTimeToken, consumeOneTimeToken } = require('../utils/one-time-token');
+const { storeData, storeDataIfAbsent, getData } = require('../config/redis');
+const { getKeyStore } = require('../config/keystore');
+const { createMfaChallenge } = require('../utils/mfa-challenge');
+const { hashRecoveryCode } = require('../utils/recovery-codes');
+const { checkLoginAllowed, recordLoginFailure, clearLoginFailures, getLockoutState } = require('../utils/login-throttle');
+const { PUBLISHED_KEY_STATUSES, isVerificationKey, toPublicJwk } = require('../utils/signing-keys');
+
+// Durée de validité d'un code d'autorisation (RFC 6749 §4.1.2 : 10 minutes maximum)
+const AUTHORIZATION_CODE_TTL_SECONDS = 60;
+
+// Préfixe Redis des codes d'autorisation consommés (par empreinte du code)
+const USED_AUTHORIZATION_CODE_PREFIX = 'used_authorization_code:';
+
+// Préfixe Redis des codes de récupération consommés (par utilisateur et empreinte du code)
+const USED_RECOVERY_CODE_PREFIX = 'used_recovery_code:';
+
+// Durée de conservation d'un code de récupération consommé (1 an)
+// Le marqueur survit au retrait du code : un code rétabli par une mise à jour concurrente du compte reste refusé.
+const USED_RECOVERY_CODE_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+// Usage (préfixe Redis) des tokens de réinitialisation de mot de passe
+const PASSWORD_RESET_PURPOSE = 'password_reset';
+
+// Usage (préfixe Redis) des liens de déverrouillage de compte
+const ACCOUNT_UNLOCK_PURPOSE = 'account_unlock';
+
+// Préfixe Redis du throttling des renvois d'email de vérification (par adresse)
+const VERIFICATION_RESEND_PREFIX = 'verification_resend:';
+
+// Préfixe Redis du throttling des demandes de lien de connexion (par adresse)
+const MAGIC_LINK_REQUEST_PREFIX = 'magic_link_request:';
 
 /**
  * Service d'authentification
@@ -59,6 +103,36 @@ class AuthService {
     });
     
     // Déclencher l'envoi de l'e-mail de confirmation
+    await this.sendVerificationEmail(user);
+    
+    // Enregistrer l'activité RGPD
+    await logDataProcessing(user.id, 'create', 'user_account', DataProcessingTypes.AUTHENTICATION, 'contract');
+    
+    // Incrémenter les métriques
+    incrementUserRegistration();
+    
+    this.logger.info({ userId: user.id, email: user.email }, 'Inscription réussie.');
+
+    // Retourner l'utilisateur sans le mot de passe
+    return this.toPublicUser(user);
+  }
+  
+  /**
+   * Retire d'un utilisateur les attributs qui ne doivent jamais quitter le service
+   * @param {Object} user - L'utilisateur tel que renvoyé par le db-service
+   * @returns {Object} L'utilisateur sans secrets
+   */
+  toPublicUser(user) {
+    const { password, totpSecret, recoveryCodes, ...publicUser } = user;
+    return publicUser;
+  }
+  
+  /**
+   * Génère un token de vérification et envoie l'e-mail de confirmation en arrière-plan
+   * @param {Object} user - L'utilisateur dont l'adresse doit être vérifiée
+   * @returns {Promise<void>}
+   */
+  async sendVerificationEmail(user) {
     this.logger.info({ userId: user.id }, 'Génération du token de vérification et envoi de l\'e-mail.');
     const verificationToken = await generateEmailVerificationToken(user, this.dbClient);
     const confirmationLink = `${process.env.FRONTEND_URL}/auth/verify-email?token=${verificationToken}`;
@@ -68,31 +142,216 @@ class AuthService {
       user.firstName || 'nouvel utilisateur',
       confirmationLink
     ).catch(err => this.logger.error({ err, userId: user.id }, 'Échec de l\'envoi de l\'e-mail de confirmation en arrière-plan.'));
+  }
+  
+  /**
+   * Renvoie l'e-mail de vérification d'une adresse
+   * Limité à un envoi par adresse et par intervalle ; n'indique jamais si le compte existe.
+   * @param {string} email - Adresse à vérifier
+   * @returns {Promise<void>}
+   */
+  async resendVerificationEmail(email) {
+    // Le throttling porte sur l'adresse demandée, que le compte existe ou non
+    const throttleKey = `${VERIFICATION_RESEND_PREFIX}${crypto.createHash('sha256').update(email.toLowerCase()).digest('hex')}`;
     
-    // Enregistrer l'activité RGPD
-    await logDataProcessing(user.id, 'create', 'user_account', DataProcessingTypes.AUTHENTICATION, 'contract');
+    if (await getData(throttleKey)) {
+      throw new AppError('Veuillez patienter avant de demander un nouvel email de vérification', 429, AuthErrorCodes.TOO_MANY_REQUESTS);
+    }
     
-    // Incrémenter les métriques
-    incrementUserRegistration();
+    const interval = durationToSeconds(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL || '60s');
+    await storeData(throttleKey, { requestedAt: new Date().toISOString() }, interval);
     
-    this.logger.info({ userId: user.id, email: user.email }, 'Inscription réussie.');
-
-    // Retourner l'utilisateur sans le mot de passe
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    const user = await this.dbClient.getUserByEmail(email).catch(() => null);
+    
+    if (!user || !user.active || user.emailVerified) {
+      this.logger.info('Renvoi de vérification pour un compte inexistant, inactif ou déjà vérifié, ignoré.');
+      return;
+    }
+    
+    await this.sendVerificationEmail(user);
   }
   
   /**
    * Authentifie un utilisateur avec email et mot de passe
    * @param {string} email - Email de l'utilisateur
    * @param {string} password - Mot de passe en clair
+   * @param {Object} device - Appareil à l'origine de la connexion ({ userAgent, ipAddress })
+   * @returns {Promise<Object>} Tokens et informations utilisateur, ou challenge MFA ({ mfaRequired, mfaToken, mfaMethods })
+   */
+  async login(email, password, device = {}) {
+    const user = await this.verifyCredentials(email, password, device);
+    
+    // Second facteur requis : renvoyer un challenge à la place des tokens
+    // (les échecs du compte ne sont effacés qu'une fois le second facteur vérifié)
+    const mfaMethods = await this.getMfaMethods(user);
+    if (mfaMethods.length > 0) {
+      return this.createLoginMfaChallenge(user, ['pwd'], device, mfaMethods);
+    }
+    
+    await clearLoginFailures(email);
+    const { accessToken, refreshToken } = await this.createSession(user, ['pwd'], device);
+
+    // Retourner l'utilisateur et les tokens
+    return {
+      user: this.toPublicUser(user),
+      accessToken: accessToken,
+      refreshToken: refreshToken
+    };
+  }
+  
+  /**
+   * Envoie un lien de connexion à usage unique par email (connexion sans mot de passe)
+   * Aucune erreur n'est levée pour un compte inexistant ou inactif (pas d'énumération des comptes).
+   * @param {string} email - Email du compte
+   * @returns {Promise<void>}
+   */
+  async requestMagicLink(email) {
+    // Le throttling porte sur l'adresse demandée, que le compte existe ou non
+    const throttleKey = `${MAGIC_LINK_REQUEST_PREFIX}${crypto.createHash('sha256').update(email.toLowerCase()).digest('hex')}`;
+    
+    if (await getData(throttleKey)) {
+      throw new AppError('Veuillez patienter avant de demander un nouveau lien de connexion', 429, AuthErrorCodes.TOO_MANY_REQUESTS);
+    }
+    
+    const interval = durationToSeconds(process.env.MAGIC_LINK_REQUEST_INTERVAL || '60s');
+    await storeData(throttleKey, { requestedAt: new Date().toISOString() }, interval);
+    
+    const user = await this.dbClient.getUserByEmail(email).catch(() => null);
+    
+    if (!user || !user.active) {
+      this.logger.info('Demande de lien de connexion pour un compte inexistant ou inactif, ignorée.');
+      return;
+    }
+    
+    const token = await generateMagicLinkToken(user, this.dbClient);
+    const magicLink = `${process.env.FRONTEND_URL}/auth/magic-link?token=${token}`;
+    
+    this.notificationService.sendMagicLinkEmail(user.email, magicLink)
+      .catch(err => this.logger.error({ err, userId: user.id }, 'Échec de l\'envoi du lien de connexion en arrière-plan.'));
+    
+    await logDataProcessing(user.id, 'request_magic_link', 'authentication', DataProcessingTypes.AUTHENTICATION, 'contract');
+  }
+  
+  /**
+   * Connexion avec un lien reçu par email (usage unique)
+   * Le lien remplace le mot de passe : un second facteur configuré reste exigé.
+   * @param {string} token - Le token du lien
+   * @param {Object} device - Appareil à l'origine de la connexion ({ userAgent, ipAddress })
+   * @returns {Promise<Object>} Tokens et informations utilisateur, ou challenge MFA ({ mfaRequired, mfaToken, mfaMethods })
+   */
+  async loginWithMagicLink(token, device = {}) {
+    const payload = await verifyMagicLinkToken(token, this.dbClient);
+    
+    if (!await consumeMagicLinkToken(payload)) {
+      incrementAuthAttempt('magic_link', 'failure');
+      throw new AppError('Lien de connexion déjà utilisé', 401, AuthErrorCodes.INVALID_MAGIC_LINK);
+    }
+    
+    let user = await this.dbClient.getUserById(payload.sub);
+    
+    if (!user || !user.active) {
+      throw new AppError('Utilisateur non trouvé ou inactif', 401, AuthErrorCodes.UNAUTHORIZED);
+    }
+    
+    // Ouvrir le lien prouve la possession de l'adresse email
+    if (!user.emailVerified) {
+      user = await this.dbClient.updateUser(user.id, { emailVerified: true });
+    }
+    
+    const mfaMethods = await this.getMfaMethods(user);
+    if (mfaMethods.length > 0) {
+      return this.createLoginMfaChallenge(user, ['email'], device, mfaMethods);
+    }
+    
+    const { accessToken, refreshToken } = await this.createSession(user, ['email'], device);
+    incrementAuthAttempt('magic_link', 'success');
+    
+    return {
+      user: this.toPublicUser(user),
+      accessToken,
+      refreshToken
+    };
+  }
+  
+  /**
+   * Connexion de secours avec le mot de passe et un code de récupération (usage unique)
+   * Remplace le second facteur ; l'utilisateur est prévenu par email.
+   * @param {string} email - Email de l'utilisateur
+   * @param {string} password - Mot de passe en clair
+   * @param {string} recoveryCode - Code de récupération
+   * @param {Object} device - Appareil à l'origine de la connexion ({ userAgent, ipAddress })
    * @returns {Promise<Object>} Tokens et informations utilisateur
    */
-  async login(email, password) {
+  async loginWithRecoveryCode(email, password, recoveryCode, device = {}) {
+    // Un code erroné compte comme un échec de connexion
+    const user = await this.verifyCredentials(email, password, device);
+    
+    const recoveryCodes = user.recoveryCodes || [];
+    const codeHash = hashRecoveryCode(user.id, recoveryCode);
+    
+    // Consommation atomique : deux requêtes simultanées avec le même code ne peuvent pas toutes deux aboutir
+    const consumed = recoveryCodes.includes(codeHash)
+      ? await storeDataIfAbsent(`${USED_RECOVERY_CODE_PREFIX}${user.id}:${codeHash}`, { usedAt: new Date().toISOString() }, USED_RECOVERY_CODE_TTL_SECONDS)
+      : false;
+    
+    if (consumed === null) {
+      throw new AppError('Connexion par code de récupération temporairement indisponible', 503, AuthErrorCodes.SERVICE_UNAVAILABLE);
+    }
+    
+    if (!consumed) {
+      incrementAuthAttempt('recovery', 'failure');
+      await this.handleLoginFailure(email, user, device);
+      throw new AppError('Code de récupération invalide', 401, AuthErrorCodes.INVALID_RECOVERY_CODE);
+    }
+    
+    await clearLoginFailures(email);
+    
+    // Le code est à usage unique : le retirer avant d'ouvrir la session
+    const remainingCodes = recoveryCodes.filter(hash => hash !== codeHash);
+    await this.dbClient.updateUser(user.id, { recoveryCodes: remainingCodes });
+    
+    const { accessToken, refreshToken } = await this.createSession(user, ['pwd', 'otp', 'mfa'], device);
+    incrementAuthAttempt('recovery', 'success');
+    
+    this.logger.warn({ userId: user.id, remainingCodes: remainingCodes.length }, 'Connexion avec un code de récupération.');
+    this.notificationService.sendRecoveryCodeUsedEmail(user.email, remainingCodes.length)
+      .catch(err => this.logger.error({ err, userId: user.id }, 'Échec de l\'envoi de l\'e-mail de code de récupération en arrière-plan.'));
+    
+    await logDataProcessing(user.id, 'login_recovery_code', 'authentication', DataProcessingTypes.SECURITY, 'contract');
+    
+    return {
+      user: this.toPublicUser(user),
+      accessToken,
+      refreshToken
+    };
+  }
+  
+  /**
+   * Vérifie le premier facteur (email et mot de passe) d'une connexion
+   * Les échecs sont comptés par compte et par adresse IP : délais progressifs puis verrouillage temporaire.
+   * Ils ne sont pas effacés ici : l'appelant le fait une fois la connexion complète, second facteur compris.
+   * @param {string} email - Email de l'utilisateur
+   * @param {string} password - Mot de passe en clair
+   * @param {Object} device - Appareil à l'origine de la connexion ({ userAgent, ipAddress })
+   * @returns {Promise<Object>} L'utilisateur authentifié
+   */
+  async verifyCredentials(email, password, device = {}) {
+    const throttle = await checkLoginAllowed(email, device.ipAddress);
+    
+    if (!throttle.allowed) {
+      incrementAuthAttempt('login', 'blocked');
+      const error = throttle.reason === 'account_locked'
+        ? new AppError('Compte temporairement verrouillé suite à de trop nombreuses tentatives', 423, AuthErrorCodes.ACCOUNT_LOCKED)
+        : new AppError('Trop de tentatives de connexion, veuillez patienter', 429, AuthErrorCodes.TOO_MANY_REQUESTS);
+      error.retryAfter = throttle.retryAfter;
+      throw error;
+    }
+    
     // Récupérer l'utilisateur via db-service
     const user = await this.dbClient.getUserByEmail(email).catch(() => null);
     
     if (!user) {
+      await this.handleLoginFailure(email, null, device);
       throw new AppError('Email ou mot de passe incorrect', 401, AuthErrorCodes.INVALID_CREDENTIALS);
     }
     
@@ -105,31 +364,193 @@ class AuthService {
     const passwordMatch = await this.dbClient.verifyPassword(user.id, password);
     
     if (!passwordMatch) {
-      incrementAuthAttempt('login', 'failure');
+      await this.handleLoginFailure(email, user, device);
       throw new AppError('Email ou mot de passe incorrect', 401, AuthErrorCodes.INVALID_CREDENTIALS);
     }
     
-    // Générer les tokens individuellement
-    const accessToken = await generateAccessToken(user, this.dbClient);
-    const refreshToken = await generateRefreshToken(user.id, this.dbClient);
-
-    // Retourner l'utilisateur et les tokens
+    // Vérifié après le mot de passe pour ne pas révéler l'état du compte
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.emailVerified) {
+      throw new AppError('Adresse email non vérifiée', 403, AuthErrorCodes.EMAIL_NOT_VERIFIED);
+    }
+    
+    return user;
+  }
+  
+  /**
+   * Enregistre un échec de connexion ; au verrouillage, le titulaire du compte reçoit un lien de déverrouillage
+   * @param {string} email - Email saisi
+   * @param {Object|null} user - L'utilisateur correspondant, s'il existe
+   * @param {Object} device - Appareil à l'origine de la tentative
+   * @returns {Promise<void>}
+   */
+  async handleLoginFailure(email, user, device = {}) {
+    incrementAuthAttempt('login', 'failure');
+    
+    const { locked, lockedUntil } = await recordLoginFailure(email, device.ipAddress);
+    
+    if (!locked || !user) {
+      return;
+    }
+    
+    this.logger.warn({ userId: user.id, ipAddress: device.ipAddress, lockedUntil }, 'Compte verrouillé après des échecs de connexion répétés.');
+    await logDataProcessing(user.id, 'account_locked', 'authentication', DataProcessingTypes.SECURITY, 'legitimate_interest');
+    
+    const ttl = Math.max(Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000), 1);
+    const unlockToken = await createOneTimeToken(ACCOUNT_UNLOCK_PURPOSE, { email: user.email }, ttl);
+    
+    if (!unlockToken) {
+      this.logger.error({ userId: user.id }, 'Impossible d\'enregistrer le lien de déverrouillage (Redis indisponible).');
+      return;
+    }
+    
+    const unlockLink = `${process.env.FRONTEND_URL}/auth/unlock-account?token=${unlockToken}`;
+    
+    this.notificationService.sendAccountLockedEmail(user.email, unlockLink, lockedUntil)
+      .catch(err => this.logger.error({ err, userId: user.id }, 'Échec de l\'envoi de l\'e-mail de verrouillage en arrière-plan.'));
+  }
+  
+  /**
+   * Déverrouille un compte à partir du lien reçu par email (usage unique)
+   * @param {string} token - Le token du lien
+   * @returns {Promise<void>}
+   */
+  async unlockAccount(token) {
+    const data = await consumeOneTimeToken(ACCOUNT_UNLOCK_PURPOSE, token);
+    
+    if (!data) {
+      throw new AppError('Lien de déverrouillage invalide ou expiré', 400, AuthErrorCodes.INVALID_UNLOCK_TOKEN);
+    }
+    
+    await clearLoginFailures(data.email);
+    this.logger.info('Compte déverrouillé par son titulaire.');
+  }
+  
+  /**
+   * Retourne l'état de verrouillage d'un compte (administration)
+   * @param {string} userId - ID de l'utilisateur
+   * @returns {Promise<Object>} { userId, email, locked, failures, lockedUntil, lastFailureAt }
+   */
+  async getAccountLockout(userId) {
+    const user = await this.dbClient.getUserById(userId);
+    
+    if (!user) {
+      throw new AppError('Utilisateur non trouvé', 404, AuthErrorCodes.USER_NOT_FOUND);
+    }
+    
     return {
-      user,
-      accessToken: accessToken,
-      refreshToken: refreshToken
+      userId: user.id,
+      email: user.email,
+      ...await getLockoutState(user.email)
     };
   }
   
+  /**
+   * Déverrouille un compte (administration)
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} adminId - ID de l'administrateur
+   * @returns {Promise<void>}
+   */
+  async unlockUserAccount(userId, adminId) {
+    const user = await this.dbClient.getUserById(userId);
+    
+    if (!user) {
+      throw new AppError('Utilisateur non trouvé', 404, AuthErrorCodes.USER_NOT_FOUND);
+    }
+    
+    await clearLoginFailures(user.email);
+    this.logger.info({ userId: user.id, adminId }, 'Compte déverrouillé par un administrateur.');
+  }
+  
+  /**
+   * Liste les seconds facteurs configurés par un utilisateur
+   * @param {Object} user - L'utilisateur
+   * @returns {Promise<string[]>} Les méthodes disponibles (totp, email, webauthn)
+   */
+  async getMfaMethods(user) {
+    const methods = [];
+    
+    if (user.totpEnabled) {
+      methods.push('totp');
+    }
+    
+    if (user.emailOtpEnabled) {
+      methods.push('email');
+    }
+    
+    const credentials = await this.dbClient.getUserWebAuthnCredentials(user.id);
+    if (credentials.length > 0) {
+      methods.push('webauthn');
+    }
+    
+    return methods;
+  }
+  
+  /**
+   * Crée le challenge MFA renvoyé à la place des tokens après un premier facteur valide
+   * @param {Object} user - L'utilisateur ayant validé son premier facteur
+   * @param {string[]} amr - Méthodes d'authentification déjà validées
+   * @param {Object} device - Appareil à l'origine de la connexion
+   * @param {string[]} mfaMethods - Seconds facteurs proposés à l'utilisateur
+   * @returns {Promise<Object>} Le challenge ({ mfaRequired, mfaToken, mfaMethods })
+   */
+  async createLoginMfaChallenge(user, amr, device, mfaMethods) {
+    const mfaToken = await createMfaChallenge({ userId: user.id, amr, device, methods: mfaMethods });
+    
+    if (!mfaToken) {
+      throw new AppError('Authentification multi-facteurs temporairement indisponible', 503, AuthErrorCodes.MFA_UNAVAILABLE);
+    }
+    
+    this.logger.info({ userId: user.id }, 'Premier facteur validé, second facteur requis.');
+    return { mfaRequired: true, mfaToken, mfaMethods };
+  }
+  
+  /**
+   * Ouvre une nouvelle session de première partie pour un utilisateur authentifié
+   * La session correspond à une famille de refresh tokens, dont l'identifiant est porté
+   * par les access tokens (claim sid).
+   * @param {Object} user - L'utilisateur authentifié
+   * @param {string[]} amr - Méthodes d'authentification utilisées (RFC 8176)
+   * @param {Object} device - Appareil à l'origine de la connexion ({ userAgent, ipAddress })
+   * @returns {Promise<Object>} L'access token et le refresh token de la session
+   */
+  async createSession(user, amr, device = {}) {
+    // Contexte d'authentification conservé avec la session (OIDC auth_time / amr)
+    const sessionId = crypto.randomUUID();
+    const authContext = { authTime: Math.floor(Date.now() / 1000), amr };
+    
+    const accessToken = await generateAccessToken(user, this.dbClient, { ...authContext, sessionId });
+    const refreshToken = await generateRefreshToken(user.id, this.dbClient, null, {
+      ...authContext,
+      ...device,
+      familyId: sessionId
+    });
+    
+    return { accessToken, refreshToken };
+  }
+  
   /**
    * Rafraîchit un access token à partir d'un refresh token
    * @param {string} refreshToken - Refresh token
+   * @param {Object} device - Appareil présentant le token ({ userAgent, ipAddress })
    * @returns {Promise<Object>} Nouveaux tokens
    */
-  async refreshToken(refreshToken) {
+  async refreshToken(refreshToken, device = {}) {
+    // Un token déjà remplacé ne doit jamais être représenté : c'est le signe d'un vol
+    const storedToken = await this.dbClient.getRefreshTokenByValue(refreshToken);
+    if (storedToken?.revokedAt && storedToken.familyId) {
+      await this.revokeRefreshTokenFamily(storedToken);
+      throw new AppError('Token de rafraîchissement déjà utilisé', 401, AuthErrorCodes.REFRESH_TOKEN_REUSED);
+    }
+    
     // La vérification du token se fait maintenant dans jwt.js via dbClient
     const refreshTokenData = await verifyRefreshToken(refreshToken, this.dbClient);
     
+    // Les sessions de première partie n'ont pas de client : un token émis à un client tiers
+    // ouvrirait ici une session de première partie (tous les scopes, routes d'administration)
+    if (refreshTokenData.clientId) {
+      throw new AppError('Token de rafraîchissement émis pour un client tiers', 401, AuthErrorCodes.INVALID_REFRESH_TOKEN);
+    }
+    
     // Récupérer l'utilisateur via db-service
     const user = await this.dbClient.getUserById(refreshTokenData.userId);
     
@@ -137,11 +558,20 @@ class AuthService {
       throw new AppError('Utilisateur non trouvé ou inactif', 401, AuthErrorCodes.UNAUTHORIZED);
     }
     
+    // Le contexte de l'authentification initiale est conservé au fil des rafraîchissements
+    // (les tokens émis avant l'introduction des familles ouvrent une nouvelle session)
+    const authContext = { authTime: refreshTokenData.authTime, amr: refreshTokenData.amr };
+    const sessionId = refreshTokenData.familyId || crypto.randomUUID();
+    
     // Générer un nouvel access token
-    const accessToken = await generateAccessToken(user, this.dbClient);
+    const accessToken = await generateAccessToken(user, this.dbClient, { ...authContext, sessionId });
     
-    // Générer un nouveau refresh token et révoquer l'ancien
-    const newRefreshToken = await generateRefreshToken(user.id, this.dbClient, refreshTokenData.clientId);
+    // Générer un nouveau refresh token dans la même famille et révoquer l'ancien
+    const newRefreshToken = await generateRefreshToken(user.id, this.dbClient, refreshTokenData.clientId, {
+      ...authContext,
+      ...device,
+      familyId: sessionId
+    });
     await revokeRefreshToken(refreshToken, this.dbClient);
     
     return {
@@ -152,31 +582,129 @@ class AuthService {
   }
   
   /**
-   * Révoque un refresh token (déconnexion)
-   * @param {string} refreshToken - Refresh token à révoquer
-   * @returns {Promise<boolean>} Résultat de l'opération
+   * Révoque toute une famille de refresh tokens après la réutilisation de l'un d'eux
+   * Le porteur légitime et l'attaquant perdent tous deux la session, qui doit être rouverte par login.
+   * @param {Object} refreshTokenData - Le refresh token réutilisé, tel qu'enregistré
+   * @returns {Promise<void>}
    */
-  async revokeToken(refreshToken) {
-    const result = await revokeRefreshToken(refreshToken, this.dbClient);
+  async revokeRefreshTokenFamily(refreshTokenData) {
+    this.logger.warn(
+      { userId: refreshTokenData.userId, clientId: refreshTokenData.clientId, familyId: refreshTokenData.familyId },
+      'Réutilisation d\'un refresh token détectée, révocation de la famille de tokens.'
+    );
+    
+    await this.dbClient.revokeAllUserRefreshTokens(refreshTokenData.userId, refreshTokenData.familyId);
+    incrementAuthAttempt('refresh', 'reuse');
+    
+    await logDataProcessing(
+      refreshTokenData.userId,
+      'refresh_token_reuse',
+      'authentication',
+      DataProcessingTypes.SECURITY,
+      'legitimate_interest'
+    );
+  }
+  
+  /**
+   * Révoque un refresh token ou un access token (RFC 7009)
+   * Sans identifiants client (frontend first-party), la possession du token suffit ;
+   * un client authentifié ne peut révoquer que les tokens qui lui ont été émis.
+   * @param {string} token - Token à révoquer
+   * @param {string} tokenTypeHint - Indication du type de token (access_token, refresh_token)
+   * @param {string} clientId - ID du client (optionnel)
+   * @param {string} clientSecret - Secret du client (optionnel)
+   * @returns {Promise<Object>} Résultat de l'opération
+   */
+  async revokeToken(token, tokenTypeHint, clientId, clientSecret) {
+    const client = clientId ? await this.authenticateClient(clientId, clientSecret) : null;
+    
+    // Un paramètre répété ou un objet JSON ne correspond à aucun token émis (RFC 7009 §2.2)
+    if (typeof token !== 'string') {
+      return {
+        success: true,
+        message: 'Token inconnu ou déjà invalide'
+      };
+    }
+    
+    const looksLikeJwt = token.split('.').length === 3;
+    const strategies = tokenTypeHint === 'access_token' || (!tokenTypeHint && looksLikeJwt)
+      ? [this.revokeAccessTokenValue, this.revokeRefreshTokenValue]
+      : [this.revokeRefreshTokenValue, this.revokeAccessTokenValue];
+    
+    for (const strategy of strategies) {
+      const result = await strategy.call(this, token, client);
+      if (result !== null) {
+        return {
+          success: result,
+          message: result ? 'Token révoqué avec succès' : 'Échec de la révocation du token'
+        };
+      }
+    }
     
+    // Un token inconnu ou déjà invalide n'est pas une erreur (RFC 7009 §2.2)
     return {
-      success: result,
-      message: result ? 'Token révoqué avec succès' : 'Échec de la révocation du token'
+      success: true,
+      message: 'Token inconnu ou déjà invalide'
     };
   }
   
   /**
-   * Traite une demande OAuth2 d'Authorization Code
-   * @param {string} clientId - ID du client
-   * @param {string} redirectUri - URI de redirection
-   * @param {string} scope - Scopes demandés
-   * @param {string} state - État à préserver
-   * @param {string} responseType - Type de réponse (code)
-   * @param {string} codeChallenge - Challenge PKCE (optional)
-   * @param {string} codeChallengeMethod - Méthode de challenge PKCE (optional)
-   * @returns {Promise<string>} URL de redirection avec code
+   * Révoque un refresh token stocké par le db-service
+   * @param {string} token - Le refresh token
+   * @param {Object|null} client - Le client authentifié à l'origine de la demande
+   * @returns {Promise<boolean|null>} Résultat de la révocation, ou null si le token est inconnu
+   */
+  async revokeRefreshTokenValue(token, client) {
+    const refreshToken = await this.dbClient.getRefreshTokenByValue(token).catch(() => null);
+    
+    if (!refreshToken) {
+      return null;
+    }
+    
+    if (client && refreshToken.clientId !== client.id) {
+      throw new AppError('Ce token n\'a pas été émis pour ce client', 400, AuthErrorCodes.INVALID_GRANT);
+    }
+    
+    return revokeRefreshToken(token, this.dbClient);
+  }
+  
+  /**
+   * Révoque un access token en inscrivant son jti dans la liste de révocation
+   * @param {string} token - L'access token JWT
+   * @param {Object|null} client - Le client authentifié à l'origine de la demande
+   * @returns {Promise<boolean|null>} Résultat de la révocation, ou null si le token est invalide
+   */
+  async revokeAccessTokenValue(token, client) {
+    const payload = await verifyAccessToken(token, this.dbClient).catch(() => null);
+    
+    if (!payload || !payload.jti) {
+      return null;
+    }
+    
+    if (client && payload.client_id !== client.clientId) {
+      throw new AppError('Ce token n\'a pas été émis pour ce client', 400, AuthErrorCodes.INVALID_GRANT);
+    }
+    
+    this.logger.info({ sub: payload.sub, jti: payload.jti }, 'Révocation d\'un access token.');
+    return revokeAccessToken(payload.jti, payload.exp);
+  }
+  
+  /**
+   * Valide les paramètres d'une demande d'autorisation OAuth2
+   * @param {Object} params - Paramètres de la demande
+   * @param {string} params.clientId - ID du client
+   * @param {string} params.redirectUri - URI de redirection
+   * @param {string} params.scope - Scopes demandés (séparés par des espaces)
+   * @param {string} params.responseType - Type de réponse (code)
+   * @param {string} params.codeChallenge - Challenge PKCE (optional)
+   * @param {string} params.codeChallengeMethod - Méthode de challenge PKCE (optional)
+   * @returns {Promise<Object>} Le client et la liste des scopes demandés
    */
-  async handleAuthorizationRequest(clientId, redirectUri, scope, state, responseType, codeChallenge, codeChallengeMethod) {
+  async validateAuthorizationRequest({ clientId, redirectUri, scope, responseType, codeChallenge, codeChallengeMethod }) {
+    if (!clientId || !redirectUri) {
+      throw new AppError('client_id et redirect_uri sont requis', 400, AuthErrorCodes.INVALID_REQUEST);
+    }
+    
     // Vérifier le client via db-service
     const client = await this.dbClient.getClientByClientId(clientId).catch(() => null);
     
@@ -192,16 +720,80 @@ class AuthService {
       throw new AppError('Type de réponse non supporté', 400, AuthErrorCodes.INVALID_GRANT_TYPE);
     }
     
-    const requestedScopes = scope.split(' ');
+    const requestedScopes = (scope || '').split(' ').filter(Boolean);
+    
+    if (requestedScopes.length === 0) {
+      throw new AppError('Au moins un scope est requis', 400, AuthErrorCodes.INVALID_SCOPE);
+    }
+    
     const invalidScopes = requestedScopes.filter(s => !client.allowedScopes.includes(s));
     
     if (invalidScopes.length > 0) {
       throw new AppError(`Scopes non autorisés: ${invalidScopes.join(', ')}`, 400, AuthErrorCodes.INVALID_SCOPE);
     }
     
+    // PKCE (RFC 7636) : obligatoire pour les clients publics ou configurés pour l'exiger
+    if (!codeChallenge && requiresPkce(client)) {
+      throw new AppError('code_challenge requis pour ce client (PKCE)', 400, AuthErrorCodes.INVALID_REQUEST);
+    }
+    
+    if (codeChallenge) {
+      if (!isValidPkceValue(codeChallenge)) {
+        throw new AppError('code_challenge invalide', 400, AuthErrorCodes.INVALID_REQUEST);
+      }
+      if (!CODE_CHALLENGE_METHODS.includes(codeChallengeMethod || 'plain')) {
+        throw new AppError('code_challenge_method non supportée', 400, AuthErrorCodes.INVALID_REQUEST);
+      }
+    }
+    
+    return { client, scopes: requestedScopes };
+  }
+  
+  /**
+   * Traite une demande OAuth2 d'Authorization Code pour un utilisateur authentifié
+   * @param {Object} params - Paramètres de la demande
+   * @param {string} params.userId - ID de l'utilisateur ayant donné son consentement
+   * @param {number} params.authTime - Date de l'authentification de l'utilisateur (timestamp en secondes)
+   * @param {string[]} params.amr - Méthodes d'authentification utilisées
+   * @param {Object} params.device - Appareil ayant donné le consentement ({ userAgent, ipAddress })
+   * @param {string} params.clientId - ID du client
+   * @param {string} params.redirectUri - URI de redirection
+   * @param {string} params.scope - Scopes demandés
+   * @param {string} params.state - État à préserver
+   * @param {string} params.responseType - Type de réponse (code)
+   * @param {string} params.nonce - Nonce OpenID Connect (optional)
+   * @param {string} params.codeChallenge - Challenge PKCE (optional)
+   * @param {string} params.codeChallengeMethod - Méthode de challenge PKCE (optional)
+   * @returns {Promise<string>} URL de redirection avec code
+   */
+  async handleAuthorizationRequest({ userId, authTime, amr, device = {}, clientId, redirectUri, scope, state, responseType, nonce, codeChallenge, codeChallengeMethod }) {
+    const { client, scopes } = await this.validateAuthorizationRequest({
+      clientId, redirectUri, scope, responseType, codeChallenge, codeChallengeMethod
+    });
+    
     const code = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + AUTHORIZATION_CODE_TTL_SECONDS * 1000);
+    
+    // Enregistrer le code d'autorisation dans le db-service
+    await this.dbClient.createAuthorizationCode({
+      code,
+      userId,
+      clientId: client.id,
+      redirectUri,
+      scope: scopes.join(' '),
+      nonce: nonce || null,
+      codeChallenge: codeChallenge || null,
+      codeChallengeMethod: codeChallenge ? (codeChallengeMethod || 'plain') : null,
+      authTime: authTime || null,
+      amr: amr || null,
+      userAgent: device.userAgent || null,
+      ipAddress: device.ipAddress || null,
+      expiresAt: expiresAt.toISOString()
+    });
+    
+    this.logger.info({ userId, clientId }, 'Code d\'autorisation émis.');
     
-    // TODO: Enregistrer le code d'autorisation dans le db-service
+    await logDataProcessing(userId, 'oauth_authorize', 'authentication', DataProcessingTypes.AUTHENTICATION, 'consent');
     
     const redirectUrl = new URL(redirectUri);
     redirectUrl.searchParams.append('code', code);
@@ -213,6 +805,38 @@ class AuthService {
     return redirectUrl.toString();
   }
   
+  /**
+   * Authentifie un client OAuth2 à partir de ses identifiants
+   * @param {string} clientId - ID du client
+   * @param {string} clientSecret - Secret du client
+   * @returns {Promise<Object>} Le client authentifié
+   */
+  async authenticateClient(clientId, clientSecret) {
+    if (!clientId) {
+      throw new AppError('Identifiants client requis', 401, AuthErrorCodes.INVALID_CLIENT_CREDENTIALS);
+    }
+    
+    const client = await this.dbClient.getClientByClientId(clientId).catch(() => null);
+    
+    if (!client || !client.active) {
+      throw new AppError('Client non trouvé ou inactif', 401, AuthErrorCodes.CLIENT_NOT_FOUND);
+    }
+    
+    // Client public : pas de secret, son identité est garantie par PKCE
+    if (!client.clientSecret && !clientSecret) {
+      return client;
+    }
+    
+    const expected = Buffer.from(String(client.clientSecret || ''));
+    const provided = Buffer.from(String(clientSecret || ''));
+    
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw new AppError('Secret client invalide', 401, AuthErrorCodes.INVALID_CLIENT_CREDENTIALS);
+    }
+    
+    return client;
+  }
+  
   /**
    * Échange un code d'autorisation contre des tokens
    * @param {string} code - Code d'autorisation
@@ -223,76 +847,551 @@ class AuthService {
    * @returns {Promise<Object>} Tokens générés
    */
   async exchangeCodeForTokens(code, clientId, clientSecret, redirectUri, codeVerifier) {
-    const client = await this.dbClient.getClientByClientId(clientId).catch(() => null);
+    const client = await this.authenticateClient(clientId, clientSecret);
     
-    if (!client || !client.active) {
-      throw new AppError('Client non trouvé ou inactif', 400, AuthErrorCodes.CLIENT_NOT_FOUND);
+    if (!code) {
+      throw new AppError('Code d\'autorisation requis', 400, AuthErrorCodes.INVALID_REQUEST);
     }
     
-    if (client.clientSecret !== clientSecret) {
-      throw new AppError('Secret client invalide', 401, AuthErrorCodes.INVALID_CLIENT_CREDENTIALS);
+    // Vérifier le code d'autorisation via db-service
+    const authorizationCode = await this.dbClient.getAuthorizationCode(code);
+    
+    if (!authorizationCode || authorizationCode.clientId !== client.id) {
+      throw new AppError('Code d\'autorisation invalide', 400, AuthErrorCodes.INVALID_GRANT);
     }
     
-    if (!client.redirectUris.includes(redirectUri)) {
-      throw new AppError('URI de redirection non autorisée', 400, AuthErrorCodes.INVALID_REDIRECT_URI);
+    if (authorizationCode.usedAt) {
+      await this.revokeTokensIssuedFromCode(authorizationCode);
+      throw new AppError('Code d\'autorisation déjà utilisé', 400, AuthErrorCodes.INVALID_GRANT);
+    }
+    
+    // Le code est à usage unique : il est consommé de manière atomique (SET NX) avant d'émettre
+    // les tokens, une seule requête concurrente l'emporte. Sans Redis, l'échange est refusé.
+    const usedAt = new Date().toISOString();
+    const consumed = await storeDataIfAbsent(
+      `${USED_AUTHORIZATION_CODE_PREFIX}${crypto.createHash('sha256').update(code).digest('hex')}`,
+      { usedAt },
+      AUTHORIZATION_CODE_TTL_SECONDS
+    );
+    
+    if (consumed === null) {
+      throw new AppError('Échange de code temporairement indisponible', 503, AuthErrorCodes.SERVICE_UNAVAILABLE);
+    }
+    
+    if (!consumed) {
+      throw new AppError('Code d\'autorisation déjà utilisé', 400, AuthErrorCodes.INVALID_GRANT);
+    }
+    
+    // Trace persistante de la consommation, pour détecter un rejeu ultérieur
+    await this.dbClient.updateAuthorizationCode(code, { usedAt });
+    
+    if (new Date(authorizationCode.expiresAt) < new Date()) {
+      throw new AppError('Code d\'autorisation expiré', 400, AuthErrorCodes.INVALID_GRANT);
+    }
+    
+    if (authorizationCode.redirectUri !== redirectUri) {
+      throw new AppError('URI de redirection différente de celle de la demande d\'autorisation', 400, AuthErrorCodes.INVALID_GRANT);
     }
     
-    // TODO: Vérifier le code d'autorisation via db-service
+    if (authorizationCode.codeChallenge) {
+      if (!verifyCodeChallenge(codeVerifier, authorizationCode.codeChallenge, authorizationCode.codeChallengeMethod)) {
+        throw new AppError('code_verifier invalide', 400, AuthErrorCodes.INVALID_GRANT);
+      }
+    } else if (requiresPkce(client)) {
+      throw new AppError('PKCE requis pour ce client', 400, AuthErrorCodes.INVALID_GRANT);
+    }
     
-    const user = await this.dbClient.getUserById(client.ownerId);
+    const user = await this.dbClient.getUserById(authorizationCode.userId);
     
     if (!user || !user.active) {
       throw new AppError('Utilisateur non trouvé ou inactif', 401, AuthErrorCodes.UNAUTHORIZED);
     }
     
-    const accessToken = await generateAccessToken(user, this.dbClient);
-    const refreshToken = await generateRefreshToken(user.id, this.dbClient, client.id);
-    const idToken = await generateIdToken(user, client.clientId, this.dbClient);
+    const scope = authorizationCode.scope;
+    const authContext = { authTime: authorizationCode.authTime, amr: authorizationCode.amr };
+    const sessionId = crypto.randomUUID();
+    const jti = crypto.randomUUID();
+    const accessToken = await generateAccessToken(user, this.dbClient, {
+      ...authContext,
+      scope,
+      clientId: client.clientId,
+      jti,
+      sessionId
+    });
+    const refreshToken = await generateRefreshToken(user.id, this.dbClient, client.id, {
+      ...authContext,
+      scope,
+      familyId: sessionId,
+      userAgent: authorizationCode.userAgent,
+      ipAddress: authorizationCode.ipAddress
+    });
+    const idToken = scope.split(' ').includes('openid')
+      ? await generateIdToken(user, client.clientId, this.dbClient, {
+        ...authContext,
+        scope,
+        client,
+        nonce: authorizationCode.nonce,
+        accessToken
+      })
+      : undefined;
+    
+    // Conserver la trace des tokens émis pour pouvoir les révoquer en cas de rejeu du code
+    await this.dbClient.updateAuthorizationCode(code, { refreshToken, accessTokenJti: jti, familyId: sessionId });
+    
+    incrementAuthAttempt('authorization_code', 'success');
     
     return {
-      success: true,
       access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: durationToSeconds(process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'),
       refresh_token: refreshToken,
-      id_token: idToken,
+      ...(idToken && { id_token: idToken }),
+      scope
+    };
+  }
+  
+  /**
+   * Émet un access token pour un client agissant pour son propre compte (grant client_credentials)
+   * @param {string} clientId - ID du client
+   * @param {string} clientSecret - Secret du client
+   * @param {string} scope - Scopes demandés (optionnel, tous les scopes autorisés par défaut)
+   * @returns {Promise<Object>} Réponse token OAuth2
+   */
+  async issueClientCredentialsToken(clientId, clientSecret, scope) {
+    const client = await this.authenticateClient(clientId, clientSecret);
+    
+    // Un client public ne peut pas s'authentifier et n'a donc pas accès à ce grant
+    if (!client.clientSecret) {
+      throw new AppError('Grant client_credentials réservé aux clients confidentiels', 401, AuthErrorCodes.INVALID_CLIENT_CREDENTIALS);
+    }
+    
+    if (Array.isArray(client.grantTypes) && !client.grantTypes.includes('client_credentials')) {
+      throw new AppError('Grant client_credentials non autorisé pour ce client', 400, AuthErrorCodes.INVALID_GRANT_TYPE);
+    }
+    
+    // Les scopes OpenID Connect n'ont pas de sens sans utilisateur final
+    const allowedScopes = client.allowedScopes.filter(s => s !== 'openid');
+    const requestedScopes = scope ? scope.split(' ').filter(Boolean) : allowedScopes;
+    const invalidScopes = requestedScopes.filter(s => !allowedScopes.includes(s));
+    
+    if (invalidScopes.length > 0) {
+      throw new AppError(`Scopes non autorisés: ${invalidScopes.join(', ')}`, 400, AuthErrorCodes.INVALID_SCOPE);
+    }
+    
+    const grantedScope = requestedScopes.join(' ');
+    const accessToken = await generateClientAccessToken(client, grantedScope, this.dbClient);
+    
+    this.logger.info({ clientId: client.clientId, scope: grantedScope }, 'Access token client_credentials émis.');
+    incrementAuthAttempt('client_credentials', 'success');
+    
+    // Pas de refresh token pour ce grant (RFC 6749 §4.4.3)
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: durationToSeconds(process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'),
+      scope: grantedScope
+    };
+  }
+  
+  /**
+   * Renouvelle les tokens d'un client tiers à partir de son refresh token (grant refresh_token)
+   * Le refresh token est remplacé à chaque usage par un nouveau de la même famille ; la présentation
+   * d'un token déjà remplacé révoque toute la famille. Les scopes ne peuvent qu'être restreints (RFC 6749 §6).
+   * @param {string} refreshToken - Refresh token émis au client
+   * @param {string} clientId - ID du client
+   * @param {string} clientSecret - Secret du client
+   * @param {string} scope - Scopes demandés (optionnel, ceux du refresh token par défaut)
+   * @returns {Promise<Object>} Réponse token OAuth2
+   */
+  async refreshClientTokens(refreshToken, clientId, clientSecret, scope) {
+    const client = await this.authenticateClient(clientId, clientSecret);
+    
+    if (!refreshToken) {
+      throw new AppError('Refresh token requis', 400, AuthErrorCodes.INVALID_REQUEST);
+    }
+    
+    const storedToken = await this.dbClient.getRefreshTokenByValue(refreshToken).catch(() => null);
+    
+    // Un client ne peut présenter que ses propres tokens (les sessions de première partie n'ont pas de client)
+    if (!storedToken || storedToken.clientId !== client.id) {
+      throw new AppError('Refresh token invalide', 400, AuthErrorCodes.INVALID_GRANT);
+    }
+    
+    if (storedToken.revokedAt) {
+      if (storedToken.familyId) {
+        await this.revokeRefreshTokenFamily(storedToken);
+      }
+      throw new AppError('Token de rafraîchissement déjà utilisé', 400, AuthErrorCodes.REFRESH_TOKEN_REUSED);
+    }
+    
+    if (new Date(storedToken.expiresAt) < new Date()) {
+      throw new AppError('Refresh token expiré', 400, AuthErrorCodes.INVALID_GRANT);
+    }
+    
+    const grantedScopes = (storedToken.scope || '').split(' ').filter(Boolean);
+    const requestedScopes = scope ? scope.split(' ').filter(Boolean) : grantedScopes;
+    const invalidScopes = requestedScopes.filter(s => !grantedScopes.includes(s));
+    
+    if (invalidScopes.length > 0) {
+      throw new AppError(`Scopes non accordés: ${invalidScopes.join(', ')}`, 400, AuthErrorCodes.INVALID_SCOPE);
+    }
+    
+    const user = await this.dbClient.getUserById(storedToken.userId);
+    
+    if (!user || !user.active) {
+      throw new AppError('Utilisateur non trouvé ou inactif', 401, AuthErrorCodes.UNAUTHORIZED);
+    }
+    
+    const grantedScope = requestedScopes.join(' ');
+    const authContext = { authTime: storedToken.authTime, amr: storedToken.amr };
+    const accessToken = await generateAccessToken(user, this.dbClient, {
+      ...authContext,
+      scope: grantedScope,
+      clientId: client.clientId,
+      sessionId: storedToken.familyId
+    });
+    // Le nouveau token conserve les scopes d'origine : une restriction ne vaut que pour cet access token
+    const newRefreshToken = await generateRefreshToken(user.id, this.dbClient, client.id, {
+      ...authContext,
+      scope: storedToken.scope,
+      familyId: storedToken.familyId,
+      userAgent: storedToken.userAgent,
+      ipAddress: storedToken.ipAddress
+    });
+    await revokeRefreshToken(refreshToken, this.dbClient);
+    
+    incrementAuthAttempt('refresh_token', 'success');
+    
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: durationToSeconds(process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'),
+      refresh_token: newRefreshToken,
+      scope: grantedScope
+    };
+  }
+  
+  /**
+   * Révoque les tokens émis à partir d'un code d'autorisation rejoué
+   * @param {Object} authorizationCode - Le code d'autorisation tel que stocké par le db-service
+   * @returns {Promise<void>}
+   */
+  async revokeTokensIssuedFromCode(authorizationCode) {
+    this.logger.warn(
+      { userId: authorizationCode.userId, clientId: authorizationCode.clientId },
+      'Rejeu d\'un code d\'autorisation détecté, révocation des tokens émis.'
+    );
+    
+    // Toute la famille : le refresh token émis a pu être renouvelé depuis l'échange
+    if (authorizationCode.familyId) {
+      await this.dbClient.revokeAllUserRefreshTokens(authorizationCode.userId, authorizationCode.familyId);
+    } else if (authorizationCode.refreshToken) {
+      await revokeRefreshToken(authorizationCode.refreshToken, this.dbClient);
+    }
+    
+    if (authorizationCode.accessTokenJti) {
+      const accessTokenExp = Math.floor(new Date(authorizationCode.usedAt).getTime() / 1000)
+        + durationToSeconds(process.env.ACCESS_TOKEN_EXPIRES_IN || '15m');
+      await revokeAccessToken(authorizationCode.accessTokenJti, accessTokenExp);
+    }
+    
+    await logDataProcessing(
+      authorizationCode.userId,
+      'authorization_code_replay',
+      'authentication',
+      DataProcessingTypes.SECURITY,
+      'legitimate_interest'
+    );
+  }
+  
+  /**
+   * Introspection d'un token (RFC 7662)
+   * @param {string} clientId - ID du client (resource server) appelant
+   * @param {string} clientSecret - Secret du client appelant
+   * @param {string} token - Le token à inspecter
+   * @param {string} tokenTypeHint - Indication du type de token (access_token, refresh_token)
+   * @returns {Promise<Object>} Réponse d'introspection ({ active: false } si le token n'est pas valide)
+   */
+  async introspectToken(clientId, clientSecret, token, tokenTypeHint) {
+    const client = await this.authenticateClient(clientId, clientSecret);
+    
+    if (!client.clientSecret) {
+      throw new AppError('Introspection réservée aux clients confidentiels', 401, AuthErrorCodes.INVALID_CLIENT_CREDENTIALS);
+    }
+    
+    // Un paramètre répété ou un objet JSON n'est pas un token
+    if (!token || typeof token !== 'string') {
+      throw new AppError('Paramètre token requis (chaîne de caractères)', 400, AuthErrorCodes.INVALID_REQUEST);
+    }
+    
+    // Un JWT se reconnaît à ses trois segments ; l'indication du client est prioritaire
+    const looksLikeJwt = token.split('.').length === 3;
+    const strategies = tokenTypeHint === 'refresh_token' || (!tokenTypeHint && !looksLikeJwt)
+      ? [this.introspectRefreshToken, this.introspectAccessToken]
+      : [this.introspectAccessToken, this.introspectRefreshToken];
+    
+    for (const strategy of strategies) {
+      const result = await strategy.call(this, token);
+      if (result) {
+        return { active: true, ...result };
+      }
+    }
+    
+    return { active: false };
+  }
+  
+  /**
+   * Inspecte un access token JWT
+   * @param {string} token - Le token à inspecter
+   * @returns {Promise<Object|null>} Les métadonnées du token, ou null s'il est invalide
+   */
+  async introspectAccessToken(token) {
+    const payload = await verifyAccessToken(token, this.dbClient).catch(() => null);
+    
+    if (!payload) {
+      return null;
+    }
+    
+    return {
+      sub: payload.sub,
+      scope: payload.scope,
+      client_id: payload.client_id,
+      username: payload.email,
       token_type: 'Bearer',
-      expires_in: 900
+      exp: payload.exp,
+      iat: payload.iat,
+      iss: payload.iss,
+      aud: payload.aud,
+      jti: payload.jti
+    };
+  }
+  
+  /**
+   * Inspecte un refresh token stocké par le db-service
+   * @param {string} token - Le token à inspecter
+   * @returns {Promise<Object|null>} Les métadonnées du token, ou null s'il est invalide ou révoqué
+   */
+  async introspectRefreshToken(token) {
+    const refreshToken = await this.dbClient.getRefreshTokenByValue(token).catch(() => null);
+    
+    if (!refreshToken || refreshToken.revokedAt || new Date(refreshToken.expiresAt) < new Date()) {
+      return null;
+    }
+    
+    const client = refreshToken.clientId
+      ? await this.dbClient.getClientById(refreshToken.clientId).catch(() => null)
+      : null;
+    
+    return {
+      sub: refreshToken.userId,
+      scope: refreshToken.scope,
+      client_id: client?.clientId,
+      token_type: 'refresh_token',
+      exp: Math.floor(new Date(refreshToken.expiresAt).getTime() / 1000),
+      iat: refreshToken.createdAt ? Math.floor(new Date(refreshToken.createdAt).getTime() / 1000) : undefined
     };
   }
   
+  /**
+   * Liste les sessions actives d'un utilisateur
+   * Une session correspond au refresh token courant d'une famille (voir createSession).
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} currentSessionId - Session de l'access token appelant (optionnel)
+   * @returns {Promise<Object[]>} Les sessions actives, la plus récemment utilisée en premier
+   */
+  async getSessions(userId, currentSessionId) {
+    const tokens = await this.getActiveRefreshTokens(userId);
+    
+    // Résoudre le nom des clients OAuth2 une seule fois par client
+    const clientIds = [...new Set(tokens.map(token => token.clientId).filter(Boolean))];
+    const clients = new Map(await Promise.all(
+      clientIds.map(async id => [id, await this.dbClient.getClientById(id).catch(() => null)])
+    ));
+    
+    return tokens
+      .map(token => ({
+        id: token.familyId || token.id,
+        device: describeDevice(token.userAgent),
+        userAgent: token.userAgent || null,
+        ipAddress: token.ipAddress || null,
+        clientName: clients.get(token.clientId)?.name || null,
+        createdAt: token.authTime ? new Date(token.authTime * 1000).toISOString() : token.createdAt,
+        lastUsedAt: token.createdAt,
+        current: Boolean(currentSessionId) && token.familyId === currentSessionId
+      }))
+      .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+  }
+  
+  /**
+   * Ferme une session de l'utilisateur en révoquant son refresh token
+   * Les access tokens déjà émis pour la session restent valides jusqu'à leur expiration.
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} sessionId - Identifiant de la session
+   * @returns {Promise<void>}
+   */
+  async revokeSession(userId, sessionId) {
+    const tokens = await this.getActiveRefreshTokens(userId);
+    const token = tokens.find(t => (t.familyId || t.id) === sessionId);
+    
+    if (!token) {
+      throw new AppError('Session non trouvée', 404, AuthErrorCodes.SESSION_NOT_FOUND);
+    }
+    
+    await revokeRefreshToken(token.token, this.dbClient);
+    
+    await logDataProcessing(
+      userId,
+      'revoke_session',
+      'authentication',
+      DataProcessingTypes.SECURITY,
+      'contract'
+    );
+  }
+  
+  /**
+   * Ferme toutes les sessions de l'utilisateur sauf la session courante
+   * Sans session courante identifiable, toutes les sessions sont fermées.
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} currentSessionId - Session de l'access token appelant (optionnel)
+   * @returns {Promise<number>} Le nombre de sessions fermées
+   */
+  async revokeOtherSessions(userId, currentSessionId) {
+    const tokens = await this.getActiveRefreshTokens(userId);
+    const others = tokens.filter(token => !currentSessionId || token.familyId !== currentSessionId);
+    
+    if (!currentSessionId) {
+      await this.dbClient.revokeAllUserRefreshTokens(userId);
+    } else {
+      await Promise.all(others.map(token => revokeRefreshToken(token.token, this.dbClient)));
+    }
+    
+    await logDataProcessing(
+      userId,
+      'revoke_other_sessions',
+      'authentication',
+      DataProcessingTypes.SECURITY,
+      'contract'
+    );
+    
+    return others.length;
+  }
+  
+  /**
+   * Récupère les refresh tokens non révoqués et non expirés d'un utilisateur
+   * @param {string} userId - ID de l'utilisateur
+   * @returns {Promise<Object[]>} Les refresh tokens actifs
+   */
+  async getActiveRefreshTokens(userId) {
+    const tokens = await this.dbClient.getUserRefreshTokens(userId) || [];
+    const now = new Date();
+    
+    return tokens.filter(token => !token.revokedAt && new Date(token.expiresAt) > now);
+  }
+  
   /**
    * Récupère les informations de l'utilisateur connecté
+   * Seuls les claims couverts par les scopes de l'access token sont renvoyés.
    * @param {string} userId - ID de l'utilisateur
+   * @param {Object} options - Contexte de l'access token (optionnel)
+   * @param {string} options.scope - Scopes accordés (par défaut ceux d'une session de première partie)
+   * @param {string} options.clientId - Client OAuth2 auquel le token a été délivré
    * @returns {Promise<Object>} Informations de l'utilisateur
    */
-  async getUserInfo(userId) {
+  async getUserInfo(userId, { scope, clientId } = {}) {
     const user = await this.dbClient.getUserById(userId);
     
     if (!user) {
       throw new AppError('Utilisateur non trouvé', 404, AuthErrorCodes.USER_NOT_FOUND);
     }
     
-    // Formater selon OpenID Connect (le format devrait déjà être bon depuis db-service)
-    return {
-      sub: user.id,
-      email: user.email,
-      email_verified: user.emailVerified,
-      name: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
-      given_name: user.firstName,
-      family_name: user.lastName,
-      picture: user.picture,
-      updated_at: user.updatedAt ? Math.floor(new Date(user.updatedAt).getTime() / 1000) : undefined
-    };
+    // Le client est nécessaire pour résoudre ses scopes personnalisés ; un client supprimé invalide ses tokens
+    const client = clientId ? await this.dbClient.getClientByClientId(clientId).catch(() => null) : null;
+    
+    if (clientId && !client) {
+      throw new AppError('Client du token introuvable', 401, AuthErrorCodes.TOKEN_INVALID);
+    }
+    const claims = getClaimsForScopes(user, scope || oidc.FIRST_PARTY_SCOPE, client);
+    
+    // L'état de sécurité du compte n'est exposé qu'aux sessions de première partie
+    if (!clientId) {
+      claims.recovery_codes_remaining = (user.recoveryCodes || []).length;
+    }
+    
+    return claims;
   }
 
+  /**
+   * Demande de réinitialisation du mot de passe
+   * N'indique jamais si le compte existe : l'appelant reçoit la même réponse dans tous les cas.
+   * @param {string} email - Email du compte
+   * @returns {Promise<void>}
+   */
+  async forgotPassword(email) {
+    const user = await this.dbClient.getUserByEmail(email).catch(() => null);
+    
+    if (!user || !user.active) {
+      this.logger.info('Demande de réinitialisation pour un compte inexistant ou inactif, ignorée.');
+      return;
+    }
+    
+    const ttl = durationToSeconds(process.env.PASSWORD_RESET_TOKEN_EXPIRES_IN || '15m');
+    const resetToken = await createOneTimeToken(PASSWORD_RESET_PURPOSE, { userId: user.id }, ttl);
+    
+    if (!resetToken) {
+      this.logger.error({ userId: user.id }, 'Impossible d\'enregistrer le token de réinitialisation (Redis indisponible).');
+      return;
+    }
+    
+    const resetLink = `${process.env.FRONTEND_URL}/auth/reset-password?token=${resetToken}`;
+    
+    this.notificationService.sendPasswordResetEmail(user.email, resetLink)
+      .catch(err => this.logger.error({ err, userId: user.id }, 'Échec de l\'envoi de l\'e-mail de réinitialisation en arrière-plan.'));
+    
+    await logDataProcessing(user.id, 'forgot_password', 'authentication', DataProcessingTypes.SECURITY, 'contract');
+  }
+  
+  /**
+   * Réinitialise le mot de passe à partir d'un token de réinitialisation
+   * Toutes les sessions existantes sont fermées (révocation des refresh tokens).
+   * @param {string} token - Le token reçu par email (usage unique)
+   * @param {string} newPassword - Le nouveau mot de passe en clair
+   * @returns {Promise<void>}
+   */
+  async resetPassword(token, newPassword) {
+    const data = await consumeOneTimeToken(PASSWORD_RESET_PURPOSE, token);
+    
+    if (!data) {
+      throw new AppError('Token de réinitialisation invalide ou expiré', 400, AuthErrorCodes.INVALID_RESET_TOKEN);
+    }
+    
+    const user = await this.dbClient.getUserById(data.userId);
+    
+    if (!user || !user.active) {
+      throw new AppError('Token de réinitialisation invalide ou expiré', 400, AuthErrorCodes.INVALID_RESET_TOKEN);
+    }
+    
+    // Le db-service se charge du hachage, comme à l'inscription
+    await this.dbClient.updateUser(user.id, { password: newPassword });
+    await this.dbClient.revokeAllUserRefreshTokens(user.id);
+    
+    this.logger.info({ userId: user.id }, 'Mot de passe réinitialisé, sessions existantes fermées.');
+    
+    await logDataProcessing(user.id, 'reset_password', 'authentication', DataProcessingTypes.SECURITY, 'contract');
+  }
+  
   /**
    * Vérifie l'email d'un utilisateur à partir d'un token
    * @param {string} token - Le token de vérification
    * @returns {Promise<Object>} L'utilisateur avec l'email vérifié
    */
   async verifyEmail(token) {
-    // 1. Vérifier le token
+    // 1. Vérifier le token et le consommer (usage unique)
     const payload = await verifyEmailVerificationToken(token, this.dbClient);
     
+    if (!await consumeEmailVerificationToken(payload)) {
+      throw new AppError('Token de vérification déjà utilisé', 400, 'INVALID_VERIFICATION_TOKEN');
+    }
+    
     // 2. Récupérer l'utilisateur
     const user = await this.dbClient.getUserById(payload.sub);
     if (!user) {
@@ -319,21 +1418,61 @@ class AuthService {
     return { user: updatedUser, message: 'Email vérifié avec succès.' };
   }
 
+  /**
+   * Construit le document de découverte OpenID Connect
+   * @returns {Promise<Object>} Métadonnées du fournisseur (OpenID Connect Discovery 1.0)
+   */
+  async getOpenIdConfiguration() {
+    const issuer = process.env.API_URL;
+    const authBaseUrl = `${issuer}/api/v1/auth`;
+    
+    // Les algorithmes annoncés sont ceux des clés effectivement publiées
+    const jwks = await this.getJwks().catch(() => ({ keys: [] }));
+    const signingAlgorithms = [...new Set(jwks.keys.map(key => key.alg).filter(Boolean))];
+    
+    return {
+      issuer,
+      authorization_endpoint: `${authBaseUrl}/authorize`,
+      token_endpoint: `${authBaseUrl}/token`,
+      userinfo_endpoint: `${authBaseUrl}/me`,
+      jwks_uri: `${authBaseUrl}/jwks.json`,
+      revocation_endpoint: `${authBaseUrl}/revoke`,
+      introspection_endpoint: `${authBaseUrl}/introspect`,
+      scopes_supported: oidc.SCOPES,
+      response_types_supported: oidc.RESPONSE_TYPES,
+      response_modes_supported: ['query'],
+      grant_types_supported: oidc.GRANT_TYPES,
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: signingAlgorithms.length > 0 ? signingAlgorithms : [oidc.DEFAULT_SIGNING_ALGORITHM],
+      token_endpoint_auth_methods_supported: oidc.TOKEN_ENDPOINT_AUTH_METHODS,
+      revocation_endpoint_auth_methods_supported: oidc.TOKEN_ENDPOINT_AUTH_METHODS,
+      introspection_endpoint_auth_methods_supported: oidc.TOKEN_ENDPOINT_AUTH_METHODS.filter(method => method !== 'none'),
+      code_challenge_methods_supported: CODE_CHALLENGE_METHODS,
+      acr_values_supported: Object.values(oidc.ACR_VALUES),
+      claims_supported: oidc.CLAIMS
+    };
+  }
+
   /**
    * Récupère les clés publiques au format JWKS
    * @returns {Promise<Object>} JWKS
    */
   async getJwks() {
-    this.logger.info('Récupération des clés JWKS depuis db-service.');
-    const jwks = await this.dbClient.getActiveKeyPairs();
+    this.logger.info('Récupération des clés JWKS depuis le magasin de clés.');
+    const keyPairs = await getKeyStore(this.dbClient).getKeyPairs();
+
+    // Clé suivante pré-publiée, clé active et clés retirées encore valides
+    const keys = keyPairs
+      .filter(keyPair => PUBLISHED_KEY_STATUSES.includes(keyPair.status) && isVerificationKey(keyPair))
+      .map(toPublicJwk);
 
-    if (!jwks || !jwks.keys || jwks.keys.length === 0) {
-      this.logger.warn('Aucune clé JWK active retournée par le db-service.');
+    if (keys.length === 0) {
+      this.logger.warn('Aucune clé JWK publiable retournée par le magasin de clés.');
       return { keys: [] };
     }
 
-    this.logger.info(`JWKS récupéré avec succès contenant ${jwks.keys.length} clé(s).`);
-    return jwks;
+    this.logger.info(`JWKS récupéré avec succès contenant ${keys.length} clé(s).`);
+    return { keys };
   }
 }
 
@@ -187,7 +187,100 @@ class DbServiceClient {
     const response = await this.client.put(`/api/v1/clients/${clientId}`, updateData);
     return response.data.data;
   }
-  
+
+  // ==============================================
+  // 🎫 GESTION DES CODES D'AUTORISATION
+  // ==============================================
+
+  /**
+   * Créer un code d'autorisation
+   */
+  async createAuthorizationCode(codeData) {
+    const response = await this.client.post('/api/v1/authorization-codes', codeData);
+    return response.data.data;
+  }
+
+  /**
+   * Récupérer un code d'autorisation par sa valeur
+   */
+  async getAuthorizationCode(code) {
+    try {
+      const response = await this.client.get(`/api/v1/authorization-codes/by-code/${code}`);
+      return response.data.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mettre à jour un code d'autorisation (consommation, tokens émis)
+   */
+  async updateAuthorizationCode(code, updateData) {
+    const response = await this.client.put(`/api/v1/authorization-codes/by-code/${code}`, updateData);
+    return response.data.data;
+  }
+
+  // ==============================================
+  // 🔐 GESTION DES CLÉS WEBAUTHN (PASSKEYS)
+  // ==============================================
+
+  /**
+   * Enregistrer une clé WebAuthn pour un utilisateur
+   */
+  async createWebAuthnCredential(credentialData) {
+    const response = await this.client.post('/api/v1/webauthn-credentials', credentialData);
+    return response.data.data;
+  }
+
+  /**
+   * Récupérer les clés WebAuthn d'un utilisateur
+   */
+  async getUserWebAuthnCredentials(userId) {
+    try {
+      const response = await this.client.get(`/api/v1/webauthn-credentials/user/${userId}`);
+      return response.data.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Récupérer une clé WebAuthn par son identifiant de credential (base64url)
+   */
+  async getWebAuthnCredentialByCredentialId(credentialId) {
+    try {
+      const response = await this.client.get(`/api/v1/webauthn-credentials/by-credential-id/${credentialId}`);
+      return response.data.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mettre à jour une clé WebAuthn (nom, compteur de signature, dernière utilisation)
+   */
+  async updateWebAuthnCredential(id, updateData) {
+    const response = await this.client.put(`/api/v1/webauthn-credentials/${id}`, updateData);
+    return response.data.data;
+  }
+
+  /**
+   * Supprimer une clé WebAuthn
+   */
+  async deleteWebAuthnCredential(id) {
+    const response = await this.client.delete(`/api/v1/webauthn-credentials/${id}`);
+    return response.data;
+  }
+
   // ==============================================
   // 🔑 GESTION DES CLÉS (JWKS)
   // ==============================================
@@ -216,11 +309,13 @@ class DbServiceClient {
   }
 
   /**
-   * Récupérer la paire de clés active
+   * Récupérer la paire de clés active (pour un algorithme de signature, si précisé)
    */
-  async getActiveKeyPair() {
+  async getActiveKeyPair(algorithm) {
     try {
-      const response = await this.client.get('/api/v1/keys/active');
+      const response = await this.client.get('/api/v1/keys/active', {
+        params: algorithm ? { algorithm } : undefined
+      });
       return response.data.data;
     } catch (error) {
       if (error.response?.status === 404) {
@@ -237,6 +332,37 @@ class DbServiceClient {
     const response = await this.client.get('/api/v1/keys/jwks');
     return response.data;
   }
+
+  /**
+   * Récupérer toutes les paires de clés (tous statuts, pour la rotation)
+   */
+  async getKeyPairs() {
+    try {
+      const response = await this.client.get('/api/v1/keys');
+      return response.data.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mettre à jour une paire de clés (statut, dates de cycle de vie)
+   */
+  async updateKeyPair(kid, updateData) {
+    const response = await this.client.put(`/api/v1/keys/kid/${kid}`, updateData);
+    return response.data.data;
+  }
+
+  /**
+   * Supprimer une paire de clés
+   */
+  async deleteKeyPair(kid) {
+    const response = await this.client.delete(`/api/v1/keys/kid/${kid}`);
+    return response.data;
+  }
   
   // ==============================================
   // 🔄 GESTION DES REFRESH TOKENS
@@ -285,10 +411,13 @@ class DbServiceClient {
   }
   
   /**
-   * Révoquer tous les refresh tokens d'un utilisateur
+   * Révoquer tous les refresh tokens d'un utilisateur (ou d'une seule famille de tokens)
    */
-  async revokeAllUserRefreshTokens(userId) {
-    const response = await this.client.post(`/api/v1/refresh-tokens/user/${userId}/revoke-all`);
+  async revokeAllUserRefreshTokens(userId, familyId = null) {
+    const response = await this.client.post(
+      `/api/v1/refresh-tokens/user/${userId}/revoke-all`,
+      familyId ? { familyId } : undefined
+    );
     return response.data;
   }
   
@@ -0,0 +1,173 @@
+/**
+ * Magasin de clés de signature sur le système de fichiers (alternative aux clés du db-service)
+ * Sélectionné par KEYSTORE=file (voir config/keystore.js).
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_KEY_ALGORITHM, KEY_STATUS, toPublicJwk } = require('../utils/signing-keys');
+
+// Paramètres publics des JWK RSA, EC et OKP
+const PUBLIC_JWK_PARAMS = ['kty', 'crv', 'n', 'e', 'x', 'y'];
+const JWKS_FILENAME = 'jwks.json';
+
+/**
+ * Magasin de clés sous forme d'un JWK set (KEYSTORE_PATH/jwks.json)
+ * Chaque entrée est la JWK publique de la clé, complétée de son cycle de vie (status, publishedAt,
+ * activatedAt, retiredAt, expiresAt...) et de sa clé privée chiffrée par la KEK (privateKey).
+ * Expose les mêmes méthodes que le client du db-service pour les clés : le service signe sans
+ * dépendre du db-service. Les écritures d'un processus sont sérialisées et atomiques (fichier
+ * temporaire puis renommage) ; plusieurs réplicas doivent partager le même volume.
+ */
+class FileKeyStore {
+  constructor(directory, logger) {
+    this.directory = directory;
+    this.filePath = path.join(directory, JWKS_FILENAME);
+    this.logger = logger || console;
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Vérifie que le répertoire des clés existe et est accessible en écriture
+   */
+  async testConnection() {
+    await fs.promises.mkdir(this.directory, { recursive: true, mode: 0o700 });
+    await fs.promises.access(this.directory, fs.constants.R_OK | fs.constants.W_OK);
+    return true;
+  }
+
+  /**
+   * Créer une paire de clés
+   */
+  async createKeyPair(keyPairData) {
+    const keyPair = { ...keyPairData, createdAt: keyPairData.createdAt || new Date().toISOString() };
+
+    await this.update((entries) => {
+      if (entries.some(entry => entry.kid === keyPair.kid)) {
+        throw new Error(`La clé ${keyPair.kid} existe déjà dans le magasin de clés`);
+      }
+      return [...entries, toEntry(keyPair)];
+    });
+
+    return keyPair;
+  }
+
+  /**
+   * Récupérer une paire de clés par kid
+   */
+  async getKeyPairByKid(kid) {
+    const keyPairs = await this.getKeyPairs();
+    return keyPairs.find(keyPair => keyPair.kid === kid) || null;
+  }
+
+  /**
+   * Récupérer la paire de clés active (pour un algorithme de signature, si précisé)
+   */
+  async getActiveKeyPair(algorithm) {
+    const keyPairs = await this.getKeyPairs();
+    return keyPairs
+      .filter(keyPair => keyPair.status === KEY_STATUS.ACTIVE && (!algorithm || keyPair.algorithm === algorithm))
+      .sort((a, b) => new Date(b.activatedAt || b.createdAt) - new Date(a.activatedAt || a.createdAt))[0] || null;
+  }
+
+  /**
+   * Récupérer toutes les paires de clés (tous statuts)
+   */
+  async getKeyPairs() {
+    const entries = await this.read();
+    return entries.map(fromEntry);
+  }
+
+  /**
+   * Mettre à jour une paire de clés (statut, dates de cycle de vie, clé privée ré-chiffrée)
+   */
+  async updateKeyPair(kid, updateData) {
+    let updated = null;
+
+    await this.update(entries => entries.map((entry) => {
+      if (entry.kid !== kid) {
+        return entry;
+      }
+      updated = { ...fromEntry(entry), ...updateData, kid };
+      return toEntry(updated);
+    }));
+
+    if (!updated) {
+      throw new Error(`Clé ${kid} introuvable dans le magasin de clés`);
+    }
+    return updated;
+  }
+
+  /**
+   * Supprimer une paire de clés
+   */
+  async deleteKeyPair(kid) {
+    await this.update(entries => entries.filter(entry => entry.kid !== kid));
+    return { success: true };
+  }
+
+  /**
+   * Lit les entrées du JWK set (aucune clé si le fichier n'existe pas encore)
+   * @returns {Promise<Object[]>} Les entrées
+   */
+  async read() {
+    try {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      return JSON.parse(content).keys || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Applique une modification au JWK set, après les écritures en cours de ce processus
+   * @param {Function} mutate - Reçoit les entrées et retourne les nouvelles entrées
+   * @returns {Promise<void>}
+   */
+  update(mutate) {
+    const write = this.writes.then(async () => {
+      const entries = mutate(await this.read());
+
+      await fs.promises.mkdir(this.directory, { recursive: true, mode: 0o700 });
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, `${JSON.stringify({ keys: entries }, null, 2)}\n`, { mode: 0o600 });
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+
+    // Une écriture en échec ne bloque pas les suivantes
+    this.writes = write.catch(() => {});
+    return write;
+  }
+}
+
+/**
+ * Convertit une paire de clés en entrée du JWK set
+ * @param {Object} keyPair - La paire de clés (clé publique SPKI)
+ * @returns {Object} La JWK publique avec les métadonnées et la clé privée
+ */
+const toEntry = (keyPair) => {
+  const { publicKey, algorithm, ...metadata } = keyPair;
+  return { ...toPublicJwk(keyPair), ...metadata };
+};
+
+/**
+ * Convertit une entrée du JWK set en paire de clés, au format du db-service
+ * @param {Object} entry - L'entrée
+ * @returns {Object} La paire de clés (clé publique SPKI)
+ */
+const fromEntry = (entry) => {
+  const jwk = Object.fromEntries(PUBLIC_JWK_PARAMS.filter(param => entry[param]).map(param => [param, entry[param]]));
+  const metadata = Object.fromEntries(Object.entries(entry)
+    .filter(([name]) => !PUBLIC_JWK_PARAMS.includes(name) && !['alg', 'use'].includes(name)));
+
+  return {
+    ...metadata,
+    algorithm: entry.alg || DEFAULT_KEY_ALGORITHM,
+    publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' })
+  };
+};
+
+module.exports = FileKeyStore;
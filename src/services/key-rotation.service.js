@@ -0,0 +1,394 @@
+const crypto = require('crypto');
+const { AppError, AuthErrorCodes } = require('../middlewares/errorHandler');
+const { incrementJwkRotation } = require('../middlewares/metrics');
+const { getRedisClient } = require('../config/redis');
+const { getKeyStore } = require('../config/keystore');
+const { durationToSeconds } = require('../utils/duration');
+const { invalidateKeyCache } = require('../utils/key-cache');
+const { wrapPrivateKey } = require('../utils/key-encryption');
+const {
+  KEY_STATUS,
+  DEFAULT_KEY_ALGORITHM,
+  isSupportedKeyAlgorithm,
+  getSigningAlgorithms,
+  generateSigningKeyPair
+} = require('../utils/signing-keys');
+
+// Verrou Redis : une seule réplica fait tourner les clés à chaque vérification
+const ROTATION_LOCK_KEY = 'key_rotation:lock';
+const ROTATION_LOCK_TTL_SECONDS = 300;
+
+/**
+ * Politique de rotation, lue à chaque appel pour suivre la configuration
+ * @returns {Object} Durées en secondes
+ */
+const getRotationPolicy = () => ({
+  // Durée de vie d'une clé active (politique de sécurité : 90 jours)
+  intervalSeconds: durationToSeconds(process.env.KEY_ROTATION_INTERVAL || '90d'),
+  // Durée de publication de la clé suivante dans le JWKS avant sa promotion
+  prepublishSeconds: durationToSeconds(process.env.KEY_ROTATION_PREPUBLISH || '2d'),
+  checkIntervalSeconds: durationToSeconds(process.env.KEY_ROTATION_CHECK_INTERVAL || '1h')
+});
+
+/**
+ * Durée de vie maximale d'un token signé avec les clés de signature
+ * Une clé retirée reste vérifiable au moins aussi longtemps.
+ * @returns {number} La durée en secondes
+ */
+const getMaxSignedTokenLifetime = () => Math.max(
+  durationToSeconds(process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'),
+  durationToSeconds(process.env.ID_TOKEN_EXPIRES_IN || '1h'),
+  durationToSeconds(process.env.MAGIC_LINK_EXPIRES_IN || '15m'),
+  // Tokens de vérification d'email
+  durationToSeconds('24h')
+);
+
+const timeOf = (date) => (date ? new Date(date).getTime() : 0);
+
+const activatedAtOf = (keyPair) => timeOf(keyPair.activatedAt || keyPair.createdAt);
+
+const publishedAtOf = (keyPair) => timeOf(keyPair.publishedAt || keyPair.createdAt);
+
+// Les clés révoquées avant l'enregistrement de leur date d'expiration la déduisent de leur révocation
+const expiresAtOf = (keyPair) => (!keyPair.expiresAt && keyPair.status === KEY_STATUS.REVOKED && keyPair.revokedAt
+  ? timeOf(keyPair.revokedAt) + getMaxSignedTokenLifetime() * 1000
+  : timeOf(keyPair.expiresAt));
+
+const algorithmOf = (keyPair) => keyPair.algorithm || DEFAULT_KEY_ALGORITHM;
+
+/**
+ * Clés actives d'un algorithme, de la plus récente à la plus ancienne
+ * @param {Object[]} keys - Les clés existantes
+ * @param {string} algorithm - L'algorithme
+ * @returns {Object[]} Les clés actives
+ */
+const activeKeysOf = (keys, algorithm) => keys
+  .filter(key => key.status === KEY_STATUS.ACTIVE && algorithmOf(key) === algorithm)
+  .sort((a, b) => activatedAtOf(b) - activatedAtOf(a));
+
+/**
+ * Service de rotation des clés de signature
+ * Chaque algorithme configuré (SIGNING_KEY_ALGORITHMS) a sa propre clé active et tourne indépendamment.
+ * La clé suivante est pré-publiée dans le JWKS avant la fin de vie de la clé active, puis promue ;
+ * l'ancienne clé est retirée mais reste vérifiable jusqu'à l'expiration des tokens qu'elle a signés.
+ */
+class KeyRotationService {
+  constructor({ dbClient, logger }) {
+    if (!dbClient) {
+      throw new Error('KeyRotationService: dbClient is required');
+    }
+    // Clés du db-service ou magasin fichier, selon KEYSTORE
+    this.keyStore = getKeyStore(dbClient);
+    this.logger = logger || console;
+    this.timer = null;
+    this.lockOwner = crypto.randomUUID();
+  }
+
+  /**
+   * Démarre la vérification périodique (désactivable avec KEY_ROTATION_ENABLED=false)
+   */
+  start() {
+    if (process.env.KEY_ROTATION_ENABLED === 'false' || this.timer) {
+      return;
+    }
+
+    const run = () => this.runRotation().catch((error) => {
+      this.logger.error({ err: error }, 'Échec de la vérification de rotation des clés de signature.');
+    });
+
+    this.timer = setInterval(run, getRotationPolicy().checkIntervalSeconds * 1000);
+    this.timer.unref();
+    run();
+  }
+
+  /**
+   * Arrête la vérification périodique
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Fait avancer le cycle de vie des clés : pré-publication, promotion, retrait et purge
+   * @returns {Promise<Object>} Les kids concernés par chaque action ({ published, promoted, retired, purged })
+   */
+  async runRotation() {
+    const result = { published: [], promoted: [], retired: [], purged: [] };
+
+    if (!(await this.acquireLock())) {
+      return result;
+    }
+
+    try {
+      const keys = await this.keyStore.getKeyPairs();
+
+      for (const algorithm of getSigningAlgorithms()) {
+        await this.rotateAlgorithm(keys, algorithm, result);
+      }
+
+      result.purged = await this.purgeRetiredKeys(keys);
+
+      if (Object.values(result).some(kids => kids.length > 0)) {
+        await invalidateKeyCache();
+      }
+      return result;
+    } finally {
+      await this.releaseLock();
+    }
+  }
+
+  /**
+   * Fait avancer le cycle de vie des clés d'un algorithme
+   * @param {Object[]} keys - Les clés existantes
+   * @param {string} algorithm - L'algorithme
+   * @param {Object} result - Les actions effectuées, complétées au fil de l'eau
+   * @returns {Promise<void>}
+   */
+  async rotateAlgorithm(keys, algorithm, result) {
+    const { intervalSeconds, prepublishSeconds } = getRotationPolicy();
+    const now = Date.now();
+    const [active, ...staleActive] = activeKeysOf(keys, algorithm);
+    const next = keys.find(key => key.status === KEY_STATUS.NEXT && algorithmOf(key) === algorithm);
+
+    // Une rotation interrompue peut laisser plusieurs clés actives : seule la plus récente signe
+    for (const key of staleActive) {
+      await this.retireKey(key);
+      result.retired.push(key.kid);
+    }
+
+    if (!active) {
+      // Aucune clé active : promouvoir la clé suivante sans attendre, ou en créer une
+      const key = next ? await this.promoteKey(next) : await this.createKey(KEY_STATUS.ACTIVE, algorithm);
+      result.promoted.push(key.kid);
+      return;
+    }
+
+    const rotationDueAt = activatedAtOf(active) + intervalSeconds * 1000;
+
+    if (!next && now >= rotationDueAt - prepublishSeconds * 1000) {
+      const key = await this.createKey(KEY_STATUS.NEXT, algorithm);
+      result.published.push(key.kid);
+      this.logger.info({ kid: key.kid, algorithm }, 'Clé de signature suivante pré-publiée dans le JWKS.');
+    } else if (next && now >= rotationDueAt && now >= publishedAtOf(next) + prepublishSeconds * 1000) {
+      await this.promoteKey(next);
+      await this.retireKey(active);
+      result.promoted.push(next.kid);
+      result.retired.push(active.kid);
+    }
+  }
+
+  /**
+   * Rotation d'urgence : une nouvelle clé signe immédiatement, sans pré-publication
+   * Les clés suivantes en attente sont supprimées (elles ont pu être exposées avec les actives).
+   * Elle prend le verrou de la vérification périodique, pour ne pas entrelacer leurs changements de statut.
+   * @param {Object} options - Options de la rotation
+   * @param {string} options.algorithm - Algorithme à faire tourner (par défaut tous les algorithmes configurés)
+   * @param {boolean} options.revokePrevious - Révoquer les anciennes clés (tous leurs tokens sont rejetés)
+   * plutôt que les retirer (leurs tokens restent valides jusqu'à leur expiration)
+   * @param {string} options.adminId - Administrateur à l'origine de la rotation
+   * @returns {Promise<Object>} Les nouvelles clés et le sort des anciennes
+   */
+  async rotateNow({ algorithm, revokePrevious = false, adminId } = {}) {
+    if (algorithm && !isSupportedKeyAlgorithm(algorithm)) {
+      throw new AppError(`Algorithme de signature non pris en charge: ${algorithm}`, 400, AuthErrorCodes.INVALID_REQUEST);
+    }
+
+    if (!(await this.acquireLock())) {
+      throw new AppError('Une rotation des clés est déjà en cours, veuillez réessayer', 409, AuthErrorCodes.KEY_ROTATION_IN_PROGRESS);
+    }
+
+    const algorithms = algorithm ? [algorithm] : getSigningAlgorithms();
+    const created = [];
+    const previous = [];
+
+    try {
+      const keys = await this.keyStore.getKeyPairs();
+
+      for (const rotatedAlgorithm of algorithms) {
+        created.push(await this.createKey(KEY_STATUS.ACTIVE, rotatedAlgorithm));
+      }
+
+      for (const existing of keys.filter(key => algorithms.includes(algorithmOf(key)))) {
+        if (existing.status === KEY_STATUS.ACTIVE) {
+          if (revokePrevious) {
+            await this.revokeKey(existing);
+          } else {
+            await this.retireKey(existing);
+          }
+          previous.push(existing.kid);
+        } else if (existing.status === KEY_STATUS.NEXT) {
+          await this.keyStore.deleteKeyPair(existing.kid);
+        }
+      }
+    } finally {
+      await invalidateKeyCache();
+      await this.releaseLock();
+    }
+
+    incrementJwkRotation();
+    this.logger.warn({ kids: created.map(key => key.kid), previous, revokePrevious, adminId }, 'Rotation d\'urgence des clés de signature.');
+
+    return {
+      keys: created.map(key => ({ kid: key.kid, algorithm: key.algorithm, activatedAt: key.activatedAt })),
+      [revokePrevious ? 'revoked' : 'retired']: previous
+    };
+  }
+
+  /**
+   * Liste les clés de signature et leur cycle de vie (sans leur partie privée)
+   * Les clés actives indiquent la date de leur prochaine rotation (rotatesAt).
+   * @returns {Promise<Object[]>} Les clés
+   */
+  async listKeys() {
+    const { intervalSeconds } = getRotationPolicy();
+    const keys = await this.keyStore.getKeyPairs();
+
+    return keys.map(key => ({
+      kid: key.kid,
+      algorithm: algorithmOf(key),
+      status: key.status,
+      publishedAt: key.publishedAt || key.createdAt || null,
+      activatedAt: key.activatedAt || null,
+      retiredAt: key.retiredAt || null,
+      expiresAt: key.expiresAt || null,
+      ...(key.status === KEY_STATUS.ACTIVE && {
+        rotatesAt: new Date(activatedAtOf(key) + intervalSeconds * 1000).toISOString()
+      })
+    }));
+  }
+
+  /**
+   * Crée une clé active pour chaque algorithme configuré qui n'en a pas (initialisation du service)
+   * @returns {Promise<Object[]>} Les clés créées
+   */
+  async ensureActiveKeys() {
+    const keys = await this.keyStore.getKeyPairs();
+    const created = [];
+
+    for (const algorithm of getSigningAlgorithms()) {
+      if (activeKeysOf(keys, algorithm).length === 0) {
+        created.push(await this.createKey(KEY_STATUS.ACTIVE, algorithm));
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Génère et enregistre une nouvelle clé
+   * @param {string} status - Statut initial (NEXT ou ACTIVE)
+   * @param {string} algorithm - Algorithme de signature
+   * @returns {Promise<Object>} La clé enregistrée
+   */
+  async createKey(status, algorithm = DEFAULT_KEY_ALGORITHM) {
+    const generated = await generateSigningKeyPair(status, algorithm);
+    // La clé privée n'est transmise au db-service que chiffrée par la KEK
+    const keyData = { ...generated, privateKey: wrapPrivateKey(generated.privateKey, generated.kid) };
+    const keyPair = await this.keyStore.createKeyPair(keyData);
+    return { ...keyData, ...keyPair };
+  }
+
+  /**
+   * Promeut une clé : elle signe désormais les nouveaux tokens
+   * @param {Object} keyPair - La clé à promouvoir
+   * @returns {Promise<Object>} La clé promue
+   */
+  async promoteKey(keyPair) {
+    const activatedAt = new Date().toISOString();
+    await this.keyStore.updateKeyPair(keyPair.kid, { status: KEY_STATUS.ACTIVE, activatedAt });
+
+    incrementJwkRotation();
+    this.logger.info({ kid: keyPair.kid, algorithm: algorithmOf(keyPair) }, 'Nouvelle clé de signature active.');
+    return { ...keyPair, status: KEY_STATUS.ACTIVE, activatedAt };
+  }
+
+  /**
+   * Retire une clé : elle ne signe plus, mais vérifie encore les tokens en circulation
+   * @param {Object} keyPair - La clé à retirer
+   * @returns {Promise<void>}
+   */
+  async retireKey(keyPair) {
+    const now = Date.now();
+
+    await this.keyStore.updateKeyPair(keyPair.kid, {
+      status: KEY_STATUS.RETIRED,
+      retiredAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + getMaxSignedTokenLifetime() * 1000).toISOString()
+    });
+    this.logger.info({ kid: keyPair.kid }, 'Clé de signature retirée.');
+  }
+
+  /**
+   * Révoque une clé : ses tokens sont rejetés immédiatement
+   * Elle reste listée jusqu'à la date d'expiration qu'auraient eue ses tokens, puis est supprimée.
+   * @param {Object} keyPair - La clé à révoquer
+   * @returns {Promise<void>}
+   */
+  async revokeKey(keyPair) {
+    const now = Date.now();
+
+    await this.keyStore.updateKeyPair(keyPair.kid, {
+      status: KEY_STATUS.REVOKED,
+      revokedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + getMaxSignedTokenLifetime() * 1000).toISOString()
+    });
+    this.logger.warn({ kid: keyPair.kid }, 'Clé de signature révoquée.');
+  }
+
+  /**
+   * Supprime les clés retirées ou révoquées dont tous les tokens ont expiré
+   * @param {Object[]} keys - Les clés existantes
+   * @returns {Promise<string[]>} Les kids supprimés
+   */
+  async purgeRetiredKeys(keys) {
+    const now = Date.now();
+    const expired = keys.filter(key => [KEY_STATUS.RETIRED, KEY_STATUS.REVOKED].includes(key.status)
+      && expiresAtOf(key) > 0 && expiresAtOf(key) <= now);
+
+    for (const key of expired) {
+      await this.keyStore.deleteKeyPair(key.kid);
+      this.logger.info({ kid: key.kid }, 'Clé de signature expirée supprimée.');
+    }
+
+    return expired.map(key => key.kid);
+  }
+
+  /**
+   * Prend le verrou de rotation (sans Redis, chaque réplica vérifie seule)
+   * @returns {Promise<boolean>} False si une autre réplica le détient
+   */
+  async acquireLock() {
+    try {
+      const client = await getRedisClient();
+      if (!client) {
+        return true;
+      }
+
+      const result = await client.set(ROTATION_LOCK_KEY, this.lockOwner, { NX: true, EX: ROTATION_LOCK_TTL_SECONDS });
+      return result === 'OK';
+    } catch (error) {
+      this.logger.warn({ err: error }, 'Verrou de rotation indisponible, vérification sans coordination.');
+      return true;
+    }
+  }
+
+  /**
+   * Libère le verrou de rotation s'il est toujours détenu par ce processus
+   * @returns {Promise<void>}
+   */
+  async releaseLock() {
+    try {
+      const client = await getRedisClient();
+      if (client && await client.get(ROTATION_LOCK_KEY) === this.lockOwner) {
+        await client.del(ROTATION_LOCK_KEY);
+      }
+    } catch (error) {
+      // Le verrou expirera de lui-même
+    }
+  }
+}
+
+module.exports = KeyRotationService;
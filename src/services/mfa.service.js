@@ -0,0 +1,477 @@
+const crypto = require('crypto');
+const { AppError, AuthErrorCodes } = require('../middlewares/errorHandler');
+const { incrementAuthAttempt } = require('../middlewares/metrics');
+const { logDataProcessing, DataProcessingTypes } = require('../middlewares/rgpd');
+const { storeData, storeDataIfAbsent, getData, deleteData } = require('../config/redis');
+const { generateTotpSecret, verifyTotpCode, buildOtpauthUri, TOTP_PERIOD_SECONDS } = require('../utils/totp');
+const { MFA_MAX_ATTEMPTS, getMfaChallenge, recordMfaChallengeFailure, consumeMfaChallenge } = require('../utils/mfa-challenge');
+const { generateRecoveryCodes, hashRecoveryCode } = require('../utils/recovery-codes');
+const { clearLoginFailures } = require('../utils/login-throttle');
+const { durationToSeconds } = require('../utils/jwt');
+
+// Secret TOTP en attente de confirmation par un premier code valide
+const TOTP_ENROLLMENT_PREFIX = 'totp_enrollment:';
+const TOTP_ENROLLMENT_TTL_SECONDS = 600;
+
+// Codes TOTP déjà acceptés (par utilisateur et pas de temps), pour empêcher leur rejeu
+const TOTP_USED_PREFIX = 'totp_used:';
+
+// Codes envoyés par email : activation (par utilisateur) et connexion (par challenge MFA)
+const EMAIL_OTP_ENROLLMENT_PREFIX = 'email_otp_enrollment:';
+const EMAIL_OTP_CHALLENGE_PREFIX = 'email_otp:';
+
+/**
+ * Service d'authentification multi-facteurs (TOTP, code par email, codes de récupération)
+ */
+class MfaService {
+  constructor({ dbClient, authService, notificationService, logger }) {
+    if (!dbClient || !authService) {
+      throw new Error('MfaService: dbClient and authService are required');
+    }
+    this.dbClient = dbClient;
+    this.authService = authService;
+    this.notificationService = notificationService || authService.notificationService;
+    this.logger = logger || console;
+  }
+
+  /**
+   * Démarre l'enrôlement TOTP d'un utilisateur
+   * @param {string} userId - ID de l'utilisateur
+   * @returns {Promise<Object>} Le secret et l'URI otpauth à afficher sous forme de QR code
+   */
+  async startTotpEnrollment(userId) {
+    const user = await this.getUser(userId);
+
+    if (user.totpEnabled) {
+      throw new AppError('L\'authentification TOTP est déjà activée', 409, AuthErrorCodes.MFA_ALREADY_ENABLED);
+    }
+
+    return this.createPendingTotpSecret(user);
+  }
+
+  /**
+   * Confirme l'enrôlement TOTP avec un premier code généré par l'application
+   * Le nouveau secret remplace l'éventuel secret précédent (régénération).
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} code - Code TOTP à 6 chiffres
+   * @returns {Promise<void>}
+   */
+  async confirmTotpEnrollment(userId, code) {
+    const user = await this.getUser(userId);
+    const pending = await getData(`${TOTP_ENROLLMENT_PREFIX}${user.id}`);
+
+    if (!pending) {
+      throw new AppError('Aucun enrôlement TOTP en cours', 400, AuthErrorCodes.MFA_ENROLLMENT_NOT_FOUND);
+    }
+
+    await this.verifyTotp(user.id, pending.secret, code);
+
+    await this.dbClient.updateUser(user.id, { totpSecret: pending.secret, totpEnabled: true });
+    await deleteData(`${TOTP_ENROLLMENT_PREFIX}${user.id}`);
+
+    this.logger.info({ userId: user.id }, 'Authentification TOTP activée.');
+    await logDataProcessing(user.id, 'enable_totp', 'authentication', DataProcessingTypes.SECURITY, 'contract');
+  }
+
+  /**
+   * Génère un nouveau secret TOTP (changement de téléphone) ; il remplace l'actuel une fois confirmé
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} code - Code TOTP courant, prouvant la possession de l'application actuelle
+   * @returns {Promise<Object>} Le nouveau secret et son URI otpauth
+   */
+  async regenerateTotpSecret(userId, code) {
+    const user = await this.getUserWithTotp(userId);
+
+    await this.verifyTotp(user.id, user.totpSecret, code);
+
+    return this.createPendingTotpSecret(user);
+  }
+
+  /**
+   * Désactive l'authentification TOTP
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} code - Code TOTP courant
+   * @returns {Promise<void>}
+   */
+  async disableTotp(userId, code) {
+    const user = await this.getUserWithTotp(userId);
+
+    await this.verifyTotp(user.id, user.totpSecret, code);
+
+    await this.dbClient.updateUser(user.id, { totpSecret: null, totpEnabled: false });
+
+    this.logger.info({ userId: user.id }, 'Authentification TOTP désactivée.');
+    await logDataProcessing(user.id, 'disable_totp', 'authentication', DataProcessingTypes.SECURITY, 'contract');
+  }
+
+  /**
+   * Démarre l'activation du code par email : un premier code est envoyé à l'adresse du compte
+   * @param {string} userId - ID de l'utilisateur
+   * @returns {Promise<void>}
+   */
+  async startEmailOtpEnrollment(userId) {
+    const user = await this.getUser(userId);
+
+    if (user.emailOtpEnabled) {
+      throw new AppError('Le code par email est déjà activé', 409, AuthErrorCodes.MFA_ALREADY_ENABLED);
+    }
+
+    await this.sendEmailCode(`${EMAIL_OTP_ENROLLMENT_PREFIX}${user.id}`, user);
+  }
+
+  /**
+   * Confirme l'activation du code par email avec le code reçu
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} code - Code à 6 chiffres reçu par email
+   * @returns {Promise<void>}
+   */
+  async confirmEmailOtpEnrollment(userId, code) {
+    const user = await this.getUser(userId);
+    const key = `${EMAIL_OTP_ENROLLMENT_PREFIX}${user.id}`;
+
+    if (!await getData(key)) {
+      throw new AppError('Aucune activation du code par email en cours', 400, AuthErrorCodes.MFA_ENROLLMENT_NOT_FOUND);
+    }
+
+    await this.verifyEmailCode(key, code);
+
+    await this.dbClient.updateUser(user.id, { emailOtpEnabled: true });
+
+    this.logger.info({ userId: user.id }, 'Code par email activé.');
+    await logDataProcessing(user.id, 'enable_email_otp', 'authentication', DataProcessingTypes.SECURITY, 'contract');
+  }
+
+  /**
+   * Désactive le code par email
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} password - Mot de passe du compte (ré-authentification)
+   * @returns {Promise<void>}
+   */
+  async disableEmailOtp(userId, password) {
+    const user = await this.getUser(userId);
+
+    if (!user.emailOtpEnabled) {
+      throw new AppError('Le code par email n\'est pas activé', 400, AuthErrorCodes.MFA_NOT_ENABLED);
+    }
+
+    await this.verifyPassword(user, password);
+
+    await this.dbClient.updateUser(user.id, { emailOtpEnabled: false });
+
+    this.logger.info({ userId: user.id }, 'Code par email désactivé.');
+    await logDataProcessing(user.id, 'disable_email_otp', 'authentication', DataProcessingTypes.SECURITY, 'contract');
+  }
+
+  /**
+   * Génère un nouveau lot de codes de récupération ; les codes précédents sont invalidés
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} password - Mot de passe du compte (ré-authentification)
+   * @returns {Promise<string[]>} Les codes en clair, à montrer une seule fois
+   */
+  async generateRecoveryCodes(userId, password) {
+    const user = await this.getUser(userId);
+
+    await this.verifyPassword(user, password);
+
+    const codes = generateRecoveryCodes();
+
+    await this.dbClient.updateUser(user.id, { recoveryCodes: codes.map(code => hashRecoveryCode(user.id, code)) });
+
+    this.logger.info({ userId: user.id }, 'Codes de récupération régénérés.');
+    await logDataProcessing(user.id, 'generate_recovery_codes', 'authentication', DataProcessingTypes.SECURITY, 'contract');
+
+    return codes;
+  }
+
+  /**
+   * Termine une connexion en deux étapes : vérifie le code TOTP et ouvre la session
+   * @param {string} mfaToken - Token de challenge renvoyé par le login
+   * @param {string} code - Code TOTP à 6 chiffres
+   * @returns {Promise<Object>} L'utilisateur et les tokens de la session
+   */
+  async verifyLoginChallenge(mfaToken, code) {
+    const challenge = await getMfaChallenge(mfaToken);
+
+    if (!challenge) {
+      throw new AppError('Challenge MFA invalide ou expiré', 401, AuthErrorCodes.INVALID_MFA_TOKEN);
+    }
+
+    const user = await this.dbClient.getUserById(challenge.userId);
+
+    if (!user || !user.active || !user.totpEnabled) {
+      throw new AppError('Challenge MFA invalide ou expiré', 401, AuthErrorCodes.INVALID_MFA_TOKEN);
+    }
+
+    try {
+      await this.verifyTotp(user.id, user.totpSecret, code);
+    } catch (error) {
+      const remainingAttempts = await recordMfaChallengeFailure(mfaToken, challenge);
+      incrementAuthAttempt('mfa', 'failure');
+      this.logger.warn({ userId: user.id, remainingAttempts }, 'Code TOTP invalide lors de la connexion.');
+      // Compte aussi pour le verrouillage du compte : le mot de passe ne suffit pas à essayer des codes sans limite
+      await this.authService.handleLoginFailure(user.email, user, challenge.device);
+      throw error;
+    }
+
+    // Le challenge est à usage unique : une requête concurrente avec le même code échoue ici
+    if (!await consumeMfaChallenge(mfaToken)) {
+      throw new AppError('Challenge MFA invalide ou expiré', 401, AuthErrorCodes.INVALID_MFA_TOKEN);
+    }
+
+    incrementAuthAttempt('mfa', 'success');
+    await clearLoginFailures(user.email);
+
+    const { accessToken, refreshToken } = await this.authService.createSession(
+      user,
+      [...challenge.amr, 'otp', 'mfa'],
+      challenge.device
+    );
+
+    return {
+      user: this.authService.toPublicUser(user),
+      accessToken,
+      refreshToken
+    };
+  }
+
+  /**
+   * Envoie (ou renvoie) le code de connexion par email d'un challenge MFA
+   * @param {string} mfaToken - Token de challenge renvoyé par le login
+   * @returns {Promise<void>}
+   */
+  async sendLoginEmailCode(mfaToken) {
+    const { user } = await this.getEmailOtpChallenge(mfaToken);
+
+    await this.sendEmailCode(this.getEmailChallengeKey(mfaToken), user);
+  }
+
+  /**
+   * Termine une connexion en deux étapes avec le code reçu par email
+   * Les codes erronés sont décomptés du challenge MFA, renvois compris.
+   * @param {string} mfaToken - Token de challenge renvoyé par le login
+   * @param {string} code - Code à 6 chiffres reçu par email
+   * @returns {Promise<Object>} L'utilisateur et les tokens de la session
+   */
+  async verifyLoginEmailCode(mfaToken, code) {
+    const { challenge, user } = await this.getEmailOtpChallenge(mfaToken);
+
+    try {
+      await this.verifyEmailCode(this.getEmailChallengeKey(mfaToken), code);
+    } catch (error) {
+      const remainingAttempts = await recordMfaChallengeFailure(mfaToken, challenge);
+      incrementAuthAttempt('mfa', 'failure');
+      this.logger.warn({ userId: user.id, remainingAttempts }, 'Code email invalide lors de la connexion.');
+      // Compte aussi pour le verrouillage du compte : le mot de passe ne suffit pas à essayer des codes sans limite
+      await this.authService.handleLoginFailure(user.email, user, challenge.device);
+      throw error;
+    }
+
+    if (!await consumeMfaChallenge(mfaToken)) {
+      throw new AppError('Challenge MFA invalide ou expiré', 401, AuthErrorCodes.INVALID_MFA_TOKEN);
+    }
+
+    incrementAuthAttempt('mfa', 'success');
+    await clearLoginFailures(user.email);
+
+    const { accessToken, refreshToken } = await this.authService.createSession(
+      user,
+      [...challenge.amr, 'otp', 'mfa'],
+      challenge.device
+    );
+
+    return {
+      user: this.authService.toPublicUser(user),
+      accessToken,
+      refreshToken
+    };
+  }
+
+  /**
+   * Récupère un challenge MFA proposant le code par email, et son utilisateur
+   * @param {string} mfaToken - Token de challenge
+   * @returns {Promise<Object>} Le challenge et l'utilisateur ({ challenge, user })
+   */
+  async getEmailOtpChallenge(mfaToken) {
+    const challenge = await getMfaChallenge(mfaToken);
+    const user = challenge?.methods?.includes('email')
+      ? await this.dbClient.getUserById(challenge.userId)
+      : null;
+
+    if (!user || !user.active || !user.emailOtpEnabled) {
+      throw new AppError('Challenge MFA invalide ou expiré', 401, AuthErrorCodes.INVALID_MFA_TOKEN);
+    }
+
+    return { challenge, user };
+  }
+
+  /**
+   * Clé Redis du code email d'un challenge (empreinte du token uniquement)
+   * @param {string} mfaToken - Token de challenge
+   * @returns {string} La clé
+   */
+  getEmailChallengeKey(mfaToken) {
+    return `${EMAIL_OTP_CHALLENGE_PREFIX}${crypto.createHash('sha256').update(mfaToken).digest('hex')}`;
+  }
+
+  /**
+   * Génère un code à 6 chiffres, l'enregistre (empreinte) et l'envoie par email
+   * Un renvoi n'est possible qu'après EMAIL_OTP_RESEND_INTERVAL ; il remplace le code précédent.
+   * @param {string} key - Clé Redis du code
+   * @param {Object} user - Destinataire
+   * @returns {Promise<void>}
+   */
+  async sendEmailCode(key, user) {
+    const pending = await getData(key);
+    const resendInterval = durationToSeconds(process.env.EMAIL_OTP_RESEND_INTERVAL || '60s');
+
+    if (pending && Date.now() - new Date(pending.sentAt).getTime() < resendInterval * 1000) {
+      throw new AppError('Veuillez patienter avant de demander un nouveau code', 429, AuthErrorCodes.TOO_MANY_REQUESTS);
+    }
+
+    const ttl = durationToSeconds(process.env.EMAIL_OTP_EXPIRES_IN || '5m');
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const result = await storeData(key, {
+      codeHash: crypto.createHash('sha256').update(code).digest('hex'),
+      attempts: 0,
+      sentAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + ttl * 1000).toISOString()
+    }, ttl);
+
+    if (result === null) {
+      throw new AppError('Authentification multi-facteurs temporairement indisponible', 503, AuthErrorCodes.MFA_UNAVAILABLE);
+    }
+
+    this.notificationService.sendMfaCodeEmail(user.email, code, Math.ceil(ttl / 60))
+      .catch(err => this.logger.error({ err, userId: user.id }, 'Échec de l\'envoi du code par email en arrière-plan.'));
+  }
+
+  /**
+   * Vérifie un code reçu par email ; il est invalidé après un succès ou MFA_MAX_ATTEMPTS échecs
+   * @param {string} key - Clé Redis du code
+   * @param {string} code - Le code saisi
+   * @returns {Promise<void>}
+   */
+  async verifyEmailCode(key, code) {
+    const pending = await getData(key);
+
+    if (!pending) {
+      throw new AppError('Code invalide ou expiré', 401, AuthErrorCodes.INVALID_MFA_CODE);
+    }
+
+    const expected = Buffer.from(pending.codeHash, 'hex');
+    const actual = crypto.createHash('sha256').update(String(code).trim()).digest();
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      const attempts = pending.attempts + 1;
+      const ttl = Math.floor((new Date(pending.expiresAt).getTime() - Date.now()) / 1000);
+
+      if (attempts >= MFA_MAX_ATTEMPTS || ttl <= 0) {
+        await deleteData(key);
+      } else {
+        await storeData(key, { ...pending, attempts }, ttl);
+      }
+      throw new AppError('Code invalide ou expiré', 401, AuthErrorCodes.INVALID_MFA_CODE);
+    }
+
+    // Usage unique : une requête concurrente avec le même code échoue ici
+    if (await deleteData(key) !== 1) {
+      throw new AppError('Code invalide ou expiré', 401, AuthErrorCodes.INVALID_MFA_CODE);
+    }
+  }
+
+  /**
+   * Vérifie un code TOTP et empêche la réutilisation d'un code déjà accepté
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} secret - Le secret base32
+   * @param {string} code - Le code saisi
+   * @returns {Promise<void>}
+   */
+  async verifyTotp(userId, secret, code) {
+    const step = verifyTotpCode(secret, code);
+
+    if (step === null) {
+      throw new AppError('Code TOTP invalide', 401, AuthErrorCodes.INVALID_MFA_CODE);
+    }
+
+    // Marquage atomique, conservé le temps de la fenêtre de tolérance (±1 pas) : deux requêtes
+    // simultanées avec le même code ne peuvent pas toutes deux aboutir
+    const marked = await storeDataIfAbsent(
+      `${TOTP_USED_PREFIX}${userId}:${step}`,
+      { usedAt: new Date().toISOString() },
+      TOTP_PERIOD_SECONDS * 3
+    );
+
+    // Sans Redis, le rejeu ne peut pas être détecté : refuser plutôt qu'accepter
+    if (marked === null) {
+      throw new AppError('Authentification multi-facteurs temporairement indisponible', 503, AuthErrorCodes.MFA_UNAVAILABLE);
+    }
+
+    if (!marked) {
+      throw new AppError('Code TOTP déjà utilisé', 401, AuthErrorCodes.INVALID_MFA_CODE);
+    }
+  }
+
+  /**
+   * Ré-authentifie l'utilisateur par son mot de passe avant une opération sensible
+   * @param {Object} user - L'utilisateur
+   * @param {string} password - Le mot de passe saisi
+   * @returns {Promise<void>}
+   */
+  async verifyPassword(user, password) {
+    if (!await this.dbClient.verifyPassword(user.id, password)) {
+      this.logger.warn({ userId: user.id }, 'Mot de passe invalide lors d\'une ré-authentification MFA.');
+      throw new AppError('Mot de passe incorrect', 401, AuthErrorCodes.INVALID_CREDENTIALS);
+    }
+  }
+
+  /**
+   * Génère un secret TOTP en attente de confirmation
+   * @param {Object} user - L'utilisateur
+   * @returns {Promise<Object>} Le secret et son URI otpauth
+   */
+  async createPendingTotpSecret(user) {
+    const secret = generateTotpSecret();
+    const result = await storeData(`${TOTP_ENROLLMENT_PREFIX}${user.id}`, { secret }, TOTP_ENROLLMENT_TTL_SECONDS);
+
+    if (result === null) {
+      throw new AppError('Authentification multi-facteurs temporairement indisponible', 503, AuthErrorCodes.MFA_UNAVAILABLE);
+    }
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email, process.env.MFA_ISSUER || 'SupervIA')
+    };
+  }
+
+  /**
+   * Récupère un utilisateur actif
+   * @param {string} userId - ID de l'utilisateur
+   * @returns {Promise<Object>} L'utilisateur
+   */
+  async getUser(userId) {
+    const user = await this.dbClient.getUserById(userId);
+
+    if (!user || !user.active) {
+      throw new AppError('Utilisateur non trouvé ou inactif', 404, AuthErrorCodes.USER_NOT_FOUND);
+    }
+
+    return user;
+  }
+
+  /**
+   * Récupère un utilisateur dont l'authentification TOTP est activée
+   * @param {string} userId - ID de l'utilisateur
+   * @returns {Promise<Object>} L'utilisateur
+   */
+  async getUserWithTotp(userId) {
+    const user = await this.getUser(userId);
+
+    if (!user.totpEnabled) {
+      throw new AppError('L\'authentification TOTP n\'est pas activée', 400, AuthErrorCodes.MFA_NOT_ENABLED);
+    }
+
+    return user;
+  }
+}
+
+module.exports = MfaService;
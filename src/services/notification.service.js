@@ -121,6 +121,82 @@ class NotificationService {
       },
     });
   }
+
+  /**
+   * Envoie un lien de connexion à usage unique (connexion sans mot de passe).
+   * @param {string} userEmail - L'adresse e-mail de l'utilisateur.
+   * @param {string} magicLink - Le lien de connexion.
+   */
+  async sendMagicLinkEmail(userEmail, magicLink) {
+    return this._sendRequest('/api/v1/send-email', {
+      to: userEmail,
+      subject: 'Votre lien de connexion SupervIA',
+      template: 'magicLink',
+      context: {
+        title: 'Connexion à SupervIA',
+        preheader: 'Cliquez sur le lien pour vous connecter, sans mot de passe.',
+        login_link: magicLink,
+      },
+    });
+  }
+
+  /**
+   * Envoie un code de vérification à usage unique (second facteur par email).
+   * @param {string} userEmail - L'adresse e-mail de l'utilisateur.
+   * @param {string} code - Le code à 6 chiffres.
+   * @param {number} expiresInMinutes - La durée de validité du code, en minutes.
+   */
+  async sendMfaCodeEmail(userEmail, code, expiresInMinutes) {
+    return this._sendRequest('/api/v1/send-email', {
+      to: userEmail,
+      subject: 'Votre code de vérification SupervIA',
+      template: 'mfaCode',
+      context: {
+        title: 'Code de vérification',
+        preheader: `Votre code de vérification : ${code}`,
+        code,
+        expires_in_minutes: expiresInMinutes,
+      },
+    });
+  }
+
+  /**
+   * Prévient l'utilisateur que son compte est temporairement verrouillé, avec un lien de déverrouillage.
+   * @param {string} userEmail - L'adresse e-mail de l'utilisateur.
+   * @param {string} unlockLink - Le lien pour déverrouiller le compte.
+   * @param {string} lockedUntil - La fin du verrouillage (ISO 8601).
+   */
+  async sendAccountLockedEmail(userEmail, unlockLink, lockedUntil) {
+    return this._sendRequest('/api/v1/send-email', {
+      to: userEmail,
+      subject: 'Votre compte SupervIA est temporairement verrouillé',
+      template: 'accountLocked',
+      context: {
+        title: 'Compte verrouillé',
+        preheader: 'Plusieurs tentatives de connexion ont échoué sur votre compte.',
+        unlock_link: unlockLink,
+        locked_until: lockedUntil,
+      },
+    });
+  }
+
+  /**
+   * Prévient l'utilisateur qu'un code de récupération a été utilisé pour se connecter.
+   * @param {string} userEmail - L'adresse e-mail de l'utilisateur.
+   * @param {number} remainingCodes - Le nombre de codes de récupération restants.
+   */
+  async sendRecoveryCodeUsedEmail(userEmail, remainingCodes) {
+    return this._sendRequest('/api/v1/send-email', {
+      to: userEmail,
+      subject: 'Connexion avec un code de récupération SupervIA',
+      template: 'recoveryCodeUsed',
+      context: {
+        title: 'Code de récupération utilisé',
+        preheader: 'Un code de récupération vient d\'être utilisé pour vous connecter.',
+        remaining_codes: remainingCodes,
+      },
+    });
+  }
 }
 
 module.exports = NotificationService; 
\ No newline at end of file
@@ -0,0 +1,366 @@
+const { AppError, AuthErrorCodes } = require('../middlewares/errorHandler');
+const { incrementAuthAttempt } = require('../middlewares/metrics');
+const { logDataProcessing, DataProcessingTypes } = require('../middlewares/rgpd');
+const { storeData, getData, deleteData } = require('../config/redis');
+const { getMfaChallenge, recordMfaChallengeFailure, consumeMfaChallenge } = require('../utils/mfa-challenge');
+const { clearLoginFailures } = require('../utils/login-throttle');
+const {
+  COSE_ALGORITHMS,
+  getRelyingParty,
+  generateChallenge,
+  readChallenge,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse
+} = require('../utils/webauthn');
+
+// Cérémonies en cours : enregistrement (par utilisateur) et authentification (par challenge)
+const REGISTRATION_PREFIX = 'webauthn_registration:';
+const AUTHENTICATION_PREFIX = 'webauthn_authentication:';
+const CEREMONY_TTL_SECONDS = 300;
+
+// Ancienneté maximale de la connexion (claim auth_time) dispensant de ressaisir le mot de passe
+const REAUTHENTICATION_MAX_AGE_SECONDS = 300;
+
+/**
+ * Service WebAuthn : passkeys comme second facteur ou comme connexion sans mot de passe
+ */
+class WebAuthnService {
+  constructor({ dbClient, authService, logger }) {
+    if (!dbClient || !authService) {
+      throw new Error('WebAuthnService: dbClient and authService are required');
+    }
+    this.dbClient = dbClient;
+    this.authService = authService;
+    this.logger = logger || console;
+  }
+
+  /**
+   * Prépare l'enregistrement d'une passkey pour l'utilisateur connecté
+   * @param {string} userId - ID de l'utilisateur
+   * @param {Object} reauth - Preuve d'authentification récente ({ password, authTime })
+   * @returns {Promise<Object>} Les options pour navigator.credentials.create (PublicKeyCredentialCreationOptions)
+   */
+  async getRegistrationOptions(userId, reauth) {
+    const user = await this.getUser(userId);
+    await this.verifyReauthentication(user, reauth);
+    const credentials = await this.dbClient.getUserWebAuthnCredentials(user.id);
+    const { rpId, rpName } = getRelyingParty();
+    const challenge = generateChallenge();
+
+    await this.storeCeremony(`${REGISTRATION_PREFIX}${user.id}`, { challenge });
+
+    return {
+      challenge,
+      rp: { id: rpId, name: rpName },
+      user: {
+        id: Buffer.from(user.id).toString('base64url'),
+        name: user.email,
+        displayName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email
+      },
+      pubKeyCredParams: COSE_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+      timeout: CEREMONY_TTL_SECONDS * 1000,
+      attestation: 'none',
+      excludeCredentials: credentials.map(credential => ({
+        type: 'public-key',
+        id: credential.credentialId,
+        transports: credential.transports
+      })),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: 'preferred'
+      }
+    };
+  }
+
+  /**
+   * Vérifie et enregistre une nouvelle passkey
+   * @param {string} userId - ID de l'utilisateur
+   * @param {Object} credential - La réponse de navigator.credentials.create
+   * @param {string} name - Nom donné à la passkey par l'utilisateur (optionnel)
+   * @param {Object} reauth - Preuve d'authentification récente ({ password, authTime })
+   * @returns {Promise<Object>} La passkey enregistrée
+   */
+  async verifyRegistration(userId, credential, name, reauth) {
+    const user = await this.getUser(userId);
+    await this.verifyReauthentication(user, reauth);
+    const key = `${REGISTRATION_PREFIX}${user.id}`;
+    const ceremony = await getData(key);
+
+    // Le challenge est à usage unique, que la vérification réussisse ou non
+    if (!ceremony || await deleteData(key) !== 1) {
+      throw new AppError('Aucun enregistrement de passkey en cours', 400, AuthErrorCodes.INVALID_WEBAUTHN_RESPONSE);
+    }
+
+    const verified = verifyRegistrationResponse(credential, ceremony.challenge);
+
+    if (await this.dbClient.getWebAuthnCredentialByCredentialId(verified.credentialId)) {
+      throw new AppError('Cette passkey est déjà enregistrée', 409, AuthErrorCodes.WEBAUTHN_CREDENTIAL_ALREADY_REGISTERED);
+    }
+
+    const created = await this.dbClient.createWebAuthnCredential({
+      userId: user.id,
+      credentialId: verified.credentialId,
+      publicKey: verified.publicKey,
+      algorithm: verified.algorithm,
+      signCount: verified.signCount,
+      aaguid: verified.aaguid,
+      transports: verified.transports,
+      name: name || 'Passkey'
+    });
+
+    this.logger.info({ userId: user.id }, 'Passkey enregistrée.');
+    await logDataProcessing(user.id, 'register_passkey', 'authentication', DataProcessingTypes.SECURITY, 'contract');
+
+    return this.toPublicCredential(created);
+  }
+
+  /**
+   * Prépare une authentification par passkey
+   * Avec un mfaToken, la passkey sert de second facteur ; sans, c'est une connexion sans mot de passe
+   * (passkeys découvrables, vérification de l'utilisateur exigée).
+   * @param {Object} params - Paramètres de la cérémonie
+   * @param {string} params.mfaToken - Token de challenge renvoyé par le login (optionnel)
+   * @returns {Promise<Object>} Les options pour navigator.credentials.get (PublicKeyCredentialRequestOptions)
+   */
+  async getAuthenticationOptions({ mfaToken } = {}) {
+    const ceremony = {};
+    let allowCredentials = [];
+
+    if (mfaToken) {
+      const mfaChallenge = await getMfaChallenge(mfaToken);
+
+      if (!mfaChallenge || !mfaChallenge.methods.includes('webauthn')) {
+        throw new AppError('Challenge MFA invalide ou expiré', 401, AuthErrorCodes.INVALID_MFA_TOKEN);
+      }
+
+      const credentials = await this.dbClient.getUserWebAuthnCredentials(mfaChallenge.userId);
+      allowCredentials = credentials.map(credential => ({
+        type: 'public-key',
+        id: credential.credentialId,
+        transports: credential.transports
+      }));
+      Object.assign(ceremony, { userId: mfaChallenge.userId, mfaToken });
+    }
+
+    const challenge = generateChallenge();
+    await this.storeCeremony(`${AUTHENTICATION_PREFIX}${challenge}`, ceremony);
+
+    return {
+      challenge,
+      rpId: getRelyingParty().rpId,
+      timeout: CEREMONY_TTL_SECONDS * 1000,
+      userVerification: mfaToken ? 'preferred' : 'required',
+      allowCredentials
+    };
+  }
+
+  /**
+   * Vérifie une authentification par passkey et ouvre la session
+   * @param {Object} credential - La réponse de navigator.credentials.get
+   * @param {Object} device - Appareil à l'origine de la connexion ({ userAgent, ipAddress })
+   * @returns {Promise<Object>} L'utilisateur et les tokens de la session
+   */
+  async verifyAuthentication(credential, device = {}) {
+    const challenge = readChallenge(credential?.response?.clientDataJSON);
+    const key = `${AUTHENTICATION_PREFIX}${challenge}`;
+    const ceremony = challenge ? await getData(key) : null;
+
+    if (!ceremony || await deleteData(key) !== 1) {
+      throw new AppError('Challenge WebAuthn invalide ou expiré', 400, AuthErrorCodes.INVALID_WEBAUTHN_RESPONSE);
+    }
+
+    const storedCredential = credential.id
+      ? await this.dbClient.getWebAuthnCredentialByCredentialId(credential.id)
+      : null;
+
+    if (!storedCredential || (ceremony.userId && storedCredential.userId !== ceremony.userId)) {
+      throw new AppError('Passkey inconnue', 401, AuthErrorCodes.WEBAUTHN_CREDENTIAL_NOT_FOUND);
+    }
+
+    let signCount;
+    try {
+      ({ signCount } = verifyAuthenticationResponse(credential, challenge, storedCredential, {
+        requireUserVerification: !ceremony.mfaToken
+      }));
+    } catch (error) {
+      incrementAuthAttempt('webauthn', 'failure');
+      if (ceremony.mfaToken) {
+        const mfaChallenge = await getMfaChallenge(ceremony.mfaToken);
+        if (mfaChallenge) {
+          await recordMfaChallengeFailure(ceremony.mfaToken, mfaChallenge);
+          // Compte aussi pour le verrouillage du compte, comme un code TOTP erroné
+          const challengeUser = await this.dbClient.getUserById(mfaChallenge.userId).catch(() => null);
+          if (challengeUser) {
+            await this.authService.handleLoginFailure(challengeUser.email, challengeUser, mfaChallenge.device);
+          }
+        }
+      }
+      throw error;
+    }
+
+    await this.dbClient.updateWebAuthnCredential(storedCredential.id, {
+      signCount,
+      lastUsedAt: new Date().toISOString()
+    });
+
+    const user = await this.dbClient.getUserById(storedCredential.userId);
+
+    if (!user || !user.active) {
+      throw new AppError('Utilisateur non trouvé ou inactif', 401, AuthErrorCodes.UNAUTHORIZED);
+    }
+
+    // Second facteur : compléter le contexte du premier ; sinon la passkey vérifiée suffit (possession + PIN/biométrie)
+    let amr = ['hwk', 'mfa'];
+    let sessionDevice = device;
+
+    if (ceremony.mfaToken) {
+      const mfaChallenge = await getMfaChallenge(ceremony.mfaToken);
+
+      if (!mfaChallenge || !await consumeMfaChallenge(ceremony.mfaToken)) {
+        throw new AppError('Challenge MFA invalide ou expiré', 401, AuthErrorCodes.INVALID_MFA_TOKEN);
+      }
+
+      amr = [...mfaChallenge.amr, 'hwk', 'mfa'];
+      sessionDevice = mfaChallenge.device;
+      await clearLoginFailures(user.email);
+    }
+
+    const { accessToken, refreshToken } = await this.authService.createSession(user, amr, sessionDevice);
+    incrementAuthAttempt('webauthn', 'success');
+
+    return {
+      user: this.authService.toPublicUser(user),
+      accessToken,
+      refreshToken
+    };
+  }
+
+  /**
+   * Liste les passkeys de l'utilisateur connecté
+   * @param {string} userId - ID de l'utilisateur
+   * @returns {Promise<Object[]>} Les passkeys
+   */
+  async listCredentials(userId) {
+    const credentials = await this.dbClient.getUserWebAuthnCredentials(userId);
+    return credentials.map(credential => this.toPublicCredential(credential));
+  }
+
+  /**
+   * Renomme une passkey de l'utilisateur connecté
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} id - ID de la passkey
+   * @param {string} name - Nouveau nom
+   * @returns {Promise<Object>} La passkey mise à jour
+   */
+  async renameCredential(userId, id, name) {
+    const credential = await this.getUserCredential(userId, id);
+    const updated = await this.dbClient.updateWebAuthnCredential(credential.id, { name });
+
+    return this.toPublicCredential(updated);
+  }
+
+  /**
+   * Supprime une passkey de l'utilisateur connecté
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} id - ID de la passkey
+   * @param {Object} reauth - Preuve d'authentification récente ({ password, authTime })
+   * @returns {Promise<void>}
+   */
+  async deleteCredential(userId, id, reauth) {
+    const user = await this.getUser(userId);
+    await this.verifyReauthentication(user, reauth);
+
+    const credential = await this.getUserCredential(userId, id);
+    await this.dbClient.deleteWebAuthnCredential(credential.id);
+
+    this.logger.info({ userId }, 'Passkey supprimée.');
+    await logDataProcessing(userId, 'delete_passkey', 'authentication', DataProcessingTypes.SECURITY, 'contract');
+  }
+
+  /**
+   * Récupère une passkey appartenant à l'utilisateur
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} id - ID de la passkey
+   * @returns {Promise<Object>} La passkey
+   */
+  async getUserCredential(userId, id) {
+    const credentials = await this.dbClient.getUserWebAuthnCredentials(userId);
+    const credential = credentials.find(c => c.id === id);
+
+    if (!credential) {
+      throw new AppError('Passkey non trouvée', 404, AuthErrorCodes.WEBAUTHN_CREDENTIAL_NOT_FOUND);
+    }
+
+    return credential;
+  }
+
+  /**
+   * Enregistre l'état d'une cérémonie en cours
+   * @param {string} key - Clé Redis
+   * @param {Object} data - Données de la cérémonie
+   * @returns {Promise<void>}
+   */
+  async storeCeremony(key, data) {
+    const result = await storeData(key, data, CEREMONY_TTL_SECONDS);
+
+    if (result === null) {
+      throw new AppError('Passkeys temporairement indisponibles', 503, AuthErrorCodes.MFA_UNAVAILABLE);
+    }
+  }
+
+  /**
+   * Exige une authentification récente avant d'ajouter ou de retirer une passkey
+   * Un access token volé ne suffit pas : il faut le mot de passe du compte, ou une connexion
+   * datant de moins de 5 minutes (les comptes sans mot de passe se reconnectent).
+   * @param {Object} user - L'utilisateur
+   * @param {Object} reauth - Preuve d'authentification récente
+   * @param {string} reauth.password - Mot de passe du compte (optionnel)
+   * @param {number} reauth.authTime - Date de la connexion (claim auth_time, timestamp en secondes)
+   * @returns {Promise<void>}
+   */
+  async verifyReauthentication(user, { password, authTime } = {}) {
+    if (password) {
+      if (!await this.dbClient.verifyPassword(user.id, password)) {
+        this.logger.warn({ userId: user.id }, 'Mot de passe invalide lors d\'une ré-authentification passkey.');
+        throw new AppError('Mot de passe incorrect', 401, AuthErrorCodes.INVALID_CREDENTIALS);
+      }
+      return;
+    }
+
+    if (!authTime || Math.floor(Date.now() / 1000) - authTime > REAUTHENTICATION_MAX_AGE_SECONDS) {
+      throw new AppError('Ré-authentification requise : mot de passe ou connexion récente', 401, AuthErrorCodes.REAUTHENTICATION_REQUIRED);
+    }
+  }
+
+  /**
+   * Récupère un utilisateur actif
+   * @param {string} userId - ID de l'utilisateur
+   * @returns {Promise<Object>} L'utilisateur
+   */
+  async getUser(userId) {
+    const user = await this.dbClient.getUserById(userId);
+
+    if (!user || !user.active) {
+      throw new AppError('Utilisateur non trouvé ou inactif', 404, AuthErrorCodes.USER_NOT_FOUND);
+    }
+
+    return user;
+  }
+
+  /**
+   * Retire d'une passkey les données internes (clé publique, compteur)
+   * @param {Object} credential - La passkey telle que stockée
+   * @returns {Object} La passkey exposée à l'utilisateur
+   */
+  toPublicCredential(credential) {
+    return {
+      id: credential.id,
+      name: credential.name,
+      transports: credential.transports || [],
+      createdAt: credential.createdAt,
+      lastUsedAt: credential.lastUsedAt || null
+    };
+  }
+}
+
+module.exports = WebAuthnService;
@@ -0,0 +1,107 @@
+/**
+ * Décodeur CBOR (RFC 8949) minimal, limité aux structures utilisées par WebAuthn
+ * (attestationObject, clés COSE) : entiers, chaînes, tableaux, maps, booléens et null.
+ */
+
+/**
+ * Décode un élément CBOR à partir d'une position
+ * @param {Buffer} buffer - Les données CBOR
+ * @param {number} offset - Position de départ
+ * @returns {{value: any, offset: number}} La valeur décodée et la position suivante
+ */
+const decodeItem = (buffer, offset) => {
+  if (offset >= buffer.length) {
+    throw new Error('CBOR tronqué');
+  }
+
+  const initial = buffer[offset];
+  const majorType = initial >> 5;
+  const additional = initial & 0x1f;
+  let position = offset + 1;
+  let length;
+
+  if (additional < 24) {
+    length = additional;
+  } else if (additional === 24) {
+    length = buffer.readUInt8(position);
+    position += 1;
+  } else if (additional === 25) {
+    length = buffer.readUInt16BE(position);
+    position += 2;
+  } else if (additional === 26) {
+    length = buffer.readUInt32BE(position);
+    position += 4;
+  } else if (additional === 27) {
+    length = Number(buffer.readBigUInt64BE(position));
+    position += 8;
+  } else {
+    throw new Error('CBOR de longueur indéfinie non supporté');
+  }
+
+  switch (majorType) {
+    case 0:
+      return { value: length, offset: position };
+    case 1:
+      return { value: -1 - length, offset: position };
+    case 2:
+      return { value: buffer.subarray(position, position + length), offset: position + length };
+    case 3:
+      return { value: buffer.toString('utf8', position, position + length), offset: position + length };
+    case 4: {
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        const item = decodeItem(buffer, position);
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        const key = decodeItem(buffer, position);
+        const value = decodeItem(buffer, key.offset);
+        map.set(key.value, value.value);
+        position = value.offset;
+      }
+      return { value: map, offset: position };
+    }
+    case 7:
+      if (additional === 20) return { value: false, offset: position };
+      if (additional === 21) return { value: true, offset: position };
+      if (additional === 22) return { value: null, offset: position };
+      throw new Error('Valeur CBOR simple non supportée');
+    default:
+      throw new Error(`Type CBOR ${majorType} non supporté`);
+  }
+};
+
+/**
+ * Décode le premier élément CBOR d'un buffer
+ * @param {Buffer} buffer - Les données CBOR
+ * @returns {{value: any, length: number}} La valeur et le nombre d'octets consommés
+ */
+const decodeFirst = (buffer) => {
+  const { value, offset } = decodeItem(buffer, 0);
+  return { value, length: offset };
+};
+
+/**
+ * Décode un buffer contenant exactement un élément CBOR
+ * @param {Buffer} buffer - Les données CBOR
+ * @returns {any} La valeur décodée (les maps sont renvoyées sous forme de Map)
+ */
+const decodeCbor = (buffer) => {
+  const { value, length } = decodeFirst(buffer);
+
+  if (length !== buffer.length) {
+    throw new Error('Données CBOR inattendues en fin de buffer');
+  }
+
+  return value;
+};
+
+module.exports = {
+  decodeCbor,
+  decodeFirst
+};
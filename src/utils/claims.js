@@ -0,0 +1,71 @@
+/**
+ * Sélection des claims OpenID Connect en fonction des scopes accordés
+ * Utilisée pour la réponse userinfo (/auth/me) et le contenu des id tokens.
+ */
+const { SCOPE_CLAIMS } = require('../config/oidc');
+
+/**
+ * Construit l'ensemble des claims standards connus pour un utilisateur
+ * @param {Object} user - L'utilisateur tel que renvoyé par le db-service
+ * @returns {Object} Les claims indexés par nom
+ */
+const buildStandardClaims = (user) => ({
+  sub: user.id,
+  name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || undefined,
+  given_name: user.firstName,
+  family_name: user.lastName,
+  picture: user.picture,
+  locale: user.locale,
+  updated_at: user.updatedAt ? Math.floor(new Date(user.updatedAt).getTime() / 1000) : undefined,
+  email: user.email,
+  email_verified: user.emailVerified,
+  phone_number: user.phoneNumber,
+  phone_number_verified: user.phoneNumber ? Boolean(user.phoneNumberVerified) : undefined,
+  address: user.address,
+  roles: user.roles
+});
+
+/**
+ * Résout les claims couverts par un scope : scopes standards, puis scopes personnalisés du client
+ * (client.scopeClaims : { "<scope>": ["<claim>", ...] })
+ * @param {string} scope - Le scope accordé
+ * @param {Object} client - Le client OAuth2 (optionnel)
+ * @returns {string[]} Les noms de claims
+ */
+const getClaimNamesForScope = (scope, client) => {
+  if (SCOPE_CLAIMS[scope]) {
+    return SCOPE_CLAIMS[scope];
+  }
+  return client?.scopeClaims?.[scope] || [];
+};
+
+/**
+ * Retourne les claims d'un utilisateur autorisés par les scopes accordés
+ * Le claim sub est toujours présent ; les claims sans valeur sont omis.
+ * @param {Object} user - L'utilisateur
+ * @param {string|string[]} scope - Scopes accordés (chaîne séparée par des espaces ou tableau)
+ * @param {Object} client - Le client OAuth2 ayant obtenu les scopes (optionnel)
+ * @returns {Object} Les claims à émettre
+ */
+const getClaimsForScopes = (user, scope, client = null) => {
+  const scopes = Array.isArray(scope) ? scope : (scope || '').split(' ').filter(Boolean);
+  const standardClaims = buildStandardClaims(user);
+  const claims = { sub: user.id };
+
+  for (const grantedScope of scopes) {
+    for (const name of getClaimNamesForScope(grantedScope, client)) {
+      // Les claims personnalisés sont lus dans les attributs de profil de l'utilisateur
+      const value = name in standardClaims ? standardClaims[name] : user.attributes?.[name];
+      if (value !== undefined && value !== null) {
+        claims[name] = value;
+      }
+    }
+  }
+
+  return claims;
+};
+
+module.exports = {
+  getClaimNamesForScope,
+  getClaimsForScopes
+};
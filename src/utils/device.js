@@ -0,0 +1,57 @@
+/**
+ * Utilitaires de description des appareils à partir du User-Agent
+ * Volontairement sommaires : le libellé sert uniquement à aider l'utilisateur à reconnaître ses sessions.
+ */
+
+// L'ordre compte : Edge et Opera s'annoncent aussi comme Chrome, Chrome comme Safari
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const findLabel = (candidates, userAgent) => candidates.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+/**
+ * Produit un libellé lisible de l'appareil (ex: "Firefox sur Windows")
+ * @param {string} userAgent - L'en-tête User-Agent de la requête
+ * @returns {string} Le libellé de l'appareil
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Appareil inconnu';
+  }
+
+  const browser = findLabel(BROWSERS, userAgent);
+  const os = findLabel(OPERATING_SYSTEMS, userAgent);
+
+  if (browser && os) {
+    return `${browser} sur ${os}`;
+  }
+  return browser || os || 'Appareil inconnu';
+};
+
+/**
+ * Extrait les informations d'appareil d'une requête Express
+ * @param {Object} req - La requête Express
+ * @returns {{userAgent: string, ipAddress: string}} Informations conservées avec la session
+ */
+const getDeviceInfo = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ipAddress: req.ip || null
+});
+
+module.exports = {
+  describeDevice,
+  getDeviceInfo
+};
@@ -0,0 +1,23 @@
+/**
+ * Conversion des durées de configuration (ex: '15m', '1h', '7d')
+ */
+
+/**
+ * Convertit une durée (ex: '15m', '1h', '7d' ou un nombre de secondes) en secondes
+ * @param {string|number} duration - La durée à convertir
+ * @returns {number} La durée en secondes
+ */
+const durationToSeconds = (duration) => {
+  const units = { s: 1, m: 60, h: 3600, d: 86400 };
+  const match = /^(\d+)\s*([smhd])?$/.exec(String(duration).trim());
+  
+  if (!match) {
+    throw new Error(`Durée invalide: ${duration}`);
+  }
+  
+  return parseInt(match[1], 10) * units[match[2] || 's'];
+};
+
+module.exports = {
+  durationToSeconds
+};
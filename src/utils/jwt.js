@@ -2,61 +2,134 @@
  * Utilitaires JWT pour la gestion des tokens d'authentification
  * Utilise la bibliothèque jose v6 pour une meilleure sécurité et conformité aux standards
  */
-const { SignJWT, jwtVerify, generateKeyPair, exportJWK, importPKCS8, importSPKI } = require('jose');
+const { SignJWT, jwtVerify } = require('jose');
 const crypto = require('crypto');
 const { AppError, AuthErrorCodes } = require('../middlewares/errorHandler');
+const { storeData, getData, storeDataIfAbsent } = require('../config/redis');
+const { getAcrValue, FIRST_PARTY_SCOPE } = require('../config/oidc');
+const { getClaimsForScopes } = require('./claims');
+const { durationToSeconds } = require('./duration');
+const { DEFAULT_KEY_ALGORITHM, isVerificationKey, getAccessTokenAlgorithm } = require('./signing-keys');
+const { getActiveKeyPair, getSigningKey, getVerificationKey } = require('./key-cache');
+
+// Préfixe Redis de la liste de révocation des access tokens (par jti)
+const REVOKED_JTI_PREFIX = 'revoked_jti:';
+
+// Préfixe Redis des tokens de vérification d'email déjà utilisés (par jti)
+const USED_VERIFICATION_JTI_PREFIX = 'used_verification_jti:';
+
+// Préfixe Redis des liens de connexion déjà utilisés (par jti)
+const USED_MAGIC_LINK_JTI_PREFIX = 'used_magic_link_jti:';
+
+/**
+ * Calcule le hash d'un token pour les claims at_hash / c_hash (OpenID Connect Core §3.1.3.6)
+ * Moitié gauche du hash (fonction dépendant de l'algorithme de signature), encodée en base64url.
+ * @param {string} token - Le token à hasher
+ * @param {string} algorithm - L'algorithme de signature de l'id token
+ * @returns {string} Le hash encodé
+ */
+const computeTokenHash = (token, algorithm) => {
+  const bits = algorithm === 'EdDSA' ? '512' : (algorithm.match(/(256|384|512)$/) || [null, '256'])[1];
+  const digest = crypto.createHash(`sha${bits}`).update(token, 'ascii').digest();
+  
+  return digest.subarray(0, digest.length / 2).toString('base64url');
+};
+
+/**
+ * Signe un access token avec la paire de clés active
+ * @param {Object} claims - Les claims du token
+ * @param {Object} dbClient - Le client pour le service de base de données
+ * @param {string} jti - Identifiant unique du token (généré si absent)
+ * @returns {Promise<string>} Le token signé
+ */
+const signAccessToken = async (claims, dbClient, jti) => {
+  const { privateKey, kid, algorithm } = await getSigningKey(dbClient, getAccessTokenAlgorithm());
+  
+  const expiresIn = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+  
+  return new SignJWT(claims)
+    .setProtectedHeader({ 
+      alg: algorithm, 
+      kid,
+      typ: 'JWT' 
+    })
+    .setJti(jti || crypto.randomUUID())
+    .setIssuedAt()
+    .setIssuer(process.env.API_URL)
+    .setAudience(process.env.FRONTEND_URL)
+    .setExpirationTime(expiresIn)
+    .sign(privateKey);
+};
 
 /**
  * Génère un access token JWT
  * @param {Object} user - Les données de l'utilisateur
  * @param {Object} dbClient - Le client pour le service de base de données
+ * @param {Object} options - Options du token (optionnel)
+ * @param {string} options.scope - Scopes accordés (par défaut ceux d'une session de première partie)
+ * @param {string} options.clientId - ID du client OAuth2 destinataire (email et rôles seulement si leurs scopes sont accordés)
+ * @param {string} options.jti - Identifiant unique du token (généré si absent)
+ * @param {number} options.authTime - Date de l'authentification de l'utilisateur (timestamp en secondes)
+ * @param {string[]} options.amr - Méthodes d'authentification utilisées (ex: ['pwd'])
+ * @param {string} options.sessionId - Session (famille de refresh tokens) à laquelle le token est rattaché
  * @returns {Promise<string>} Le token généré
  */
-const generateAccessToken = async (user, dbClient) => {
+const generateAccessToken = async (user, dbClient, options = {}) => {
   try {
-    const activeKeyPair = await getActiveKeyPair(dbClient);
+    const scope = options.scope || FIRST_PARTY_SCOPE;
+    const { email, roles } = options.clientId ? getClaimsForScopes(user, scope) : user;
     
-    if (!activeKeyPair) {
-      throw new Error('Aucune paire de clés active trouvée');
-    }
-    
-    const privateKey = await importPKCS8(
-      activeKeyPair.privateKey,
-      activeKeyPair.algorithm
-    );
-    
-    const expiresIn = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
-    
-    return new SignJWT({
+    return await signAccessToken({
       sub: user.id,
-      email: user.email,
-      roles: user.roles,
-      scope: 'openid profile email'
-    })
-      .setProtectedHeader({ 
-        alg: activeKeyPair.algorithm, 
-        kid: activeKeyPair.kid,
-        typ: 'JWT' 
-      })
-      .setIssuedAt()
-      .setIssuer(process.env.API_URL)
-      .setAudience(process.env.FRONTEND_URL)
-      .setExpirationTime(expiresIn)
-      .sign(privateKey);
+      email,
+      roles,
+      scope,
+      ...(options.clientId && { client_id: options.clientId }),
+      ...(options.authTime && { auth_time: options.authTime }),
+      ...(options.amr && { amr: options.amr }),
+      ...(options.sessionId && { sid: options.sessionId })
+    }, dbClient, options.jti);
   } catch (error) {
     console.error('Erreur lors de la génération du token d\'accès:', error);
     throw error;
   }
 };
 
+/**
+ * Génère un access token pour un client OAuth2 agissant pour son propre compte (client_credentials)
+ * @param {Object} client - Le client OAuth2
+ * @param {string} scope - Scopes accordés
+ * @param {Object} dbClient - Le client pour le service de base de données
+ * @returns {Promise<string>} Le token généré
+ */
+const generateClientAccessToken = async (client, scope, dbClient) => {
+  try {
+    return await signAccessToken({
+      sub: client.clientId,
+      client_id: client.clientId,
+      scope
+    }, dbClient);
+  } catch (error) {
+    console.error('Erreur lors de la génération du token d\'accès client:', error);
+    throw error;
+  }
+};
+
 /**
  * Génère un refresh token et l'enregistre via le db-service
  * @param {string} userId - ID de l'utilisateur
  * @param {string} clientId - ID du client (optionnel)
  * @param {Object} dbClient - Le client pour le service de base de données
+ * @param {Object} options - Contexte d'authentification conservé avec le token (optionnel)
+ * @param {number} options.authTime - Date de l'authentification de l'utilisateur (timestamp en secondes)
+ * @param {string[]} options.amr - Méthodes d'authentification utilisées
+ * @param {string} options.scope - Scopes accordés au client (tokens émis à un client tiers)
+ * @param {string} options.familyId - Famille du token remplacé lors d'une rotation (nouvelle famille si absent)
+ * @param {string} options.userAgent - User-Agent de l'appareil à l'origine de la session
+ * @param {string} options.ipAddress - Adresse IP de l'appareil à l'origine de la session
  * @returns {Promise<string>} Le refresh token généré
  */
-const generateRefreshToken = async (userId, dbClient, clientId = null) => {
+const generateRefreshToken = async (userId, dbClient, clientId = null, options = {}) => {
   try {
     const token = crypto.randomBytes(64).toString('hex');
     const expiresIn = process.env.REFRESH_TOKEN_EXPIRES_IN || '7d';
@@ -69,6 +142,12 @@ const generateRefreshToken = async (userId, dbClient, clientId = null) => {
       token,
       userId,
       clientId,
+      authTime: options.authTime || null,
+      amr: options.amr || null,
+      scope: options.scope || null,
+      familyId: options.familyId || crypto.randomUUID(),
+      userAgent: options.userAgent || null,
+      ipAddress: options.ipAddress || null,
       expiresAt: expiresAt.toISOString()
     });
     
@@ -79,44 +158,47 @@ const generateRefreshToken = async (userId, dbClient, clientId = null) => {
   }
 };
 
+/**
+ * Algorithme de signature des ID tokens d'un client (OpenID Connect Registration §2 : RS256 par défaut)
+ * @param {Object} client - Le client OAuth2 destinataire (optionnel)
+ * @returns {string} L'algorithme
+ */
+const getIdTokenAlgorithm = (client) => client?.idTokenSignedResponseAlg || DEFAULT_KEY_ALGORITHM;
+
 /**
  * Génère un ID token pour OpenID Connect
  * @param {Object} user - Informations de l'utilisateur
  * @param {string} clientId - ID du client
- * @param {string} nonce - Nonce pour éviter les attaques par rejeu
  * @param {Object} dbClient - Le client pour le service de base de données
+ * @param {Object} options - Contexte de l'authentification (optionnel)
+ * @param {string} options.scope - Scopes accordés, qui déterminent les claims du profil émis
+ * @param {Object} options.client - Client OAuth2 destinataire (pour ses scopes personnalisés et
+ * l'algorithme de signature de ses ID tokens, idTokenSignedResponseAlg, RS256 par défaut)
+ * @param {string} options.nonce - Nonce de la demande d'autorisation, pour éviter les attaques par rejeu
+ * @param {string} options.accessToken - Access token émis en même temps (pour le claim at_hash)
+ * @param {number} options.authTime - Date de l'authentification de l'utilisateur (timestamp en secondes)
+ * @param {string[]} options.amr - Méthodes d'authentification utilisées
  * @returns {Promise<string>} L'ID token généré
  */
-const generateIdToken = async (user, clientId, dbClient, nonce = null) => {
+const generateIdToken = async (user, clientId, dbClient, options = {}) => {
   try {
-    const activeKeyPair = await getActiveKeyPair(dbClient);
-    
-    if (!activeKeyPair) {
-      throw new Error('Aucune paire de clés active trouvée');
-    }
-    
-    const privateKey = await importJWK(
-      JSON.parse(activeKeyPair.privateKey),
-      activeKeyPair.algorithm
-    );
+    const { scope = 'openid', client, nonce, accessToken, authTime, amr } = options;
+    const { privateKey, kid, algorithm } = await getSigningKey(dbClient, getIdTokenAlgorithm(client));
     
     const payload = {
-      sub: user.id,
-      email: user.email,
-      email_verified: user.emailVerified,
-      name: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
-      given_name: user.firstName,
-      family_name: user.lastName,
-      picture: user.picture,
-      ...(nonce && { nonce })
+      ...getClaimsForScopes(user, scope, client),
+      ...(nonce && { nonce }),
+      ...(authTime && { auth_time: authTime }),
+      ...(amr && { amr, acr: getAcrValue(amr) }),
+      ...(accessToken && { at_hash: computeTokenHash(accessToken, algorithm) })
     };
     
     const expiresIn = process.env.ID_TOKEN_EXPIRES_IN || '1h';
     
     return new SignJWT(payload)
       .setProtectedHeader({ 
-        alg: activeKeyPair.algorithm, 
-        kid: activeKeyPair.kid,
+        alg: algorithm, 
+        kid,
         typ: 'JWT' 
       })
       .setIssuedAt()
@@ -144,21 +226,34 @@ const verifyAccessToken = async (token, dbClient) => {
       throw new AppError('Token invalide', 401, AuthErrorCodes.TOKEN_INVALID);
     }
     
-    const keyPair = await dbClient.getKeyPairByKid(decodedHeader.kid);
+    const verificationKey = await getVerificationKey(dbClient, decodedHeader.kid);
     
-    if (!keyPair) {
+    if (!verificationKey) {
       throw new AppError('Clé de signature introuvable', 401, AuthErrorCodes.TOKEN_INVALID);
     }
     
-    const publicKey = await importSPKI(
-      keyPair.publicKey,
-      keyPair.algorithm
-    );
+    const { keyPair, publicKey } = verificationKey;
+    
+    // Une clé révoquée ou expirée ne fait plus partie des clés de vérification
+    if (!isVerificationKey(keyPair)) {
+      throw new AppError('Clé de signature retirée', 401, AuthErrorCodes.TOKEN_INVALID);
+    }
     
     const { payload } = await jwtVerify(token, publicKey, {
       issuer: process.env.API_URL,
-      audience: process.env.FRONTEND_URL
+      audience: process.env.FRONTEND_URL,
+      algorithms: [keyPair.algorithm]
     });
+
+    // Les tokens à usage dédié (lien de connexion, vérification d'email) partagent la clé et l'audience
+    // des access tokens : ils ne doivent pas pouvoir être présentés comme Bearer
+    if (payload.purpose) {
+      throw new AppError('Token invalide', 401, AuthErrorCodes.TOKEN_INVALID);
+    }
+
+    if (payload.jti && await isAccessTokenRevoked(payload.jti)) {
+      throw new AppError('Token révoqué', 401, AuthErrorCodes.TOKEN_REVOKED);
+    }
     
     return payload;
   } catch (error) {
@@ -218,48 +313,54 @@ const revokeRefreshToken = async (token, dbClient) => {
 };
 
 /**
- * Récupère la paire de clés active
- * @param {Object} dbClient - Le client pour le service de base de données
- * @returns {Promise<Object>} La paire de clés active
+ * Révoque un access token en ajoutant son jti à la liste de révocation Redis
+ * L'entrée expire avec le token : au-delà, sa signature suffit à le rejeter.
+ * @param {string} jti - Identifiant unique du token
+ * @param {number} exp - Date d'expiration du token (timestamp en secondes)
+ * @returns {Promise<boolean>} True si la révocation a été enregistrée
  */
-const getActiveKeyPair = async (dbClient) => {
+const revokeAccessToken = async (jti, exp) => {
+  const ttl = exp - Math.floor(Date.now() / 1000);
+  
+  if (ttl <= 0) {
+    return true;
+  }
+  
   try {
-    return await dbClient.getActiveKeyPair();
+    const result = await storeData(`${REVOKED_JTI_PREFIX}${jti}`, { revokedAt: new Date().toISOString() }, ttl);
+    return result !== null;
   } catch (error) {
-    console.error('Impossible de récupérer la clé active depuis db-service', error);
-    return null;
+    console.error('Erreur lors de la révocation de l\'access token:', error);
+    return false;
   }
 };
 
 /**
- * Génère une nouvelle paire de clés RSA
- * @returns {Promise<Object>} La paire de clés générée
+ * Indique si un access token figure dans la liste de révocation
+ * @param {string} jti - Identifiant unique du token
+ * @returns {Promise<boolean>} True si le token a été révoqué
  */
-const generateKeyPairRSA = async () => {
-  try {
-    const { publicKey, privateKey } = await generateKeyPair('RS256');
-    const publicJwk = await exportJWK(publicKey);
-    const privateJwk = await exportJWK(privateKey);
-    const kid = crypto.randomBytes(8).toString('hex');
-    
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 30);
-    
-    const keyPairData = {
-      kid,
-      publicKey: JSON.stringify(publicJwk),
-      privateKey: JSON.stringify(privateJwk),
-      algorithm: 'RS256',
-      active: true,
-      issuedAt: new Date().toISOString(),
-      expiresAt: expiresAt.toISOString()
-    };
-    
-    return await dbClient.createKeyPair(keyPairData);
-  } catch (error) {
-    console.error('Erreur lors de la génération de la paire de clés:', error);
-    throw error;
+const isAccessTokenRevoked = async (jti) => {
+  const entry = await getData(`${REVOKED_JTI_PREFIX}${jti}`);
+  return entry !== null;
+};
+
+/**
+ * Résout la clé publique d'un token d'après son en-tête (fonction de clé de jwtVerify)
+ * La clé qui a signé le token peut avoir été retirée depuis par une rotation ; elle doit rester
+ * vérifiable et son algorithme doit être celui annoncé par le token.
+ * @param {Object} dbClient - Le client pour le service de base de données
+ * @param {Object} header - L'en-tête protégé du token
+ * @returns {Promise<Object>} La clé publique importée
+ */
+const resolveVerificationKey = async (dbClient, header) => {
+  const verificationKey = header.kid ? await getVerificationKey(dbClient, header.kid) : null;
+  
+  if (!verificationKey || !isVerificationKey(verificationKey.keyPair) || verificationKey.keyPair.algorithm !== header.alg) {
+    throw new Error('Clé de signature introuvable');
   }
+  
+  return verificationKey.publicKey;
 };
 
 /**
@@ -270,22 +371,19 @@ const generateKeyPairRSA = async () => {
  */
 const generateEmailVerificationToken = async (user, dbClient) => {
   try {
-    const activeKeyPair = await getActiveKeyPair(dbClient);
-    if (!activeKeyPair) {
-      throw new Error('Aucune paire de clés active trouvée pour la vérification d\'email');
-    }
-    const privateKey = await importPKCS8(activeKeyPair.privateKey, activeKeyPair.algorithm);
+    const { privateKey, kid, algorithm } = await getSigningKey(dbClient, getAccessTokenAlgorithm());
     const expiresIn = '24h';
 
     return new SignJWT({
       sub: user.id,
       purpose: 'email_verification'
     })
-      .setProtectedHeader({ alg: activeKeyPair.algorithm, kid: activeKeyPair.kid, typ: 'JWT' })
+      .setProtectedHeader({ alg: algorithm, kid, typ: 'JWT' })
       .setIssuedAt()
       .setIssuer(process.env.API_URL)
       .setAudience(process.env.FRONTEND_URL)
       .setExpirationTime(expiresIn)
+      .setJti(crypto.randomUUID())
       .sign(privateKey);
   } catch (error) {
     console.error('Erreur lors de la génération du token de vérification d\'email:', error);
@@ -301,14 +399,7 @@ const generateEmailVerificationToken = async (user, dbClient) => {
  */
 const verifyEmailVerificationToken = async (token, dbClient) => {
   try {
-    const { payload } = await jwtVerify(token, async (header) => {
-      const key = await dbClient.getActiveKeyPair(); // Utiliser la clé active pour vérifier
-      if (!key) {
-        throw new Error('Clé publique non trouvée pour la vérification');
-      }
-      // Correction: Utiliser la clé publique (SPKI) pour la vérification
-      return await importSPKI(key.publicKey, key.algorithm);
-    }, {
+    const { payload } = await jwtVerify(token, (header) => resolveVerificationKey(dbClient, header), {
       issuer: process.env.API_URL,
       audience: process.env.FRONTEND_URL,
     });
@@ -325,15 +416,107 @@ const verifyEmailVerificationToken = async (token, dbClient) => {
   }
 };
 
+/**
+ * Marque un token à usage unique comme utilisé
+ * L'entrée Redis expire avec le token : au-delà, sa date d'expiration suffit à le rejeter.
+ * Seule la requête qui crée l'entrée (SET NX) consomme le token ; sans Redis, le token est refusé.
+ * @param {string} prefix - Préfixe Redis propre à l'usage du token
+ * @param {Object} payload - Le payload vérifié du token
+ * @returns {Promise<boolean>} False si le token a déjà été utilisé (ou ne porte pas de jti)
+ * @throws {AppError} 503 si Redis est indisponible
+ */
+const consumeSingleUseToken = async (prefix, payload) => {
+  if (!payload.jti) {
+    return false;
+  }
+  
+  const ttl = Math.max(payload.exp - Math.floor(Date.now() / 1000), 1);
+  const consumed = await storeDataIfAbsent(`${prefix}${payload.jti}`, { usedAt: new Date().toISOString() }, ttl);
+  
+  if (consumed === null) {
+    throw new AppError('Vérification du token temporairement indisponible', 503, AuthErrorCodes.SERVICE_UNAVAILABLE);
+  }
+  
+  return consumed;
+};
+
+/**
+ * Marque un token de vérification d'email comme utilisé (usage unique)
+ * @param {Object} payload - Le payload vérifié du token
+ * @returns {Promise<boolean>} False si le token a déjà été utilisé (ou ne porte pas de jti)
+ */
+const consumeEmailVerificationToken = async (payload) => consumeSingleUseToken(USED_VERIFICATION_JTI_PREFIX, payload);
+
+/**
+ * Génère le token d'un lien de connexion par email (magic link)
+ * @param {Object} user - L'objet utilisateur
+ * @param {Object} dbClient - Le client pour le service de base de données
+ * @returns {Promise<string>} Le token généré
+ */
+const generateMagicLinkToken = async (user, dbClient) => {
+  const { privateKey, kid, algorithm } = await getSigningKey(dbClient, getAccessTokenAlgorithm());
+
+  return new SignJWT({
+    sub: user.id,
+    purpose: 'magic_link'
+  })
+    .setProtectedHeader({ alg: algorithm, kid, typ: 'JWT' })
+    .setIssuedAt()
+    .setIssuer(process.env.API_URL)
+    .setAudience(process.env.FRONTEND_URL)
+    .setExpirationTime(process.env.MAGIC_LINK_EXPIRES_IN || '15m')
+    .setJti(crypto.randomUUID())
+    .sign(privateKey);
+};
+
+/**
+ * Vérifie le token d'un lien de connexion par email
+ * @param {string} token - Le token à vérifier
+ * @param {Object} dbClient - Le client pour le service de base de données
+ * @returns {Promise<Object>} Le payload décodé
+ */
+const verifyMagicLinkToken = async (token, dbClient) => {
+  try {
+    const { payload } = await jwtVerify(token, (header) => resolveVerificationKey(dbClient, header), {
+      issuer: process.env.API_URL,
+      audience: process.env.FRONTEND_URL
+    });
+
+    if (payload.purpose !== 'magic_link') {
+      throw new Error('Token invalide (mauvais usage)');
+    }
+
+    return payload;
+  } catch (error) {
+    throw new AppError('Lien de connexion invalide ou expiré', 401, AuthErrorCodes.INVALID_MAGIC_LINK);
+  }
+};
+
+/**
+ * Marque un lien de connexion comme utilisé (usage unique)
+ * @param {Object} payload - Le payload vérifié du token
+ * @returns {Promise<boolean>} False si le lien a déjà été utilisé
+ */
+const consumeMagicLinkToken = async (payload) => consumeSingleUseToken(USED_MAGIC_LINK_JTI_PREFIX, payload);
+
 module.exports = {
+  durationToSeconds,
   generateAccessToken,
+  generateClientAccessToken,
   generateRefreshToken,
   generateIdToken,
+  computeTokenHash,
   verifyAccessToken,
   verifyRefreshToken,
   revokeRefreshToken,
+  revokeAccessToken,
+  isAccessTokenRevoked,
   getActiveKeyPair,
-  generateKeyPairRSA,
+  getIdTokenAlgorithm,
   generateEmailVerificationToken,
-  verifyEmailVerificationToken
+  verifyEmailVerificationToken,
+  consumeEmailVerificationToken,
+  generateMagicLinkToken,
+  verifyMagicLinkToken,
+  consumeMagicLinkToken
 }; 
\ No newline at end of file
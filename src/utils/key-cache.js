@@ -0,0 +1,208 @@
+/**
+ * Cache en mémoire des clés de signature et de vérification des tokens
+ * Évite un appel au db-service et un import de clé PEM à chaque token signé ou vérifié : les clés
+ * importées (CryptoKey) sont réutilisées pendant KEY_CACHE_TTL. Un kid inconnu déclenche un
+ * rechargement, limité à un par kid toutes les 30 secondes.
+ * Une rotation ou une révocation change la version du cache partagée dans Redis : chaque réplica la
+ * relit au plus toutes les 5 secondes et vide son cache si elle a changé. Sans Redis, les autres
+ * réplicas prennent en compte une révocation au plus tard à l'expiration de leur cache.
+ */
+const crypto = require('crypto');
+const { importPKCS8, importSPKI } = require('jose');
+const { durationToSeconds } = require('./duration');
+const { KEY_STATUS, DEFAULT_KEY_ALGORITHM } = require('./signing-keys');
+const { unwrapPrivateKey } = require('./key-encryption');
+const { getKeyStore } = require('../config/keystore');
+const { storeData, getData } = require('../config/redis');
+
+// Clé Redis de la version du cache, partagée entre les réplicas
+const KEY_CACHE_VERSION_KEY = 'key_cache_version';
+
+// Intervalle minimal entre deux lectures de la version partagée
+const VERSION_CHECK_INTERVAL_MS = 5000;
+
+// Durée de mémorisation d'un kid inconnu, et nombre maximal d'entrées du cache au-delà duquel il n'est pas mémorisé
+const MISS_TTL_MS = 30000;
+const MAX_CACHED_MISSES = 1000;
+
+// Clés de signature par algorithme et clés de vérification par kid : { value (promesse), expiresAt, kid }
+const signingKeys = new Map();
+const verificationKeys = new Map();
+
+// Dernière version partagée connue du processus, et date de sa dernière lecture
+let knownVersion = null;
+let versionCheckedAt = 0;
+
+const getTtlMs = () => durationToSeconds(process.env.KEY_CACHE_TTL || '5m') * 1000;
+
+/**
+ * Retourne la valeur en cache, ou la charge (les chargements simultanés d'une même clé sont mutualisés)
+ * @param {Map} cache - Le cache
+ * @param {string} key - La clé du cache
+ * @param {Function} load - Chargement de la valeur (null : rien à mettre en cache)
+ * @param {number} missTtlMs - Durée de mémorisation d'un résultat null (par défaut, il n'est pas mémorisé)
+ * @returns {Promise<Object|null>} La valeur
+ */
+const getOrLoad = (cache, key, load, missTtlMs = 0) => {
+  const entry = cache.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.value;
+  }
+
+  const value = load().then((result) => {
+    const current = cache.get(key);
+    if (!result && current?.value === value) {
+      if (missTtlMs && cache.size <= MAX_CACHED_MISSES) {
+        current.expiresAt = Date.now() + missTtlMs;
+      } else {
+        cache.delete(key);
+      }
+    }
+    return result;
+  }, (error) => {
+    if (cache.get(key)?.value === value) {
+      cache.delete(key);
+    }
+    throw error;
+  });
+
+  cache.set(key, { value, expiresAt: Date.now() + getTtlMs() });
+  return value;
+};
+
+/**
+ * Vide le cache du processus
+ */
+const clearLocalCache = () => {
+  signingKeys.clear();
+  verificationKeys.clear();
+};
+
+/**
+ * Vide le cache si une autre réplica l'a invalidé (version partagée relue au plus toutes les 5 secondes)
+ * Redis indisponible ou version absente : le cache est conservé jusqu'à son expiration.
+ * @returns {Promise<void>}
+ */
+const syncSharedVersion = async () => {
+  if (Date.now() - versionCheckedAt < VERSION_CHECK_INTERVAL_MS) {
+    return;
+  }
+  versionCheckedAt = Date.now();
+
+  const shared = await getData(KEY_CACHE_VERSION_KEY).catch(() => null);
+  if (shared?.version && shared.version !== knownVersion) {
+    clearLocalCache();
+    knownVersion = shared.version;
+  }
+};
+
+/**
+ * Récupère la paire de clés active
+ * @param {Object} dbClient - Le client pour le service de base de données
+ * @param {string} algorithm - Algorithme de signature recherché (optionnel)
+ * @returns {Promise<Object>} La paire de clés active, ou null
+ */
+const getActiveKeyPair = async (dbClient, algorithm) => {
+  try {
+    const keyPair = await getKeyStore(dbClient).getActiveKeyPair(algorithm);
+    // Les clés antérieures à la prise en charge de plusieurs algorithmes sont des clés RS256
+    const keyAlgorithm = keyPair?.algorithm || DEFAULT_KEY_ALGORITHM;
+    return keyPair && (!algorithm || keyAlgorithm === algorithm) ? { ...keyPair, algorithm: keyAlgorithm } : null;
+  } catch (error) {
+    console.error('Impossible de récupérer la clé active depuis le magasin de clés', error);
+    return null;
+  }
+};
+
+/**
+ * Retourne la clé privée active d'un algorithme, importée (PKCS8)
+ * @param {Object} dbClient - Le client pour le service de base de données
+ * @param {string} algorithm - Algorithme de signature
+ * @returns {Promise<Object>} La clé privée, son kid et son algorithme
+ */
+const getSigningKey = async (dbClient, algorithm) => {
+  await syncSharedVersion();
+
+  const signingKey = await getOrLoad(signingKeys, algorithm, async () => {
+    const activeKeyPair = await getActiveKeyPair(dbClient, algorithm);
+    if (!activeKeyPair) {
+      return null;
+    }
+
+    // Clé privée déchiffrée en mémoire uniquement, le temps de l'import
+    const privateKey = await importPKCS8(unwrapPrivateKey(activeKeyPair.privateKey, activeKeyPair.kid), activeKeyPair.algorithm);
+    return { privateKey, kid: activeKeyPair.kid, algorithm: activeKeyPair.algorithm };
+  });
+
+  if (!signingKey) {
+    throw new Error(`Aucune paire de clés active trouvée pour l'algorithme ${algorithm}`);
+  }
+
+  return signingKey;
+};
+
+/**
+ * Retourne la clé publique d'un kid, importée (SPKI), avec sa paire de clés (statut, expiration)
+ * Un kid inconnu est recherché dans le db-service ; s'il s'agit d'une nouvelle clé active (rotation
+ * effectuée par une autre réplica), la clé de signature en cache pour son algorithme est abandonnée.
+ * Un kid absent du magasin est mémorisé 30 secondes : des tokens au kid forgé ne sollicitent pas le db-service à chaque requête.
+ * @param {Object} dbClient - Le client pour le service de base de données
+ * @param {string} kid - Identifiant de la clé
+ * @returns {Promise<Object|null>} { keyPair, publicKey }, ou null si la clé n'existe pas
+ */
+const getVerificationKey = async (dbClient, kid) => {
+  await syncSharedVersion();
+
+  return getOrLoad(verificationKeys, kid, () => loadVerificationKey(dbClient, kid), MISS_TTL_MS);
+};
+
+/**
+ * Charge et importe la clé publique d'un kid depuis le magasin de clés
+ * @param {Object} dbClient - Le client pour le service de base de données
+ * @param {string} kid - Identifiant de la clé
+ * @returns {Promise<Object|null>} { keyPair, publicKey }, ou null si la clé n'existe pas
+ */
+const loadVerificationKey = async (dbClient, kid) => {
+  const keyPair = await getKeyStore(dbClient).getKeyPairByKid(kid);
+  if (!keyPair) {
+    return null;
+  }
+
+  const algorithm = keyPair.algorithm || DEFAULT_KEY_ALGORITHM;
+  const publicKey = await importSPKI(keyPair.publicKey, algorithm);
+
+  const signingEntry = signingKeys.get(algorithm);
+  if (keyPair.status === KEY_STATUS.ACTIVE && signingEntry) {
+    const signingKey = await signingEntry.value.catch(() => null);
+    if (signingKey?.kid !== kid) {
+      signingKeys.delete(algorithm);
+    }
+  }
+
+  return { keyPair: { ...keyPair, algorithm }, publicKey };
+};
+
+/**
+ * Vide le cache (après une rotation ou une révocation de clé), sur ce processus et sur les autres réplicas
+ * @returns {Promise<void>}
+ */
+const invalidateKeyCache = async () => {
+  clearLocalCache();
+  knownVersion = crypto.randomUUID();
+  versionCheckedAt = Date.now();
+
+  try {
+    if (!await storeData(KEY_CACHE_VERSION_KEY, { version: knownVersion })) {
+      console.warn('⚠️  Version du cache des clés non partagée (Redis indisponible) : les autres réplicas attendront l\'expiration de leur cache');
+    }
+  } catch (error) {
+    console.warn('⚠️  Version du cache des clés non partagée :', error.message);
+  }
+};
+
+module.exports = {
+  getActiveKeyPair,
+  getSigningKey,
+  getVerificationKey,
+  invalidateKeyCache
+};
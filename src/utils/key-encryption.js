@@ -0,0 +1,155 @@
+/**
+ * Chiffrement des clés privées de signature au repos (enveloppe par une clé de chiffrement de clés, KEK)
+ * Les clés privées sont chiffrées en AES-256-GCM avant d'être envoyées au db-service et ne sont
+ * déchiffrées qu'en mémoire : une copie de la base ne suffit pas à signer des tokens.
+ * La KEK (32 octets, en hexadécimal ou en base64) provient de KEY_ENCRYPTION_KEY ou d'un fichier
+ * monté (KEY_ENCRYPTION_KEY_FILE, ex: volumes/keys/kek.key). Lors d'un changement de KEK, les
+ * anciennes restent déclarées dans KEY_ENCRYPTION_KEY_PREVIOUS le temps de lancer `npm run keys:rewrap`.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Format d'une clé enveloppée : kek:v1:<id de la KEK>:<iv>:<tag>:<clé chiffrée> (base64url)
+const WRAPPED_KEY_PREFIX = 'kek:v1:';
+const KEK_LENGTH_BYTES = 32;
+const IV_LENGTH_BYTES = 12;
+
+/**
+ * Décode une KEK (64 caractères hexadécimaux ou base64 de 32 octets)
+ * @param {string} value - La KEK encodée
+ * @returns {Buffer} La KEK
+ */
+const decodeKek = (value) => {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== KEK_LENGTH_BYTES) {
+    throw new Error('Clé de chiffrement des clés invalide : 32 octets attendus (hexadécimal ou base64)');
+  }
+
+  return key;
+};
+
+/**
+ * Identifiant d'une KEK, conservé avec chaque clé enveloppée pour retrouver la KEK qui la déchiffre
+ * @param {Buffer} kek - La KEK
+ * @returns {string} L'identifiant (empreinte courte, ne révèle pas la KEK)
+ */
+const getKekId = (kek) => crypto.createHash('sha256').update(kek).digest('hex').slice(0, 16);
+
+/**
+ * Charge les KEK configurées
+ * @returns {Object} { current: { id, key } | null, keys: Map<id, Buffer> }
+ */
+const loadKeks = () => {
+  const keys = new Map();
+  let current = null;
+
+  const source = process.env.KEY_ENCRYPTION_KEY
+    || (process.env.KEY_ENCRYPTION_KEY_FILE && fs.readFileSync(process.env.KEY_ENCRYPTION_KEY_FILE, 'utf8'));
+
+  if (source) {
+    const key = decodeKek(source);
+    current = { id: getKekId(key), key };
+    keys.set(current.id, key);
+  }
+
+  (process.env.KEY_ENCRYPTION_KEY_PREVIOUS || '')
+    .split(',')
+    .filter(value => value.trim())
+    .forEach((value) => {
+      const key = decodeKek(value);
+      keys.set(getKekId(key), key);
+    });
+
+  return { current, keys };
+};
+
+/**
+ * Indique si une clé privée est enveloppée
+ * @param {string} privateKey - La clé privée stockée
+ * @returns {boolean} True si elle est chiffrée par une KEK
+ */
+const isWrappedKey = (privateKey) => typeof privateKey === 'string' && privateKey.startsWith(WRAPPED_KEY_PREFIX);
+
+/**
+ * Chiffre une clé privée avec la KEK courante
+ * Le kid est lié au chiffré (données authentifiées) : une clé enveloppée ne peut pas être
+ * réattribuée à une autre entrée du db-service.
+ * Sans KEK, la clé est conservée en clair, ce qui n'est accepté qu'en dehors de la production.
+ * @param {string} privateKey - La clé privée (PEM PKCS8)
+ * @param {string} kid - L'identifiant de la clé
+ * @returns {string} La clé enveloppée
+ */
+const wrapPrivateKey = (privateKey, kid) => {
+  const { current } = loadKeks();
+
+  if (!current) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('KEY_ENCRYPTION_KEY ou KEY_ENCRYPTION_KEY_FILE est requis pour stocker une clé de signature');
+    }
+    console.warn('⚠️  Aucune clé de chiffrement des clés configurée : clé de signature stockée en clair.');
+    return privateKey;
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', current.key, iv);
+  cipher.setAAD(Buffer.from(kid));
+  const ciphertext = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+
+  return `${WRAPPED_KEY_PREFIX}${[current.id, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join(':')}`;
+};
+
+/**
+ * Déchiffre une clé privée (les clés antérieures au chiffrement, en clair, sont retournées telles quelles)
+ * @param {string} privateKey - La clé privée stockée
+ * @param {string} kid - L'identifiant de la clé
+ * @returns {string} La clé privée (PEM PKCS8)
+ */
+const unwrapPrivateKey = (privateKey, kid) => {
+  if (!isWrappedKey(privateKey)) {
+    return privateKey;
+  }
+
+  const [kekId, iv, tag, ciphertext] = privateKey.slice(WRAPPED_KEY_PREFIX.length).split(':');
+  const kek = loadKeks().keys.get(kekId);
+
+  if (!kek) {
+    throw new Error(`Clé de chiffrement des clés ${kekId} introuvable pour la clé ${kid}`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', kek, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(kid));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Ré-enveloppe une clé privée avec la KEK courante (changement de KEK, ou clé encore en clair)
+ * @param {string} privateKey - La clé privée stockée
+ * @param {string} kid - L'identifiant de la clé
+ * @returns {string|null} La clé ré-enveloppée, ou null si elle l'est déjà avec la KEK courante
+ */
+const rewrapPrivateKey = (privateKey, kid) => {
+  const { current } = loadKeks();
+
+  if (!current) {
+    throw new Error('KEY_ENCRYPTION_KEY ou KEY_ENCRYPTION_KEY_FILE est requis pour ré-envelopper les clés');
+  }
+
+  if (privateKey.startsWith(`${WRAPPED_KEY_PREFIX}${current.id}:`)) {
+    return null;
+  }
+
+  return wrapPrivateKey(unwrapPrivateKey(privateKey, kid), kid);
+};
+
+module.exports = {
+  isWrappedKey,
+  wrapPrivateKey,
+  unwrapPrivateKey,
+  rewrapPrivateKey
+};
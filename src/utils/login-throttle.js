@@ -0,0 +1,220 @@
+/**
+ * Protection contre la force brute sur la connexion par mot de passe
+ * Les échecs sont comptés par compte (empreinte de l'adresse email, que le compte existe ou non,
+ * pour ne pas révéler son existence) et par adresse IP.
+ * Les compteurs sont incrémentés de manière atomique dans Redis (INCR), les verrouillages conservés à part :
+ * des échecs concurrents sont tous comptés et un seul déclenche le verrouillage. Si Redis est indisponible,
+ * ils basculent dans la mémoire du processus (protection par réplica plutôt qu'aucune protection).
+ */
+const crypto = require('crypto');
+const { storeData, incrementData, getData, deleteData } = require('../config/redis');
+const { durationToSeconds } = require('./jwt');
+
+// Compteurs d'échecs, verrouillages et délais progressifs (par empreinte d'email ou par IP)
+const ACCOUNT_PREFIX = 'login_failures:account:';
+const IP_PREFIX = 'login_failures:ip:';
+const ACCOUNT_LOCK_PREFIX = 'login_lockout:account:';
+const IP_LOCK_PREFIX = 'login_lockout:ip:';
+const ACCOUNT_DELAY_PREFIX = 'login_delay:account:';
+
+// Repli en mémoire : au-delà de cette taille, les entrées expirées sont purgées
+const MEMORY_STORE_MAX_ENTRIES = 10000;
+const memoryStore = new Map();
+
+/**
+ * Politique de verrouillage, lue à chaque appel pour suivre la configuration
+ * @returns {Object} Seuils et durées (en secondes)
+ */
+const getPolicy = () => ({
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10),
+  maxIpFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES || '20', 10),
+  lockoutSeconds: durationToSeconds(process.env.LOGIN_LOCKOUT_DURATION || '15m'),
+  windowSeconds: durationToSeconds(process.env.LOGIN_FAILURE_WINDOW || '15m')
+});
+
+/**
+ * Délai imposé avant la tentative suivante : aucun pour les deux premiers échecs,
+ * puis 1 seconde, doublée à chaque échec (30 secondes maximum)
+ * @param {number} failures - Nombre d'échecs consécutifs
+ * @returns {number} Le délai en secondes
+ */
+const getProgressiveDelay = (failures) => (failures < 3 ? 0 : Math.min(2 ** (failures - 3), 30));
+
+const hashEmail = (email) => crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+
+const secondsUntil = (date) => Math.max(Math.ceil((new Date(date).getTime() - Date.now()) / 1000), 1);
+
+const isFuture = (date) => Boolean(date) && new Date(date).getTime() > Date.now();
+
+const purgeMemoryStore = () => {
+  const now = Date.now();
+  for (const [key, entry] of memoryStore) {
+    if (entry.expiresAt <= now) {
+      memoryStore.delete(key);
+    }
+  }
+};
+
+const readMemoryEntry = (key) => {
+  const local = memoryStore.get(key);
+  if (local && local.expiresAt > Date.now()) {
+    return local.value;
+  }
+  memoryStore.delete(key);
+  return null;
+};
+
+const writeMemoryEntry = (key, value, ttl) => {
+  if (memoryStore.size >= MEMORY_STORE_MAX_ENTRIES) {
+    purgeMemoryStore();
+  }
+  memoryStore.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+};
+
+const readEntry = async (key) => {
+  const value = await getData(key);
+  return value || readMemoryEntry(key);
+};
+
+const writeEntry = async (key, value, ttl) => {
+  const result = await storeData(key, value, ttl).catch(() => null);
+
+  if (result !== null) {
+    memoryStore.delete(key);
+    return;
+  }
+  writeMemoryEntry(key, value, ttl);
+};
+
+const incrementEntry = async (key, ttl) => {
+  const count = await incrementData(key, ttl);
+
+  if (count !== null) {
+    memoryStore.delete(key);
+    return count;
+  }
+
+  const localCount = (readMemoryEntry(key) || 0) + 1;
+  writeMemoryEntry(key, localCount, ttl);
+  return localCount;
+};
+
+const clearEntry = async (key) => {
+  memoryStore.delete(key);
+  await deleteData(key);
+};
+
+/**
+ * Vérifie qu'une tentative de connexion est autorisée pour ce compte et cette adresse IP
+ * @param {string} email - Email saisi
+ * @param {string} ipAddress - Adresse IP du client (optionnelle)
+ * @returns {Promise<Object>} { allowed } ou, si refusée, { allowed: false, reason, retryAfter }
+ * (reason : 'account_locked', 'ip_blocked' ou 'delay' ; retryAfter en secondes)
+ */
+const checkLoginAllowed = async (email, ipAddress) => {
+  const emailHash = hashEmail(email);
+  const lock = await readEntry(`${ACCOUNT_LOCK_PREFIX}${emailHash}`);
+
+  if (isFuture(lock?.lockedUntil)) {
+    return { allowed: false, reason: 'account_locked', retryAfter: secondsUntil(lock.lockedUntil) };
+  }
+
+  if (ipAddress) {
+    const ipLock = await readEntry(`${IP_LOCK_PREFIX}${ipAddress}`);
+    if (isFuture(ipLock?.lockedUntil)) {
+      return { allowed: false, reason: 'ip_blocked', retryAfter: secondsUntil(ipLock.lockedUntil) };
+    }
+  }
+
+  const delay = await readEntry(`${ACCOUNT_DELAY_PREFIX}${emailHash}`);
+  if (isFuture(delay?.nextAttemptAt)) {
+    return { allowed: false, reason: 'delay', retryAfter: secondsUntil(delay.nextAttemptAt) };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Enregistre un échec de connexion pour ce compte et cette adresse IP
+ * Le compteur qui atteint son seuil est remplacé par un verrouillage : un verrouillage échu repart de zéro.
+ * @param {string} email - Email saisi
+ * @param {string} ipAddress - Adresse IP du client (optionnelle)
+ * @returns {Promise<Object>} L'état du compte ({ failures, locked, lockedUntil }) ;
+ * locked n'est vrai que pour l'échec qui déclenche le verrouillage
+ */
+const recordLoginFailure = async (email, ipAddress) => {
+  const policy = getPolicy();
+  const now = Date.now();
+  const emailHash = hashEmail(email);
+  const accountKey = `${ACCOUNT_PREFIX}${emailHash}`;
+  const failures = await incrementEntry(accountKey, policy.windowSeconds);
+  const lockedUntil = failures >= policy.maxAccountFailures
+    ? new Date(now + policy.lockoutSeconds * 1000).toISOString()
+    : null;
+
+  await writeEntry(`${ACCOUNT_DELAY_PREFIX}${emailHash}`, {
+    lastFailureAt: new Date(now).toISOString(),
+    nextAttemptAt: new Date(now + getProgressiveDelay(failures) * 1000).toISOString()
+  }, policy.windowSeconds);
+
+  if (lockedUntil) {
+    await writeEntry(`${ACCOUNT_LOCK_PREFIX}${emailHash}`, { failures, lockedUntil }, policy.lockoutSeconds);
+    await clearEntry(accountKey);
+  }
+
+  if (ipAddress) {
+    const ipKey = `${IP_PREFIX}${ipAddress}`;
+    const ipFailures = await incrementEntry(ipKey, policy.windowSeconds);
+
+    if (ipFailures >= policy.maxIpFailures) {
+      await writeEntry(`${IP_LOCK_PREFIX}${ipAddress}`, {
+        lockedUntil: new Date(now + policy.lockoutSeconds * 1000).toISOString()
+      }, policy.lockoutSeconds);
+      await clearEntry(ipKey);
+    }
+  }
+
+  return { failures, locked: failures === policy.maxAccountFailures, lockedUntil };
+};
+
+/**
+ * Remet à zéro les échecs d'un compte (connexion réussie ou déverrouillage)
+ * Le compteur de l'adresse IP est conservé : une connexion réussie ne blanchit pas une IP qui en essaie d'autres.
+ * @param {string} email - Email du compte
+ * @returns {Promise<void>}
+ */
+const clearLoginFailures = async (email) => {
+  const emailHash = hashEmail(email);
+
+  await clearEntry(`${ACCOUNT_PREFIX}${emailHash}`);
+  await clearEntry(`${ACCOUNT_LOCK_PREFIX}${emailHash}`);
+  await clearEntry(`${ACCOUNT_DELAY_PREFIX}${emailHash}`);
+};
+
+/**
+ * Retourne l'état de verrouillage d'un compte
+ * @param {string} email - Email du compte
+ * @returns {Promise<Object>} { locked, failures, lockedUntil, lastFailureAt }
+ */
+const getLockoutState = async (email) => {
+  const emailHash = hashEmail(email);
+  const lock = await readEntry(`${ACCOUNT_LOCK_PREFIX}${emailHash}`);
+  const delay = await readEntry(`${ACCOUNT_DELAY_PREFIX}${emailHash}`);
+  const locked = isFuture(lock?.lockedUntil);
+  const failures = locked ? lock.failures : await readEntry(`${ACCOUNT_PREFIX}${emailHash}`);
+
+  return {
+    locked,
+    failures: failures || 0,
+    lockedUntil: locked ? lock.lockedUntil : null,
+    lastFailureAt: delay?.lastFailureAt || null
+  };
+};
+
+module.exports = {
+  getProgressiveDelay,
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  getLockoutState
+};
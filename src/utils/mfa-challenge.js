@@ -0,0 +1,82 @@
+/**
+ * Challenges d'authentification multi-facteurs
+ * Après un premier facteur valide, le login renvoie un token de challenge opaque (au lieu des tokens)
+ * que le client échange, avec un second facteur, contre une session.
+ * Les challenges sont conservés dans Redis (empreinte du token uniquement), avec un nombre d'essais limité.
+ */
+const crypto = require('crypto');
+const { storeData, getData, deleteData } = require('../config/redis');
+const { durationToSeconds } = require('./jwt');
+
+const MFA_CHALLENGE_PREFIX = 'mfa_challenge:';
+
+// Nombre de codes erronés tolérés avant l'invalidation du challenge
+const MFA_MAX_ATTEMPTS = 5;
+
+const getKey = (token) => `${MFA_CHALLENGE_PREFIX}${crypto.createHash('sha256').update(token).digest('hex')}`;
+
+const getRemainingTtl = (challenge) => Math.floor((new Date(challenge.expiresAt).getTime() - Date.now()) / 1000);
+
+/**
+ * Crée un challenge MFA pour un utilisateur ayant validé son premier facteur
+ * @param {Object} data - Contexte de la connexion ({ userId, amr, device, methods })
+ * @returns {Promise<string|null>} Le token de challenge, ou null si Redis est indisponible
+ */
+const createMfaChallenge = async (data) => {
+  const ttl = durationToSeconds(process.env.MFA_CHALLENGE_EXPIRES_IN || '5m');
+  const token = crypto.randomBytes(32).toString('base64url');
+  const challenge = {
+    ...data,
+    attempts: 0,
+    expiresAt: new Date(Date.now() + ttl * 1000).toISOString()
+  };
+
+  const result = await storeData(getKey(token), challenge, ttl);
+  return result === null ? null : token;
+};
+
+/**
+ * Récupère un challenge MFA sans le consommer
+ * @param {string} token - Le token de challenge
+ * @returns {Promise<Object|null>} Le challenge, ou null s'il est inconnu ou expiré
+ */
+const getMfaChallenge = async (token) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+  return getData(getKey(token));
+};
+
+/**
+ * Enregistre un second facteur erroné ; le challenge est invalidé après MFA_MAX_ATTEMPTS échecs
+ * @param {string} token - Le token de challenge
+ * @param {Object} challenge - Le challenge courant
+ * @returns {Promise<number>} Le nombre d'essais restants
+ */
+const recordMfaChallengeFailure = async (token, challenge) => {
+  const attempts = challenge.attempts + 1;
+  const ttl = getRemainingTtl(challenge);
+
+  if (attempts >= MFA_MAX_ATTEMPTS || ttl <= 0) {
+    await deleteData(getKey(token));
+    return 0;
+  }
+
+  await storeData(getKey(token), { ...challenge, attempts }, ttl);
+  return MFA_MAX_ATTEMPTS - attempts;
+};
+
+/**
+ * Consomme un challenge après un second facteur valide (usage unique)
+ * @param {string} token - Le token de challenge
+ * @returns {Promise<boolean>} True si cette requête a consommé le challenge
+ */
+const consumeMfaChallenge = async (token) => (await deleteData(getKey(token))) === 1;
+
+module.exports = {
+  MFA_MAX_ATTEMPTS,
+  createMfaChallenge,
+  getMfaChallenge,
+  recordMfaChallengeFailure,
+  consumeMfaChallenge
+};
@@ -0,0 +1,51 @@
+/**
+ * Tokens opaques à usage unique (réinitialisation de mot de passe, liens envoyés par email...)
+ * Seule l'empreinte SHA-256 du token est conservée dans Redis, avec une durée de vie courte.
+ */
+const crypto = require('crypto');
+const { storeData, getData, deleteData } = require('../config/redis');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getKey = (purpose, token) => `${purpose}:${hashToken(token)}`;
+
+/**
+ * Crée un token à usage unique associé à des données
+ * @param {string} purpose - Usage du token (sert de préfixe Redis, ex: 'password_reset')
+ * @param {Object} data - Données restituées à la consommation du token
+ * @param {number} ttl - Durée de vie en secondes
+ * @returns {Promise<string|null>} Le token, ou null si Redis est indisponible
+ */
+const createOneTimeToken = async (purpose, data, ttl) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const result = await storeData(getKey(purpose, token), data, ttl);
+
+  return result === null ? null : token;
+};
+
+/**
+ * Consomme un token à usage unique : il ne peut être consommé qu'une seule fois
+ * @param {string} purpose - Usage attendu du token
+ * @param {string} token - Le token présenté
+ * @returns {Promise<Object|null>} Les données associées, ou null si le token est invalide, expiré ou déjà utilisé
+ */
+const consumeOneTimeToken = async (purpose, token) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  const key = getKey(purpose, token);
+  const data = await getData(key);
+
+  // La suppression fait foi : seule la requête qui supprime effectivement la clé consomme le token
+  if (!data || await deleteData(key) !== 1) {
+    return null;
+  }
+
+  return data;
+};
+
+module.exports = {
+  createOneTimeToken,
+  consumeOneTimeToken
+};
@@ -0,0 +1,64 @@
+/**
+ * Utilitaires PKCE (RFC 7636) pour le flux Authorization Code
+ */
+const crypto = require('crypto');
+
+// Méthodes de transformation supportées pour le code_challenge
+const CODE_CHALLENGE_METHODS = ['S256', 'plain'];
+
+// code_verifier et code_challenge : 43 à 128 caractères non réservés (RFC 7636 §4.1)
+const PKCE_VALUE_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+/**
+ * Indique si un client doit obligatoirement utiliser PKCE
+ * Les clients publics (sans secret) ne peuvent pas s'authentifier et doivent toujours l'utiliser.
+ * @param {Object} client - Le client OAuth2
+ * @returns {boolean} True si PKCE est requis
+ */
+const requiresPkce = (client) => Boolean(client.requirePkce) || !client.clientSecret;
+
+/**
+ * Vérifie le format d'un code_verifier ou d'un code_challenge
+ * @param {string} value - La valeur à vérifier
+ * @returns {boolean} True si le format est valide
+ */
+const isValidPkceValue = (value) => typeof value === 'string' && PKCE_VALUE_PATTERN.test(value);
+
+/**
+ * Calcule le code_challenge correspondant à un code_verifier
+ * @param {string} codeVerifier - Le code_verifier fourni par le client
+ * @param {string} method - La méthode de transformation (S256 ou plain)
+ * @returns {string} Le code_challenge
+ */
+const computeCodeChallenge = (codeVerifier, method) => {
+  if (method === 'plain') {
+    return codeVerifier;
+  }
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+};
+
+/**
+ * Vérifie qu'un code_verifier correspond au code_challenge enregistré
+ * @param {string} codeVerifier - Le code_verifier fourni lors de l'échange
+ * @param {string} codeChallenge - Le code_challenge enregistré avec le code
+ * @param {string} method - La méthode de transformation enregistrée
+ * @returns {boolean} True si le code_verifier est valide
+ */
+const verifyCodeChallenge = (codeVerifier, codeChallenge, method) => {
+  if (!isValidPkceValue(codeVerifier) || !CODE_CHALLENGE_METHODS.includes(method)) {
+    return false;
+  }
+
+  const expected = Buffer.from(codeChallenge);
+  const computed = Buffer.from(computeCodeChallenge(codeVerifier, method));
+
+  return expected.length === computed.length && crypto.timingSafeEqual(expected, computed);
+};
+
+module.exports = {
+  CODE_CHALLENGE_METHODS,
+  requiresPkce,
+  isValidPkceValue,
+  computeCodeChallenge,
+  verifyCodeChallenge
+};
@@ -0,0 +1,62 @@
+/**
+ * Codes de récupération à usage unique (connexion de secours)
+ * Les codes ne sont montrés qu'une fois à l'utilisateur ; seule leur empreinte est conservée.
+ */
+const crypto = require('crypto');
+
+// Nombre de codes générés par lot
+const RECOVERY_CODE_COUNT = 10;
+
+// Alphabet sans caractères ambigus (0/o, 1/l/i)
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+/**
+ * Normalise un code saisi par l'utilisateur (casse, espaces et tirets ignorés)
+ * @param {string} code - Le code saisi
+ * @returns {string} Le code normalisé
+ */
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Retourne le secret des empreintes de codes (RECOVERY_CODE_SECRET, à défaut JWT_SECRET)
+ * @returns {string} Le secret
+ */
+const getRecoveryCodeSecret = () => {
+  const secret = process.env.RECOVERY_CODE_SECRET || process.env.JWT_SECRET;
+  
+  if (!secret) {
+    throw new Error('RECOVERY_CODE_SECRET ou JWT_SECRET est requis pour les codes de récupération');
+  }
+  
+  return secret;
+};
+
+/**
+ * Calcule l'empreinte d'un code de récupération
+ * HMAC-SHA256 avec un secret du serveur, lié à l'utilisateur : sans ce secret, les empreintes d'une base
+ * divulguée ne se retrouvent pas par force brute (~50 bits d'entropie par code).
+ * Changer le secret invalide les codes existants.
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} code - Le code (normalisé ou non)
+ * @returns {string} L'empreinte hexadécimale
+ */
+const hashRecoveryCode = (userId, code) => crypto
+  .createHmac('sha256', getRecoveryCodeSecret())
+  .update(`${userId}:${normalizeRecoveryCode(code)}`)
+  .digest('hex');
+
+/**
+ * Génère un lot de codes de récupération au format xxxxx-xxxxx
+ * @param {number} count - Nombre de codes à générer
+ * @returns {string[]} Les codes en clair
+ */
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => Array.from({ length: count }, () => {
+  const chars = Array.from({ length: 10 }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+});
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  hashRecoveryCode,
+  generateRecoveryCodes
+};
@@ -0,0 +1,137 @@
+/**
+ * Cycle de vie des clés de signature des tokens
+ * NEXT (pré-publiée dans le JWKS) → ACTIVE (signe les tokens) → RETIRED (vérifie encore les tokens
+ * en circulation jusqu'à son expiration) → supprimée. Une clé compromise passe directement à REVOKED.
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const generateKeyPairAsync = promisify(crypto.generateKeyPair);
+
+const KEY_STATUS = {
+  NEXT: 'NEXT',
+  ACTIVE: 'ACTIVE',
+  RETIRED: 'RETIRED',
+  REVOKED: 'REVOKED'
+};
+
+// Clés publiées dans le JWKS : la suivante (pour que les caches des clients la connaissent avant
+// sa promotion), l'active et les retirées (pour les tokens qu'elles ont signés)
+const PUBLISHED_KEY_STATUSES = [KEY_STATUS.NEXT, KEY_STATUS.ACTIVE, KEY_STATUS.RETIRED];
+
+// Algorithme par défaut des ID tokens (OpenID Connect Registration §2) et des clés existantes
+const DEFAULT_KEY_ALGORITHM = 'RS256';
+
+// Algorithmes de signature pris en charge et type de clé correspondant (crypto.generateKeyPair)
+const KEY_TYPES = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  // ECDSA P-256 et Ed25519 : signatures bien plus courtes, pour les agents à faible bande passante
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } },
+  EdDSA: { type: 'ed25519', options: {} }
+};
+
+const SUPPORTED_KEY_ALGORITHMS = Object.keys(KEY_TYPES);
+
+/**
+ * Vérifie qu'un algorithme de signature est pris en charge
+ * @param {string} algorithm - L'algorithme (ex: 'ES256')
+ * @returns {boolean} True s'il est pris en charge
+ */
+const isSupportedKeyAlgorithm = (algorithm) => SUPPORTED_KEY_ALGORITHMS.includes(algorithm);
+
+/**
+ * Algorithme de signature des access tokens (et des tokens de vérification d'email et de connexion)
+ * @returns {string} L'algorithme configuré par ACCESS_TOKEN_SIGNING_ALG
+ */
+const getAccessTokenAlgorithm = () => {
+  const algorithm = process.env.ACCESS_TOKEN_SIGNING_ALG || DEFAULT_KEY_ALGORITHM;
+
+  if (!isSupportedKeyAlgorithm(algorithm)) {
+    throw new Error(`Algorithme de signature non pris en charge: ${algorithm}`);
+  }
+
+  return algorithm;
+};
+
+/**
+ * Algorithmes pour lesquels une clé de signature est maintenue (et tournée)
+ * RS256 et l'algorithme des access tokens sont toujours inclus.
+ * @returns {string[]} Les algorithmes configurés par SIGNING_KEY_ALGORITHMS
+ */
+const getSigningAlgorithms = () => {
+  const configured = (process.env.SIGNING_KEY_ALGORITHMS || '')
+    .split(',')
+    .map(algorithm => algorithm.trim())
+    .filter(Boolean);
+  const unsupported = configured.filter(algorithm => !isSupportedKeyAlgorithm(algorithm));
+
+  if (unsupported.length > 0) {
+    throw new Error(`Algorithmes de signature non pris en charge: ${unsupported.join(', ')}`);
+  }
+
+  return [...new Set([DEFAULT_KEY_ALGORITHM, getAccessTokenAlgorithm(), ...configured])];
+};
+
+/**
+ * Génère une paire de clés de signature au format PEM (PKCS8 / SPKI)
+ * @param {string} status - Statut initial de la clé (NEXT ou ACTIVE)
+ * @param {string} algorithm - Algorithme de signature (RS256, ES256 ou EdDSA)
+ * @returns {Promise<Object>} Les données de la clé, prêtes à être enregistrées
+ */
+const generateSigningKeyPair = async (status = KEY_STATUS.ACTIVE, algorithm = DEFAULT_KEY_ALGORITHM) => {
+  if (!isSupportedKeyAlgorithm(algorithm)) {
+    throw new Error(`Algorithme de signature non pris en charge: ${algorithm}`);
+  }
+
+  const { type, options } = KEY_TYPES[algorithm];
+  const { privateKey, publicKey } = await generateKeyPairAsync(type, {
+    ...options,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  const now = new Date().toISOString();
+
+  return {
+    kid: crypto.randomUUID(),
+    privateKey,
+    publicKey,
+    algorithm,
+    status,
+    publishedAt: now,
+    ...(status === KEY_STATUS.ACTIVE && { activatedAt: now })
+  };
+};
+
+/**
+ * Indique si une clé peut encore vérifier des tokens
+ * @param {Object} keyPair - La paire de clés
+ * @returns {boolean} False si la clé est révoquée ou expirée
+ */
+const isVerificationKey = (keyPair) => Boolean(keyPair)
+  && keyPair.status !== KEY_STATUS.REVOKED
+  && !(keyPair.expiresAt && new Date(keyPair.expiresAt) < new Date());
+
+/**
+ * Convertit la clé publique d'une paire de clés en JWK publiable
+ * @param {Object} keyPair - La paire de clés (clé publique SPKI)
+ * @returns {Object} La JWK publique
+ */
+const toPublicJwk = (keyPair) => ({
+  ...crypto.createPublicKey(keyPair.publicKey).export({ format: 'jwk' }),
+  kid: keyPair.kid,
+  alg: keyPair.algorithm || DEFAULT_KEY_ALGORITHM,
+  use: 'sig'
+});
+
+module.exports = {
+  KEY_STATUS,
+  PUBLISHED_KEY_STATUSES,
+  DEFAULT_KEY_ALGORITHM,
+  SUPPORTED_KEY_ALGORITHMS,
+  isSupportedKeyAlgorithm,
+  getAccessTokenAlgorithm,
+  getSigningAlgorithms,
+  generateSigningKeyPair,
+  isVerificationKey,
+  toPublicJwk
+};
@@ -0,0 +1,148 @@
+/**
+ * Utilitaires TOTP (RFC 6238) pour l'authentification multi-facteurs
+ * Paramètres compatibles avec les applications d'authentification usuelles : HMAC-SHA1, 6 chiffres, 30 secondes.
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_ALGORITHM = 'SHA1';
+
+/**
+ * Encode un buffer en base32 (RFC 4648, sans padding)
+ * @param {Buffer} buffer - Les octets à encoder
+ * @returns {string} La chaîne base32
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Décode une chaîne base32 (insensible à la casse, espaces et padding ignorés)
+ * @param {string} input - La chaîne base32
+ * @returns {Buffer} Les octets décodés
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secret base32 invalide');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Génère un nouveau secret TOTP (160 bits, recommandé par la RFC 4226)
+ * @returns {string} Le secret encodé en base32
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calcule le code TOTP d'un pas de temps
+ * @param {string} secret - Le secret base32
+ * @param {number} step - Le pas de temps (secondes depuis l'epoch / période)
+ * @returns {string} Le code à 6 chiffres
+ */
+const generateTotpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Retourne le pas de temps courant
+ * @param {number} timestamp - Date en millisecondes (par défaut maintenant)
+ * @returns {number} Le pas de temps
+ */
+const getTotpStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Vérifie un code TOTP en tolérant un décalage d'horloge de ±window pas
+ * @param {string} secret - Le secret base32
+ * @param {string} code - Le code saisi par l'utilisateur
+ * @param {number} window - Nombre de pas tolérés de part et d'autre (par défaut 1)
+ * @returns {number|null} Le pas de temps correspondant au code, ou null si le code est invalide
+ */
+const verifyTotpCode = (secret, code, window = 1) => {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = getTotpStep();
+  const submitted = Buffer.from(code);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (crypto.timingSafeEqual(submitted, Buffer.from(generateTotpCode(secret, step)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Construit l'URI otpauth:// à encoder dans un QR code pour l'application d'authentification
+ * @param {string} secret - Le secret base32
+ * @param {string} accountName - Le compte (généralement l'email de l'utilisateur)
+ * @param {string} issuer - Le nom du service affiché dans l'application
+ * @returns {string} L'URI otpauth
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_ALGORITHM,
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  TOTP_PERIOD_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotpCode,
+  getTotpStep,
+  verifyTotpCode,
+  buildOtpauthUri
+};
@@ -0,0 +1,286 @@
+/**
+ * Vérification des réponses WebAuthn (passkeys) côté serveur
+ * Seule l'attestation "none" est demandée : l'authenticité du modèle d'authentificateur n'est pas vérifiée,
+ * seule la possession de la clé l'est (comme pour la majorité des déploiements de passkeys).
+ */
+const crypto = require('crypto');
+const { decodeCbor, decodeFirst } = require('./cbor');
+const { AppError, AuthErrorCodes } = require('../middlewares/errorHandler');
+
+// Algorithmes COSE acceptés, par ordre de préférence (ES256, EdDSA, RS256)
+const COSE_ALGORITHMS = [-7, -8, -257];
+
+// Drapeaux de l'authenticatorData (WebAuthn §6.1)
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+const invalidResponse = (message) => new AppError(message, 400, AuthErrorCodes.INVALID_WEBAUTHN_RESPONSE);
+
+/**
+ * Retourne la configuration de la Relying Party
+ * @returns {{rpId: string, rpName: string, origin: string}} Identifiant, nom et origine attendue
+ */
+const getRelyingParty = () => {
+  const origin = process.env.WEBAUTHN_ORIGIN || process.env.FRONTEND_URL;
+
+  return {
+    rpId: process.env.WEBAUTHN_RP_ID || new URL(origin).hostname,
+    rpName: process.env.WEBAUTHN_RP_NAME || 'SupervIA',
+    origin
+  };
+};
+
+/**
+ * Génère un challenge aléatoire (base64url)
+ * @returns {string} Le challenge
+ */
+const generateChallenge = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Décode l'authenticatorData
+ * Toute donnée tronquée ou mal formée est refusée par une erreur de validation.
+ * @param {Buffer} authData - Les données brutes
+ * @returns {Object} rpIdHash, flags, signCount et, si présentes, les données de la clé créée
+ */
+const parseAuthenticatorData = (authData) => {
+  if (!Buffer.isBuffer(authData) || authData.length < 37) {
+    throw invalidResponse('authenticatorData invalide');
+  }
+
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: authData[32],
+    signCount: authData.readUInt32BE(33)
+  };
+
+  if (parsed.flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+    if (authData.length < 55) {
+      throw invalidResponse('authenticatorData invalide');
+    }
+
+    const credentialIdLength = authData.readUInt16BE(53);
+    const credentialIdEnd = 55 + credentialIdLength;
+    let decoded;
+
+    try {
+      decoded = decodeFirst(authData.subarray(credentialIdEnd));
+    } catch (error) {
+      throw invalidResponse('Clé publique COSE invalide');
+    }
+
+    const { value, length } = decoded;
+    if (credentialIdLength === 0 || !(value instanceof Map)) {
+      throw invalidResponse('Clé publique COSE invalide');
+    }
+
+    parsed.aaguid = authData.subarray(37, 53).toString('hex');
+    parsed.credentialId = authData.subarray(55, credentialIdEnd).toString('base64url');
+    parsed.credentialPublicKey = value;
+    parsed.credentialPublicKeyLength = length;
+  }
+
+  return parsed;
+};
+
+/**
+ * Convertit une clé publique COSE en clé SPKI (DER, base64url)
+ * @param {Map} coseKey - La clé COSE décodée
+ * @returns {{publicKey: string, algorithm: number}} La clé SPKI et l'algorithme COSE
+ */
+const coseToPublicKey = (coseKey) => {
+  const algorithm = coseKey.get(3);
+  const keyType = coseKey.get(1);
+  // Paramètre de clé (coordonnée, module...) : une chaîne d'octets obligatoire
+  const param = (label) => {
+    const value = coseKey.get(label);
+    if (!Buffer.isBuffer(value) || value.length === 0) {
+      throw invalidResponse('Clé publique COSE invalide');
+    }
+    return value.toString('base64url');
+  };
+  let jwk;
+
+  if (algorithm === -7 && keyType === 2 && coseKey.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: param(-2), y: param(-3) };
+  } else if (algorithm === -8 && keyType === 1 && coseKey.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: param(-2) };
+  } else if (algorithm === -257 && keyType === 3) {
+    jwk = { kty: 'RSA', n: param(-1), e: param(-2) };
+  } else {
+    throw invalidResponse('Algorithme de clé non supporté');
+  }
+
+  let publicKey;
+  try {
+    publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'der' });
+  } catch (error) {
+    throw invalidResponse('Clé publique COSE invalide');
+  }
+
+  return { publicKey: publicKey.toString('base64url'), algorithm };
+};
+
+/**
+ * Vérifie le clientDataJSON (type de cérémonie, challenge et origine)
+ * @param {string} clientDataJSON - clientDataJSON encodé en base64url
+ * @param {string} expectedType - webauthn.create ou webauthn.get
+ * @param {string} expectedChallenge - Le challenge émis par le serveur
+ * @returns {Buffer} Le clientDataJSON brut (pour le calcul de la signature)
+ */
+const verifyClientData = (clientDataJSON, expectedType, expectedChallenge) => {
+  const raw = Buffer.from(clientDataJSON || '', 'base64url');
+  let clientData;
+
+  try {
+    clientData = JSON.parse(raw.toString('utf8'));
+  } catch (error) {
+    throw invalidResponse('clientDataJSON invalide');
+  }
+
+  if (clientData.type !== expectedType) {
+    throw invalidResponse('Type de cérémonie WebAuthn inattendu');
+  }
+  if (clientData.challenge !== expectedChallenge) {
+    throw invalidResponse('Challenge WebAuthn invalide');
+  }
+  if (clientData.origin !== getRelyingParty().origin) {
+    throw invalidResponse('Origine WebAuthn invalide');
+  }
+
+  return raw;
+};
+
+/**
+ * Vérifie les drapeaux et le rpIdHash de l'authenticatorData
+ * @param {Object} authData - L'authenticatorData décodé
+ * @param {boolean} requireUserVerification - Exiger la vérification de l'utilisateur (PIN, biométrie)
+ */
+const verifyAuthenticatorFlags = (authData, requireUserVerification) => {
+  const expectedRpIdHash = crypto.createHash('sha256').update(getRelyingParty().rpId).digest();
+
+  if (!crypto.timingSafeEqual(authData.rpIdHash, expectedRpIdHash)) {
+    throw invalidResponse('rpId WebAuthn invalide');
+  }
+  if (!(authData.flags & FLAG_USER_PRESENT)) {
+    throw invalidResponse('Présence de l\'utilisateur non confirmée');
+  }
+  if (requireUserVerification && !(authData.flags & FLAG_USER_VERIFIED)) {
+    throw invalidResponse('Vérification de l\'utilisateur requise');
+  }
+};
+
+/**
+ * Lit un challenge dans un clientDataJSON, avant toute vérification (pour retrouver la cérémonie)
+ * @param {string} clientDataJSON - clientDataJSON encodé en base64url
+ * @returns {string|null} Le challenge, ou null si le clientDataJSON est illisible
+ */
+const readChallenge = (clientDataJSON) => {
+  try {
+    return JSON.parse(Buffer.from(clientDataJSON || '', 'base64url').toString('utf8')).challenge || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Vérifie une réponse d'enregistrement (navigator.credentials.create)
+ * @param {Object} credential - La réponse PublicKeyCredential sérialisée ({ id, response: { clientDataJSON, attestationObject, transports } })
+ * @param {string} expectedChallenge - Le challenge émis par le serveur
+ * @param {Object} options - Options de vérification
+ * @param {boolean} options.requireUserVerification - Exiger la vérification de l'utilisateur
+ * @returns {Object} La clé enregistrée ({ credentialId, publicKey, algorithm, signCount, aaguid, transports })
+ */
+const verifyRegistrationResponse = (credential, expectedChallenge, { requireUserVerification = false } = {}) => {
+  const response = credential?.response || {};
+  verifyClientData(response.clientDataJSON, 'webauthn.create', expectedChallenge);
+
+  let attestation;
+  try {
+    attestation = decodeCbor(Buffer.from(response.attestationObject || '', 'base64url'));
+  } catch (error) {
+    throw invalidResponse('attestationObject invalide');
+  }
+
+  if (!(attestation instanceof Map)) {
+    throw invalidResponse('attestationObject invalide');
+  }
+
+  const authData = parseAuthenticatorData(attestation.get('authData'));
+  verifyAuthenticatorFlags(authData, requireUserVerification);
+
+  if (!authData.credentialId) {
+    throw invalidResponse('Aucune clé dans la réponse d\'enregistrement');
+  }
+  if (credential.id && credential.id !== authData.credentialId) {
+    throw invalidResponse('Identifiant de clé incohérent');
+  }
+
+  const { publicKey, algorithm } = coseToPublicKey(authData.credentialPublicKey);
+
+  return {
+    credentialId: authData.credentialId,
+    publicKey,
+    algorithm,
+    signCount: authData.signCount,
+    aaguid: authData.aaguid,
+    transports: Array.isArray(response.transports) ? response.transports : [],
+    userVerified: Boolean(authData.flags & FLAG_USER_VERIFIED)
+  };
+};
+
+/**
+ * Vérifie une réponse d'authentification (navigator.credentials.get)
+ * @param {Object} credential - La réponse PublicKeyCredential sérialisée ({ id, response: { clientDataJSON, authenticatorData, signature } })
+ * @param {string} expectedChallenge - Le challenge émis par le serveur
+ * @param {Object} storedCredential - La clé enregistrée ({ publicKey, algorithm, signCount })
+ * @param {Object} options - Options de vérification
+ * @param {boolean} options.requireUserVerification - Exiger la vérification de l'utilisateur
+ * @returns {{signCount: number, userVerified: boolean}} Le nouveau compteur et l'état de vérification
+ */
+const verifyAuthenticationResponse = (credential, expectedChallenge, storedCredential, { requireUserVerification = false } = {}) => {
+  const response = credential?.response || {};
+  const clientData = verifyClientData(response.clientDataJSON, 'webauthn.get', expectedChallenge);
+  const rawAuthData = Buffer.from(response.authenticatorData || '', 'base64url');
+  const authData = parseAuthenticatorData(rawAuthData);
+
+  verifyAuthenticatorFlags(authData, requireUserVerification);
+
+  const signedData = Buffer.concat([rawAuthData, crypto.createHash('sha256').update(clientData).digest()]);
+  const publicKey = crypto.createPublicKey({
+    key: Buffer.from(storedCredential.publicKey, 'base64url'),
+    format: 'der',
+    type: 'spki'
+  });
+  const digest = storedCredential.algorithm === -8 ? null : 'sha256';
+  let validSignature;
+
+  try {
+    validSignature = crypto.verify(digest, signedData, publicKey, Buffer.from(response.signature || '', 'base64url'));
+  } catch (error) {
+    validSignature = false;
+  }
+
+  if (!validSignature) {
+    throw invalidResponse('Signature WebAuthn invalide');
+  }
+
+  // Un compteur qui n'augmente pas révèle un authentificateur cloné (sauf compteurs toujours nuls)
+  if ((authData.signCount > 0 || storedCredential.signCount > 0) && authData.signCount <= storedCredential.signCount) {
+    throw invalidResponse('Compteur de signature WebAuthn incohérent');
+  }
+
+  return {
+    signCount: authData.signCount,
+    userVerified: Boolean(authData.flags & FLAG_USER_VERIFIED)
+  };
+};
+
+module.exports = {
+  COSE_ALGORITHMS,
+  getRelyingParty,
+  generateChallenge,
+  readChallenge,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse
+};
@@ -0,0 +1,155 @@
+require('./helpers/mocks');
+const { authenticate, authenticateAnyClient, optionalAuthenticate, authorize } = require('../src/middlewares/auth');
+const { AuthErrorCodes } = require('../src/middlewares/errorHandler');
+const { verifyAccessToken } = require('../src/utils/jwt');
+
+jest.mock('../src/utils/jwt', () => ({
+  verifyAccessToken: jest.fn()
+}));
+
+const dbClient = {};
+
+const createRequest = (authorization) => ({
+  headers: authorization ? { authorization } : {},
+  app: { locals: { dbClient } }
+});
+
+describe('Authentication middleware', () => {
+  const payload = {
+    sub: 'user123',
+    email: 'test@example.com',
+    roles: ['ADMIN'],
+    scope: 'openid profile email phone address roles',
+    sid: 'session-1',
+    auth_time: 1700000000,
+    amr: ['pwd', 'otp', 'mfa']
+  };
+
+  beforeEach(() => {
+    verifyAccessToken.mockResolvedValue(payload);
+  });
+
+  describe('authenticate', () => {
+    it('should expose the user, roles, scope, session and authentication context', async () => {
+      const req = createRequest('Bearer access-token');
+      const next = jest.fn();
+
+      await authenticate(req, {}, next);
+
+      expect(verifyAccessToken).toHaveBeenCalledWith('access-token', dbClient);
+      expect(req.user).toEqual({
+        id: 'user123',
+        email: 'test@example.com',
+        roles: ['ADMIN'],
+        scope: payload.scope,
+        clientId: undefined,
+        sessionId: 'session-1',
+        authTime: 1700000000,
+        amr: ['pwd', 'otp', 'mfa']
+      });
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should default roles to an empty list', async () => {
+      verifyAccessToken.mockResolvedValue({ sub: 'user123' });
+      const req = createRequest('Bearer access-token');
+
+      await authenticate(req, {}, jest.fn());
+
+      expect(req.user.roles).toEqual([]);
+    });
+
+    it('should require a bearer token', async () => {
+      const next = jest.fn();
+
+      await authenticate(createRequest('Basic abc'), {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401, errorCode: AuthErrorCodes.TOKEN_REQUIRED }));
+      expect(verifyAccessToken).not.toHaveBeenCalled();
+    });
+
+    it('should forward the error of an invalid or revoked token', async () => {
+      const error = Object.assign(new Error('Token revoked'), { statusCode: 401, errorCode: AuthErrorCodes.TOKEN_REVOKED });
+      verifyAccessToken.mockRejectedValue(error);
+      const req = createRequest('Bearer revoked-token');
+      const next = jest.fn();
+
+      await authenticate(req, {}, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+      expect(req.user).toBeUndefined();
+    });
+  });
+
+  describe('third-party client tokens', () => {
+    beforeEach(() => {
+      verifyAccessToken.mockResolvedValue({ ...payload, scope: 'openid email', client_id: 'third-party-app' });
+    });
+
+    it('should reject a token issued to a client on first-party and admin routes', async () => {
+      const req = createRequest('Bearer client-token');
+      const next = jest.fn();
+
+      await authenticate(req, {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403, errorCode: AuthErrorCodes.INSUFFICIENT_PERMISSIONS }));
+      expect(req.user).toBeUndefined();
+    });
+
+    it('should accept it on routes open to client tokens (userinfo)', async () => {
+      const req = createRequest('Bearer client-token');
+      const next = jest.fn();
+
+      await authenticateAnyClient(req, {}, next);
+
+      expect(req.user).toMatchObject({ id: 'user123', clientId: 'third-party-app', scope: 'openid email' });
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should not authenticate the user for a consent request', async () => {
+      const req = createRequest('Bearer client-token');
+
+      await optionalAuthenticate(req, {}, jest.fn());
+
+      expect(req.user).toBeNull();
+    });
+  });
+
+  describe('optionalAuthenticate', () => {
+    it('should continue without a user when the token is missing or invalid', async () => {
+      const anonymous = createRequest();
+      const invalid = createRequest('Bearer bad-token');
+      verifyAccessToken.mockRejectedValue(new Error('invalid'));
+      const next = jest.fn();
+
+      await optionalAuthenticate(anonymous, {}, next);
+      await optionalAuthenticate(invalid, {}, next);
+
+      expect(anonymous.user).toBeUndefined();
+      expect(invalid.user).toBeNull();
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    it('should set the user of a valid token', async () => {
+      const req = createRequest('Bearer access-token');
+
+      await optionalAuthenticate(req, {}, jest.fn());
+
+      expect(req.user).toMatchObject({ id: 'user123', sessionId: 'session-1' });
+    });
+  });
+
+  describe('authorize', () => {
+    it('should accept a user with one of the required roles and reject the others', () => {
+      const next = jest.fn();
+
+      authorize(['ADMIN'])({ user: { roles: ['USER', 'ADMIN'] } }, {}, next);
+      authorize(['ADMIN'])({ user: { roles: ['USER'] } }, {}, next);
+      authorize(['ADMIN'])({}, {}, next);
+
+      expect(next).toHaveBeenNthCalledWith(1);
+      expect(next).toHaveBeenNthCalledWith(2, expect.objectContaining({ statusCode: 403 }));
+      expect(next).toHaveBeenNthCalledWith(3, expect.objectContaining({ statusCode: 401 }));
+    });
+  });
+});
@@ -0,0 +1,368 @@
+const { createLogger, createUser } = require('./helpers/mocks');
+const AuthService = require('../src/services/auth.service');
+const { AuthErrorCodes } = require('../src/middlewares/errorHandler');
+const jwt = require('../src/utils/jwt');
+const redis = require('../src/config/redis');
+const { computeCodeChallenge } = require('../src/utils/pkce');
+
+jest.mock('../src/utils/jwt', () => ({
+  durationToSeconds: jest.fn(),
+  generateAccessToken: jest.fn(),
+  generateRefreshToken: jest.fn(),
+  generateIdToken: jest.fn(),
+  revokeRefreshToken: jest.fn()
+}));
+
+describe('AuthService - Authorization Code', () => {
+  const client = {
+    id: 'client-db-id',
+    clientId: 'my-app',
+    clientSecret: 'my-secret',
+    active: true,
+    redirectUris: ['https://app.example.com/callback'],
+    allowedScopes: ['openid', 'profile', 'email']
+  };
+
+  const user = createUser();
+
+  const codeVerifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+  const codeChallenge = computeCodeChallenge(codeVerifier, 'S256');
+
+  let dbClient;
+  let authService;
+
+  beforeEach(() => {
+    dbClient = {
+      getClientByClientId: jest.fn().mockResolvedValue(client),
+      createAuthorizationCode: jest.fn().mockResolvedValue({}),
+      getAuthorizationCode: jest.fn(),
+      updateAuthorizationCode: jest.fn().mockResolvedValue({}),
+      revokeAllUserRefreshTokens: jest.fn().mockResolvedValue({}),
+      getRefreshTokenByValue: jest.fn(),
+      getUserById: jest.fn().mockResolvedValue(user)
+    };
+    authService = new AuthService({
+      dbClient,
+      notificationService: {},
+      logger: createLogger()
+    });
+
+    jwt.durationToSeconds.mockReturnValue(900);
+    jwt.generateAccessToken.mockResolvedValue('access_token');
+    jwt.generateRefreshToken.mockResolvedValue('refresh_token');
+    jwt.generateIdToken.mockResolvedValue('id_token');
+    jwt.revokeRefreshToken.mockResolvedValue(true);
+    redis.storeDataIfAbsent.mockResolvedValue(true);
+  });
+
+  describe('handleAuthorizationRequest', () => {
+    it('should persist the code and redirect with code and state', async () => {
+      const redirectUrl = await authService.handleAuthorizationRequest({
+        userId: 'user123',
+        clientId: 'my-app',
+        redirectUri: 'https://app.example.com/callback',
+        scope: 'openid email',
+        state: 'xyz',
+        responseType: 'code',
+        nonce: 'n-0S6',
+        codeChallenge,
+        codeChallengeMethod: 'S256'
+      });
+
+      const url = new URL(redirectUrl);
+      const stored = dbClient.createAuthorizationCode.mock.calls[0][0];
+
+      expect(url.searchParams.get('state')).toBe('xyz');
+      expect(url.searchParams.get('code')).toBe(stored.code);
+      expect(stored).toMatchObject({
+        userId: 'user123',
+        clientId: 'client-db-id',
+        redirectUri: 'https://app.example.com/callback',
+        scope: 'openid email',
+        nonce: 'n-0S6',
+        codeChallenge,
+        codeChallengeMethod: 'S256'
+      });
+    });
+
+    it('should reject scopes not allowed for the client', async () => {
+      await expect(authService.handleAuthorizationRequest({
+        userId: 'user123',
+        clientId: 'my-app',
+        redirectUri: 'https://app.example.com/callback',
+        scope: 'openid admin',
+        responseType: 'code'
+      })).rejects.toMatchObject({ errorCode: AuthErrorCodes.INVALID_SCOPE });
+
+      expect(dbClient.createAuthorizationCode).not.toHaveBeenCalled();
+    });
+
+    it('should require a code_challenge for public clients', async () => {
+      dbClient.getClientByClientId.mockResolvedValue({ ...client, clientSecret: null });
+
+      await expect(authService.handleAuthorizationRequest({
+        userId: 'user123',
+        clientId: 'my-app',
+        redirectUri: 'https://app.example.com/callback',
+        scope: 'openid',
+        responseType: 'code'
+      })).rejects.toMatchObject({ errorCode: AuthErrorCodes.INVALID_REQUEST });
+    });
+  });
+
+  describe('exchangeCodeForTokens', () => {
+    const storedCode = {
+      code: 'the-code',
+      userId: 'user123',
+      clientId: 'client-db-id',
+      redirectUri: 'https://app.example.com/callback',
+      scope: 'openid email',
+      nonce: 'n-0S6',
+      authTime: 1700000000,
+      amr: ['pwd']
+    };
+
+    it('should issue tokens for the user who authorized the client', async () => {
+      dbClient.getAuthorizationCode.mockResolvedValue({
+        ...storedCode,
+        expiresAt: new Date(Date.now() + 60000).toISOString()
+      });
+
+      const result = await authService.exchangeCodeForTokens(
+        'the-code', 'my-app', 'my-secret', 'https://app.example.com/callback'
+      );
+
+      expect(dbClient.getUserById).toHaveBeenCalledWith('user123');
+      expect(jwt.generateRefreshToken).toHaveBeenCalledWith('user123', dbClient, 'client-db-id', expect.objectContaining({
+        scope: 'openid email'
+      }));
+      expect(dbClient.updateAuthorizationCode).toHaveBeenCalledWith('the-code', { usedAt: expect.any(String) });
+      expect(dbClient.updateAuthorizationCode).toHaveBeenCalledWith('the-code', {
+        refreshToken: 'refresh_token',
+        accessTokenJti: expect.any(String),
+        familyId: expect.any(String)
+      });
+      expect(jwt.generateIdToken).toHaveBeenCalledWith(user, 'my-app', dbClient, expect.objectContaining({
+        nonce: 'n-0S6',
+        accessToken: 'access_token',
+        authTime: 1700000000,
+        amr: ['pwd']
+      }));
+      expect(result).toEqual({
+        access_token: 'access_token',
+        token_type: 'Bearer',
+        expires_in: 900,
+        refresh_token: 'refresh_token',
+        id_token: 'id_token',
+        scope: 'openid email'
+      });
+    });
+
+    it('should revoke the issued refresh token when a replayed code has no family', async () => {
+      dbClient.getAuthorizationCode.mockResolvedValue({
+        ...storedCode,
+        usedAt: new Date().toISOString(),
+        refreshToken: 'issued_refresh_token',
+        expiresAt: new Date(Date.now() + 60000).toISOString()
+      });
+
+      await expect(authService.exchangeCodeForTokens(
+        'the-code', 'my-app', 'my-secret', 'https://app.example.com/callback'
+      )).rejects.toMatchObject({ errorCode: AuthErrorCodes.INVALID_GRANT });
+
+      expect(jwt.revokeRefreshToken).toHaveBeenCalledWith('issued_refresh_token', dbClient);
+      expect(jwt.generateAccessToken).not.toHaveBeenCalled();
+    });
+
+    it('should revoke the whole refresh token family when a code is replayed', async () => {
+      dbClient.getAuthorizationCode.mockResolvedValue({
+        ...storedCode,
+        usedAt: new Date().toISOString(),
+        refreshToken: 'issued_refresh_token',
+        familyId: 'family-1',
+        expiresAt: new Date(Date.now() + 60000).toISOString()
+      });
+
+      await expect(authService.exchangeCodeForTokens(
+        'the-code', 'my-app', 'my-secret', 'https://app.example.com/callback'
+      )).rejects.toMatchObject({ errorCode: AuthErrorCodes.INVALID_GRANT });
+
+      expect(dbClient.revokeAllUserRefreshTokens).toHaveBeenCalledWith('user123', 'family-1');
+      expect(jwt.revokeRefreshToken).not.toHaveBeenCalled();
+    });
+
+    it('should let only one of two concurrent exchanges of a code succeed', async () => {
+      const consumed = new Set();
+      redis.storeDataIfAbsent.mockImplementation(async (key) => !consumed.has(key) && Boolean(consumed.add(key)));
+      dbClient.getAuthorizationCode.mockResolvedValue({
+        ...storedCode,
+        expiresAt: new Date(Date.now() + 60000).toISOString()
+      });
+
+      const results = await Promise.allSettled([1, 2].map(() => authService.exchangeCodeForTokens(
+        'the-code', 'my-app', 'my-secret', 'https://app.example.com/callback'
+      )));
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(result => result.status === 'rejected').reason.errorCode).toBe(AuthErrorCodes.INVALID_GRANT);
+      expect(jwt.generateAccessToken).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse the exchange when the code cannot be consumed atomically', async () => {
+      redis.storeDataIfAbsent.mockResolvedValue(null);
+      dbClient.getAuthorizationCode.mockResolvedValue({
+        ...storedCode,
+        expiresAt: new Date(Date.now() + 60000).toISOString()
+      });
+
+      await expect(authService.exchangeCodeForTokens(
+        'the-code', 'my-app', 'my-secret', 'https://app.example.com/callback'
+      )).rejects.toMatchObject({ statusCode: 503, errorCode: AuthErrorCodes.SERVICE_UNAVAILABLE });
+      expect(jwt.generateAccessToken).not.toHaveBeenCalled();
+    });
+
+    it('should reject an expired code', async () => {
+      dbClient.getAuthorizationCode.mockResolvedValue({
+        ...storedCode,
+        expiresAt: new Date(Date.now() - 1000).toISOString()
+      });
+
+      await expect(authService.exchangeCodeForTokens(
+        'the-code', 'my-app', 'my-secret', 'https://app.example.com/callback'
+      )).rejects.toMatchObject({ errorCode: AuthErrorCodes.INVALID_GRANT });
+    });
+
+    it('should reject a redirect_uri different from the authorization request', async () => {
+      dbClient.getAuthorizationCode.mockResolvedValue({
+        ...storedCode,
+        expiresAt: new Date(Date.now() + 60000).toISOString()
+      });
+
+      await expect(authService.exchangeCodeForTokens(
+        'the-code', 'my-app', 'my-secret', 'https://evil.example.com/callback'
+      )).rejects.toMatchObject({ errorCode: AuthErrorCodes.INVALID_GRANT });
+    });
+
+    it('should verify the PKCE code_verifier', async () => {
+      dbClient.getAuthorizationCode.mockResolvedValue({
+        ...storedCode,
+        codeChallenge,
+        codeChallengeMethod: 'S256',
+        expiresAt: new Date(Date.now() + 60000).toISOString()
+      });
+
+      await expect(authService.exchangeCodeForTokens(
+        'the-code', 'my-app', 'my-secret', 'https://app.example.com/callback', 'x'.repeat(43)
+      )).rejects.toMatchObject({ errorCode: AuthErrorCodes.INVALID_GRANT });
+
+      const result = await authService.exchangeCodeForTokens(
+        'the-code', 'my-app', 'my-secret', 'https://app.example.com/callback', codeVerifier
+      );
+      expect(result.access_token).toBe('access_token');
+    });
+
+    it('should let a public client exchange a code with PKCE and no secret', async () => {
+      dbClient.getClientByClientId.mockResolvedValue({ ...client, clientSecret: null });
+      dbClient.getAuthorizationCode.mockResolvedValue({
+        ...storedCode,
+        codeChallenge,
+        codeChallengeMethod: 'S256',
+        expiresAt: new Date(Date.now() + 60000).toISOString()
+      });
+
+      const result = await authService.exchangeCodeForTokens(
+        'the-code', 'my-app', undefined, 'https://app.example.com/callback', codeVerifier
+      );
+      expect(result.refresh_token).toBe('refresh_token');
+    });
+
+    it('should reject an invalid client secret', async () => {
+      await expect(authService.exchangeCodeForTokens(
+        'the-code', 'my-app', 'wrong', 'https://app.example.com/callback'
+      )).rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_CLIENT_CREDENTIALS });
+
+      expect(dbClient.getAuthorizationCode).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refreshClientTokens', () => {
+    const storedToken = {
+      token: 'refresh_token',
+      userId: 'user123',
+      clientId: 'client-db-id',
+      scope: 'openid email',
+      familyId: 'family-1',
+      authTime: 1700000000,
+      amr: ['pwd'],
+      expiresAt: new Date(Date.now() + 60000).toISOString()
+    };
+
+    beforeEach(() => {
+      dbClient.getRefreshTokenByValue.mockResolvedValue(storedToken);
+      jwt.generateRefreshToken.mockResolvedValue('new_refresh_token');
+    });
+
+    it('should rotate the refresh token of the client within its family', async () => {
+      const result = await authService.refreshClientTokens('refresh_token', 'my-app', 'my-secret');
+
+      expect(jwt.generateAccessToken).toHaveBeenCalledWith(user, dbClient, expect.objectContaining({
+        scope: 'openid email',
+        clientId: 'my-app',
+        sessionId: 'family-1',
+        authTime: 1700000000
+      }));
+      expect(jwt.generateRefreshToken).toHaveBeenCalledWith('user123', dbClient, 'client-db-id', expect.objectContaining({
+        scope: 'openid email',
+        familyId: 'family-1'
+      }));
+      expect(jwt.revokeRefreshToken).toHaveBeenCalledWith('refresh_token', dbClient);
+      expect(result).toEqual({
+        access_token: 'access_token',
+        token_type: 'Bearer',
+        expires_in: 900,
+        refresh_token: 'new_refresh_token',
+        scope: 'openid email'
+      });
+    });
+
+    it('should narrow the scope of the access token but not widen it', async () => {
+      const result = await authService.refreshClientTokens('refresh_token', 'my-app', 'my-secret', 'openid');
+
+      expect(result.scope).toBe('openid');
+      expect(jwt.generateRefreshToken).toHaveBeenCalledWith('user123', dbClient, 'client-db-id', expect.objectContaining({
+        scope: 'openid email'
+      }));
+
+      await expect(authService.refreshClientTokens('refresh_token', 'my-app', 'my-secret', 'openid profile'))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: AuthErrorCodes.INVALID_SCOPE });
+    });
+
+    it('should reject a refresh token issued to another client or to a first-party session', async () => {
+      for (const clientId of ['other-client-db-id', null]) {
+        dbClient.getRefreshTokenByValue.mockResolvedValue({ ...storedToken, clientId });
+
+        await expect(authService.refreshClientTokens('refresh_token', 'my-app', 'my-secret'))
+          .rejects.toMatchObject({ statusCode: 400, errorCode: AuthErrorCodes.INVALID_GRANT });
+      }
+      expect(jwt.generateAccessToken).not.toHaveBeenCalled();
+      expect(jwt.revokeRefreshToken).not.toHaveBeenCalled();
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      dbClient.getRefreshTokenByValue.mockResolvedValue({ ...storedToken, revokedAt: new Date().toISOString() });
+
+      await expect(authService.refreshClientTokens('refresh_token', 'my-app', 'my-secret'))
+        .rejects.toMatchObject({ errorCode: AuthErrorCodes.REFRESH_TOKEN_REUSED });
+
+      expect(dbClient.revokeAllUserRefreshTokens).toHaveBeenCalledWith('user123', 'family-1');
+      expect(jwt.generateAccessToken).not.toHaveBeenCalled();
+    });
+
+    it('should authenticate the client', async () => {
+      await expect(authService.refreshClientTokens('refresh_token', 'my-app', 'wrong'))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_CLIENT_CREDENTIALS });
+
+      expect(dbClient.getRefreshTokenByValue).not.toHaveBeenCalled();
+    });
+  });
+});
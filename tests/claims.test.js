@@ -0,0 +1,71 @@
+require('./helpers/mocks');
+const { getClaimsForScopes } = require('../src/utils/claims');
+const { generateAccessToken } = require('../src/utils/jwt');
+
+jest.mock('../src/utils/key-cache', () => ({
+  getSigningKey: jest.fn().mockResolvedValue({ privateKey: 'private-key', kid: 'kid-1', algorithm: 'RS256' })
+}));
+
+describe('Claims - getClaimsForScopes', () => {
+  const user = {
+    id: 'user123',
+    email: 'test@example.com',
+    emailVerified: true,
+    firstName: 'John',
+    lastName: 'Doe',
+    phoneNumber: '+33600000000',
+    roles: ['USER'],
+    attributes: { plan: 'pro' }
+  };
+
+  it('should only return sub for the openid scope', () => {
+    expect(getClaimsForScopes(user, 'openid')).toEqual({ sub: 'user123' });
+  });
+
+  it('should map standard scopes to their claims', () => {
+    expect(getClaimsForScopes(user, 'openid email phone')).toEqual({
+      sub: 'user123',
+      email: 'test@example.com',
+      email_verified: true,
+      phone_number: '+33600000000',
+      phone_number_verified: false
+    });
+  });
+
+  it('should omit claims without value', () => {
+    const claims = getClaimsForScopes(user, ['openid', 'profile', 'address']);
+
+    expect(claims).toEqual({ sub: 'user123', name: 'John Doe', given_name: 'John', family_name: 'Doe' });
+  });
+
+  it('should resolve custom scopes declared by the client', () => {
+    const client = { scopeClaims: { billing: ['plan'] } };
+
+    expect(getClaimsForScopes(user, 'openid billing roles', client)).toEqual({
+      sub: 'user123',
+      plan: 'pro',
+      roles: ['USER']
+    });
+    expect(getClaimsForScopes(user, 'openid billing')).toEqual({ sub: 'user123' });
+  });
+});
+
+describe('Claims - generateAccessToken', () => {
+  const user = { id: 'user123', email: 'test@example.com', roles: ['ADMIN'] };
+
+  it('should only give a third-party client the claims of its granted scopes', async () => {
+    const withoutScopes = JSON.parse(await generateAccessToken(user, {}, { clientId: 'my-app', scope: 'openid profile' }));
+    const withScopes = JSON.parse(await generateAccessToken(user, {}, { clientId: 'my-app', scope: 'openid email roles' }));
+
+    expect(withoutScopes).toMatchObject({ sub: 'user123', client_id: 'my-app', scope: 'openid profile' });
+    expect(withoutScopes).not.toHaveProperty('email');
+    expect(withoutScopes).not.toHaveProperty('roles');
+    expect(withScopes).toMatchObject({ email: 'test@example.com', roles: ['ADMIN'] });
+  });
+
+  it('should keep the email and roles of first-party sessions', async () => {
+    const claims = JSON.parse(await generateAccessToken(user, {}));
+
+    expect(claims).toMatchObject({ sub: 'user123', email: 'test@example.com', roles: ['ADMIN'] });
+  });
+});
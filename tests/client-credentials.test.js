@@ -0,0 +1,102 @@
+const { createLogger } = require('./helpers/mocks');
+const express = require('express');
+const request = require('supertest');
+const AuthService = require('../src/services/auth.service');
+const AuthController = require('../src/controllers/auth.controller');
+const { AuthErrorCodes, oauthErrorHandler } = require('../src/middlewares/errorHandler');
+const jwt = require('../src/utils/jwt');
+
+jest.mock('../src/utils/jwt', () => ({
+  durationToSeconds: jest.fn(),
+  generateClientAccessToken: jest.fn()
+}));
+
+describe('AuthService - client_credentials', () => {
+  const client = {
+    id: 'client-db-id',
+    clientId: 'monitoring-agent',
+    clientSecret: 'agent-secret',
+    active: true,
+    allowedScopes: ['openid', 'metrics:write', 'alerts:read']
+  };
+
+  let dbClient;
+  let authService;
+
+  beforeEach(() => {
+    dbClient = { getClientByClientId: jest.fn().mockResolvedValue(client) };
+    authService = new AuthService({
+      dbClient,
+      notificationService: {},
+      logger: createLogger()
+    });
+
+    jwt.durationToSeconds.mockReturnValue(900);
+    jwt.generateClientAccessToken.mockResolvedValue('client_access_token');
+  });
+
+  it('should grant every allowed scope except openid by default', async () => {
+    const result = await authService.issueClientCredentialsToken('monitoring-agent', 'agent-secret');
+
+    expect(jwt.generateClientAccessToken).toHaveBeenCalledWith(client, 'metrics:write alerts:read', dbClient);
+    expect(result).toEqual({
+      access_token: 'client_access_token',
+      token_type: 'Bearer',
+      expires_in: 900,
+      scope: 'metrics:write alerts:read'
+    });
+  });
+
+  it('should reject scopes outside the client allowed scopes', async () => {
+    await expect(authService.issueClientCredentialsToken('monitoring-agent', 'agent-secret', 'metrics:write admin'))
+      .rejects.toMatchObject({ errorCode: AuthErrorCodes.INVALID_SCOPE });
+  });
+
+  it('should refuse public clients', async () => {
+    dbClient.getClientByClientId.mockResolvedValue({ ...client, clientSecret: null });
+
+    await expect(authService.issueClientCredentialsToken('monitoring-agent'))
+      .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_CLIENT_CREDENTIALS });
+  });
+
+  it('should refuse clients not registered for the grant', async () => {
+    dbClient.getClientByClientId.mockResolvedValue({ ...client, grantTypes: ['authorization_code'] });
+
+    await expect(authService.issueClientCredentialsToken('monitoring-agent', 'agent-secret'))
+      .rejects.toMatchObject({ errorCode: AuthErrorCodes.INVALID_GRANT_TYPE });
+  });
+});
+
+describe('AuthController - client authentication', () => {
+  let authService;
+  let app;
+
+  beforeEach(() => {
+    authService = { issueClientCredentialsToken: jest.fn().mockResolvedValue({ access_token: 'client_access_token' }) };
+    const controller = new AuthController(authService);
+    app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.post('/token', controller.token.bind(controller), oauthErrorHandler);
+  });
+
+  const basic = (credentials) => `Basic ${Buffer.from(credentials).toString('base64')}`;
+
+  it('should decode form-encoded Basic credentials', async () => {
+    await request(app).post('/token').set('Authorization', basic('monitoring%3Aagent:s%25cret'))
+      .send('grant_type=client_credentials').expect(200);
+
+    expect(authService.issueClientCredentialsToken).toHaveBeenCalledWith('monitoring:agent', 's%cret', undefined);
+  });
+
+  it.each([
+    ['an invalid percent-encoding', 'monitoring-agent:%E0%A4%A'],
+    ['no separator', 'monitoring-agent']
+  ])('should answer invalid_client to Basic credentials with %s', async (label, credentials) => {
+    const response = await request(app).post('/token').set('Authorization', basic(credentials))
+      .send('grant_type=client_credentials').expect(401);
+
+    expect(response.body.error).toBe('invalid_client');
+    expect(response.headers['www-authenticate']).toBe('Basic realm="supervia"');
+    expect(authService.issueClientCredentialsToken).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,64 @@
+const { createLogger } = require('./helpers/mocks');
+const express = require('express');
+const request = require('supertest');
+const AuthService = require('../src/services/auth.service');
+const wellKnownRouter = require('../src/routes/wellknown.routes');
+
+describe('OpenID Connect discovery', () => {
+  const apiUrl = process.env.API_URL;
+  let authService;
+
+  beforeEach(() => {
+    process.env.API_URL = 'https://auth.example.com';
+    authService = new AuthService({ dbClient: {}, notificationService: {}, logger: createLogger() });
+    jest.spyOn(authService, 'getJwks').mockResolvedValue({
+      keys: [{ kid: 'kid-1', alg: 'RS256' }, { kid: 'kid-2', alg: 'ES256' }, { kid: 'kid-3', alg: 'RS256' }]
+    });
+  });
+
+  afterEach(() => {
+    process.env.API_URL = apiUrl;
+  });
+
+  it('should describe the issuer and its endpoints', async () => {
+    const configuration = await authService.getOpenIdConfiguration();
+
+    expect(configuration).toMatchObject({
+      issuer: 'https://auth.example.com',
+      authorization_endpoint: 'https://auth.example.com/api/v1/auth/authorize',
+      token_endpoint: 'https://auth.example.com/api/v1/auth/token',
+      userinfo_endpoint: 'https://auth.example.com/api/v1/auth/me',
+      jwks_uri: 'https://auth.example.com/api/v1/auth/jwks.json',
+      revocation_endpoint: 'https://auth.example.com/api/v1/auth/revoke',
+      response_types_supported: ['code'],
+      subject_types_supported: ['public']
+    });
+    expect(configuration.scopes_supported).toContain('openid');
+    expect(configuration.grant_types_supported).toEqual(expect.arrayContaining(['authorization_code', 'refresh_token']));
+    expect(configuration.token_endpoint_auth_methods_supported).toEqual(expect.arrayContaining(['client_secret_basic', 'client_secret_post']));
+  });
+
+  it('should advertise the algorithms of the published keys', async () => {
+    const configuration = await authService.getOpenIdConfiguration();
+
+    expect(configuration.id_token_signing_alg_values_supported).toEqual(['RS256', 'ES256']);
+  });
+
+  it('should fall back to RS256 when the keys cannot be read', async () => {
+    authService.getJwks.mockRejectedValue(new Error('db-service indisponible'));
+
+    const configuration = await authService.getOpenIdConfiguration();
+
+    expect(configuration.id_token_signing_alg_values_supported).toEqual(['RS256']);
+  });
+
+  it('should be served under /.well-known with a public cache', async () => {
+    const app = express();
+    app.use('/.well-known', wellKnownRouter({ authService }));
+
+    const response = await request(app).get('/.well-known/openid-configuration').expect(200);
+
+    expect(response.headers['cache-control']).toBe('public, max-age=3600');
+    expect(response.body.issuer).toBe('https://auth.example.com');
+  });
+});
@@ -0,0 +1,143 @@
+const { createLogger, createUser } = require('./helpers/mocks');
+const MfaService = require('../src/services/mfa.service');
+const { AuthErrorCodes } = require('../src/middlewares/errorHandler');
+const redis = require('../src/config/redis');
+const mfaChallenge = require('../src/utils/mfa-challenge');
+
+jest.mock('../src/utils/mfa-challenge', () => ({
+  MFA_MAX_ATTEMPTS: 5,
+  getMfaChallenge: jest.fn(),
+  recordMfaChallengeFailure: jest.fn(),
+  consumeMfaChallenge: jest.fn()
+}));
+
+describe('MfaService - Email OTP', () => {
+  const user = createUser({ emailOtpEnabled: true });
+  const challenge = { userId: 'user123', amr: ['pwd'], device: { ipAddress: '203.0.113.7' }, methods: ['email'], attempts: 0 };
+
+  let store;
+  let dbClient;
+  let authService;
+  let notificationService;
+  let mfaService;
+
+  // Code envoyé lors du dernier appel au service de notification
+  const sentCode = () => notificationService.sendMfaCodeEmail.mock.calls.at(-1)[1];
+
+  beforeEach(() => {
+    store = new Map();
+    redis.storeData.mockImplementation(async (key, value) => { store.set(key, value); return 'OK'; });
+    redis.getData.mockImplementation(async (key) => store.get(key) || null);
+    redis.deleteData.mockImplementation(async (key) => (store.delete(key) ? 1 : 0));
+
+    mfaChallenge.getMfaChallenge.mockResolvedValue(challenge);
+    mfaChallenge.consumeMfaChallenge.mockResolvedValue(true);
+
+    dbClient = {
+      getUserById: jest.fn().mockResolvedValue(user),
+      updateUser: jest.fn().mockResolvedValue(user),
+      verifyPassword: jest.fn().mockResolvedValue(true)
+    };
+    authService = {
+      createSession: jest.fn().mockResolvedValue({ accessToken: 'access_token', refreshToken: 'refresh_token' }),
+      handleLoginFailure: jest.fn().mockResolvedValue(),
+      toPublicUser: jest.fn(publicUser => publicUser)
+    };
+    notificationService = { sendMfaCodeEmail: jest.fn().mockResolvedValue({}) };
+    mfaService = new MfaService({
+      dbClient,
+      authService,
+      notificationService,
+      logger: createLogger()
+    });
+  });
+
+  describe('login', () => {
+    it('should email a 6-digit code and open a session with it', async () => {
+      await mfaService.sendLoginEmailCode('mfa-token');
+      expect(notificationService.sendMfaCodeEmail).toHaveBeenCalledWith('test@example.com', expect.stringMatching(/^\d{6}$/), 5);
+
+      const result = await mfaService.verifyLoginEmailCode('mfa-token', sentCode());
+
+      expect(result).toMatchObject({ accessToken: 'access_token', refreshToken: 'refresh_token' });
+      expect(authService.createSession).toHaveBeenCalledWith(user, ['pwd', 'otp', 'mfa'], challenge.device);
+    });
+
+    it('should count a wrong code against the challenge', async () => {
+      await mfaService.sendLoginEmailCode('mfa-token');
+      const wrongCode = sentCode() === '000000' ? '111111' : '000000';
+
+      await expect(mfaService.verifyLoginEmailCode('mfa-token', wrongCode))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_MFA_CODE });
+      expect(mfaChallenge.recordMfaChallengeFailure).toHaveBeenCalledWith('mfa-token', challenge);
+      expect(authService.handleLoginFailure).toHaveBeenCalledWith('test@example.com', user, challenge.device);
+      expect(authService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('should not accept a code twice', async () => {
+      await mfaService.sendLoginEmailCode('mfa-token');
+      const code = sentCode();
+      await mfaService.verifyLoginEmailCode('mfa-token', code);
+
+      await expect(mfaService.verifyLoginEmailCode('mfa-token', code))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_MFA_CODE });
+    });
+
+    it('should throttle resends', async () => {
+      await mfaService.sendLoginEmailCode('mfa-token');
+
+      await expect(mfaService.sendLoginEmailCode('mfa-token'))
+        .rejects.toMatchObject({ statusCode: 429, errorCode: AuthErrorCodes.TOO_MANY_REQUESTS });
+      expect(notificationService.sendMfaCodeEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse a challenge that does not offer the email method', async () => {
+      mfaChallenge.getMfaChallenge.mockResolvedValue({ ...challenge, methods: ['totp'] });
+
+      await expect(mfaService.sendLoginEmailCode('mfa-token'))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_MFA_TOKEN });
+      expect(notificationService.sendMfaCodeEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('enrollment', () => {
+    it('should enable the email method once the code is confirmed', async () => {
+      dbClient.getUserById.mockResolvedValue({ ...user, emailOtpEnabled: false });
+
+      await mfaService.startEmailOtpEnrollment('user123');
+      await mfaService.confirmEmailOtpEnrollment('user123', sentCode());
+
+      expect(dbClient.updateUser).toHaveBeenCalledWith('user123', { emailOtpEnabled: true });
+    });
+
+    it('should invalidate the code after too many wrong attempts', async () => {
+      dbClient.getUserById.mockResolvedValue({ ...user, emailOtpEnabled: false });
+      await mfaService.startEmailOtpEnrollment('user123');
+      const wrongCode = sentCode() === '000000' ? '111111' : '000000';
+
+      for (let i = 0; i < 5; i += 1) {
+        await expect(mfaService.confirmEmailOtpEnrollment('user123', wrongCode)).rejects.toMatchObject({ statusCode: 401 });
+      }
+
+      await expect(mfaService.confirmEmailOtpEnrollment('user123', sentCode()))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: AuthErrorCodes.MFA_ENROLLMENT_NOT_FOUND });
+    });
+  });
+
+  describe('disable', () => {
+    it('should disable the email method after re-authentication', async () => {
+      await mfaService.disableEmailOtp('user123', 'Password123!');
+
+      expect(dbClient.verifyPassword).toHaveBeenCalledWith('user123', 'Password123!');
+      expect(dbClient.updateUser).toHaveBeenCalledWith('user123', { emailOtpEnabled: false });
+    });
+
+    it('should keep the email method with a wrong password', async () => {
+      dbClient.verifyPassword.mockResolvedValue(false);
+
+      await expect(mfaService.disableEmailOtp('user123', 'wrong'))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_CREDENTIALS });
+      expect(dbClient.updateUser).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const { createLogger, createUser } = require('./helpers/mocks');
+const AuthService = require('../src/services/auth.service');
+const { AuthErrorCodes } = require('../src/middlewares/errorHandler');
+const jwt = require('../src/utils/jwt');
+const redis = require('../src/config/redis');
+
+jest.mock('../src/utils/jwt', () => ({
+  generateEmailVerificationToken: jest.fn(),
+  verifyEmailVerificationToken: jest.fn(),
+  consumeEmailVerificationToken: jest.fn(),
+  durationToSeconds: jest.requireActual('../src/utils/jwt').durationToSeconds
+}));
+
+describe('AuthService - Email verification', () => {
+  const user = createUser({ firstName: 'John', emailVerified: false });
+
+  let dbClient;
+  let notificationService;
+  let authService;
+
+  beforeEach(() => {
+    dbClient = {
+      getUserByEmail: jest.fn().mockResolvedValue(user),
+      getUserById: jest.fn().mockResolvedValue(user),
+      updateUser: jest.fn().mockResolvedValue({ ...user, emailVerified: true }),
+      verifyPassword: jest.fn().mockResolvedValue(true)
+    };
+    notificationService = { sendConfirmationEmail: jest.fn().mockResolvedValue({}) };
+    authService = new AuthService({
+      dbClient,
+      notificationService,
+      logger: createLogger()
+    });
+
+    jwt.generateEmailVerificationToken.mockResolvedValue('verification-token');
+    jwt.verifyEmailVerificationToken.mockResolvedValue({ sub: 'user123', jti: 'jti-1' });
+    redis.getData.mockResolvedValue(null);
+  });
+
+  describe('verifyEmail', () => {
+    it('should verify the email with an unused token', async () => {
+      jwt.consumeEmailVerificationToken.mockResolvedValue(true);
+
+      const result = await authService.verifyEmail('verification-token');
+
+      expect(dbClient.updateUser).toHaveBeenCalledWith('user123', { emailVerified: true });
+      expect(result.message).toBe('Email vérifié avec succès.');
+    });
+
+    it('should reject a replayed token', async () => {
+      jwt.consumeEmailVerificationToken.mockResolvedValue(false);
+
+      await expect(authService.verifyEmail('verification-token'))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'INVALID_VERIFICATION_TOKEN' });
+      expect(dbClient.updateUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resendVerificationEmail', () => {
+    it('should send a new link and throttle the address', async () => {
+      await authService.resendVerificationEmail('test@example.com');
+
+      expect(redis.storeData).toHaveBeenCalledWith(expect.stringMatching(/^verification_resend:/), expect.any(Object), 60);
+      expect(notificationService.sendConfirmationEmail).toHaveBeenCalledWith(
+        'test@example.com',
+        'John',
+        expect.stringContaining('token=verification-token')
+      );
+    });
+
+    it('should refuse a new request within the throttling interval', async () => {
+      redis.getData.mockResolvedValue({ requestedAt: new Date().toISOString() });
+
+      await expect(authService.resendVerificationEmail('test@example.com'))
+        .rejects.toMatchObject({ statusCode: 429, errorCode: AuthErrorCodes.TOO_MANY_REQUESTS });
+      expect(notificationService.sendConfirmationEmail).not.toHaveBeenCalled();
+    });
+
+    it('should not send anything for an already verified account', async () => {
+      dbClient.getUserByEmail.mockResolvedValue({ ...user, emailVerified: true });
+
+      await authService.resendVerificationEmail('test@example.com');
+
+      expect(notificationService.sendConfirmationEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('login', () => {
+    afterEach(() => {
+      delete process.env.REQUIRE_EMAIL_VERIFICATION;
+    });
+
+    it('should refuse unverified accounts when verification is required', async () => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+      await expect(authService.login('test@example.com', 'Password123!'))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: AuthErrorCodes.EMAIL_NOT_VERIFIED });
+    });
+  });
+});
+
+describe('consumeEmailVerificationToken', () => {
+  const { consumeEmailVerificationToken } = jest.requireActual('../src/utils/jwt');
+  const payload = { sub: 'user123', jti: 'jti-1', exp: Math.floor(Date.now() / 1000) + 3600 };
+
+  it('should let only one of two concurrent requests consume the token', async () => {
+    const consumed = new Set();
+    redis.storeDataIfAbsent.mockImplementation(async (key) => !consumed.has(key) && Boolean(consumed.add(key)));
+
+    const results = await Promise.all([consumeEmailVerificationToken(payload), consumeEmailVerificationToken(payload)]);
+
+    expect(results.sort()).toEqual([false, true]);
+    expect(redis.storeDataIfAbsent).toHaveBeenCalledWith('used_verification_jti:jti-1', expect.any(Object), expect.any(Number));
+  });
+
+  it('should refuse the token when Redis is unavailable', async () => {
+    redis.storeDataIfAbsent.mockResolvedValue(null);
+
+    await expect(consumeEmailVerificationToken(payload))
+      .rejects.toMatchObject({ statusCode: 503, errorCode: AuthErrorCodes.SERVICE_UNAVAILABLE });
+  });
+});
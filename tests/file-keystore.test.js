@@ -0,0 +1,85 @@
+const { createLogger } = require('./helpers/mocks');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileKeyStore = require('../src/services/file-keystore');
+const KeyRotationService = require('../src/services/key-rotation.service');
+const { getKeyStore } = require('../src/config/keystore');
+const { getSigningKey, invalidateKeyCache } = require('../src/utils/key-cache');
+const { KEY_STATUS } = require('../src/utils/signing-keys');
+
+const logger = createLogger();
+
+describe('Magasin de clés fichier', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+    process.env.KEYSTORE = 'file';
+    process.env.KEYSTORE_PATH = directory;
+    await invalidateKeyCache();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    delete process.env.KEYSTORE;
+    delete process.env.KEYSTORE_PATH;
+  });
+
+  it('est sélectionné par la configuration, le db-service restant le magasin par défaut', () => {
+    const dbClient = {};
+
+    expect(getKeyStore(dbClient)).toBeInstanceOf(FileKeyStore);
+    expect(getKeyStore(dbClient)).toBe(getKeyStore(dbClient));
+
+    delete process.env.KEYSTORE;
+    expect(getKeyStore(dbClient)).toBe(dbClient);
+
+    process.env.KEYSTORE = 'vault';
+    expect(() => getKeyStore(dbClient)).toThrow('vault');
+  });
+
+  it('fait tourner et signe sans db-service, les clés étant conservées dans un JWK set', async () => {
+    const service = new KeyRotationService({ dbClient: {}, logger });
+
+    const { promoted: [kid] } = await service.runRotation();
+    const signingKey = await getSigningKey({}, 'RS256');
+
+    expect(signingKey).toMatchObject({ kid, algorithm: 'RS256' });
+    expect(signingKey.privateKey.pem).toContain('BEGIN PRIVATE KEY');
+
+    const { keys: [entry] } = JSON.parse(fs.readFileSync(path.join(directory, 'jwks.json'), 'utf8'));
+    expect(entry).toMatchObject({ kid, kty: 'RSA', alg: 'RS256', use: 'sig', status: KEY_STATUS.ACTIVE });
+    expect(entry.activatedAt).toBeDefined();
+  });
+
+  it('restitue les clés au format du db-service et applique les changements de statut', async () => {
+    const service = new KeyRotationService({ dbClient: {}, logger });
+    const created = await service.createKey(KEY_STATUS.NEXT, 'ES256');
+    const keyStore = getKeyStore({});
+
+    const stored = await keyStore.getKeyPairByKid(created.kid);
+    expect(stored).toMatchObject({ kid: created.kid, algorithm: 'ES256', status: KEY_STATUS.NEXT, privateKey: created.privateKey });
+    expect(stored.publicKey).toBe(created.publicKey);
+    expect(await keyStore.getActiveKeyPair('ES256')).toBeNull();
+
+    await keyStore.updateKeyPair(created.kid, { status: KEY_STATUS.ACTIVE });
+    expect(await keyStore.getActiveKeyPair('ES256')).toMatchObject({ kid: created.kid });
+
+    await keyStore.deleteKeyPair(created.kid);
+    await expect(keyStore.getKeyPairs()).resolves.toEqual([]);
+    await expect(keyStore.updateKeyPair(created.kid, { status: KEY_STATUS.RETIRED })).rejects.toThrow('introuvable');
+  });
+
+  it('sérialise les écritures concurrentes d\'un même processus', async () => {
+    const service = new KeyRotationService({ dbClient: {}, logger });
+
+    await Promise.all([
+      service.createKey(KEY_STATUS.NEXT),
+      service.createKey(KEY_STATUS.NEXT, 'EdDSA'),
+      service.createKey(KEY_STATUS.NEXT, 'ES256')
+    ]);
+
+    expect(await getKeyStore({}).getKeyPairs()).toHaveLength(3);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Mocks partagés par les suites de tests des services
+ * À requérir en premier, avant le code testé : jose (module ESM, remplacé par les fonctions d'import
+ * de clés et une signature factice), le journal RGPD et Redis (vide par défaut) sont mockés. Chaque suite ne
+ * configure ensuite que ce qu'elle teste (valeurs de retour de Redis, autres modules).
+ */
+jest.mock('jose', () => ({
+  importPKCS8: jest.fn(async (pem) => ({ type: 'private', pem })),
+  importSPKI: jest.fn(async (pem) => ({ type: 'public', pem })),
+  // Le token "signé" est le JSON de son payload : les suites lisent directement les claims émis
+  SignJWT: class {
+    constructor(payload) { this.payload = { ...payload }; }
+    setProtectedHeader() { return this; }
+    setJti(jti) { this.payload.jti = jti; return this; }
+    setIssuedAt() { return this; }
+    setIssuer(iss) { this.payload.iss = iss; return this; }
+    setAudience(aud) { this.payload.aud = aud; return this; }
+    setExpirationTime() { return this; }
+    async sign() { return JSON.stringify(this.payload); }
+  }
+}));
+
+jest.mock('../../src/middlewares/rgpd', () => ({
+  logDataProcessing: jest.fn().mockResolvedValue(true),
+  DataProcessingTypes: { AUTHENTICATION: 'authentication', SECURITY: 'security' }
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  getRedisClient: jest.fn().mockResolvedValue(null),
+  storeData: jest.fn().mockResolvedValue('OK'),
+  storeDataIfAbsent: jest.fn().mockResolvedValue(true),
+  incrementData: jest.fn().mockResolvedValue(null),
+  getData: jest.fn().mockResolvedValue(null),
+  deleteData: jest.fn().mockResolvedValue(0)
+}));
+
+/**
+ * Logger silencieux
+ * @returns {Object} Un logger dont chaque niveau est un mock
+ */
+const createLogger = () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() });
+
+/**
+ * Utilisateur de test
+ * @param {Object} overrides - Attributs à remplacer
+ * @returns {Object} L'utilisateur
+ */
+const createUser = (overrides = {}) => ({ id: 'user123', email: 'test@example.com', active: true, ...overrides });
+
+module.exports = {
+  createLogger,
+  createUser
+};
@@ -0,0 +1,85 @@
+const { createLogger } = require('./helpers/mocks');
+const AuthService = require('../src/services/auth.service');
+const { AppError, AuthErrorCodes } = require('../src/middlewares/errorHandler');
+const jwt = require('../src/utils/jwt');
+
+jest.mock('../src/utils/jwt', () => ({
+  verifyAccessToken: jest.fn()
+}));
+
+describe('AuthService - introspectToken', () => {
+  const resourceServer = {
+    id: 'rs-db-id',
+    clientId: 'metrics-api',
+    clientSecret: 'rs-secret',
+    active: true
+  };
+
+  let dbClient;
+  let authService;
+
+  beforeEach(() => {
+    dbClient = {
+      getClientByClientId: jest.fn().mockResolvedValue(resourceServer),
+      getClientById: jest.fn().mockResolvedValue({ clientId: 'my-app' }),
+      getRefreshTokenByValue: jest.fn().mockResolvedValue(null)
+    };
+    authService = new AuthService({
+      dbClient,
+      notificationService: {},
+      logger: createLogger()
+    });
+  });
+
+  it('should describe a valid access token', async () => {
+    jwt.verifyAccessToken.mockResolvedValue({
+      sub: 'user123', scope: 'openid email', client_id: 'my-app', email: 'test@example.com', exp: 2000, iat: 1000
+    });
+
+    const result = await authService.introspectToken('metrics-api', 'rs-secret', 'a.b.c');
+
+    expect(result).toMatchObject({
+      active: true, sub: 'user123', scope: 'openid email', client_id: 'my-app', token_type: 'Bearer', exp: 2000, iat: 1000
+    });
+  });
+
+  it('should describe a stored refresh token', async () => {
+    jwt.verifyAccessToken.mockRejectedValue(new AppError('Token invalide', 401, AuthErrorCodes.TOKEN_INVALID));
+    dbClient.getRefreshTokenByValue.mockResolvedValue({
+      userId: 'user123',
+      clientId: 'client-db-id',
+      expiresAt: new Date(Date.now() + 60000).toISOString(),
+      createdAt: new Date().toISOString()
+    });
+
+    const result = await authService.introspectToken('metrics-api', 'rs-secret', 'abcdef', 'refresh_token');
+
+    expect(dbClient.getClientById).toHaveBeenCalledWith('client-db-id');
+    expect(result).toMatchObject({ active: true, sub: 'user123', client_id: 'my-app', token_type: 'refresh_token' });
+  });
+
+  it('should report revoked refresh tokens and invalid access tokens as inactive', async () => {
+    jwt.verifyAccessToken.mockRejectedValue(new AppError('Clé de signature retirée', 401, AuthErrorCodes.TOKEN_INVALID));
+    dbClient.getRefreshTokenByValue.mockResolvedValue({
+      userId: 'user123',
+      revokedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + 60000).toISOString()
+    });
+
+    await expect(authService.introspectToken('metrics-api', 'rs-secret', 'abcdef')).resolves.toEqual({ active: false });
+    await expect(authService.introspectToken('metrics-api', 'rs-secret', 'a.b.c')).resolves.toEqual({ active: false });
+  });
+
+  it('should answer invalid_request to a token that is not a string', async () => {
+    await expect(authService.introspectToken('metrics-api', 'rs-secret', ['a.b.c', 'abcdef']))
+      .rejects.toMatchObject({ statusCode: 400, errorCode: AuthErrorCodes.INVALID_REQUEST });
+    await expect(authService.introspectToken('metrics-api', 'rs-secret', { token: 'a.b.c' }))
+      .rejects.toMatchObject({ statusCode: 400, errorCode: AuthErrorCodes.INVALID_REQUEST });
+    expect(jwt.verifyAccessToken).not.toHaveBeenCalled();
+  });
+
+  it('should require client authentication', async () => {
+    await expect(authService.introspectToken('metrics-api', 'wrong', 'a.b.c'))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+});
@@ -0,0 +1,147 @@
+require('./helpers/mocks');
+const { importPKCS8, importSPKI } = require('jose');
+const redis = require('../src/config/redis');
+const { getSigningKey, getVerificationKey, invalidateKeyCache } = require('../src/utils/key-cache');
+
+const keyPair = (kid, overrides = {}) => ({
+  kid,
+  algorithm: 'RS256',
+  status: 'ACTIVE',
+  privateKey: `private-${kid}`,
+  publicKey: `public-${kid}`,
+  ...overrides
+});
+
+const createDbClient = () => ({
+  getActiveKeyPair: jest.fn().mockResolvedValue(keyPair('kid1')),
+  getKeyPairByKid: jest.fn(async (kid) => (kid === 'unknown' ? null : keyPair(kid)))
+});
+
+describe('Cache des clés de signature et de vérification', () => {
+  beforeEach(async () => {
+    await invalidateKeyCache();
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete process.env.KEY_CACHE_TTL;
+  });
+
+  it('réutilise la clé de signature importée jusqu\'à l\'expiration du cache', async () => {
+    const dbClient = createDbClient();
+
+    const [first, second] = await Promise.all([
+      getSigningKey(dbClient, 'RS256'),
+      getSigningKey(dbClient, 'RS256')
+    ]);
+    await getSigningKey(dbClient, 'RS256');
+
+    expect(first).toBe(second);
+    expect(first).toMatchObject({ kid: 'kid1', algorithm: 'RS256' });
+    expect(dbClient.getActiveKeyPair).toHaveBeenCalledTimes(1);
+    expect(importPKCS8).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(5 * 60 * 1000 + 1);
+    await getSigningKey(dbClient, 'RS256');
+
+    expect(dbClient.getActiveKeyPair).toHaveBeenCalledTimes(2);
+  });
+
+  it('ne met pas en cache l\'absence de clé active', async () => {
+    const dbClient = createDbClient();
+    dbClient.getActiveKeyPair.mockResolvedValueOnce(null);
+
+    await expect(getSigningKey(dbClient, 'ES256')).rejects.toThrow('ES256');
+    dbClient.getActiveKeyPair.mockResolvedValueOnce(keyPair('ec1', { algorithm: 'ES256' }));
+
+    await expect(getSigningKey(dbClient, 'ES256')).resolves.toMatchObject({ kid: 'ec1' });
+  });
+
+  it('met en cache les clés de vérification par kid et mémorise brièvement un kid inconnu', async () => {
+    const dbClient = createDbClient();
+
+    await getVerificationKey(dbClient, 'kid1');
+    const cached = await getVerificationKey(dbClient, 'kid1');
+    expect(cached.publicKey).toEqual({ type: 'public', pem: 'public-kid1' });
+    expect(dbClient.getKeyPairByKid).toHaveBeenCalledTimes(1);
+    expect(importSPKI).toHaveBeenCalledTimes(1);
+
+    await expect(getVerificationKey(dbClient, 'unknown')).resolves.toBeNull();
+    await expect(getVerificationKey(dbClient, 'unknown')).resolves.toBeNull();
+    expect(dbClient.getKeyPairByKid).toHaveBeenCalledTimes(2);
+
+    jest.advanceTimersByTime(30 * 1000 + 1);
+    await expect(getVerificationKey(dbClient, 'unknown')).resolves.toBeNull();
+    expect(dbClient.getKeyPairByKid).toHaveBeenCalledTimes(3);
+  });
+
+  it('abandonne la clé de signature en cache lorsqu\'une nouvelle clé active apparaît', async () => {
+    const dbClient = createDbClient();
+    await getSigningKey(dbClient, 'RS256');
+
+    // Rotation effectuée par une autre réplica : un token signé avec kid2 arrive
+    dbClient.getActiveKeyPair.mockResolvedValue(keyPair('kid2'));
+    await getVerificationKey(dbClient, 'kid2');
+
+    await expect(getSigningKey(dbClient, 'RS256')).resolves.toMatchObject({ kid: 'kid2' });
+  });
+
+  it('recharge tout après une invalidation (rotation)', async () => {
+    const dbClient = createDbClient();
+    await getSigningKey(dbClient, 'RS256');
+    await getVerificationKey(dbClient, 'kid1');
+
+    await invalidateKeyCache();
+    dbClient.getKeyPairByKid.mockResolvedValueOnce(keyPair('kid1', { status: 'REVOKED' }));
+
+    await getSigningKey(dbClient, 'RS256');
+    const { keyPair: revoked } = await getVerificationKey(dbClient, 'kid1');
+
+    expect(dbClient.getActiveKeyPair).toHaveBeenCalledTimes(2);
+    expect(revoked.status).toBe('REVOKED');
+  });
+
+  it('publie une nouvelle version du cache lors d\'une invalidation', async () => {
+    await invalidateKeyCache();
+
+    expect(redis.storeData).toHaveBeenCalledWith('key_cache_version', { version: expect.any(String) });
+    const [[, first], [, second]] = redis.storeData.mock.calls.slice(-2);
+    expect(second.version).not.toBe(first.version);
+  });
+
+  it('vide le cache lorsqu\'une autre réplica l\'a invalidé', async () => {
+    const dbClient = createDbClient();
+    await getSigningKey(dbClient, 'RS256');
+    await getVerificationKey(dbClient, 'unknown');
+
+    // Révocation d'urgence sur une autre réplica : la version partagée change
+    redis.getData.mockResolvedValue({ version: 'autre-replica' });
+    dbClient.getKeyPairByKid.mockResolvedValue(keyPair('unknown', { status: 'RETIRED' }));
+    await getSigningKey(dbClient, 'RS256');
+    expect(dbClient.getActiveKeyPair).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(5 * 1000 + 1);
+    await getSigningKey(dbClient, 'RS256');
+    await expect(getVerificationKey(dbClient, 'unknown')).resolves.toMatchObject({ keyPair: { kid: 'unknown' } });
+
+    expect(redis.getData).toHaveBeenCalledWith('key_cache_version');
+    expect(dbClient.getActiveKeyPair).toHaveBeenCalledTimes(2);
+
+    // Version inchangée : le cache est conservé
+    jest.advanceTimersByTime(5 * 1000 + 1);
+    await getSigningKey(dbClient, 'RS256');
+    expect(dbClient.getActiveKeyPair).toHaveBeenCalledTimes(2);
+  });
+
+  it('conserve le cache sans Redis', async () => {
+    const dbClient = createDbClient();
+    await getSigningKey(dbClient, 'RS256');
+
+    redis.getData.mockResolvedValue(null);
+    jest.advanceTimersByTime(5 * 1000 + 1);
+    await getSigningKey(dbClient, 'RS256');
+
+    expect(dbClient.getActiveKeyPair).toHaveBeenCalledTimes(1);
+  });
+});
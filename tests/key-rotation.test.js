@@ -0,0 +1,244 @@
+const { createLogger } = require('./helpers/mocks');
+const KeyRotationService = require('../src/services/key-rotation.service');
+const { KEY_STATUS, isVerificationKey, toPublicJwk, getSigningAlgorithms } = require('../src/utils/signing-keys');
+const { getIdTokenAlgorithm } = require('../src/utils/jwt');
+
+const DAY = 24 * 3600 * 1000;
+const START = new Date('2026-01-01T00:00:00.000Z').getTime();
+
+// db-service minimal : les clés sont conservées en mémoire
+const createDbClient = (initialKeys = []) => {
+  const keys = new Map(initialKeys.map(key => [key.kid, { ...key }]));
+  return {
+    keys,
+    getKeyPairs: jest.fn(async () => [...keys.values()].map(key => ({ ...key }))),
+    createKeyPair: jest.fn(async (data) => { keys.set(data.kid, { ...data }); return { ...data }; }),
+    updateKeyPair: jest.fn(async (kid, data) => { Object.assign(keys.get(kid), data); return keys.get(kid); }),
+    deleteKeyPair: jest.fn(async (kid) => { keys.delete(kid); return { success: true }; })
+  };
+};
+
+const logger = createLogger();
+
+const byStatus = (dbClient, status) => [...dbClient.keys.values()].filter(key => key.status === status);
+
+describe('Rotation des clés de signature', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START, doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('crée une clé active lorsqu\'aucune n\'existe', async () => {
+    const dbClient = createDbClient();
+    const service = new KeyRotationService({ dbClient, logger });
+
+    const result = await service.runRotation();
+
+    const [active] = byStatus(dbClient, KEY_STATUS.ACTIVE);
+    expect(result.promoted).toEqual([active.kid]);
+    expect(active.privateKey).toContain('BEGIN PRIVATE KEY');
+    expect(active.algorithm).toBe('RS256');
+  });
+
+  it('chiffre la clé privée par la KEK avant de l\'envoyer au db-service', async () => {
+    process.env.KEY_ENCRYPTION_KEY = '0'.repeat(64);
+    const dbClient = createDbClient();
+    const service = new KeyRotationService({ dbClient, logger });
+
+    try {
+      await service.runRotation();
+    } finally {
+      delete process.env.KEY_ENCRYPTION_KEY;
+    }
+
+    const [active] = byStatus(dbClient, KEY_STATUS.ACTIVE);
+    expect(active.privateKey).toMatch(/^kek:v1:/);
+    expect(dbClient.createKeyPair.mock.calls[0][0].privateKey).not.toContain('PRIVATE KEY');
+  });
+
+  it('pré-publie la clé suivante avant la fin de vie de la clé active, puis la promeut', async () => {
+    const dbClient = createDbClient();
+    const service = new KeyRotationService({ dbClient, logger });
+    await service.runRotation();
+    const [initial] = byStatus(dbClient, KEY_STATUS.ACTIVE);
+
+    // 87 jours : trop tôt pour pré-publier (90 jours - 2 jours)
+    jest.setSystemTime(START + 87 * DAY);
+    expect((await service.runRotation()).published).toEqual([]);
+
+    jest.setSystemTime(START + 88 * DAY);
+    const { published: [published] } = await service.runRotation();
+    expect(byStatus(dbClient, KEY_STATUS.NEXT).map(key => key.kid)).toEqual([published]);
+
+    // La clé active a 90 jours et la suivante est publiée depuis 2 jours
+    jest.setSystemTime(START + 90 * DAY);
+    const result = await service.runRotation();
+
+    expect(result.promoted).toEqual([published]);
+    expect(result.retired).toEqual([initial.kid]);
+    expect(byStatus(dbClient, KEY_STATUS.ACTIVE).map(key => key.kid)).toEqual([published]);
+
+    const retired = dbClient.keys.get(initial.kid);
+    expect(retired.status).toBe(KEY_STATUS.RETIRED);
+    // Vérifiable jusqu'à l'expiration des tokens les plus longs (vérification d'email, 24 h)
+    expect(new Date(retired.expiresAt).getTime()).toBe(START + 91 * DAY);
+    expect(isVerificationKey(retired)).toBe(true);
+  });
+
+  it('attend la fin de la pré-publication lorsque la clé suivante a été créée en retard', async () => {
+    const dbClient = createDbClient([
+      { kid: 'old', status: KEY_STATUS.ACTIVE, activatedAt: new Date(START - 100 * DAY).toISOString() }
+    ]);
+    const service = new KeyRotationService({ dbClient, logger });
+
+    const { published } = await service.runRotation();
+    expect(published).toHaveLength(1);
+
+    jest.setSystemTime(START + DAY);
+    expect((await service.runRotation()).promoted).toEqual([]);
+
+    jest.setSystemTime(START + 2 * DAY);
+    expect((await service.runRotation()).promoted).toEqual(published);
+  });
+
+  it('supprime les clés retirées ou révoquées dont tous les tokens ont expiré', async () => {
+    const dbClient = createDbClient([
+      { kid: 'active', status: KEY_STATUS.ACTIVE, activatedAt: new Date(START).toISOString() },
+      { kid: 'expired', status: KEY_STATUS.RETIRED, expiresAt: new Date(START - 1000).toISOString() },
+      { kid: 'retired', status: KEY_STATUS.RETIRED, expiresAt: new Date(START + DAY).toISOString() },
+      { kid: 'revoked-expired', status: KEY_STATUS.REVOKED, expiresAt: new Date(START - 1000).toISOString() },
+      { kid: 'revoked-legacy', status: KEY_STATUS.REVOKED, revokedAt: new Date(START - 2 * DAY).toISOString() },
+      { kid: 'revoked', status: KEY_STATUS.REVOKED, revokedAt: new Date(START - 1000).toISOString() }
+    ]);
+    const service = new KeyRotationService({ dbClient, logger });
+
+    const result = await service.runRotation();
+
+    expect(result.purged).toEqual(['expired', 'revoked-expired', 'revoked-legacy']);
+    expect([...dbClient.keys.keys()].sort()).toEqual(['active', 'retired', 'revoked']);
+  });
+
+  it('rotation d\'urgence : nouvelle clé active, ancienne révoquée et clé suivante supprimée', async () => {
+    const dbClient = createDbClient([
+      { kid: 'compromised', status: KEY_STATUS.ACTIVE, activatedAt: new Date(START - 10 * DAY).toISOString() },
+      { kid: 'pending', status: KEY_STATUS.NEXT, publishedAt: new Date(START).toISOString() }
+    ]);
+    const service = new KeyRotationService({ dbClient, logger });
+
+    const rotation = await service.rotateNow({ revokePrevious: true, adminId: 'admin1' });
+
+    expect(rotation.revoked).toEqual(['compromised']);
+    expect(dbClient.keys.get('compromised').status).toBe(KEY_STATUS.REVOKED);
+    expect(dbClient.keys.has('pending')).toBe(false);
+    expect(byStatus(dbClient, KEY_STATUS.ACTIVE).map(key => key.kid)).toEqual(rotation.keys.map(key => key.kid));
+    expect(isVerificationKey(dbClient.keys.get('compromised'))).toBe(false);
+    // Listée jusqu'à l'expiration qu'auraient eue ses tokens, puis purgée
+    expect(new Date(dbClient.keys.get('compromised').expiresAt).getTime()).toBe(START + DAY);
+  });
+
+  it('rotation d\'urgence : refusée tant qu\'une autre réplica détient le verrou', async () => {
+    const { getRedisClient } = require('../src/config/redis');
+    const redisClient = { set: jest.fn().mockResolvedValue(null) };
+    getRedisClient.mockResolvedValueOnce(redisClient);
+    const dbClient = createDbClient([
+      { kid: 'compromised', status: KEY_STATUS.ACTIVE, activatedAt: new Date(START - 10 * DAY).toISOString() }
+    ]);
+    const service = new KeyRotationService({ dbClient, logger });
+
+    await expect(service.rotateNow({ revokePrevious: true }))
+      .rejects.toMatchObject({ statusCode: 409, errorCode: 'KEY_ROTATION_IN_PROGRESS' });
+    expect(redisClient.set).toHaveBeenCalledWith('key_rotation:lock', expect.any(String), { NX: true, EX: 300 });
+    expect(dbClient.createKeyPair).not.toHaveBeenCalled();
+    expect(dbClient.keys.get('compromised').status).toBe(KEY_STATUS.ACTIVE);
+  });
+
+  it('ignore la vérification lorsqu\'une autre réplica détient le verrou', async () => {
+    const { getRedisClient } = require('../src/config/redis');
+    getRedisClient.mockResolvedValueOnce({ set: jest.fn().mockResolvedValue(null) });
+    const dbClient = createDbClient();
+    const service = new KeyRotationService({ dbClient, logger });
+
+    const result = await service.runRotation();
+
+    expect(result.promoted).toEqual([]);
+    expect(dbClient.getKeyPairs).not.toHaveBeenCalled();
+  });
+});
+
+describe('Algorithmes de signature', () => {
+  afterEach(() => {
+    delete process.env.SIGNING_KEY_ALGORITHMS;
+    delete process.env.ACCESS_TOKEN_SIGNING_ALG;
+  });
+
+  it('maintient toujours une clé RS256 en plus des algorithmes configurés', () => {
+    process.env.SIGNING_KEY_ALGORITHMS = 'EdDSA';
+    process.env.ACCESS_TOKEN_SIGNING_ALG = 'ES256';
+
+    expect(getSigningAlgorithms()).toEqual(['RS256', 'ES256', 'EdDSA']);
+  });
+
+  it('refuse un algorithme non pris en charge', () => {
+    process.env.SIGNING_KEY_ALGORITHMS = 'HS256';
+
+    expect(() => getSigningAlgorithms()).toThrow('HS256');
+  });
+
+  it('crée et fait tourner une clé active par algorithme', async () => {
+    process.env.SIGNING_KEY_ALGORITHMS = 'ES256,EdDSA';
+    const dbClient = createDbClient([
+      { kid: 'rsa', algorithm: 'RS256', status: KEY_STATUS.ACTIVE, activatedAt: new Date().toISOString() }
+    ]);
+    const service = new KeyRotationService({ dbClient, logger });
+
+    const created = await service.ensureActiveKeys();
+
+    expect(created.map(key => key.algorithm)).toEqual(['ES256', 'EdDSA']);
+    expect(byStatus(dbClient, KEY_STATUS.ACTIVE)).toHaveLength(3);
+
+    const rotation = await service.rotateNow({ algorithm: 'ES256' });
+    expect(rotation.keys.map(key => key.algorithm)).toEqual(['ES256']);
+    expect(rotation.retired).toEqual([created[0].kid]);
+    expect(dbClient.keys.get('rsa').status).toBe(KEY_STATUS.ACTIVE);
+  });
+
+  it('refuse la rotation d\'un algorithme non pris en charge', async () => {
+    const service = new KeyRotationService({ dbClient: createDbClient(), logger });
+
+    await expect(service.rotateNow({ algorithm: 'none' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('signe les ID tokens avec l\'algorithme choisi par le client, RS256 par défaut', () => {
+    expect(getIdTokenAlgorithm({ idTokenSignedResponseAlg: 'EdDSA' })).toBe('EdDSA');
+    expect(getIdTokenAlgorithm({})).toBe('RS256');
+    expect(getIdTokenAlgorithm()).toBe('RS256');
+  });
+});
+
+describe('Publication des clés', () => {
+  it('convertit la clé publique en JWK avec son kid et son algorithme', async () => {
+    const service = new KeyRotationService({ dbClient: createDbClient(), logger });
+    const keyPair = await service.createKey(KEY_STATUS.NEXT);
+
+    const jwk = toPublicJwk(keyPair);
+
+    expect(jwk).toMatchObject({ kty: 'RSA', kid: keyPair.kid, alg: 'RS256', use: 'sig' });
+    expect(jwk.d).toBeUndefined();
+  });
+
+  it.each([
+    ['ES256', { kty: 'EC', crv: 'P-256' }],
+    ['EdDSA', { kty: 'OKP', crv: 'Ed25519' }]
+  ])('publie les clés %s au format JWK', async (algorithm, expected) => {
+    const service = new KeyRotationService({ dbClient: createDbClient(), logger });
+    const keyPair = await service.createKey(KEY_STATUS.ACTIVE, algorithm);
+
+    const jwk = toPublicJwk(keyPair);
+
+    expect(jwk).toMatchObject({ ...expected, kid: keyPair.kid, alg: algorithm, use: 'sig' });
+    expect(jwk.d).toBeUndefined();
+  });
+});
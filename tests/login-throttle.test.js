@@ -0,0 +1,156 @@
+const { createLogger, createUser } = require('./helpers/mocks');
+const AuthService = require('../src/services/auth.service');
+const { AuthErrorCodes } = require('../src/middlewares/errorHandler');
+const redis = require('../src/config/redis');
+const oneTimeToken = require('../src/utils/one-time-token');
+const { getProgressiveDelay } = require('../src/utils/login-throttle');
+
+jest.mock('../src/utils/one-time-token', () => ({
+  createOneTimeToken: jest.fn(),
+  consumeOneTimeToken: jest.fn()
+}));
+
+describe('Login brute-force protection', () => {
+  const user = createUser({ emailVerified: true });
+  const device = { ipAddress: '203.0.113.7' };
+
+  let store;
+  let dbClient;
+  let notificationService;
+  let authService;
+
+  const failLogin = (email = 'test@example.com', ipDevice = device) => authService.login(email, 'wrong', ipDevice).catch(error => error);
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T10:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+
+    store = new Map();
+    redis.storeData.mockImplementation(async (key, value) => { store.set(key, value); return 'OK'; });
+    redis.incrementData.mockImplementation(async (key) => { store.set(key, (store.get(key) || 0) + 1); return store.get(key); });
+    redis.getData.mockImplementation(async (key) => store.get(key) || null);
+    redis.deleteData.mockImplementation(async (key) => (store.delete(key) ? 1 : 0));
+
+    dbClient = {
+      getUserByEmail: jest.fn().mockResolvedValue(user),
+      getUserById: jest.fn().mockResolvedValue(user),
+      verifyPassword: jest.fn().mockResolvedValue(false),
+      getUserWebAuthnCredentials: jest.fn().mockResolvedValue([])
+    };
+    notificationService = { sendAccountLockedEmail: jest.fn().mockResolvedValue({}) };
+    authService = new AuthService({
+      dbClient,
+      notificationService,
+      logger: createLogger()
+    });
+    authService.createSession = jest.fn().mockResolvedValue({ accessToken: 'access_token', refreshToken: 'refresh_token' });
+
+    oneTimeToken.createOneTimeToken.mockResolvedValue('unlock-token');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should grow the delay between attempts', () => {
+    expect([1, 2, 3, 4, 5, 10].map(getProgressiveDelay)).toEqual([0, 0, 1, 2, 4, 30]);
+  });
+
+  it('should refuse an attempt made before the progressive delay has elapsed', async () => {
+    await failLogin();
+    await failLogin();
+    await failLogin();
+
+    const error = await failLogin();
+
+    expect(error).toMatchObject({ statusCode: 429, errorCode: AuthErrorCodes.TOO_MANY_REQUESTS, retryAfter: 1 });
+    expect(dbClient.verifyPassword).toHaveBeenCalledTimes(3);
+  });
+
+  it('should lock the account and email an unlock link after repeated failures', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      await failLogin();
+      jest.advanceTimersByTime(60 * 1000);
+    }
+
+    dbClient.verifyPassword.mockResolvedValue(true);
+    const error = await failLogin();
+
+    expect(error).toMatchObject({ statusCode: 423, errorCode: AuthErrorCodes.ACCOUNT_LOCKED });
+    expect(oneTimeToken.createOneTimeToken).toHaveBeenCalledWith('account_unlock', { email: 'test@example.com' }, 900);
+    expect(notificationService.sendAccountLockedEmail).toHaveBeenCalledWith(
+      'test@example.com',
+      expect.stringContaining('/auth/unlock-account?token=unlock-token'),
+      expect.any(String)
+    );
+    await expect(authService.getAccountLockout('user123')).resolves.toMatchObject({ locked: true, failures: 5 });
+  });
+
+  it('should count concurrent failures atomically and lock the account once', async () => {
+    await Promise.all(Array.from({ length: 5 }, () => failLogin()));
+
+    expect(await failLogin()).toMatchObject({ statusCode: 423, errorCode: AuthErrorCodes.ACCOUNT_LOCKED });
+    expect(notificationService.sendAccountLockedEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the failures until the second factor is verified', async () => {
+    dbClient.getUserByEmail.mockResolvedValue({ ...user, totpEnabled: true });
+    await failLogin();
+    await failLogin();
+    dbClient.verifyPassword.mockResolvedValue(true);
+
+    await expect(authService.login('test@example.com', 'Password123!', device)).resolves.toMatchObject({ mfaRequired: true });
+    await expect(authService.getAccountLockout('user123')).resolves.toMatchObject({ failures: 2 });
+  });
+
+  it('should lock unknown accounts the same way, without sending an email', async () => {
+    dbClient.getUserByEmail.mockRejectedValue(new Error('Not found'));
+
+    for (let i = 0; i < 5; i += 1) {
+      await failLogin('ghost@example.com');
+      jest.advanceTimersByTime(60 * 1000);
+    }
+
+    expect(await failLogin('ghost@example.com')).toMatchObject({ statusCode: 423 });
+    expect(notificationService.sendAccountLockedEmail).not.toHaveBeenCalled();
+  });
+
+  it('should unlock the account with the emailed link', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      await failLogin();
+      jest.advanceTimersByTime(60 * 1000);
+    }
+    oneTimeToken.consumeOneTimeToken.mockResolvedValue({ email: 'test@example.com' });
+    dbClient.verifyPassword.mockResolvedValue(true);
+
+    await authService.unlockAccount('unlock-token');
+
+    await expect(authService.login('test@example.com', 'Password123!', device))
+      .resolves.toMatchObject({ accessToken: 'access_token' });
+  });
+
+  it('should block an IP address trying many accounts', async () => {
+    process.env.LOGIN_IP_MAX_FAILURES = '3';
+    dbClient.getUserByEmail.mockRejectedValue(new Error('Not found'));
+
+    await failLogin('a@example.com');
+    await failLogin('b@example.com');
+    await failLogin('c@example.com');
+
+    expect(await failLogin('d@example.com')).toMatchObject({ statusCode: 429 });
+    expect(await failLogin('d@example.com', { ipAddress: '198.51.100.1' })).toMatchObject({ statusCode: 401 });
+
+    delete process.env.LOGIN_IP_MAX_FAILURES;
+  });
+
+  it('should fall back to in-memory counters when Redis is unavailable', async () => {
+    redis.storeData.mockResolvedValue(null);
+    redis.incrementData.mockResolvedValue(null);
+    redis.getData.mockResolvedValue(null);
+
+    await failLogin();
+    await failLogin();
+    await failLogin();
+
+    expect(await failLogin()).toMatchObject({ statusCode: 429 });
+  });
+});
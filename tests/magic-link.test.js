@@ -0,0 +1,110 @@
+const { createLogger, createUser } = require('./helpers/mocks');
+const AuthService = require('../src/services/auth.service');
+const { AuthErrorCodes } = require('../src/middlewares/errorHandler');
+const jwt = require('../src/utils/jwt');
+const redis = require('../src/config/redis');
+const mfaChallenge = require('../src/utils/mfa-challenge');
+
+jest.mock('../src/utils/jwt', () => ({
+  generateMagicLinkToken: jest.fn(),
+  verifyMagicLinkToken: jest.fn(),
+  consumeMagicLinkToken: jest.fn(),
+  durationToSeconds: jest.requireActual('../src/utils/jwt').durationToSeconds
+}));
+
+jest.mock('../src/utils/mfa-challenge', () => ({
+  createMfaChallenge: jest.fn()
+}));
+
+describe('AuthService - Magic link', () => {
+  const user = createUser({ emailVerified: true });
+
+  let dbClient;
+  let notificationService;
+  let authService;
+
+  beforeEach(() => {
+    process.env.FRONTEND_URL = 'https://portal.example.com';
+
+    dbClient = {
+      getUserByEmail: jest.fn().mockResolvedValue(user),
+      getUserById: jest.fn().mockResolvedValue(user),
+      updateUser: jest.fn().mockResolvedValue(user),
+      getUserWebAuthnCredentials: jest.fn().mockResolvedValue([])
+    };
+    notificationService = { sendMagicLinkEmail: jest.fn().mockResolvedValue({}) };
+    authService = new AuthService({
+      dbClient,
+      notificationService,
+      logger: createLogger()
+    });
+    authService.createSession = jest.fn().mockResolvedValue({ accessToken: 'access_token', refreshToken: 'refresh_token' });
+
+    jwt.generateMagicLinkToken.mockResolvedValue('magic-token');
+    jwt.verifyMagicLinkToken.mockResolvedValue({ sub: 'user123', jti: 'jti-1' });
+    jwt.consumeMagicLinkToken.mockResolvedValue(true);
+    redis.getData.mockResolvedValue(null);
+  });
+
+  describe('requestMagicLink', () => {
+    it('should email a login link and throttle the address', async () => {
+      await authService.requestMagicLink('test@example.com');
+
+      expect(notificationService.sendMagicLinkEmail).toHaveBeenCalledWith(
+        'test@example.com',
+        'https://portal.example.com/auth/magic-link?token=magic-token'
+      );
+      expect(redis.storeData).toHaveBeenCalledWith(expect.stringMatching(/^magic_link_request:/), expect.any(Object), 60);
+    });
+
+    it('should stay silent for an unknown account', async () => {
+      dbClient.getUserByEmail.mockRejectedValue(new Error('Not found'));
+
+      await expect(authService.requestMagicLink('unknown@example.com')).resolves.toBeUndefined();
+      expect(notificationService.sendMagicLinkEmail).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a new request within the throttling interval', async () => {
+      redis.getData.mockResolvedValue({ requestedAt: new Date().toISOString() });
+
+      await expect(authService.requestMagicLink('test@example.com'))
+        .rejects.toMatchObject({ statusCode: 429, errorCode: AuthErrorCodes.TOO_MANY_REQUESTS });
+      expect(jwt.generateMagicLinkToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('loginWithMagicLink', () => {
+    it('should open a session for a valid link', async () => {
+      const result = await authService.loginWithMagicLink('magic-token', { ipAddress: '203.0.113.7' });
+
+      expect(result).toMatchObject({ accessToken: 'access_token', refreshToken: 'refresh_token' });
+      expect(authService.createSession).toHaveBeenCalledWith(user, ['email'], { ipAddress: '203.0.113.7' });
+    });
+
+    it('should reject a link that was already used', async () => {
+      jwt.consumeMagicLinkToken.mockResolvedValue(false);
+
+      await expect(authService.loginWithMagicLink('magic-token'))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_MAGIC_LINK });
+      expect(authService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('should still require the second factor', async () => {
+      dbClient.getUserById.mockResolvedValue({ ...user, totpEnabled: true });
+      mfaChallenge.createMfaChallenge.mockResolvedValue('mfa-token');
+
+      const result = await authService.loginWithMagicLink('magic-token');
+
+      expect(result).toEqual({ mfaRequired: true, mfaToken: 'mfa-token', mfaMethods: ['totp'] });
+      expect(authService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('should mark the email as verified', async () => {
+      dbClient.getUserById.mockResolvedValue({ ...user, emailVerified: false });
+
+      await authService.loginWithMagicLink('magic-token');
+
+      expect(dbClient.updateUser).toHaveBeenCalledWith('user123', { emailVerified: true });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const { createLogger, createUser } = require('./helpers/mocks');
+const MfaService = require('../src/services/mfa.service');
+const { AuthErrorCodes } = require('../src/middlewares/errorHandler');
+const redis = require('../src/config/redis');
+const mfaChallenge = require('../src/utils/mfa-challenge');
+const { generateTotpCode, getTotpStep } = require('../src/utils/totp');
+
+jest.mock('../src/utils/mfa-challenge', () => ({
+  getMfaChallenge: jest.fn(),
+  recordMfaChallengeFailure: jest.fn(),
+  consumeMfaChallenge: jest.fn()
+}));
+
+describe('MfaService - TOTP', () => {
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  const user = createUser({ totpEnabled: true, totpSecret: secret });
+  const currentCode = () => generateTotpCode(secret, getTotpStep());
+
+  let dbClient;
+  let authService;
+  let mfaService;
+
+  beforeEach(() => {
+    dbClient = {
+      getUserById: jest.fn().mockResolvedValue(user),
+      updateUser: jest.fn().mockResolvedValue(user)
+    };
+    authService = {
+      createSession: jest.fn().mockResolvedValue({ accessToken: 'access_token', refreshToken: 'refresh_token' }),
+      handleLoginFailure: jest.fn().mockResolvedValue(),
+      toPublicUser: jest.fn(({ totpSecret, ...publicUser }) => publicUser)
+    };
+    mfaService = new MfaService({
+      dbClient,
+      authService,
+      logger: createLogger()
+    });
+
+    redis.getData.mockResolvedValue(null);
+    redis.storeData.mockResolvedValue('OK');
+    redis.storeDataIfAbsent.mockResolvedValue(true);
+  });
+
+  describe('enrollment', () => {
+    it('should return a pending secret and its otpauth URI', async () => {
+      dbClient.getUserById.mockResolvedValue({ ...user, totpEnabled: false, totpSecret: null });
+
+      const enrollment = await mfaService.startTotpEnrollment('user123');
+
+      expect(enrollment.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(enrollment.otpauthUri).toContain(`secret=${enrollment.secret}`);
+      expect(redis.storeData).toHaveBeenCalledWith('totp_enrollment:user123', { secret: enrollment.secret }, 600);
+    });
+
+    it('should refuse a second enrollment', async () => {
+      await expect(mfaService.startTotpEnrollment('user123'))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: AuthErrorCodes.MFA_ALREADY_ENABLED });
+    });
+
+    it('should enable TOTP once a valid code is confirmed', async () => {
+      redis.getData.mockImplementation(async (key) => (key === 'totp_enrollment:user123' ? { secret } : null));
+
+      await mfaService.confirmTotpEnrollment('user123', currentCode());
+
+      expect(dbClient.updateUser).toHaveBeenCalledWith('user123', { totpSecret: secret, totpEnabled: true });
+    });
+  });
+
+  describe('verifyLoginChallenge', () => {
+    const challenge = { userId: 'user123', amr: ['pwd'], device: { ipAddress: '203.0.113.7' }, attempts: 0 };
+
+    it('should open a multi-factor session with a valid code', async () => {
+      mfaChallenge.getMfaChallenge.mockResolvedValue(challenge);
+      mfaChallenge.consumeMfaChallenge.mockResolvedValue(true);
+
+      const result = await mfaService.verifyLoginChallenge('mfa-token', currentCode());
+
+      expect(authService.createSession).toHaveBeenCalledWith(user, ['pwd', 'otp', 'mfa'], challenge.device);
+      expect(redis.deleteData).toHaveBeenCalledWith(expect.stringMatching(/^login_failures:account:/));
+      expect(result).toEqual({
+        user: expect.not.objectContaining({ totpSecret: expect.anything() }),
+        accessToken: 'access_token',
+        refreshToken: 'refresh_token'
+      });
+    });
+
+    it('should count failed attempts on an invalid code', async () => {
+      mfaChallenge.getMfaChallenge.mockResolvedValue(challenge);
+
+      await expect(mfaService.verifyLoginChallenge('mfa-token', '000000'))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_MFA_CODE });
+
+      expect(mfaChallenge.recordMfaChallengeFailure).toHaveBeenCalledWith('mfa-token', challenge);
+      expect(authService.handleLoginFailure).toHaveBeenCalledWith('test@example.com', user, challenge.device);
+      expect(authService.createSession).not.toHaveBeenCalled();
+      expect(redis.deleteData).not.toHaveBeenCalledWith(expect.stringMatching(/^login_failures:/));
+    });
+
+    it('should reject a code that was already used', async () => {
+      mfaChallenge.getMfaChallenge.mockResolvedValue(challenge);
+      redis.storeDataIfAbsent.mockResolvedValue(false);
+
+      await expect(mfaService.verifyLoginChallenge('mfa-token', currentCode()))
+        .rejects.toMatchObject({ errorCode: AuthErrorCodes.INVALID_MFA_CODE });
+      expect(redis.storeDataIfAbsent).toHaveBeenCalledWith(expect.stringMatching(/^totp_used:user123:/), expect.any(Object), 90);
+      expect(authService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('should accept a code only once under concurrent use', async () => {
+      mfaChallenge.getMfaChallenge.mockResolvedValue(challenge);
+      redis.storeDataIfAbsent.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+      const code = currentCode();
+
+      const results = await Promise.allSettled([
+        mfaService.verifyLoginChallenge('mfa-token', code),
+        mfaService.verifyLoginChallenge('mfa-token', code)
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(authService.createSession).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail closed when the code cannot be marked as used', async () => {
+      mfaChallenge.getMfaChallenge.mockResolvedValue(challenge);
+      redis.storeDataIfAbsent.mockResolvedValue(null);
+
+      await expect(mfaService.verifyLoginChallenge('mfa-token', currentCode()))
+        .rejects.toMatchObject({ statusCode: 503, errorCode: AuthErrorCodes.MFA_UNAVAILABLE });
+      expect(authService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown or expired challenge', async () => {
+      mfaChallenge.getMfaChallenge.mockResolvedValue(null);
+
+      await expect(mfaService.verifyLoginChallenge('unknown', '123456'))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_MFA_TOKEN });
+    });
+  });
+});
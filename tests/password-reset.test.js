@@ -0,0 +1,75 @@
+const { createLogger, createUser } = require('./helpers/mocks');
+const AuthService = require('../src/services/auth.service');
+const { AuthErrorCodes } = require('../src/middlewares/errorHandler');
+const { createOneTimeToken, consumeOneTimeToken } = require('../src/utils/one-time-token');
+
+jest.mock('../src/utils/one-time-token', () => ({
+  createOneTimeToken: jest.fn(),
+  consumeOneTimeToken: jest.fn()
+}));
+
+describe('AuthService - Password reset', () => {
+  const user = createUser();
+
+  let dbClient;
+  let notificationService;
+  let authService;
+
+  beforeEach(() => {
+    dbClient = {
+      getUserByEmail: jest.fn(),
+      getUserById: jest.fn().mockResolvedValue(user),
+      updateUser: jest.fn().mockResolvedValue(user),
+      revokeAllUserRefreshTokens: jest.fn().mockResolvedValue({ success: true })
+    };
+    notificationService = { sendPasswordResetEmail: jest.fn().mockResolvedValue({}) };
+    authService = new AuthService({
+      dbClient,
+      notificationService,
+      logger: createLogger()
+    });
+  });
+
+  describe('forgotPassword', () => {
+    it('should email a single-use reset link', async () => {
+      dbClient.getUserByEmail.mockResolvedValue(user);
+      createOneTimeToken.mockResolvedValue('reset-token');
+
+      await authService.forgotPassword('test@example.com');
+
+      expect(createOneTimeToken).toHaveBeenCalledWith('password_reset', { userId: 'user123' }, 900);
+      expect(notificationService.sendPasswordResetEmail).toHaveBeenCalledWith(
+        'test@example.com',
+        expect.stringContaining('/auth/reset-password?token=reset-token')
+      );
+    });
+
+    it('should silently ignore unknown accounts', async () => {
+      dbClient.getUserByEmail.mockRejectedValue(new Error('404'));
+
+      await expect(authService.forgotPassword('nobody@example.com')).resolves.toBeUndefined();
+      expect(createOneTimeToken).not.toHaveBeenCalled();
+      expect(notificationService.sendPasswordResetEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resetPassword', () => {
+    it('should update the password and revoke all refresh tokens', async () => {
+      consumeOneTimeToken.mockResolvedValue({ userId: 'user123' });
+
+      await authService.resetPassword('reset-token', 'NewPassword123!');
+
+      expect(consumeOneTimeToken).toHaveBeenCalledWith('password_reset', 'reset-token');
+      expect(dbClient.updateUser).toHaveBeenCalledWith('user123', { password: 'NewPassword123!' });
+      expect(dbClient.revokeAllUserRefreshTokens).toHaveBeenCalledWith('user123');
+    });
+
+    it('should reject an invalid, expired or already used token', async () => {
+      consumeOneTimeToken.mockResolvedValue(null);
+
+      await expect(authService.resetPassword('used-token', 'NewPassword123!'))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: AuthErrorCodes.INVALID_RESET_TOKEN });
+      expect(dbClient.updateUser).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,29 @@
+const { requiresPkce, computeCodeChallenge, verifyCodeChallenge } = require('../src/utils/pkce');
+
+describe('PKCE utils', () => {
+  // Exemple de l'annexe B de la RFC 7636
+  const codeVerifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+  const codeChallenge = 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM';
+
+  it('should compute the S256 challenge from the RFC 7636 example', () => {
+    expect(computeCodeChallenge(codeVerifier, 'S256')).toBe(codeChallenge);
+  });
+
+  it('should verify S256 and plain challenges', () => {
+    expect(verifyCodeChallenge(codeVerifier, codeChallenge, 'S256')).toBe(true);
+    expect(verifyCodeChallenge(codeVerifier, codeVerifier, 'plain')).toBe(true);
+  });
+
+  it('should reject a wrong, malformed or missing verifier', () => {
+    expect(verifyCodeChallenge('a'.repeat(43), codeChallenge, 'S256')).toBe(false);
+    expect(verifyCodeChallenge('too-short', 'too-short', 'plain')).toBe(false);
+    expect(verifyCodeChallenge(undefined, codeChallenge, 'S256')).toBe(false);
+    expect(verifyCodeChallenge(codeVerifier, codeChallenge, 'S512')).toBe(false);
+  });
+
+  it('should require PKCE for public clients and clients that opt in', () => {
+    expect(requiresPkce({ clientSecret: null })).toBe(true);
+    expect(requiresPkce({ clientSecret: 'secret', requirePkce: true })).toBe(true);
+    expect(requiresPkce({ clientSecret: 'secret' })).toBe(false);
+  });
+});
@@ -0,0 +1,70 @@
+const { authenticate } = require('../src/middlewares/auth');
+const { AuthErrorCodes } = require('../src/middlewares/errorHandler');
+const { generateAccessToken, generateMagicLinkToken, generateEmailVerificationToken } = require('../src/utils/jwt');
+
+// Token compact factice (en-tête et payload encodés, sans signature) : le middleware lit le kid de l'en-tête
+jest.mock('jose', () => {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+
+  return {
+    SignJWT: class {
+      constructor(payload) { this.payload = { ...payload }; }
+      setProtectedHeader(header) { this.header = header; return this; }
+      setJti(jti) { this.payload.jti = jti; return this; }
+      setIssuedAt() { return this; }
+      setIssuer(iss) { this.payload.iss = iss; return this; }
+      setAudience(aud) { this.payload.aud = aud; return this; }
+      setExpirationTime() { return this; }
+      async sign() { return `${encode(this.header)}.${encode(this.payload)}.signature`; }
+    },
+    jwtVerify: jest.fn(async (token) => ({
+      payload: JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString())
+    }))
+  };
+});
+
+jest.mock('../src/config/redis', () => ({
+  getData: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../src/utils/key-cache', () => ({
+  getSigningKey: jest.fn().mockResolvedValue({ privateKey: 'private-key', kid: 'kid-1', algorithm: 'RS256' }),
+  getVerificationKey: jest.fn().mockResolvedValue({
+    keyPair: { kid: 'kid-1', algorithm: 'RS256', status: 'ACTIVE' },
+    publicKey: 'public-key'
+  })
+}));
+
+describe('Single-purpose tokens presented as Bearer', () => {
+  const user = { id: 'user123', email: 'test@example.com', roles: ['USER'] };
+
+  const authenticateWith = async (token) => {
+    const req = { headers: { authorization: `Bearer ${token}` }, app: { locals: { dbClient: {} } } };
+    const next = jest.fn();
+
+    await authenticate(req, {}, next);
+
+    return { req, next };
+  };
+
+  it('should accept an access token', async () => {
+    const { req, next } = await authenticateWith(await generateAccessToken(user, {}));
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toMatchObject({ id: 'user123' });
+  });
+
+  it('should reject a magic link token', async () => {
+    const { req, next } = await authenticateWith(await generateMagicLinkToken(user, {}));
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401, errorCode: AuthErrorCodes.TOKEN_INVALID }));
+    expect(req.user).toBeUndefined();
+  });
+
+  it('should reject an email verification token', async () => {
+    const { req, next } = await authenticateWith(await generateEmailVerificationToken(user, {}));
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401, errorCode: AuthErrorCodes.TOKEN_INVALID }));
+    expect(req.user).toBeUndefined();
+  });
+});
@@ -0,0 +1,129 @@
+require('./helpers/mocks');
+const express = require('express');
+const request = require('supertest');
+const redis = require('../src/config/redis');
+const { resolveRateLimitPolicy } = require('../src/config/rate-limit');
+const { createRateLimiter } = require('../src/middlewares/rate-limit');
+
+// Client Redis minimal partagé par les "réplicas" du test
+const createFakeRedis = () => {
+  const counters = new Map();
+  return {
+    incr: jest.fn(async (key) => {
+      const entry = counters.get(key) || { value: 0, ttl: -1 };
+      entry.value += 1;
+      counters.set(key, entry);
+      return entry.value;
+    }),
+    pTTL: jest.fn(async (key) => (counters.has(key) ? counters.get(key).ttl : -2)),
+    pExpire: jest.fn(async (key, ms) => { counters.get(key).ttl = ms; return 1; }),
+    decr: jest.fn(async (key) => { counters.get(key).value -= 1; }),
+    del: jest.fn(async (key) => (counters.delete(key) ? 1 : 0))
+  };
+};
+
+const createApp = () => {
+  const app = express();
+  app.use(createRateLimiter());
+  app.post('/api/v1/auth/login', (req, res) => res.json({ success: true }));
+  // Le secret du client n'est vérifié que par la route
+  app.post('/api/v1/auth/token', (req, res) => (
+    !req.headers.authorization || Buffer.from(req.headers.authorization.slice(6), 'base64').toString().endsWith(':secret')
+      ? res.json({ success: true })
+      : res.status(401).json({ error: 'invalid_client' })
+  ));
+  app.get('/api/v1/auth/jwks.json', (req, res) => res.json({ keys: [] }));
+  return app;
+};
+
+const basic = (clientId, secret = 'secret') => `Basic ${Buffer.from(`${clientId}:${secret}`).toString('base64')}`;
+
+describe('Rate limiting', () => {
+  let fakeRedis;
+
+  beforeEach(() => {
+    process.env.RATE_LIMIT_LOGIN_MAX = '2';
+    process.env.RATE_LIMIT_REFRESH_MAX = '2';
+    fakeRedis = createFakeRedis();
+    redis.getRedisClient.mockResolvedValue(fakeRedis);
+  });
+
+  afterEach(() => {
+    delete process.env.RATE_LIMIT_LOGIN_MAX;
+    delete process.env.RATE_LIMIT_REFRESH_MAX;
+  });
+
+  it('should map routes to their policy', () => {
+    expect(resolveRateLimitPolicy('POST', '/api/v1/auth/login')).toBe('login');
+    expect(resolveRateLimitPolicy('POST', '/API/v1/auth/Login/')).toBe('login');
+    expect(resolveRateLimitPolicy('GET', '/.well-known/openid-configuration')).toBe('discovery');
+    expect(resolveRateLimitPolicy('GET', '/api/v1/oauth/google/callback')).toBe('oauth_callback');
+    expect(resolveRateLimitPolicy('POST', '/api/v1/auth/forgot-password')).toBe('forgot_password');
+    expect(resolveRateLimitPolicy('GET', '/api/v1/auth/me')).toBe('default');
+  });
+
+  it('should give each route group its own budget', async () => {
+    const app = createApp();
+
+    await request(app).post('/api/v1/auth/login').expect(200);
+    await request(app).post('/api/v1/auth/login').expect(200);
+    const limited = await request(app).post('/api/v1/auth/login').expect(429);
+
+    expect(limited.body.error.code).toBe('RATE_LIMIT_EXCEEDED');
+    await request(app).get('/api/v1/auth/jwks.json').expect(200);
+  });
+
+  it('should share counters between replicas through Redis', async () => {
+    const replicaA = createApp();
+    const replicaB = createApp();
+
+    await request(replicaA).post('/api/v1/auth/login').expect(200);
+    await request(replicaB).post('/api/v1/auth/login').expect(200);
+
+    await request(replicaA).post('/api/v1/auth/login').expect(429);
+    expect(fakeRedis.incr).toHaveBeenCalledWith(expect.stringMatching(/^rate_limit:login:ip:/));
+  });
+
+  it('should count authenticated machine clients by client_id', async () => {
+    const app = createApp();
+
+    await request(app).post('/api/v1/auth/token').expect(200);
+    await request(app).post('/api/v1/auth/token').expect(200);
+    await request(app).post('/api/v1/auth/token').expect(429);
+
+    await request(app).post('/api/v1/auth/token').set('Authorization', basic('reporting-service')).expect(200);
+    await request(app).post('/api/v1/auth/token').set('Authorization', basic('billing-service')).expect(200);
+    expect(fakeRedis.incr).toHaveBeenCalledWith('rate_limit:refresh:client:reporting-service');
+  });
+
+  it('should not let an unverified client_id consume or bypass the budgets', async () => {
+    const app = createApp();
+
+    // Un secret erroné ne consomme pas le budget du vrai client...
+    await request(app).post('/api/v1/auth/token').set('Authorization', basic('reporting-service', 'wrong')).expect(401);
+    await request(app).post('/api/v1/auth/token').set('Authorization', basic('reporting-service')).expect(200);
+    await request(app).post('/api/v1/auth/token').set('Authorization', basic('reporting-service')).expect(200);
+    await request(app).post('/api/v1/auth/token').set('Authorization', basic('reporting-service')).expect(429);
+
+    // ...mais les échecs sont comptés par IP, quel que soit le client_id annoncé
+    await request(app).post('/api/v1/auth/token').set('Authorization', basic('invented-client', 'wrong')).expect(401);
+    await request(app).post('/api/v1/auth/token').set('Authorization', basic('other-client', 'wrong')).expect(429);
+  });
+
+  it('should count by IP on routes that do not authenticate the client', async () => {
+    const app = createApp();
+
+    await request(app).post('/api/v1/auth/login').set('Authorization', basic('client-a')).expect(200);
+    await request(app).post('/api/v1/auth/login').set('Authorization', basic('client-b')).expect(200);
+    await request(app).post('/api/v1/auth/login').set('Authorization', basic('client-c')).expect(429);
+  });
+
+  it('should fall back to in-memory counters when Redis is unavailable', async () => {
+    redis.getRedisClient.mockRejectedValue(new Error('ECONNREFUSED'));
+    const app = createApp();
+
+    await request(app).post('/api/v1/auth/login').expect(200);
+    await request(app).post('/api/v1/auth/login').expect(200);
+    await request(app).post('/api/v1/auth/login').expect(429);
+  });
+});
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { createLogger, createUser } = require('./helpers/mocks');
+const AuthService = require('../src/services/auth.service');
+const MfaService = require('../src/services/mfa.service');
+const { AuthErrorCodes } = require('../src/middlewares/errorHandler');
+const { generateRecoveryCodes, hashRecoveryCode } = require('../src/utils/recovery-codes');
+const redis = require('../src/config/redis');
+
+describe('Recovery codes', () => {
+  it('should generate distinct codes and hash them regardless of formatting', () => {
+    const codes = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    expect(codes[0]).toMatch(/^[a-z2-9]{5}-[a-z2-9]{5}$/);
+    expect(hashRecoveryCode('user123', codes[0].toUpperCase().replace('-', ' '))).toBe(hashRecoveryCode('user123', codes[0]));
+  });
+
+  it('should bind the hash to the server secret and to the user', () => {
+    const [code] = generateRecoveryCodes(1);
+    const hash = hashRecoveryCode('user123', code);
+
+    expect(hash).not.toBe(crypto.createHash('sha256').update(code.replace('-', '')).digest('hex'));
+    expect(hashRecoveryCode('user456', code)).not.toBe(hash);
+  });
+
+  describe('AuthService - loginWithRecoveryCode', () => {
+    const [code, otherCode] = generateRecoveryCodes(2);
+    const user = createUser({
+      totpEnabled: true,
+      recoveryCodes: [hashRecoveryCode('user123', code), hashRecoveryCode('user123', otherCode)]
+    });
+
+    let dbClient;
+    let notificationService;
+    let authService;
+
+    beforeEach(() => {
+      dbClient = {
+        getUserByEmail: jest.fn().mockResolvedValue(user),
+        verifyPassword: jest.fn().mockResolvedValue(true),
+        updateUser: jest.fn().mockResolvedValue(user)
+      };
+      notificationService = { sendRecoveryCodeUsedEmail: jest.fn().mockResolvedValue({}) };
+      authService = new AuthService({
+        dbClient,
+        notificationService,
+        logger: createLogger()
+      });
+      jest.spyOn(authService, 'createSession').mockResolvedValue({ accessToken: 'access_token', refreshToken: 'refresh_token' });
+    });
+
+    it('should consume the code, open a session and notify the user', async () => {
+      const result = await authService.loginWithRecoveryCode('test@example.com', 'Password123!', code);
+
+      expect(dbClient.updateUser).toHaveBeenCalledWith('user123', { recoveryCodes: [hashRecoveryCode('user123', otherCode)] });
+      expect(authService.createSession).toHaveBeenCalledWith(user, ['pwd', 'otp', 'mfa'], {});
+      expect(notificationService.sendRecoveryCodeUsedEmail).toHaveBeenCalledWith('test@example.com', 1);
+      expect(result.user).not.toHaveProperty('recoveryCodes');
+      expect(result.accessToken).toBe('access_token');
+    });
+
+    it('should reject an unknown or already used code', async () => {
+      await expect(authService.loginWithRecoveryCode('test@example.com', 'Password123!', 'aaaaa-aaaaa'))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_RECOVERY_CODE });
+
+      expect(dbClient.updateUser).not.toHaveBeenCalled();
+      expect(authService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('should consume the code atomically', async () => {
+      redis.storeDataIfAbsent.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      const results = await Promise.allSettled([
+        authService.loginWithRecoveryCode('test@example.com', 'Password123!', code),
+        authService.loginWithRecoveryCode('test@example.com', 'Password123!', code)
+      ]);
+
+      expect(redis.storeDataIfAbsent).toHaveBeenCalledWith(
+        `used_recovery_code:user123:${hashRecoveryCode('user123', code)}`,
+        expect.any(Object),
+        expect.any(Number)
+      );
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason).toMatchObject({ errorCode: AuthErrorCodes.INVALID_RECOVERY_CODE });
+      expect(authService.createSession).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail closed when the code cannot be marked as used', async () => {
+      redis.storeDataIfAbsent.mockResolvedValueOnce(null);
+
+      await expect(authService.loginWithRecoveryCode('test@example.com', 'Password123!', code))
+        .rejects.toMatchObject({ statusCode: 503, errorCode: AuthErrorCodes.SERVICE_UNAVAILABLE });
+      expect(dbClient.updateUser).not.toHaveBeenCalled();
+      expect(authService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('should count a wrong code as a failed login', async () => {
+      jest.spyOn(authService, 'handleLoginFailure').mockResolvedValue();
+      const device = { ipAddress: '203.0.113.7' };
+
+      await expect(authService.loginWithRecoveryCode('test@example.com', 'Password123!', 'aaaaa-aaaaa', device))
+        .rejects.toMatchObject({ errorCode: AuthErrorCodes.INVALID_RECOVERY_CODE });
+
+      expect(authService.handleLoginFailure).toHaveBeenCalledWith('test@example.com', user, device);
+      // Le mot de passe correct n'efface pas les échecs précédents
+      expect(redis.deleteData).not.toHaveBeenCalledWith(expect.stringMatching(/^login_failures:/));
+    });
+
+    it('should require the password', async () => {
+      dbClient.verifyPassword.mockResolvedValue(false);
+
+      await expect(authService.loginWithRecoveryCode('test@example.com', 'wrong', code))
+        .rejects.toMatchObject({ errorCode: AuthErrorCodes.INVALID_CREDENTIALS });
+    });
+  });
+
+  describe('MfaService - generateRecoveryCodes', () => {
+    let dbClient;
+    let mfaService;
+
+    beforeEach(() => {
+      dbClient = {
+        getUserById: jest.fn().mockResolvedValue(createUser()),
+        verifyPassword: jest.fn().mockResolvedValue(true),
+        updateUser: jest.fn().mockResolvedValue({})
+      };
+      mfaService = new MfaService({ dbClient, authService: {}, notificationService: {}, logger: createLogger() });
+    });
+
+    it('should replace the codes after re-authentication', async () => {
+      const codes = await mfaService.generateRecoveryCodes('user123', 'Password123!');
+
+      expect(dbClient.verifyPassword).toHaveBeenCalledWith('user123', 'Password123!');
+      expect(dbClient.updateUser).toHaveBeenCalledWith('user123', { recoveryCodes: codes.map(c => hashRecoveryCode('user123', c)) });
+    });
+
+    it('should keep the current codes with a wrong password', async () => {
+      dbClient.verifyPassword.mockResolvedValue(false);
+
+      await expect(mfaService.generateRecoveryCodes('user123', 'wrong'))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_CREDENTIALS });
+      expect(dbClient.updateUser).not.toHaveBeenCalled();
+    });
+  });
+});
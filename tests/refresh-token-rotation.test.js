@@ -0,0 +1,88 @@
+const { createLogger, createUser } = require('./helpers/mocks');
+const AuthService = require('../src/services/auth.service');
+const { AuthErrorCodes } = require('../src/middlewares/errorHandler');
+const jwt = require('../src/utils/jwt');
+
+jest.mock('../src/utils/jwt', () => ({
+  generateAccessToken: jest.fn(),
+  generateRefreshToken: jest.fn(),
+  verifyRefreshToken: jest.fn(),
+  revokeRefreshToken: jest.fn()
+}));
+
+describe('AuthService - Refresh token rotation', () => {
+  const user = createUser();
+  const storedToken = {
+    token: 'refresh_token',
+    userId: 'user123',
+    clientId: null,
+    familyId: 'family-1',
+    authTime: 1700000000,
+    amr: ['pwd'],
+    expiresAt: new Date(Date.now() + 60000).toISOString()
+  };
+
+  let dbClient;
+  let logger;
+  let authService;
+
+  beforeEach(() => {
+    dbClient = {
+      getRefreshTokenByValue: jest.fn(),
+      getUserById: jest.fn().mockResolvedValue(user),
+      revokeAllUserRefreshTokens: jest.fn().mockResolvedValue({ success: true })
+    };
+    logger = createLogger();
+    authService = new AuthService({ dbClient, notificationService: {}, logger });
+
+    jwt.generateAccessToken.mockResolvedValue('new_access_token');
+    jwt.generateRefreshToken.mockResolvedValue('new_refresh_token');
+    jwt.revokeRefreshToken.mockResolvedValue(true);
+  });
+
+  it('should rotate the refresh token within the same family', async () => {
+    dbClient.getRefreshTokenByValue.mockResolvedValue(storedToken);
+    jwt.verifyRefreshToken.mockResolvedValue(storedToken);
+
+    const result = await authService.refreshToken('refresh_token');
+
+    expect(jwt.generateRefreshToken).toHaveBeenCalledWith('user123', dbClient, null, {
+      authTime: 1700000000,
+      amr: ['pwd'],
+      familyId: 'family-1'
+    });
+    expect(jwt.revokeRefreshToken).toHaveBeenCalledWith('refresh_token', dbClient);
+    expect(result).toEqual({ success: true, accessToken: 'new_access_token', refreshToken: 'new_refresh_token' });
+  });
+
+  it('should revoke the whole family when a rotated token is reused', async () => {
+    dbClient.getRefreshTokenByValue.mockResolvedValue({ ...storedToken, revokedAt: new Date().toISOString() });
+
+    await expect(authService.refreshToken('refresh_token'))
+      .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.REFRESH_TOKEN_REUSED });
+
+    expect(dbClient.revokeAllUserRefreshTokens).toHaveBeenCalledWith('user123', 'family-1');
+    expect(logger.warn).toHaveBeenCalled();
+    expect(jwt.generateAccessToken).not.toHaveBeenCalled();
+  });
+
+  it('should not open a first-party session with a token issued to a third-party client', async () => {
+    const clientToken = { ...storedToken, clientId: 'client-db-id' };
+    dbClient.getRefreshTokenByValue.mockResolvedValue(clientToken);
+    jwt.verifyRefreshToken.mockResolvedValue(clientToken);
+
+    await expect(authService.refreshToken('refresh_token'))
+      .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_REFRESH_TOKEN });
+    expect(jwt.generateAccessToken).not.toHaveBeenCalled();
+    expect(jwt.revokeRefreshToken).not.toHaveBeenCalled();
+  });
+
+  it('should not issue tokens for an unknown refresh token', async () => {
+    const error = Object.assign(new Error('invalid'), { errorCode: AuthErrorCodes.INVALID_REFRESH_TOKEN });
+    dbClient.getRefreshTokenByValue.mockResolvedValue(null);
+    jwt.verifyRefreshToken.mockRejectedValue(error);
+
+    await expect(authService.refreshToken('unknown')).rejects.toBe(error);
+    expect(dbClient.revokeAllUserRefreshTokens).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,134 @@
+const { createLogger } = require('./helpers/mocks');
+const express = require('express');
+const request = require('supertest');
+const AuthService = require('../src/services/auth.service');
+const AuthController = require('../src/controllers/auth.controller');
+const { AppError, AuthErrorCodes, oauthErrorHandler } = require('../src/middlewares/errorHandler');
+const jwt = require('../src/utils/jwt');
+const redis = require('../src/config/redis');
+
+jest.mock('../src/utils/jwt', () => ({
+  ...jest.requireActual('../src/utils/jwt'),
+  verifyAccessToken: jest.fn()
+}));
+
+describe('AuthService - revokeToken', () => {
+  const thirdPartyClient = {
+    id: 'client-db-id',
+    clientId: 'my-app',
+    clientSecret: 'app-secret',
+    active: true
+  };
+
+  let dbClient;
+  let authService;
+
+  beforeEach(() => {
+    dbClient = {
+      getClientByClientId: jest.fn().mockResolvedValue(thirdPartyClient),
+      getRefreshTokenByValue: jest.fn().mockResolvedValue(null),
+      revokeRefreshToken: jest.fn().mockResolvedValue({ success: true })
+    };
+    authService = new AuthService({
+      dbClient,
+      notificationService: {},
+      logger: createLogger()
+    });
+    jwt.verifyAccessToken.mockRejectedValue(new AppError('Token invalide', 401, AuthErrorCodes.TOKEN_INVALID));
+    redis.storeData.mockResolvedValue('OK');
+  });
+
+  it('should succeed for an unknown token', async () => {
+    await expect(authService.revokeToken('unknown-token')).resolves.toMatchObject({ success: true });
+    await expect(authService.revokeToken('a.b.c', 'access_token', 'my-app', 'app-secret')).resolves.toMatchObject({ success: true });
+
+    expect(dbClient.revokeRefreshToken).not.toHaveBeenCalled();
+    expect(redis.storeData).not.toHaveBeenCalled();
+  });
+
+  it('should succeed for a token that is not a string', async () => {
+    await expect(authService.revokeToken(['a.b.c', 'abcdef'], undefined, 'my-app', 'app-secret')).resolves.toMatchObject({ success: true });
+    await expect(authService.revokeToken({ token: 'abcdef' })).resolves.toMatchObject({ success: true });
+
+    expect(jwt.verifyAccessToken).not.toHaveBeenCalled();
+    expect(dbClient.getRefreshTokenByValue).not.toHaveBeenCalled();
+  });
+
+  it('should add the jti of an access token to the denylist until it expires', async () => {
+    const exp = Math.floor(Date.now() / 1000) + 600;
+    jwt.verifyAccessToken.mockResolvedValue({ sub: 'user123', jti: 'jti-1', exp });
+
+    await expect(authService.revokeToken('a.b.c')).resolves.toMatchObject({ success: true });
+
+    expect(redis.storeData).toHaveBeenCalledWith('revoked_jti:jti-1', expect.any(Object), expect.any(Number));
+    const [, , ttl] = redis.storeData.mock.calls[0];
+    expect(ttl).toBeGreaterThan(590);
+    expect(ttl).toBeLessThanOrEqual(600);
+  });
+
+  it('should revoke a stored refresh token', async () => {
+    dbClient.getRefreshTokenByValue.mockResolvedValue({ userId: 'user123', clientId: 'client-db-id' });
+
+    await expect(authService.revokeToken('refresh-token', 'refresh_token', 'my-app', 'app-secret'))
+      .resolves.toMatchObject({ success: true });
+
+    expect(dbClient.revokeRefreshToken).toHaveBeenCalledWith('refresh-token');
+  });
+
+  it('should not let a client revoke the tokens of another client', async () => {
+    dbClient.getRefreshTokenByValue.mockResolvedValue({ userId: 'user123', clientId: 'other-client-db-id' });
+    jwt.verifyAccessToken.mockResolvedValue({ sub: 'user123', jti: 'jti-2', client_id: 'other-app', exp: Math.floor(Date.now() / 1000) + 600 });
+
+    await expect(authService.revokeToken('refresh-token', 'refresh_token', 'my-app', 'app-secret'))
+      .rejects.toMatchObject({ statusCode: 400, errorCode: AuthErrorCodes.INVALID_GRANT });
+    await expect(authService.revokeToken('a.b.c', 'access_token', 'my-app', 'app-secret'))
+      .rejects.toMatchObject({ statusCode: 400, errorCode: AuthErrorCodes.INVALID_GRANT });
+
+    expect(dbClient.revokeRefreshToken).not.toHaveBeenCalled();
+    expect(redis.storeData).not.toHaveBeenCalled();
+  });
+
+  it('should authenticate the client before revoking', async () => {
+    dbClient.getRefreshTokenByValue.mockResolvedValue({ userId: 'user123', clientId: 'client-db-id' });
+
+    await expect(authService.revokeToken('refresh-token', 'refresh_token', 'my-app', 'wrong'))
+      .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_CLIENT_CREDENTIALS });
+
+    expect(dbClient.revokeRefreshToken).not.toHaveBeenCalled();
+  });
+});
+
+describe('AuthController - revokeToken', () => {
+  let dbClient;
+  let app;
+
+  beforeEach(() => {
+    dbClient = {
+      getClientByClientId: jest.fn().mockResolvedValue({ id: 'client-db-id', clientId: 'my-app', clientSecret: 'app-secret', active: true }),
+      getRefreshTokenByValue: jest.fn().mockResolvedValue(null),
+      revokeRefreshToken: jest.fn()
+    };
+    const controller = new AuthController(new AuthService({ dbClient, notificationService: {}, logger: createLogger() }));
+    app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.post('/revoke', controller.revokeToken.bind(controller), oauthErrorHandler);
+    jwt.verifyAccessToken.mockRejectedValue(new AppError('Token invalide', 401, AuthErrorCodes.TOKEN_INVALID));
+  });
+
+  it('should answer 200 to an unknown or repeated token', async () => {
+    await request(app).post('/revoke').auth('my-app', 'app-secret')
+      .type('form').send('token=unknown-token')
+      .expect(200);
+    await request(app).post('/revoke').auth('my-app', 'app-secret')
+      .type('form').send('token=a.b.c&token=abcdef')
+      .expect(200);
+  });
+
+  it('should answer invalid_client to wrong client credentials', async () => {
+    const response = await request(app).post('/revoke').auth('my-app', 'wrong')
+      .type('form').send('token=unknown-token')
+      .expect(401);
+
+    expect(response.body).toMatchObject({ error: 'invalid_client' });
+  });
+});
@@ -0,0 +1,106 @@
+const { createLogger } = require('./helpers/mocks');
+const AuthService = require('../src/services/auth.service');
+const { AuthErrorCodes } = require('../src/middlewares/errorHandler');
+const jwt = require('../src/utils/jwt');
+const { describeDevice } = require('../src/utils/device');
+
+jest.mock('../src/utils/jwt', () => ({
+  revokeRefreshToken: jest.fn()
+}));
+
+describe('AuthService - Sessions', () => {
+  const firefox = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0';
+  const tokens = [
+    {
+      id: 'rt-1',
+      token: 'laptop_token',
+      familyId: 'session-laptop',
+      userAgent: firefox,
+      ipAddress: '203.0.113.7',
+      authTime: 1700000000,
+      createdAt: '2024-01-02T00:00:00.000Z',
+      expiresAt: new Date(Date.now() + 60000).toISOString()
+    },
+    {
+      id: 'rt-2',
+      token: 'app_token',
+      familyId: 'session-app',
+      clientId: 'client-db-id',
+      createdAt: '2024-01-03T00:00:00.000Z',
+      expiresAt: new Date(Date.now() + 60000).toISOString()
+    },
+    {
+      id: 'rt-3',
+      token: 'old_token',
+      familyId: 'session-old',
+      revokedAt: '2024-01-01T00:00:00.000Z',
+      expiresAt: new Date(Date.now() + 60000).toISOString()
+    }
+  ];
+
+  let dbClient;
+  let authService;
+
+  beforeEach(() => {
+    dbClient = {
+      getUserRefreshTokens: jest.fn().mockResolvedValue(tokens),
+      getClientById: jest.fn().mockResolvedValue({ id: 'client-db-id', name: 'Test Application' }),
+      revokeAllUserRefreshTokens: jest.fn().mockResolvedValue({ success: true })
+    };
+    authService = new AuthService({
+      dbClient,
+      notificationService: {},
+      logger: createLogger()
+    });
+
+    jwt.revokeRefreshToken.mockResolvedValue(true);
+  });
+
+  it('should list active sessions with device and client details', async () => {
+    const sessions = await authService.getSessions('user123', 'session-laptop');
+
+    expect(sessions).toEqual([
+      expect.objectContaining({ id: 'session-app', clientName: 'Test Application', current: false }),
+      expect.objectContaining({
+        id: 'session-laptop',
+        device: 'Firefox sur Windows',
+        ipAddress: '203.0.113.7',
+        createdAt: new Date(1700000000 * 1000).toISOString(),
+        lastUsedAt: '2024-01-02T00:00:00.000Z',
+        current: true
+      })
+    ]);
+  });
+
+  it('should revoke the refresh token of a session', async () => {
+    await authService.revokeSession('user123', 'session-laptop');
+
+    expect(jwt.revokeRefreshToken).toHaveBeenCalledWith('laptop_token', dbClient);
+  });
+
+  it('should reject an unknown or already closed session', async () => {
+    await expect(authService.revokeSession('user123', 'session-old'))
+      .rejects.toMatchObject({ statusCode: 404, errorCode: AuthErrorCodes.SESSION_NOT_FOUND });
+  });
+
+  it('should close every session except the current one', async () => {
+    const revoked = await authService.revokeOtherSessions('user123', 'session-laptop');
+
+    expect(revoked).toBe(1);
+    expect(jwt.revokeRefreshToken).toHaveBeenCalledTimes(1);
+    expect(jwt.revokeRefreshToken).toHaveBeenCalledWith('app_token', dbClient);
+    expect(dbClient.revokeAllUserRefreshTokens).not.toHaveBeenCalled();
+  });
+
+  it('should close all sessions when the current one is unknown', async () => {
+    await authService.revokeOtherSessions('user123', undefined);
+
+    expect(dbClient.revokeAllUserRefreshTokens).toHaveBeenCalledWith('user123');
+  });
+
+  it('should describe common devices', () => {
+    expect(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1'))
+      .toBe('Safari sur iOS');
+    expect(describeDevice(undefined)).toBe('Appareil inconnu');
+  });
+});
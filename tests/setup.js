@@ -39,13 +39,6 @@ jest.mock('../src/services/db-client', () => ({
   revokeRefreshToken: jest.fn().mockResolvedValue({ success: true }),
 }));
 
-// Mock bcrypt v6
-jest.mock('bcrypt', () => ({
-  hash: jest.fn().mockImplementation((data, saltRounds) => Promise.resolve('hashed_password')),
-  compare: jest.fn().mockImplementation((data, hash) => Promise.resolve(true)),
-  genSalt: jest.fn().mockImplementation((saltRounds) => Promise.resolve('generated_salt'))
-}));
-
 // Mock jose v6
 jest.mock('jose', () => {
   const mockJwk = {
@@ -93,25 +86,6 @@ jest.mock('jose', () => {
   };
 });
 
-// Mock JWT utils
-jest.mock('../src/utils/jwt', () => ({
-  generateAccessToken: jest.fn().mockResolvedValue('mock_access_token'),
-  generateRefreshToken: jest.fn().mockResolvedValue('mock_refresh_token'),
-  generateIdToken: jest.fn().mockResolvedValue('mock_id_token'),
-  verifyAccessToken: jest.fn().mockResolvedValue({ userId: 'user123', type: 'access' }),
-  verifyRefreshToken: jest.fn().mockResolvedValue({ userId: 'user123', valid: true }),
-  revokeRefreshToken: jest.fn().mockResolvedValue({ success: true }),
-  getActiveKeyPair: jest.fn().mockResolvedValue({
-    id: 'keypair1',
-    publicKey: 'mock_public_key',
-    privateKey: 'mock_private_key',
-    active: true
-  }),
-  getJwks: jest.fn().mockResolvedValue({
-    keys: [{ kid: 'keypair1', kty: 'RSA', alg: 'RS256' }]
-  })
-}));
-
 // Mock Redis v5
 jest.mock('redis', () => {
   const mockRedisClient = {
@@ -155,10 +129,3 @@ jest.setTimeout(10000);
 beforeEach(() => {
   jest.clearAllMocks();
 });
-
-afterEach(() => {
-  jest.resetAllMocks();
-});
-
-// Exposer le mock pour utilisation dans les tests
-global.mockPrisma = mockPrismaClient; 
\ No newline at end of file
@@ -0,0 +1,35 @@
+const { base32Encode, base32Decode, generateTotpCode, getTotpStep, verifyTotpCode, buildOtpauthUri } = require('../src/utils/totp');
+
+describe('TOTP', () => {
+  // Secret de test de la RFC 6238 (annexe B, SHA1)
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+  it('should round-trip base32', () => {
+    expect(base32Decode(secret).toString()).toBe('12345678901234567890');
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(generateTotpCode(secret, Math.floor(59 / 30))).toBe('287082');
+    expect(generateTotpCode(secret, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(generateTotpCode(secret, Math.floor(2000000000 / 30))).toBe('279037');
+  });
+
+  it('should accept the current code and tolerate one step of clock drift', () => {
+    const step = getTotpStep();
+
+    expect(verifyTotpCode(secret, generateTotpCode(secret, step))).toBe(step);
+    expect(verifyTotpCode(secret, generateTotpCode(secret, step - 1))).toBe(step - 1);
+    expect(verifyTotpCode(secret, generateTotpCode(secret, step - 3))).toBeNull();
+    expect(verifyTotpCode(secret, 'abcdef')).toBeNull();
+  });
+
+  it('should build an otpauth URI', () => {
+    const uri = new URL(buildOtpauthUri(secret, 'user@example.com', 'SupervIA'));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/SupervIA:user@example.com');
+    expect(uri.searchParams.get('secret')).toBe(secret);
+    expect(uri.searchParams.get('issuer')).toBe('SupervIA');
+  });
+});
@@ -0,0 +1,37 @@
+const { createLogger, createUser } = require('./helpers/mocks');
+const AuthService = require('../src/services/auth.service');
+const { AuthErrorCodes } = require('../src/middlewares/errorHandler');
+
+describe('AuthService - getUserInfo', () => {
+  const user = createUser({ firstName: 'John', roles: ['USER'], recoveryCodes: ['hash-1', 'hash-2'] });
+
+  let dbClient;
+  let authService;
+
+  beforeEach(() => {
+    dbClient = {
+      getUserById: jest.fn().mockResolvedValue(user),
+      getClientByClientId: jest.fn().mockResolvedValue({ clientId: 'my-app' })
+    };
+    authService = new AuthService({ dbClient, notificationService: {}, logger: createLogger() });
+  });
+
+  it('should return the claims of the scopes granted to the client', async () => {
+    const claims = await authService.getUserInfo('user123', { scope: 'openid email', clientId: 'my-app' });
+
+    expect(claims).toEqual({ sub: 'user123', email: 'test@example.com' });
+  });
+
+  it('should expose the remaining recovery codes to first-party sessions only', async () => {
+    const claims = await authService.getUserInfo('user123');
+
+    expect(claims).toMatchObject({ sub: 'user123', roles: ['USER'], recovery_codes_remaining: 2 });
+  });
+
+  it('should reject the token of a client that no longer exists', async () => {
+    dbClient.getClientByClientId.mockRejectedValue(Object.assign(new Error('Not found'), { status: 404 }));
+
+    await expect(authService.getUserInfo('user123', { scope: 'openid email', clientId: 'deleted-app' }))
+      .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.TOKEN_INVALID });
+  });
+});
@@ -0,0 +1,364 @@
+const { createLogger, createUser } = require('./helpers/mocks');
+const crypto = require('crypto');
+const WebAuthnService = require('../src/services/webauthn.service');
+const { AuthErrorCodes } = require('../src/middlewares/errorHandler');
+const redis = require('../src/config/redis');
+const mfaChallenge = require('../src/utils/mfa-challenge');
+const { decodeCbor } = require('../src/utils/cbor');
+
+jest.mock('../src/utils/mfa-challenge', () => ({
+  getMfaChallenge: jest.fn(),
+  recordMfaChallengeFailure: jest.fn(),
+  consumeMfaChallenge: jest.fn()
+}));
+
+const ORIGIN = 'https://portal.example.com';
+const RP_ID = 'portal.example.com';
+
+// Encodeur CBOR minimal (entiers, octets, textes, maps) pour l'authentificateur logiciel
+const cborHead = (major, length) => {
+  if (length < 24) return Buffer.from([(major << 5) | length]);
+  if (length < 256) return Buffer.from([(major << 5) | 24, length]);
+  const head = Buffer.alloc(3);
+  head[0] = (major << 5) | 25;
+  head.writeUInt16BE(length, 1);
+  return head;
+};
+
+const encodeCbor = (value) => {
+  if (Number.isInteger(value)) {
+    return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([cborHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([cborHead(3, bytes.length), bytes]);
+  }
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  return Buffer.concat([
+    cborHead(5, entries.length),
+    ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)])
+  ]);
+};
+
+/**
+ * Authentificateur logiciel ES256 produisant des réponses WebAuthn comme le ferait un navigateur
+ */
+const createAuthenticator = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const credentialId = crypto.randomBytes(16);
+  const jwk = publicKey.export({ format: 'jwk' });
+  let counter = 0;
+
+  const clientData = (type, challenge) => Buffer.from(JSON.stringify({ type, challenge, origin: ORIGIN }));
+  const authData = (flags, extra = Buffer.alloc(0)) => {
+    const count = Buffer.alloc(4);
+    count.writeUInt32BE(counter);
+    return Buffer.concat([crypto.createHash('sha256').update(RP_ID).digest(), Buffer.from([flags]), count, extra]);
+  };
+
+  return {
+    id: credentialId.toString('base64url'),
+
+    create(challenge) {
+      const coseKey = new Map([
+        [1, 2], [3, -7], [-1, 1],
+        [-2, Buffer.from(jwk.x, 'base64url')],
+        [-3, Buffer.from(jwk.y, 'base64url')]
+      ]);
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      const attested = Buffer.concat([Buffer.alloc(16), idLength, credentialId, encodeCbor(coseKey)]);
+
+      return {
+        id: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientData('webauthn.create', challenge).toString('base64url'),
+          attestationObject: encodeCbor({ fmt: 'none', attStmt: {}, authData: authData(0x45, attested) }).toString('base64url'),
+          transports: ['internal']
+        }
+      };
+    },
+
+    get(challenge, { flags = 0x05 } = {}) {
+      counter += 1;
+      const data = authData(flags);
+      const clientDataJSON = clientData('webauthn.get', challenge);
+      const signature = crypto.sign('sha256', Buffer.concat([data, crypto.createHash('sha256').update(clientDataJSON).digest()]), privateKey);
+
+      return {
+        id: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientDataJSON.toString('base64url'),
+          authenticatorData: data.toString('base64url'),
+          signature: signature.toString('base64url')
+        }
+      };
+    }
+  };
+};
+
+describe('WebAuthnService', () => {
+  const user = createUser({ firstName: 'Ada', lastName: 'Lovelace' });
+
+  let store;
+  let credentials;
+  let dbClient;
+  let authService;
+  let webAuthnService;
+  let authenticator;
+
+  // Connexion datant de moins de 5 minutes : dispense de ressaisir le mot de passe
+  const recentLogin = () => ({ authTime: Math.floor(Date.now() / 1000) - 60 });
+
+  const register = async () => {
+    const options = await webAuthnService.getRegistrationOptions('user123', recentLogin());
+    return webAuthnService.verifyRegistration('user123', authenticator.create(options.challenge), 'Téléphone', recentLogin());
+  };
+
+  beforeEach(() => {
+    process.env.WEBAUTHN_ORIGIN = ORIGIN;
+    delete process.env.WEBAUTHN_RP_ID;
+
+    store = new Map();
+    redis.storeData.mockImplementation(async (key, value) => { store.set(key, value); return 'OK'; });
+    redis.getData.mockImplementation(async (key) => store.get(key) || null);
+    redis.deleteData.mockImplementation(async (key) => (store.delete(key) ? 1 : 0));
+
+    credentials = [];
+    dbClient = {
+      getUserById: jest.fn().mockResolvedValue(user),
+      verifyPassword: jest.fn().mockResolvedValue(true),
+      getUserWebAuthnCredentials: jest.fn(async () => credentials),
+      getWebAuthnCredentialByCredentialId: jest.fn(async (id) => credentials.find(c => c.credentialId === id) || null),
+      createWebAuthnCredential: jest.fn(async (data) => {
+        const created = { id: `cred${credentials.length + 1}`, createdAt: '2026-01-01T00:00:00.000Z', ...data };
+        credentials.push(created);
+        return created;
+      }),
+      updateWebAuthnCredential: jest.fn(async (id, data) => Object.assign(credentials.find(c => c.id === id), data)),
+      deleteWebAuthnCredential: jest.fn().mockResolvedValue(true)
+    };
+    authService = {
+      createSession: jest.fn().mockResolvedValue({ accessToken: 'access_token', refreshToken: 'refresh_token' }),
+      handleLoginFailure: jest.fn().mockResolvedValue(),
+      toPublicUser: jest.fn(publicUser => publicUser)
+    };
+    webAuthnService = new WebAuthnService({
+      dbClient,
+      authService,
+      logger: createLogger()
+    });
+    authenticator = createAuthenticator();
+  });
+
+  afterEach(() => {
+    delete process.env.WEBAUTHN_ORIGIN;
+  });
+
+  describe('registration', () => {
+    it('should register a passkey from a valid attestation', async () => {
+      const created = await register();
+
+      expect(created).toMatchObject({ id: 'cred1', name: 'Téléphone', transports: ['internal'] });
+      expect(dbClient.createWebAuthnCredential).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user123',
+        credentialId: authenticator.id,
+        algorithm: -7,
+        signCount: 0
+      }));
+      expect(created.publicKey).toBeUndefined();
+    });
+
+    it('should exclude already registered passkeys from the options', async () => {
+      await register();
+
+      const options = await webAuthnService.getRegistrationOptions('user123', recentLogin());
+
+      expect(options.rp).toEqual({ id: RP_ID, name: 'SupervIA' });
+      expect(options.excludeCredentials).toEqual([{ type: 'public-key', id: authenticator.id, transports: ['internal'] }]);
+    });
+
+    it('should reject a response signed for another challenge', async () => {
+      await webAuthnService.getRegistrationOptions('user123', recentLogin());
+
+      await expect(webAuthnService.verifyRegistration('user123', authenticator.create('other-challenge'), undefined, recentLogin()))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: AuthErrorCodes.INVALID_WEBAUTHN_RESPONSE });
+      expect(dbClient.createWebAuthnCredential).not.toHaveBeenCalled();
+    });
+
+    it('should require the password or a recent login', async () => {
+      const staleLogin = { authTime: Math.floor(Date.now() / 1000) - 3600 };
+
+      await expect(webAuthnService.getRegistrationOptions('user123', staleLogin))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.REAUTHENTICATION_REQUIRED });
+      await expect(webAuthnService.getRegistrationOptions('user123'))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.REAUTHENTICATION_REQUIRED });
+
+      const options = await webAuthnService.getRegistrationOptions('user123', { ...staleLogin, password: 'Password123!' });
+
+      expect(dbClient.verifyPassword).toHaveBeenCalledWith('user123', 'Password123!');
+      expect(options.challenge).toBeDefined();
+    });
+
+    it('should not register a passkey with a wrong password', async () => {
+      const options = await webAuthnService.getRegistrationOptions('user123', recentLogin());
+      dbClient.verifyPassword.mockResolvedValue(false);
+
+      await expect(webAuthnService.verifyRegistration('user123', authenticator.create(options.challenge), 'Téléphone', { password: 'wrong' }))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_CREDENTIALS });
+      expect(dbClient.createWebAuthnCredential).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('malformed responses', () => {
+    // Remplace l'attestationObject d'une réponse valide
+    const withAttestation = (credential, attestationObject) => ({
+      ...credential,
+      response: { ...credential.response, attestationObject: attestationObject.toString('base64url') }
+    });
+    // Remplace l'authData de l'attestation d'une réponse valide
+    const withAuthData = (credential, transform) => {
+      const authData = decodeCbor(Buffer.from(credential.response.attestationObject, 'base64url')).get('authData');
+      return withAttestation(credential, encodeCbor({ fmt: 'none', attStmt: {}, authData: transform(authData) }));
+    };
+    // authData jusqu'à la fin de l'identifiant de la clé (16 octets), sans la clé COSE
+    const withoutCoseKey = (authData) => authData.subarray(0, 55 + 16);
+
+    it.each([
+      ['a truncated attestationObject', (credential) => withAttestation(credential, Buffer.from(credential.response.attestationObject, 'base64url').subarray(0, 40))],
+      ['an attestationObject that is not a map', (credential) => withAttestation(credential, encodeCbor(42))],
+      ['an authData that is not a byte string', (credential) => withAuthData(credential, () => 'garbage')],
+      ['an authData cut before the credential id', (credential) => withAuthData(credential, (authData) => authData.subarray(0, 45))],
+      ['an authData cut inside the public key', (credential) => withAuthData(credential, (authData) => authData.subarray(0, authData.length - 10))],
+      ['a public key without coordinates', (credential) => withAuthData(credential, (authData) => Buffer.concat([
+        withoutCoseKey(authData), encodeCbor(new Map([[1, 2], [3, -7], [-1, 1]]))
+      ]))],
+      ['a public key off the curve', (credential) => withAuthData(credential, (authData) => Buffer.concat([
+        withoutCoseKey(authData), encodeCbor(new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.alloc(32, 1)], [-3, Buffer.alloc(32, 2)]]))
+      ]))]
+    ])('should reject a registration with %s', async (label, tamper) => {
+      const options = await webAuthnService.getRegistrationOptions('user123', recentLogin());
+
+      await expect(webAuthnService.verifyRegistration('user123', tamper(authenticator.create(options.challenge)), undefined, recentLogin()))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: AuthErrorCodes.INVALID_WEBAUTHN_RESPONSE });
+      expect(dbClient.createWebAuthnCredential).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['a truncated authenticatorData', (assertion) => { assertion.response.authenticatorData = Buffer.alloc(20).toString('base64url'); }],
+      ['a garbled signature', (assertion) => { assertion.response.signature = crypto.randomBytes(72).toString('base64url'); }]
+    ])('should reject an assertion with %s', async (label, tamper) => {
+      await register();
+      const options = await webAuthnService.getAuthenticationOptions();
+      const assertion = authenticator.get(options.challenge);
+      tamper(assertion);
+
+      await expect(webAuthnService.verifyAuthentication(assertion))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: AuthErrorCodes.INVALID_WEBAUTHN_RESPONSE });
+      expect(authService.createSession).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('passwordless authentication', () => {
+    it('should open a session with a user-verified assertion', async () => {
+      await register();
+      const options = await webAuthnService.getAuthenticationOptions();
+
+      const result = await webAuthnService.verifyAuthentication(authenticator.get(options.challenge), { ipAddress: '203.0.113.7' });
+
+      expect(options.userVerification).toBe('required');
+      expect(result).toMatchObject({ accessToken: 'access_token', refreshToken: 'refresh_token' });
+      expect(authService.createSession).toHaveBeenCalledWith(user, ['hwk', 'mfa'], { ipAddress: '203.0.113.7' });
+      expect(dbClient.updateWebAuthnCredential).toHaveBeenCalledWith('cred1', expect.objectContaining({ signCount: 1 }));
+    });
+
+    it('should require user verification', async () => {
+      await register();
+      const options = await webAuthnService.getAuthenticationOptions();
+
+      await expect(webAuthnService.verifyAuthentication(authenticator.get(options.challenge, { flags: 0x01 })))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: AuthErrorCodes.INVALID_WEBAUTHN_RESPONSE });
+      expect(authService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('should not accept the same challenge twice', async () => {
+      await register();
+      const options = await webAuthnService.getAuthenticationOptions();
+      await webAuthnService.verifyAuthentication(authenticator.get(options.challenge));
+
+      await expect(webAuthnService.verifyAuthentication(authenticator.get(options.challenge)))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject an assertion from another authenticator', async () => {
+      await register();
+      const options = await webAuthnService.getAuthenticationOptions();
+      const forged = { ...createAuthenticator().get(options.challenge), id: authenticator.id };
+
+      await expect(webAuthnService.verifyAuthentication(forged))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: AuthErrorCodes.INVALID_WEBAUTHN_RESPONSE });
+    });
+  });
+
+  describe('second factor', () => {
+    const challenge = { userId: 'user123', amr: ['pwd'], device: { ipAddress: '198.51.100.1' }, methods: ['webauthn'] };
+
+    it('should complete a password login with a passkey', async () => {
+      await register();
+      mfaChallenge.getMfaChallenge.mockResolvedValue(challenge);
+      mfaChallenge.consumeMfaChallenge.mockResolvedValue(true);
+
+      const options = await webAuthnService.getAuthenticationOptions({ mfaToken: 'mfa-token' });
+      await webAuthnService.verifyAuthentication(authenticator.get(options.challenge));
+
+      expect(options.allowCredentials).toEqual([{ type: 'public-key', id: authenticator.id, transports: ['internal'] }]);
+      expect(mfaChallenge.consumeMfaChallenge).toHaveBeenCalledWith('mfa-token');
+      expect(authService.createSession).toHaveBeenCalledWith(user, ['pwd', 'hwk', 'mfa'], challenge.device);
+    });
+
+    it('should count a failed assertion against the MFA challenge', async () => {
+      await register();
+      mfaChallenge.getMfaChallenge.mockResolvedValue(challenge);
+
+      const options = await webAuthnService.getAuthenticationOptions({ mfaToken: 'mfa-token' });
+      const assertion = authenticator.get(options.challenge);
+      assertion.response.signature = Buffer.from('invalid').toString('base64url');
+
+      await expect(webAuthnService.verifyAuthentication(assertion)).rejects.toMatchObject({ statusCode: 400 });
+      expect(mfaChallenge.recordMfaChallengeFailure).toHaveBeenCalledWith('mfa-token', challenge);
+      expect(authService.handleLoginFailure).toHaveBeenCalledWith('test@example.com', user, challenge.device);
+      expect(mfaChallenge.consumeMfaChallenge).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a challenge that does not offer passkeys', async () => {
+      mfaChallenge.getMfaChallenge.mockResolvedValue({ ...challenge, methods: ['totp'] });
+
+      await expect(webAuthnService.getAuthenticationOptions({ mfaToken: 'mfa-token' }))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.INVALID_MFA_TOKEN });
+    });
+  });
+
+  describe('credential management', () => {
+    it('should not delete a passkey owned by another user', async () => {
+      await expect(webAuthnService.deleteCredential('user123', 'someone-elses', recentLogin()))
+        .rejects.toMatchObject({ statusCode: 404, errorCode: AuthErrorCodes.WEBAUTHN_CREDENTIAL_NOT_FOUND });
+      expect(dbClient.deleteWebAuthnCredential).not.toHaveBeenCalled();
+    });
+
+    it('should not delete a passkey with an access token alone', async () => {
+      await register();
+
+      await expect(webAuthnService.deleteCredential('user123', 'cred1', { authTime: Math.floor(Date.now() / 1000) - 3600 }))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: AuthErrorCodes.REAUTHENTICATION_REQUIRED });
+      expect(dbClient.deleteWebAuthnCredential).not.toHaveBeenCalled();
+
+      await webAuthnService.deleteCredential('user123', 'cred1', { password: 'Password123!' });
+      expect(dbClient.deleteWebAuthnCredential).toHaveBeenCalledWith('cred1');
+    });
+  });
+});